@@ -1,9 +1,27 @@
 import mongoose from 'mongoose';
+import Quote from '../models/Quote.js';
+import Contract from '../models/Contract.js';
+
+// Models whose indexes changed in ways mongoose does not apply to an existing
+// database on its own: syncIndexes() also drops indexes the schema no longer
+// declares, such as the unique quoteNumber_1 from before quote versioning and
+// contractNumber_1 from before contract renewals
+const MIGRATED_INDEX_MODELS = [Quote, Contract];
+
+export const syncMigratedIndexes = async () => {
+  for (const model of MIGRATED_INDEX_MODELS) {
+    const dropped = await model.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`Dropped outdated ${model.modelName} indexes: ${dropped.join(', ')}`);
+    }
+  }
+};
 
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/assignment_db');
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+    await syncMigratedIndexes();
   } catch (error) {
     console.error(`Error: ${error.message}`);
     process.exit(1);
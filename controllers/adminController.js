@@ -1,9 +1,12 @@
 import User from '../models/User.js';
 import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
 import { Workspace } from '../models/Workspace.js';
 import { createNotification } from './notificationController.js';
 import { sendToUser } from '../config/socket.js';
 import { sendEmail } from '../services/emailService.js';
+import { getReminderSchedule } from '../services/deadlineReminderService.js';
+import { syncOrderPaymentSummary, applyOrderPayment } from '../services/paymentService.js';
 
 /**
  * Admin Controller - Simplified for Academic Assignment Service
@@ -81,11 +84,10 @@ export const sendQuote = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
-        if (task.status !== 'pending') {
-            return res.status(400).json({ message: 'Assignment must be in pending status to send quote' });
+        if (!task.transitionTo('quoted', { changedBy: req.user._id, reason: 'Quote sent' })) {
+            return res.status(409).json({ message: `Cannot send a quote for an assignment in ${task.status} status` });
         }
 
-        task.status = 'quoted';
         task.quotedAmount = quotedAmount;
         task.quotedAt = new Date();
 
@@ -157,8 +159,8 @@ export const assignWorkers = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
-        if (task.status !== 'accepted') {
-            return res.status(400).json({ message: 'Assignment must be accepted before assigning workers' });
+        if (!task.canTransitionTo('working')) {
+            return res.status(409).json({ message: 'Assignment must be accepted before assigning workers' });
         }
 
         // Verify all workers exist (can be 'developer' or 'worker' role)
@@ -173,7 +175,7 @@ export const assignWorkers = async (req, res) => {
         }
 
         // Update task
-        task.status = 'working';
+        task.transitionTo('working', { changedBy: req.user._id, reason: 'Workers assigned' });
         task.startedAt = new Date();
         task.assignedWorkers = workerIds.map(id => ({
             worker: id,
@@ -266,11 +268,10 @@ export const moveToReview = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
-        if (task.status !== 'working') {
-            return res.status(400).json({ message: 'Assignment must be in working status' });
+        if (!task.transitionTo('review', { changedBy: req.user._id, reason: req.body.reason })) {
+            return res.status(409).json({ message: `Cannot move assignment from ${task.status} to review` });
         }
 
-        task.status = 'review';
         task.progress = 100;
 
         const updatedTask = await task.save();
@@ -298,8 +299,8 @@ export const deliverTask = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
-        if (task.status !== 'review') {
-            return res.status(400).json({ message: 'Assignment must be in review status before delivery' });
+        if (!task.canTransitionTo('delivered')) {
+            return res.status(409).json({ message: `Cannot deliver an assignment in ${task.status} status` });
         }
 
         if (deliverables && deliverables.length > 0) {
@@ -310,7 +311,7 @@ export const deliverTask = async (req, res) => {
             }));
         }
 
-        task.status = 'delivered';
+        task.transitionTo('delivered', { changedBy: req.user._id, reason: deliveryNotes });
         task.deliveredAt = new Date();
 
         const updatedTask = await task.save();
@@ -372,11 +373,10 @@ export const completeTask = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
-        if (task.status !== 'delivered') {
-            return res.status(400).json({ message: 'Assignment must be delivered first' });
+        if (!task.transitionTo('completed', { changedBy: req.user._id, reason: req.body.reason })) {
+            return res.status(409).json({ message: `Cannot complete an assignment in ${task.status} status` });
         }
 
-        task.status = 'completed';
         task.completedAt = new Date();
 
         const updatedTask = await task.save();
@@ -404,11 +404,10 @@ export const rejectTask = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
-        if (task.status !== 'pending') {
-            return res.status(400).json({ message: 'Can only reject pending assignments' });
+        if (!task.transitionTo('rejected', { changedBy: req.user._id, reason: reason || 'Assignment rejected by admin' })) {
+            return res.status(409).json({ message: `Cannot reject an assignment in ${task.status} status` });
         }
 
-        task.status = 'rejected';
         task.holdReason = reason || 'Assignment rejected by admin';
 
         const updatedTask = await task.save();
@@ -454,11 +453,37 @@ export const verifyPayment = async (req, res) => {
             return res.status(400).json({ message: 'No payment pending verification' });
         }
 
-        task.paymentStatus = 'paid';
-        task.paymentVerifiedAt = new Date();
+        const verifiedAt = new Date();
+        const verified = await Payment.updateMany(
+            { order: task._id, status: 'pending_verification' },
+            { $set: { status: 'completed', verifiedBy: req.user._id, verifiedAt, paidAt: verifiedAt } }
+        );
+
+        // Proofs submitted before the ledger existed have no entry yet
+        if (verified.modifiedCount === 0) {
+            await Payment.create({
+                order: task._id,
+                client: task.client,
+                amount: task.paidAmount || task.quotedAmount || task.amount || 0,
+                currency: task.currency,
+                method: task.qrPaymentProof ? 'qr' : 'manual',
+                proofUrl: task.qrPaymentProof || task.paymentProof?.fileUrl,
+                verifiedBy: req.user._id,
+                verifiedAt,
+                paidAt: verifiedAt,
+            });
+        }
+
+        task.paymentVerifiedAt = verifiedAt;
         task.paymentVerifiedBy = req.user._id;
+        await task.save();
 
-        const updatedTask = await task.save();
+        const updatedTask = await syncOrderPaymentSummary(task._id);
+
+        // Verified payments settle the contract's open invoices; the rest is held in escrow under the contract
+        for (const payment of await Payment.find({ order: task._id, status: 'completed', verifiedAt })) {
+            await applyOrderPayment(payment, 'QR payment');
+        }
 
         // Notify client
         if (task.client) {
@@ -546,6 +571,23 @@ export const updateProgress = async (req, res) => {
     }
 };
 
+// @desc    List upcoming and past deadline reminder runs
+// @route   GET /api/admin/reminders
+// @access  Private/Admin
+export const getReminderRuns = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const days = Math.min(parseInt(req.query.days) || 7, 30);
+
+        const schedule = await getReminderSchedule({ limit, days });
+
+        res.json(schedule);
+    } catch (error) {
+        console.error('Get Reminder Runs Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // ============================================
 // LEGACY ENDPOINTS (kept for backwards compatibility)
 // ============================================
@@ -606,7 +648,7 @@ export const assignDevelopersToTask = async (req, res) => {
     // First send quote if not already quoted
     const task = await Order.findById(req.params.taskId);
     if (task && task.status === 'pending') {
-        task.status = 'quoted';
+        task.transitionTo('quoted', { changedBy: req.user._id, reason: 'Quote sent' });
         task.quotedAmount = quotedAmount;
         task.quotedAt = new Date();
         await task.save();
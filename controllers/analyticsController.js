@@ -3,6 +3,9 @@ import User from '../models/User.js';
 import Contract from '../models/Contract.js';
 import Invoice from '../models/Invoice.js';
 import Quote from '../models/Quote.js';
+import Settings from '../models/Settings.js';
+import { BASE_CURRENCY, normalizeCurrency, baseAmount, roundAmount } from '../utils/currency.js';
+import { resolveReportPeriod, getVatReport } from '../services/taxService.js';
 
 // @desc    Get dashboard analytics
 // @route   GET /api/analytics/dashboard
@@ -36,20 +39,20 @@ export const getDashboardAnalytics = async (req, res) => {
         // Revenue calculations
         const revenueAgg = await Invoice.aggregate([
             { $match: { status: 'paid' } },
-            { $group: { _id: null, total: { $sum: '$total' } } }
+            { $group: { _id: null, total: { $sum: baseAmount() } } }
         ]);
         const totalRevenue = revenueAgg[0]?.total || 0;
 
         // This month's revenue
         const thisMonthRevenue = await Invoice.aggregate([
             { $match: { status: 'paid', paidAt: { $gte: startOfMonth } } },
-            { $group: { _id: null, total: { $sum: '$total' } } }
+            { $group: { _id: null, total: { $sum: baseAmount() } } }
         ]);
 
         // Last month's revenue
         const lastMonthRevenue = await Invoice.aggregate([
             { $match: { status: 'paid', paidAt: { $gte: startOfLastMonth, $lte: endOfLastMonth } } },
-            { $group: { _id: null, total: { $sum: '$total' } } }
+            { $group: { _id: null, total: { $sum: baseAmount() } } }
         ]);
 
         // Orders by status
@@ -71,7 +74,7 @@ export const getDashboardAnalytics = async (req, res) => {
                         year: { $year: '$paidAt' },
                         month: { $month: '$paidAt' }
                     },
-                    revenue: { $sum: '$total' },
+                    revenue: { $sum: baseAmount() },
                     count: { $sum: 1 }
                 }
             },
@@ -131,6 +134,7 @@ export const getDashboardAnalytics = async (req, res) => {
 
         res.json({
             summary: {
+                currency: BASE_CURRENCY,
                 totalRevenue,
                 thisMonthRevenue: thisMonthRevenue[0]?.total || 0,
                 lastMonthRevenue: lastMonthRevenue[0]?.total || 0,
@@ -168,7 +172,16 @@ export const getDashboardAnalytics = async (req, res) => {
 // @access  Private/Admin
 export const getRevenueAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate, groupBy = 'month' } = req.query;
+        const { startDate, endDate, groupBy = 'month', currency } = req.query;
+
+        // Totals are computed in the base currency at each invoice's locked rate,
+        // then shown in the requested currency at today's rate
+        const reportCurrency = currency ? normalizeCurrency(currency) : BASE_CURRENCY;
+        const reportRate = reportCurrency ? await Settings.getExchangeRate(reportCurrency) : null;
+        if (reportRate === null) {
+            return res.status(400).json({ message: `No exchange rate configured for ${currency}` });
+        }
+        const convert = (amount) => roundAmount(amount / reportRate);
 
         const matchStage = { status: 'paid' };
         if (startDate) matchStage.paidAt = { $gte: new Date(startDate) };
@@ -194,24 +207,52 @@ export const getRevenueAnalytics = async (req, res) => {
             {
                 $group: {
                     ...groupStage,
-                    revenue: { $sum: '$total' },
+                    revenue: { $sum: baseAmount() },
                     count: { $sum: 1 },
-                    avgInvoice: { $avg: '$total' }
+                    avgInvoice: { $avg: baseAmount() }
                 }
             },
             { $sort: { _id: 1 } }
         ]);
 
-        const total = revenue.reduce((sum, item) => sum + item.revenue, 0);
-        const avgPerPeriod = revenue.length > 0 ? total / revenue.length : 0;
+        // Revenue per invoice currency, in that currency and converted
+        const byCurrency = await Invoice.aggregate([
+            { $match: matchStage },
+            {
+                $group: {
+                    _id: { $ifNull: ['$currency', BASE_CURRENCY] },
+                    amount: { $sum: '$total' },
+                    baseAmount: { $sum: baseAmount() },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { baseAmount: -1 } }
+        ]);
+
+        const data = revenue.map(item => ({
+            ...item,
+            revenue: convert(item.revenue),
+            avgInvoice: convert(item.avgInvoice),
+        }));
+        const total = roundAmount(data.reduce((sum, item) => sum + item.revenue, 0));
+        const avgPerPeriod = data.length > 0 ? roundAmount(total / data.length) : 0;
 
         res.json({
-            data: revenue,
+            data,
+            byCurrency: byCurrency.map(item => ({
+                currency: item._id,
+                amount: item.amount,
+                converted: convert(item.baseAmount),
+                count: item.count,
+            })),
             summary: {
+                currency: reportCurrency,
+                baseCurrency: BASE_CURRENCY,
+                exchangeRate: reportRate,
                 total,
-                periods: revenue.length,
+                periods: data.length,
                 avgPerPeriod,
-                totalInvoices: revenue.reduce((sum, item) => sum + item.count, 0),
+                totalInvoices: data.reduce((sum, item) => sum + item.count, 0),
             }
         });
     } catch (error) {
@@ -220,6 +261,25 @@ export const getRevenueAnalytics = async (req, res) => {
     }
 };
 
+// @desc    Get VAT summary for a period (defaults to the current fiscal year)
+// @route   GET /api/analytics/vat
+// @access  Private/Admin
+export const getVatAnalytics = async (req, res) => {
+    try {
+        const period = await resolveReportPeriod(req.query);
+        if (!period) {
+            return res.status(400).json({ message: 'Provide a valid startDate/endDate range or fiscalYear (e.g. 2025-26)' });
+        }
+
+        const report = await getVatReport(period);
+
+        res.json({ ...report, fiscalYear: period.fiscalYear });
+    } catch (error) {
+        console.error('VAT Analytics Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Get client analytics
 // @route   GET /api/analytics/clients
 // @access  Private/Admin
@@ -231,7 +291,7 @@ export const getClientAnalytics = async (req, res) => {
             {
                 $group: {
                     _id: '$client',
-                    totalSpent: { $sum: '$total' },
+                    totalSpent: { $sum: baseAmount() },
                     invoiceCount: { $sum: 1 }
                 }
             },
@@ -292,7 +352,7 @@ export const getProjectAnalytics = async (req, res) => {
         // Average project value
         const avgProjectValue = await Quote.aggregate([
             { $match: { status: 'accepted' } },
-            { $group: { _id: null, avg: { $avg: '$total' } } }
+            { $group: { _id: null, avg: { $avg: baseAmount() } } }
         ]);
 
         // Project completion rate
@@ -0,0 +1,261 @@
+import ServiceCatalogItem from '../models/ServiceCatalogItem.js';
+import QuoteTemplate from '../models/QuoteTemplate.js';
+import Order from '../models/Order.js';
+import { CATALOG_CRITERIA } from '../utils/catalog.js';
+import {
+    catalogLineItem,
+    findTemplatesForOrder,
+    buildQuoteFromTemplate,
+} from '../services/quoteTemplateService.js';
+
+const CATALOG_FIELDS = ['code', 'name', 'description', 'category', 'unit', 'unitPrice', 'taxProfile', 'isActive', ...CATALOG_CRITERIA];
+const TEMPLATE_FIELDS = [
+    'name', 'description', 'lineItems', 'deliverables', 'estimatedDuration', 'paymentTerms',
+    'termsAndConditions', 'discountType', 'discountValue', 'taxRate', 'validityDays', 'isActive',
+    ...CATALOG_CRITERIA,
+];
+
+// Helper: Copy allowed fields from the request body; empty criteria mean "any"
+const pickFields = (body, fields) => Object.fromEntries(
+    fields
+        .filter(field => body[field] !== undefined)
+        .map(field => [field, CATALOG_CRITERIA.includes(field) && !body[field] ? undefined : body[field]])
+);
+
+// Helper: Validation and duplicate-name errors are the caller's fault
+const sendSaveError = (res, error, label) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (error.code === 11000) {
+        return res.status(400).json({ message: 'A quote template with this name already exists' });
+    }
+    console.error(`${label} Error:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+// Helper: Every catalog item a template line points at must exist
+const findMissingCatalogItems = async (lineItems = []) => {
+    const ids = lineItems.filter(line => line?.catalogItem).map(line => String(line.catalogItem));
+    if (ids.length === 0) return [];
+    const found = await ServiceCatalogItem.find({ _id: { $in: ids } }).select('_id');
+    const known = new Set(found.map(item => String(item._id)));
+    return ids.filter(id => !known.has(id));
+};
+
+// @desc    List service catalog items
+// @route   GET /api/catalog/services
+// @access  Private/Admin
+export const getCatalogItems = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.includeInactive !== 'true') filter.isActive = true;
+        if (req.query.category) filter.category = req.query.category;
+
+        const items = await ServiceCatalogItem.find(filter).sort({ code: 1, unitPrice: 1 });
+        res.json(items);
+    } catch (error) {
+        console.error('Get Catalog Items Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Catalog prices that apply to an order, as quote line items
+// @route   GET /api/catalog/services/match/:orderId
+// @access  Private/Admin
+export const getCatalogMatches = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const items = await ServiceCatalogItem.findForOrder(order);
+        res.json({
+            items,
+            lineItems: items.map(item => catalogLineItem(item, order)),
+        });
+    } catch (error) {
+        console.error('Get Catalog Matches Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Add a service catalog item
+// @route   POST /api/catalog/services
+// @access  Private/Admin
+export const createCatalogItem = async (req, res) => {
+    try {
+        const item = await ServiceCatalogItem.create({
+            ...pickFields(req.body, CATALOG_FIELDS),
+            createdBy: req.user._id,
+        });
+
+        res.status(201).json({ message: 'Catalog item created', item });
+    } catch (error) {
+        sendSaveError(res, error, 'Create Catalog Item');
+    }
+};
+
+// @desc    Update a service catalog item
+// @route   PUT /api/catalog/services/:id
+// @access  Private/Admin
+export const updateCatalogItem = async (req, res) => {
+    try {
+        const item = await ServiceCatalogItem.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ message: 'Catalog item not found' });
+        }
+
+        item.set(pickFields(req.body, CATALOG_FIELDS));
+        await item.save();
+
+        res.json({ message: 'Catalog item updated', item });
+    } catch (error) {
+        sendSaveError(res, error, 'Update Catalog Item');
+    }
+};
+
+// @desc    Retire a service catalog item (kept for templates and past quotes)
+// @route   DELETE /api/catalog/services/:id
+// @access  Private/Admin
+export const deleteCatalogItem = async (req, res) => {
+    try {
+        const item = await ServiceCatalogItem.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!item) {
+            return res.status(404).json({ message: 'Catalog item not found' });
+        }
+
+        res.json({ message: 'Catalog item retired', item });
+    } catch (error) {
+        console.error('Delete Catalog Item Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    List quote templates, or those suited to an order (?orderId=)
+// @route   GET /api/catalog/templates
+// @access  Private/Admin
+export const getQuoteTemplates = async (req, res) => {
+    try {
+        const { orderId, includeInactive } = req.query;
+
+        if (orderId) {
+            const order = await Order.findById(orderId);
+            if (!order) {
+                return res.status(404).json({ message: 'Order not found' });
+            }
+            return res.json(await findTemplatesForOrder(order));
+        }
+
+        const filter = includeInactive === 'true' ? {} : { isActive: true };
+        const templates = await QuoteTemplate.find(filter).sort({ name: 1 });
+        res.json(templates);
+    } catch (error) {
+        console.error('Get Quote Templates Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get a quote template
+// @route   GET /api/catalog/templates/:id
+// @access  Private/Admin
+export const getQuoteTemplateById = async (req, res) => {
+    try {
+        const template = await QuoteTemplate.findById(req.params.id).populate('lineItems.catalogItem');
+        if (!template) {
+            return res.status(404).json({ message: 'Quote template not found' });
+        }
+
+        res.json(template);
+    } catch (error) {
+        console.error('Get Quote Template Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Preview the quote a template would create for an order
+// @route   GET /api/catalog/templates/:id/prefill?orderId=
+// @access  Private/Admin
+export const prefillQuoteFromTemplate = async (req, res) => {
+    try {
+        const template = await QuoteTemplate.findById(req.params.id).populate('lineItems.catalogItem').lean();
+        if (!template) {
+            return res.status(404).json({ message: 'Quote template not found' });
+        }
+
+        const order = await Order.findById(req.query.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        res.json(await buildQuoteFromTemplate(template, order));
+    } catch (error) {
+        console.error('Prefill Quote Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Create a quote template
+// @route   POST /api/catalog/templates
+// @access  Private/Admin
+export const createQuoteTemplate = async (req, res) => {
+    try {
+        const missing = await findMissingCatalogItems(req.body.lineItems);
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `Unknown catalog item: ${missing.join(', ')}` });
+        }
+
+        const template = await QuoteTemplate.create({
+            ...pickFields(req.body, TEMPLATE_FIELDS),
+            createdBy: req.user._id,
+        });
+
+        res.status(201).json({ message: 'Quote template created', template });
+    } catch (error) {
+        sendSaveError(res, error, 'Create Quote Template');
+    }
+};
+
+// @desc    Update a quote template
+// @route   PUT /api/catalog/templates/:id
+// @access  Private/Admin
+export const updateQuoteTemplate = async (req, res) => {
+    try {
+        const template = await QuoteTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Quote template not found' });
+        }
+
+        const missing = await findMissingCatalogItems(req.body.lineItems);
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `Unknown catalog item: ${missing.join(', ')}` });
+        }
+
+        template.set(pickFields(req.body, TEMPLATE_FIELDS));
+        template.lastModifiedBy = req.user._id;
+        await template.save();
+
+        res.json({ message: 'Quote template updated', template });
+    } catch (error) {
+        sendSaveError(res, error, 'Update Quote Template');
+    }
+};
+
+// @desc    Delete a quote template
+// @route   DELETE /api/catalog/templates/:id
+// @access  Private/Admin
+export const deleteQuoteTemplate = async (req, res) => {
+    try {
+        const template = await QuoteTemplate.findByIdAndDelete(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Quote template not found' });
+        }
+
+        res.json({ message: 'Quote template deleted' });
+    } catch (error) {
+        console.error('Delete Quote Template Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
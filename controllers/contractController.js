@@ -1,10 +1,16 @@
-import Contract from '../models/Contract.js';
+import crypto from 'crypto';
+import Contract, { SERVICE_PROVIDER } from '../models/Contract.js';
 import Quote from '../models/Quote.js';
 import Order from '../models/Order.js';
 import User from '../models/User.js';
 import { createNotification } from './notificationController.js';
 import { sendEmail } from '../services/emailService.js';
-import { generateInvoicesFromContract } from '../services/invoiceService.js';
+import { generateInvoicesFromContract, skipPausedPeriods, reissueContractInvoices, revertReissuedInvoices } from '../services/invoiceService.js';
+import { buildRecurringSchedule } from '../utils/recurring.js';
+import { renderContractPdf, pdfAttachments } from '../services/pdfService.js';
+import { findContractTemplate, renderContractTemplate } from '../services/contractTemplateService.js';
+import { SIGNATURE_DATA_PATTERN, MAX_SIGNATURE_DATA_LENGTH, hashContract } from '../utils/contractHash.js';
+import { normalizeAmendment, applyAmendment } from '../utils/contractAmendments.js';
 
 // Helper: Notify user
 const notifyUser = async (userId, type, title, message, contractId, actions = []) => {
@@ -48,12 +54,87 @@ const notifyAdmins = async (type, title, message, contractId, actions = []) => {
     }
 };
 
+// Helper: Work out the signature type from the request; returns { signature } or { error }
+const parseSignature = ({ signatureData, typedName }) => {
+    if (signatureData) {
+        if (typeof signatureData !== 'string' || signatureData.length > MAX_SIGNATURE_DATA_LENGTH ||
+            !SIGNATURE_DATA_PATTERN.test(signatureData)) {
+            return { error: 'Drawn signatures must be a PNG or JPEG data URL under 500 KB' };
+        }
+        return { signature: { signatureType: 'drawn_signature', signatureData } };
+    }
+
+    if (typedName !== undefined) {
+        const name = typeof typedName === 'string' ? typedName.trim() : '';
+        if (name.length < 2 || name.length > 100) {
+            return { error: 'Typed signatures need a name of 2 to 100 characters' };
+        }
+        return { signature: { signatureType: 'typed_signature', typedName: name } };
+    }
+
+    return { signature: { signatureType: 'digital_acceptance' } };
+};
+
+// Helper: Signing certificate for a signature, checked against the current content hash
+const signingCertificate = (contract, signature, currentHash) => {
+    if (!signature?.agreed) return null;
+    return {
+        certificateId: signature.certificateId,
+        signedByName: signature.signedByName,
+        signedByEmail: signature.signedByEmail,
+        signatureType: signature.signatureType,
+        typedName: signature.typedName,
+        signedAt: signature.signedAt,
+        ipAddress: signature.ipAddress,
+        userAgent: signature.userAgent,
+        documentSentAt: contract.sentAt,
+        documentViewedAt: contract.viewedAt,
+        contentHash: signature.contentHash,
+        hashMatches: Boolean(signature.contentHash) && signature.contentHash === currentHash,
+    };
+};
+
+// Helper: Record a signature with its signing certificate
+const buildSignature = (req, contract, signature) => ({
+    signedBy: req.user._id,
+    signedByName: req.user.name,
+    signedByEmail: req.user.email,
+    signedAt: new Date(),
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    agreed: true,
+    ...signature,
+    contentHash: contract.contentHash,
+    certificateId: crypto.randomUUID(),
+});
+
+// Helper: Start work on a contract both parties have signed
+const onContractActivated = async (contract) => {
+    const order = await Order.findById(contract.order);
+    if (order && order.status === 'started') {
+        order.status = 'assigned';
+        await order.save();
+    }
+
+    // Auto-generate invoices when contract becomes active
+    try {
+        const generatedInvoices = await generateInvoicesFromContract(contract, {
+            autoSend: contract.autoSendInvoices,
+            createdBy: null, // System generated
+        });
+        console.log(`Generated ${generatedInvoices.length} invoice(s) for contract ${contract.contractNumber}`);
+    } catch (invoiceError) {
+        console.error('Invoice generation error:', invoiceError.message);
+        // Don't fail the contract signing if invoice generation fails
+    }
+};
+
 // @desc    Generate contract from accepted quote
 // @route   POST /api/contracts/generate
 // @access  Private/Admin
 export const generateContract = async (req, res) => {
     try {
-        const { quoteId } = req.body;
+        const { quoteId, templateId } = req.body;
 
         const quote = await Quote.findById(quoteId).populate('order');
         if (!quote) {
@@ -75,6 +156,13 @@ export const generateContract = async (req, res) => {
 
         const order = quote.order;
 
+        // The chosen template, or the default one if there is one
+        const template = await findContractTemplate(templateId);
+        if (templateId && !template) {
+            return res.status(404).json({ message: 'Contract template not found' });
+        }
+        const templateFields = template && renderContractTemplate(template, { quote, order, provider: SERVICE_PROVIDER });
+
         // Create contract from quote data
         const contract = await Contract.create({
             order: order._id,
@@ -83,11 +171,7 @@ export const generateContract = async (req, res) => {
             status: 'pending_signature',
 
             // Service provider details
-            serviceProvider: {
-                name: 'CodeSupport',
-                email: 'support@codesupport.com',
-                phone: '+977-9800000000',
-            },
+            serviceProvider: SERVICE_PROVIDER,
 
             // Client details
             clientDetails: {
@@ -117,6 +201,9 @@ export const generateContract = async (req, res) => {
                     dueDescription: m.dueDescription,
                     status: 'pending',
                 })) || [],
+                recurring: quote.paymentTerms?.type === 'recurring'
+                    ? buildRecurringSchedule(quote.paymentTerms.recurring, quote.total)
+                    : undefined,
                 paymentMethods: ['esewa', 'bank_transfer', 'qr'],
             },
 
@@ -128,8 +215,9 @@ export const generateContract = async (req, res) => {
                 estimatedDuration: quote.estimatedDuration,
             },
 
-            // Terms from quote
-            terms: {
+            // Clauses from the contract template, or the quote's terms when there is none
+            ...templateFields,
+            terms: templateFields ? undefined : {
                 revisionPolicy: quote.termsAndConditions?.revisionPolicy,
                 paymentTerms: quote.termsAndConditions?.paymentPolicy,
                 intellectualProperty: quote.termsAndConditions?.intellectualProperty,
@@ -137,14 +225,7 @@ export const generateContract = async (req, res) => {
                 additionalTerms: quote.termsAndConditions?.additionalTerms,
             },
 
-            // Provider signature (auto-signed by system)
-            providerSignature: {
-                signedByName: 'CodeSupport Team',
-                signedByEmail: 'contracts@codesupport.com',
-                signedAt: new Date(),
-                agreed: true,
-                signatureType: 'digital_acceptance',
-            },
+            // The provider counter-signs after the client (POST /api/contracts/:id/countersign)
 
             sentAt: new Date(),
             createdBy: req.user._id,
@@ -184,7 +265,7 @@ export const generateContract = async (req, res) => {
                 currency: quote.currency,
                 totalAmount: quote.total,
                 contractUrl: `${process.env.FRONTEND_URL}/dashboard/client/contracts/${contract._id}`,
-            });
+            }, await pdfAttachments(`${contract.contractNumber}.pdf`, () => renderContractPdf(contract)));
         }
 
         const populatedContract = await Contract.findById(contract._id)
@@ -275,6 +356,40 @@ export const getContractById = async (req, res) => {
     }
 };
 
+// @desc    Download contract as PDF
+// @route   GET /api/contracts/:id/pdf
+// @access  Private
+export const downloadContractPdf = async (req, res) => {
+    try {
+        const contract = await Contract.findById(req.params.id);
+
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found' });
+        }
+
+        // Check access - by ID or by email match
+        const isAdmin = req.user.role === 'admin';
+        const isClient = contract.client?.toString() === req.user._id.toString() ||
+            contract.clientDetails?.email === req.user.email;
+
+        if (!isAdmin && !isClient) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const pdf = await renderContractPdf(contract);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${req.query.inline ? 'inline' : 'attachment'}; filename="${contract.contractNumber}.pdf"`,
+            'Content-Length': pdf.length,
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Contract PDF Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Get client's contracts
 // @route   GET /api/contracts/my-contracts
 // @access  Private/Client
@@ -308,12 +423,66 @@ export const getMyContracts = async (req, res) => {
     }
 };
 
+// @desc    Verify the contract content against the hash each party signed
+// @route   GET /api/contracts/:id/verify
+// @access  Private
+export const verifyContract = async (req, res) => {
+    try {
+        const contract = await Contract.findById(req.params.id);
+
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found' });
+        }
+
+        // Check access - by ID or by email match
+        const isAdmin = req.user.role === 'admin';
+        const isClient = contract.client?.toString() === req.user._id.toString() ||
+            contract.clientDetails?.email === req.user.email;
+
+        if (!isAdmin && !isClient) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        // After an amendment the client's latest re-acceptance is what covers the content
+        const currentHash = hashContract(contract);
+        const clientAcceptance = [...contract.amendments].reverse().find(a => a.clientAcceptance?.agreed)?.clientAcceptance;
+        const clientCertificate = signingCertificate(contract, clientAcceptance || contract.clientSignature, currentHash);
+        const providerCertificate = signingCertificate(contract, contract.providerSignature, currentHash);
+
+        // Signed contracts are checked against the signed hash, unsigned ones against the sealed hash
+        const verified = clientCertificate
+            ? clientCertificate.hashMatches
+            : Boolean(contract.contentHash) && contract.contentHash === currentHash;
+
+        res.json({
+            contractNumber: contract.contractNumber,
+            version: contract.version,
+            status: contract.status,
+            algorithm: 'SHA-256',
+            verified,
+            message: verified
+                ? 'The contract content matches the version that was signed'
+                : 'The contract content does not match the version that was signed',
+            awaitingReacceptance: contract.awaitingReacceptance,
+            currentHash,
+            sealedHash: contract.contentHash,
+            sealedAt: contract.contentHashedAt,
+            clientCertificate,
+            providerCertificate,
+            checkedAt: new Date(),
+        });
+    } catch (error) {
+        console.error('Verify Contract Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Client signs contract
 // @route   POST /api/contracts/:id/sign
 // @access  Private/Client
 export const signContract = async (req, res) => {
     try {
-        const { agreed, signatureData } = req.body;
+        const { agreed, contentHash } = req.body;
         const contract = await Contract.findById(req.params.id);
 
         if (!contract) {
@@ -341,25 +510,36 @@ export const signContract = async (req, res) => {
             return res.status(400).json({ message: 'You must agree to the terms to sign the contract' });
         }
 
-        // Record client signature
-        contract.clientSignature = {
-            signedBy: req.user._id,
-            signedByName: req.user.name,
-            signedByEmail: req.user.email,
-            signedAt: new Date(),
-            ipAddress: req.ip || req.connection?.remoteAddress,
-            userAgent: req.headers['user-agent'],
-            agreed: true,
-            signatureType: signatureData ? 'drawn_signature' : 'digital_acceptance',
-            signatureData: signatureData || null,
-        };
+        const { signature, error } = parseSignature(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        // The content must still be what was sent, and what the client was shown
+        if (!contract.contentHash) {
+            contract.sealContent();
+        }
+        if (!contract.verifyContent()) {
+            console.error(`Contract ${contract.contractNumber} content does not match the hash taken when it was sent`);
+            return res.status(409).json({ message: 'This contract has changed since it was sent. Please ask for it to be re-issued before signing.' });
+        }
+        if (contentHash !== undefined && contentHash !== contract.contentHash) {
+            return res.status(409).json({
+                message: 'The contract has been updated since you viewed it. Please review the latest version.',
+                contentHash: contract.contentHash,
+            });
+        }
 
+        // Record client signature with its signing certificate
+        contract.clientSignature = buildSignature(req, contract, signature);
         contract.signedAt = new Date();
 
-        // If both parties signed, activate contract
+        // Contracts the provider signed up front activate now; the rest wait for a counter-signature
         if (contract.providerSignature?.agreed) {
             contract.status = 'active';
             contract.activatedAt = new Date();
+        } else {
+            contract.status = 'pending_countersign';
         }
 
         await contract.save();
@@ -368,12 +548,14 @@ export const signContract = async (req, res) => {
         await notifyAdmins(
             'contract_signed',
             'Contract Signed',
-            `Client signed contract ${contract.contractNumber} for "${contract.projectDetails?.title}"`,
+            contract.status === 'pending_countersign'
+                ? `Client signed contract ${contract.contractNumber} for "${contract.projectDetails?.title}". It is waiting for your counter-signature.`
+                : `Client signed contract ${contract.contractNumber} for "${contract.projectDetails?.title}"`,
             contract._id,
             [
                 {
                     id: 'view',
-                    label: 'View Contract',
+                    label: contract.status === 'pending_countersign' ? 'Counter-sign' : 'View Contract',
                     variant: 'primary',
                     actionType: 'navigate',
                     navigateTo: `/admin/contracts/${contract._id}`
@@ -392,29 +574,15 @@ export const signContract = async (req, res) => {
             });
         }
 
-        // Update order status if contract is now active
+        // Update order status and invoice if contract is now active
         if (contract.status === 'active') {
-            const order = await Order.findById(contract.order);
-            if (order && order.status === 'started') {
-                order.status = 'assigned';
-                await order.save();
-            }
-
-            // Auto-generate invoices when contract becomes active
-            try {
-                const generatedInvoices = await generateInvoicesFromContract(contract, {
-                    autoSend: contract.autoSendInvoices,
-                    createdBy: null, // System generated
-                });
-                console.log(`Generated ${generatedInvoices.length} invoice(s) for contract ${contract.contractNumber}`);
-            } catch (invoiceError) {
-                console.error('Invoice generation error:', invoiceError.message);
-                // Don't fail the contract signing if invoice generation fails
-            }
+            await onContractActivated(contract);
         }
 
         res.json({
-            message: 'Contract signed successfully',
+            message: contract.status === 'active'
+                ? 'Contract signed successfully'
+                : 'Contract signed successfully. It becomes active once counter-signed.',
             contract
         });
     } catch (error) {
@@ -423,6 +591,65 @@ export const signContract = async (req, res) => {
     }
 };
 
+// @desc    Provider counter-signs a client-signed contract (Admin)
+// @route   POST /api/contracts/:id/countersign
+// @access  Private/Admin
+export const countersignContract = async (req, res) => {
+    try {
+        const { agreed } = req.body;
+        const contract = await Contract.findById(req.params.id);
+
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found' });
+        }
+
+        if (contract.status !== 'pending_countersign') {
+            return res.status(400).json({ message: 'Only contracts signed by the client can be counter-signed' });
+        }
+
+        if (!agreed) {
+            return res.status(400).json({ message: 'You must agree to the terms to counter-sign the contract' });
+        }
+
+        const { signature, error } = parseSignature(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        // Both parties must sign the same content
+        if (!contract.verifyContent(contract.clientSignature?.contentHash)) {
+            console.error(`Contract ${contract.contractNumber} content does not match the client-signed hash`);
+            return res.status(409).json({ message: 'This contract has changed since the client signed it and cannot be counter-signed.' });
+        }
+
+        contract.providerSignature = buildSignature(req, contract, signature);
+        contract.status = 'active';
+        contract.activatedAt = new Date();
+        contract.lastModifiedBy = req.user._id;
+
+        await contract.save();
+
+        // Notify client
+        await notifyUser(
+            contract.client,
+            'contract_active',
+            'Contract Active',
+            `Contract ${contract.contractNumber} has been counter-signed and is now active.`,
+            contract._id
+        );
+
+        await onContractActivated(contract);
+
+        res.json({
+            message: 'Contract counter-signed and activated',
+            contract
+        });
+    } catch (error) {
+        console.error('Countersign Contract Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Update contract terms (Admin)
 // @route   PUT /api/contracts/:id
 // @access  Private/Admin
@@ -450,7 +677,9 @@ export const updateContract = async (req, res) => {
             }
         });
 
+        // The edited contract is what the client will be asked to sign now
         contract.lastModifiedBy = req.user._id;
+        contract.sealContent();
         await contract.save();
 
         res.json({
@@ -467,7 +696,7 @@ export const updateContract = async (req, res) => {
 // @access  Private/Client
 export const requestAmendment = async (req, res) => {
     try {
-        const { description, changes, previousValue, newValue } = req.body;
+        const { description, changes, previousValue, newValue, target } = req.body;
         const contract = await Contract.findById(req.params.id);
 
         if (!contract) {
@@ -486,6 +715,24 @@ export const requestAmendment = async (req, res) => {
             return res.status(400).json({ message: 'Amendments can only be requested for active contracts' });
         }
 
+        if (contract.awaitingReacceptance) {
+            return res.status(400).json({ message: 'Please accept the last approved amendment before requesting another' });
+        }
+
+        if (contract.renewedTo) {
+            return res.status(400).json({ message: 'This contract has been renewed; request amendments on the renewal' });
+        }
+
+        // Structured amendments name the part of the contract they change
+        let structured = {};
+        if (target !== undefined) {
+            const { amendment, error } = normalizeAmendment(contract, req.body);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+            structured = amendment;
+        }
+
         const amendmentNumber = (contract.amendments?.length || 0) + 1;
 
         contract.amendments.push({
@@ -494,6 +741,7 @@ export const requestAmendment = async (req, res) => {
             changes,
             previousValue,
             newValue,
+            ...structured,
             requestedBy: req.user._id,
             status: 'pending',
         });
@@ -535,6 +783,51 @@ export const respondToAmendment = async (req, res) => {
             return res.status(404).json({ message: 'Amendment not found' });
         }
 
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ message: 'Status must be approved or rejected' });
+        }
+
+        if (amendment.status !== 'pending') {
+            return res.status(400).json({ message: `Amendment has already been ${amendment.status}` });
+        }
+
+        if (status === 'approved' && contract.renewedTo) {
+            return res.status(400).json({ message: 'This contract has been renewed; amendments belong on the renewal' });
+        }
+
+        // Structured amendments change the contract itself
+        let applied = null;
+        if (status === 'approved' && amendment.target) {
+            if (contract.status !== 'active') {
+                return res.status(400).json({ message: 'Amendments can only be applied to active contracts' });
+            }
+
+            applied = applyAmendment(contract, amendment);
+            if (applied.error) {
+                return res.status(400).json({ message: applied.error });
+            }
+        }
+
+        // Reissue invoices before anything is saved; a failed reissue undoes itself,
+        // and a failed save below undoes the reissue, so the contract and its invoices stay as they were
+        let invoices = null;
+        if (applied) {
+            try {
+                invoices = await reissueContractInvoices(contract, {
+                    milestoneIndexes: applied.milestoneIndexes,
+                    fullPayment: applied.fullPayment,
+                    reason: `Amendment #${amendment.amendmentNumber} to ${contract.contractNumber}`,
+                    createdBy: req.user._id,
+                });
+            } catch (invoiceError) {
+                console.error('Amendment invoice reissue error:', invoiceError.message);
+                return res.status(409).json({
+                    message: 'The contract invoices could not be reissued, so the amendment was not applied',
+                    error: invoiceError.message,
+                });
+            }
+        }
+
         amendment.status = status;
         amendment.approvedBy = req.user._id;
         amendment.approvedAt = new Date();
@@ -543,19 +836,124 @@ export const respondToAmendment = async (req, res) => {
             contract.version += 1;
         }
 
-        await contract.save();
+        if (applied) {
+            // The amended contract is a new version the client has to accept
+            amendment.appliedAt = new Date();
+            amendment.contractVersion = contract.version;
+            amendment.invoicesVoided = invoices.voided.map(invoice => invoice._id);
+            amendment.invoicesIssued = invoices.created.map(invoice => invoice._id);
+            contract.sealContent();
+            contract.awaitingReacceptance = true;
+            contract.lastModifiedBy = req.user._id;
+        }
+
+        try {
+            await contract.save();
+        } catch (saveError) {
+            if (invoices) await revertReissuedInvoices(invoices);
+            throw saveError;
+        }
 
         // Notify client
         await notifyUser(
             contract.client,
             'amendment_response',
             `Amendment ${status === 'approved' ? 'Approved' : 'Rejected'}`,
-            `Your amendment request for ${contract.contractNumber} has been ${status}`,
+            applied
+                ? `Your amendment request for ${contract.contractNumber} has been approved. Please review and accept version ${contract.version} of the contract.`
+                : `Your amendment request for ${contract.contractNumber} has been ${status}`,
+            contract._id,
+            applied ? [
+                {
+                    id: 'review',
+                    label: 'Review Contract',
+                    variant: 'primary',
+                    actionType: 'navigate',
+                    navigateTo: `/dashboard/client/contracts/${contract._id}`
+                }
+            ] : []
+        );
+
+        res.json({
+            message: `Amendment ${status}`,
+            amendment,
+            contract,
+            ...(invoices && { invoices }),
+        });
+    } catch (error) {
+        console.error('Respond To Amendment Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Client accepts the contract as changed by an approved amendment
+// @route   POST /api/contracts/:id/amendment/:amendmentId/accept
+// @access  Private/Client
+export const acceptAmendment = async (req, res) => {
+    try {
+        const { agreed, contentHash } = req.body;
+        const contract = await Contract.findById(req.params.id);
+
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found' });
+        }
+
+        // Verify client - by ID or email match
+        const isClientById = contract.client?.toString() === req.user._id.toString();
+        const isClientByEmail = contract.clientDetails?.email === req.user.email;
+
+        if (!isClientById && !isClientByEmail) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const amendment = contract.amendments.id(req.params.amendmentId);
+        if (!amendment) {
+            return res.status(404).json({ message: 'Amendment not found' });
+        }
+
+        if (!contract.awaitingReacceptance || !amendment.appliedAt || amendment.clientAcceptance?.agreed ||
+            amendment.contractVersion !== contract.version) {
+            return res.status(400).json({ message: 'This amendment is not waiting for your acceptance' });
+        }
+
+        if (!agreed) {
+            return res.status(400).json({ message: 'You must agree to the amended terms' });
+        }
+
+        const { signature, error } = parseSignature(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        if (!contract.verifyContent()) {
+            console.error(`Contract ${contract.contractNumber} content does not match the hash taken when it was amended`);
+            return res.status(409).json({ message: 'This contract has changed since it was amended. Please ask for it to be re-issued.' });
+        }
+        if (contentHash !== undefined && contentHash !== contract.contentHash) {
+            return res.status(409).json({
+                message: 'The contract has been updated since you viewed it. Please review the latest version.',
+                contentHash: contract.contentHash,
+            });
+        }
+
+        amendment.clientAcceptance = buildSignature(req, contract, signature);
+        contract.awaitingReacceptance = false;
+        await contract.save();
+
+        // Notify admins
+        await notifyAdmins(
+            'amendment_response',
+            'Amendment Accepted',
+            `Client accepted amendment #${amendment.amendmentNumber} to ${contract.contractNumber} (version ${contract.version})`,
             contract._id
         );
 
-        res.json({ message: `Amendment ${status}` });
+        res.json({
+            message: 'Amended contract accepted',
+            contract
+        });
     } catch (error) {
+        console.error('Accept Amendment Error:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
@@ -641,6 +1039,342 @@ export const completeContract = async (req, res) => {
     }
 };
 
+// Helper: Parse an optional date from the request; null when it is not a valid date
+const parseOptionalDate = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Helper: Start and end of a renewed term; by default it starts when the old
+// term ends (or today, if that has passed) and keeps the old term's length
+const renewalTerm = (oldStart, oldEnd, start, end, now) => {
+    const from = start || new Date(Math.max(oldEnd ? new Date(oldEnd).getTime() : 0, now.getTime()));
+    const length = oldStart && oldEnd ? new Date(oldEnd) - new Date(oldStart) : 0;
+    const to = end || (length > 0 ? new Date(from.getTime() + length) : undefined);
+    return { start: from, end: to };
+};
+
+// @desc    Renew a contract as a new version with updated dates
+// @route   POST /api/contracts/:id/renew
+// @access  Private/Admin
+export const renewContract = async (req, res) => {
+    try {
+        const contract = await Contract.findById(req.params.id);
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found' });
+        }
+
+        if (!['active', 'completed', 'expired'].includes(contract.status)) {
+            return res.status(400).json({ message: 'Only active, completed or expired contracts can be renewed' });
+        }
+
+        if (contract.renewedTo) {
+            return res.status(400).json({ message: 'Contract has already been renewed', contractId: contract.renewedTo });
+        }
+
+        const dates = {};
+        for (const field of ['estimatedStartDate', 'estimatedCompletionDate']) {
+            dates[field] = parseOptionalDate(req.body[field]);
+        }
+        dates.startDate = parseOptionalDate(req.body.recurring?.startDate);
+        dates.endDate = parseOptionalDate(req.body.recurring?.endDate);
+        const invalid = Object.keys(dates).find(field => dates[field] === null);
+        if (invalid) {
+            return res.status(400).json({ message: `Invalid ${invalid}` });
+        }
+
+        const totalAmount = req.body.totalAmount === undefined
+            ? contract.financialTerms.totalAmount
+            : Number(req.body.totalAmount);
+        if (!(totalAmount > 0)) {
+            return res.status(400).json({ message: 'Total amount must be greater than zero' });
+        }
+
+        const now = new Date();
+        const old = contract.toObject();
+        const oldTimeline = old.timeline || {};
+        const oldRecurring = old.financialTerms.recurring;
+        const isRecurring = old.financialTerms.paymentStructure === 'recurring';
+
+        // New dates: the retainer period for recurring contracts, otherwise the project timeline
+        let timeline;
+        let recurring;
+        if (isRecurring) {
+            const term = renewalTerm(oldRecurring?.startDate, oldRecurring?.endDate, dates.startDate, dates.endDate, now);
+            recurring = buildRecurringSchedule({
+                interval: oldRecurring?.interval,
+                intervalCount: oldRecurring?.intervalCount,
+                amount: req.body.totalAmount === undefined ? oldRecurring?.amount : undefined,
+                startDate: term.start,
+                endDate: term.end,
+            }, totalAmount);
+            if (!recurring) {
+                return res.status(400).json({ message: 'The retainer end date must be after its start date' });
+            }
+            timeline = {
+                estimatedStartDate: term.start,
+                estimatedCompletionDate: term.end,
+                estimatedDuration: oldTimeline.estimatedDuration,
+            };
+        } else {
+            const term = renewalTerm(
+                oldTimeline.estimatedStartDate || oldTimeline.effectiveDate,
+                oldTimeline.estimatedCompletionDate,
+                dates.estimatedStartDate,
+                dates.estimatedCompletionDate,
+                now
+            );
+            if (!term.end) {
+                return res.status(400).json({ message: 'estimatedCompletionDate is required to renew this contract' });
+            }
+            if (term.end <= term.start) {
+                return res.status(400).json({ message: 'The completion date must be after the start date' });
+            }
+            timeline = {
+                estimatedStartDate: term.start,
+                estimatedCompletionDate: term.end,
+                estimatedDuration: oldTimeline.estimatedDuration,
+            };
+        }
+        timeline.effectiveDate = now;
+
+        // Template clauses are rendered again so they show the new dates and total
+        let clauseFields = { clauses: (old.clauses || []).map(({ _id, ...clause }) => clause) };
+        const template = contract.template && await findContractTemplate(contract.template);
+        const quote = template && await Quote.findById(contract.quote).populate('order');
+        if (template && quote) {
+            clauseFields = renderContractTemplate(template, {
+                quote: {
+                    ...quote.toObject(),
+                    total: totalAmount,
+                    estimatedStartDate: timeline.estimatedStartDate,
+                    estimatedCompletionDate: timeline.estimatedCompletionDate,
+                },
+                order: quote.order,
+                provider: SERVICE_PROVIDER,
+            });
+        }
+
+        // Renewals share the contract number; versions count up across the chain
+        const latest = await Contract.findOne({ contractNumber: contract.contractNumber }).sort({ version: -1 });
+
+        const renewal = await Contract.create({
+            contractNumber: contract.contractNumber,
+            version: latest.version + 1,
+            order: contract.order,
+            quote: contract.quote,
+            client: contract.client,
+            status: 'pending_signature',
+            serviceProvider: old.serviceProvider,
+            clientDetails: old.clientDetails,
+            projectDetails: old.projectDetails,
+            financialTerms: {
+                totalAmount,
+                currency: old.financialTerms.currency,
+                paymentStructure: old.financialTerms.paymentStructure,
+                milestones: (old.financialTerms.milestones || []).map(m => ({
+                    title: m.title,
+                    description: m.description,
+                    percentage: m.percentage,
+                    amount: Math.round(totalAmount * (m.percentage || 0)) / 100,
+                    dueDescription: m.dueDescription,
+                    status: 'pending',
+                })),
+                recurring,
+                paymentMethods: old.financialTerms.paymentMethods,
+                lateFeePercentage: old.financialTerms.lateFeePercentage,
+            },
+            timeline,
+            terms: old.terms,
+            ...clauseFields,
+            renewedFrom: contract._id,
+            sentAt: now,
+            createdBy: req.user._id,
+        });
+
+        contract.renewedTo = renewal._id;
+        contract.lastModifiedBy = req.user._id;
+        await contract.save();
+
+        await Order.updateOne({ _id: contract.order }, { contract: renewal._id });
+
+        await notifyUser(
+            contract.client,
+            'contract_renewal',
+            'Contract Renewal Ready for Signature',
+            `Contract ${renewal.contractNumber} has been renewed as version ${renewal.version}. Please review and sign to continue.`,
+            renewal._id,
+            [
+                {
+                    id: 'view_contract',
+                    label: 'View Contract',
+                    variant: 'primary',
+                    actionType: 'navigate',
+                    navigateTo: `/dashboard/client/contracts/${renewal._id}`
+                }
+            ]
+        );
+
+        res.status(201).json({
+            message: 'Contract renewed',
+            contract: renewal,
+            previousContract: contract
+        });
+    } catch (error) {
+        console.error('Renew Contract Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Helper: Load a retainer contract the requester may manage (its client or an admin)
+const findRetainerContract = async (req, res) => {
+    const contract = await Contract.findById(req.params.id);
+    if (!contract) {
+        res.status(404).json({ message: 'Contract not found' });
+        return null;
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const isClient = contract.client?.toString() === req.user._id.toString()
+        || contract.clientDetails?.email === req.user.email;
+    if (!isAdmin && !isClient) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+
+    if (contract.financialTerms?.paymentStructure !== 'recurring' || !contract.financialTerms.recurring) {
+        res.status(400).json({ message: 'This contract is not a recurring retainer' });
+        return null;
+    }
+
+    if (contract.status !== 'active') {
+        res.status(400).json({ message: 'Only active retainers can be changed' });
+        return null;
+    }
+
+    return contract;
+};
+
+// Helper: Tell the other party about a retainer change
+const notifyRetainerChange = async (req, contract, type, title, message) => {
+    if (req.user.role === 'admin') {
+        await notifyUser(contract.client, type, title, message, contract._id);
+    } else {
+        await notifyAdmins(type, title, message, contract._id);
+    }
+};
+
+// @desc    Pause retainer billing
+// @route   POST /api/contracts/:id/recurring/pause
+// @access  Private (contract client or admin)
+export const pauseRetainer = async (req, res) => {
+    try {
+        const contract = await findRetainerContract(req, res);
+        if (!contract) return;
+
+        const schedule = contract.financialTerms.recurring;
+        if (schedule.status !== 'active') {
+            return res.status(400).json({ message: `Cannot pause a ${schedule.status} retainer` });
+        }
+
+        schedule.status = 'paused';
+        schedule.pausedAt = new Date();
+        contract.lastModifiedBy = req.user._id;
+        await contract.save();
+
+        await notifyRetainerChange(
+            req,
+            contract,
+            'retainer_paused',
+            'Retainer Paused',
+            `Billing for ${contract.contractNumber} is paused. No invoices are issued until it is resumed.`
+        );
+
+        res.json({ message: 'Retainer paused', contract });
+    } catch (error) {
+        console.error('Pause Retainer Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Resume retainer billing from the next period
+// @route   POST /api/contracts/:id/recurring/resume
+// @access  Private (contract client or admin)
+export const resumeRetainer = async (req, res) => {
+    try {
+        const contract = await findRetainerContract(req, res);
+        if (!contract) return;
+
+        const schedule = contract.financialTerms.recurring;
+        if (schedule.status !== 'paused') {
+            return res.status(400).json({ message: 'Only paused retainers can be resumed' });
+        }
+
+        // Periods that started while paused are not billed
+        skipPausedPeriods(schedule);
+        schedule.status = schedule.endDate && schedule.nextInvoiceDate >= schedule.endDate ? 'ended' : 'active';
+        schedule.resumedAt = new Date();
+        contract.lastModifiedBy = req.user._id;
+        await contract.save();
+
+        await notifyRetainerChange(
+            req,
+            contract,
+            'retainer_resumed',
+            'Retainer Resumed',
+            schedule.status === 'active'
+                ? `Billing for ${contract.contractNumber} resumes on ${schedule.nextInvoiceDate.toLocaleDateString()}.`
+                : `The retainer ${contract.contractNumber} has reached its end date.`
+        );
+
+        res.json({ message: 'Retainer resumed', contract });
+    } catch (error) {
+        console.error('Resume Retainer Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Cancel a retainer, ending billing and the contract
+// @route   POST /api/contracts/:id/recurring/cancel
+// @access  Private (contract client or admin)
+export const cancelRetainer = async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const contract = await findRetainerContract(req, res);
+        if (!contract) return;
+
+        const schedule = contract.financialTerms.recurring;
+        if (!['active', 'paused'].includes(schedule.status)) {
+            return res.status(400).json({ message: `Cannot cancel a ${schedule.status} retainer` });
+        }
+
+        schedule.status = 'cancelled';
+        schedule.cancelledAt = new Date();
+        schedule.cancelledBy = req.user._id;
+        schedule.cancellationReason = reason;
+
+        contract.status = 'terminated';
+        contract.terminatedAt = new Date();
+        contract.terminationReason = reason || `Retainer cancelled by ${req.user.role === 'admin' ? 'admin' : 'client'}`;
+        contract.lastModifiedBy = req.user._id;
+        await contract.save();
+
+        await notifyRetainerChange(
+            req,
+            contract,
+            'retainer_cancelled',
+            'Retainer Cancelled',
+            `The retainer ${contract.contractNumber} has been cancelled. Invoices already issued remain payable.`
+        );
+
+        res.json({ message: 'Retainer cancelled', contract });
+    } catch (error) {
+        console.error('Cancel Retainer Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Get contract stats
 // @route   GET /api/contracts/stats
 // @access  Private/Admin
@@ -660,11 +1394,18 @@ export const getContractStats = async (req, res) => {
         const activeContracts = await Contract.countDocuments({ status: 'active' });
         const pendingSignature = await Contract.countDocuments({ status: 'pending_signature' });
 
+        // Client-signed contracts waiting for a counter-signature, oldest first
+        const countersignQueue = await Contract.find({ status: 'pending_countersign' })
+            .select('contractNumber projectDetails.title clientDetails.name clientDetails.email financialTerms.totalAmount financialTerms.currency signedAt')
+            .sort({ signedAt: 1 });
+
         res.json({
             byStatus: stats,
             total: totalContracts,
             active: activeContracts,
-            pendingSignature
+            pendingSignature,
+            pendingCountersign: countersignQueue.length,
+            countersignQueue
         });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -0,0 +1,235 @@
+import ContractClause from '../models/ContractClause.js';
+import ContractTemplate from '../models/ContractTemplate.js';
+import Quote from '../models/Quote.js';
+import { SERVICE_PROVIDER } from '../models/Contract.js';
+import { CONTRACT_PLACEHOLDERS } from '../utils/contractTemplate.js';
+import { renderContractTemplate } from '../services/contractTemplateService.js';
+
+const CLAUSE_FIELDS = ['key', 'title', 'category', 'body', 'isActive'];
+const TEMPLATE_FIELDS = ['name', 'description', 'clauses', 'isDefault', 'isActive'];
+
+// Helper: Copy allowed fields from the request body
+const pickFields = (body, fields) => Object.fromEntries(
+    fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Helper: Validation and duplicate-key errors are the caller's fault
+const sendSaveError = (res, error, label, duplicateMessage) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (error.name === 'CastError') {
+        return res.status(400).json({ message: `Invalid ${error.path}` });
+    }
+    if (error.code === 11000) {
+        return res.status(400).json({ message: duplicateMessage });
+    }
+    console.error(`${label} Error:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+// Helper: Every clause a template lists must exist in the library
+const findMissingClauses = async (clauses = []) => {
+    if (!Array.isArray(clauses) || clauses.length === 0) return [];
+    const ids = clauses.map(String);
+    const found = await ContractClause.find({ _id: { $in: ids } }).select('_id');
+    const known = new Set(found.map(clause => String(clause._id)));
+    return ids.filter(id => !known.has(id));
+};
+
+// @desc    List placeholders available in clause text
+// @route   GET /api/contracts/clauses/placeholders
+// @access  Private/Admin
+export const getClausePlaceholders = async (req, res) => {
+    res.json(Object.entries(CONTRACT_PLACEHOLDERS).map(([name, description]) => ({
+        placeholder: `{{${name}}}`,
+        description,
+    })));
+};
+
+// @desc    List clauses in the clause library
+// @route   GET /api/contracts/clauses
+// @access  Private/Admin
+export const getClauses = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.includeInactive !== 'true') filter.isActive = true;
+        if (req.query.category) filter.category = req.query.category;
+
+        const clauses = await ContractClause.find(filter).sort({ category: 1, key: 1 });
+        res.json(clauses);
+    } catch (error) {
+        console.error('Get Clauses Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Add a clause to the library
+// @route   POST /api/contracts/clauses
+// @access  Private/Admin
+export const createClause = async (req, res) => {
+    try {
+        const clause = await ContractClause.create({
+            ...pickFields(req.body, CLAUSE_FIELDS),
+            createdBy: req.user._id,
+        });
+
+        res.status(201).json({ message: 'Clause created', clause });
+    } catch (error) {
+        sendSaveError(res, error, 'Create Clause', 'A clause with this key already exists');
+    }
+};
+
+// @desc    Update a clause (new contracts use the new wording)
+// @route   PUT /api/contracts/clauses/:id
+// @access  Private/Admin
+export const updateClause = async (req, res) => {
+    try {
+        const clause = await ContractClause.findById(req.params.id);
+        if (!clause) {
+            return res.status(404).json({ message: 'Clause not found' });
+        }
+
+        clause.set(pickFields(req.body, CLAUSE_FIELDS));
+        clause.lastModifiedBy = req.user._id;
+        await clause.save();
+
+        res.json({ message: 'Clause updated', clause });
+    } catch (error) {
+        sendSaveError(res, error, 'Update Clause', 'A clause with this key already exists');
+    }
+};
+
+// @desc    Retire a clause (kept for templates and past contracts)
+// @route   DELETE /api/contracts/clauses/:id
+// @access  Private/Admin
+export const deleteClause = async (req, res) => {
+    try {
+        const clause = await ContractClause.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!clause) {
+            return res.status(404).json({ message: 'Clause not found' });
+        }
+
+        res.json({ message: 'Clause retired', clause });
+    } catch (error) {
+        console.error('Delete Clause Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    List contract templates
+// @route   GET /api/contracts/templates
+// @access  Private/Admin
+export const getContractTemplates = async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        const templates = await ContractTemplate.find(filter).sort({ isDefault: -1, name: 1 });
+        res.json(templates);
+    } catch (error) {
+        console.error('Get Contract Templates Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get a contract template with its clauses
+// @route   GET /api/contracts/templates/:id
+// @access  Private/Admin
+export const getContractTemplateById = async (req, res) => {
+    try {
+        const template = await ContractTemplate.findById(req.params.id).populate('clauses');
+        if (!template) {
+            return res.status(404).json({ message: 'Contract template not found' });
+        }
+
+        res.json(template);
+    } catch (error) {
+        console.error('Get Contract Template Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Preview the clauses a template would produce for a quote
+// @route   GET /api/contracts/templates/:id/preview?quoteId=
+// @access  Private/Admin
+export const previewContractTemplate = async (req, res) => {
+    try {
+        const template = await ContractTemplate.findById(req.params.id).populate('clauses');
+        if (!template) {
+            return res.status(404).json({ message: 'Contract template not found' });
+        }
+
+        const quote = await Quote.findById(req.query.quoteId).populate('order');
+        if (!quote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
+
+        res.json(renderContractTemplate(template, { quote, order: quote.order, provider: SERVICE_PROVIDER }));
+    } catch (error) {
+        console.error('Preview Contract Template Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Create a contract template
+// @route   POST /api/contracts/templates
+// @access  Private/Admin
+export const createContractTemplate = async (req, res) => {
+    try {
+        const missing = await findMissingClauses(req.body.clauses);
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `Unknown clause: ${missing.join(', ')}` });
+        }
+
+        const template = await ContractTemplate.create({
+            ...pickFields(req.body, TEMPLATE_FIELDS),
+            createdBy: req.user._id,
+        });
+
+        res.status(201).json({ message: 'Contract template created', template });
+    } catch (error) {
+        sendSaveError(res, error, 'Create Contract Template', 'A contract template with this name already exists');
+    }
+};
+
+// @desc    Update a contract template
+// @route   PUT /api/contracts/templates/:id
+// @access  Private/Admin
+export const updateContractTemplate = async (req, res) => {
+    try {
+        const template = await ContractTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Contract template not found' });
+        }
+
+        const missing = await findMissingClauses(req.body.clauses);
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `Unknown clause: ${missing.join(', ')}` });
+        }
+
+        template.set(pickFields(req.body, TEMPLATE_FIELDS));
+        template.lastModifiedBy = req.user._id;
+        await template.save();
+
+        res.json({ message: 'Contract template updated', template });
+    } catch (error) {
+        sendSaveError(res, error, 'Update Contract Template', 'A contract template with this name already exists');
+    }
+};
+
+// @desc    Delete a contract template (contracts keep their rendered clauses)
+// @route   DELETE /api/contracts/templates/:id
+// @access  Private/Admin
+export const deleteContractTemplate = async (req, res) => {
+    try {
+        const template = await ContractTemplate.findByIdAndDelete(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Contract template not found' });
+        }
+
+        res.json({ message: 'Contract template deleted' });
+    } catch (error) {
+        console.error('Delete Contract Template Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -259,11 +259,10 @@ const updateTaskStatus = async (req, res) => {
         }
 
         // Can only submit for review if currently working
-        if (task.status !== 'working') {
-            return res.status(400).json({ message: 'Task must be in working status to submit for review' });
+        if (!task.transitionTo('review', { changedBy: req.user._id, reason: notes })) {
+            return res.status(409).json({ message: 'Task must be in working status to submit for review' });
         }
 
-        task.status = 'review';
         task.progress = 100;
 
         // Add progress note
@@ -359,8 +358,8 @@ const releaseTask = async (req, res) => {
         const releasedCount = task.developerReleases.length;
 
         if (releasedCount >= assignedDevCount) {
-            // All developers have released - move to released-to-admin
-            task.status = 'released-to-admin';
+            // All developers have released - hand over to admin review
+            task.transitionTo('review', { changedBy: req.user._id, reason: 'All developers released' });
 
             // Notify admins
             const admins = await User.find({ role: 'admin' });
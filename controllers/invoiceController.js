@@ -1,10 +1,23 @@
+import crypto from 'crypto';
 import Invoice from '../models/Invoice.js';
 import Contract from '../models/Contract.js';
 import Order from '../models/Order.js';
 import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import CreditNote from '../models/CreditNote.js';
+import AuditLog from '../models/AuditLog.js';
+import JobLock from '../models/JobLock.js';
+import Settings from '../models/Settings.js';
 import { createNotification, notifyAllAdmins } from './notificationController.js';
 import { sendEmail } from '../services/emailService.js';
-import { updateMilestonePaymentStatus } from '../services/invoiceService.js';
+import { updateMilestonePaymentStatus, buildInvoiceFilter } from '../services/invoiceService.js';
+import { getInvoiceLedger, syncOrderPaymentSummary } from '../services/paymentService.js';
+import { applyLateFee } from '../services/invoiceDunningService.js';
+import { refundInvoiceEscrow } from '../services/escrowService.js';
+import { applyTaxProfiles } from '../services/taxService.js';
+import { EXPORT_FORMATS, CSV_DATASETS, buildAccountingExport } from '../services/accountingExportService.js';
+import { BASE_CURRENCY, normalizeCurrency, baseAmount } from '../utils/currency.js';
+import { renderInvoicePdf, renderCreditNotePdf, pdfAttachments } from '../services/pdfService.js';
 
 // @desc    Create invoice from contract milestone
 // @route   POST /api/invoices
@@ -23,10 +36,12 @@ export const createInvoice = async (req, res) => {
             dueDate,
             notes,
             milestoneIndex,
+            currency,
         } = req.body;
 
         let clientDetails = {};
         let client = null;
+        let sourceCurrency = BASE_CURRENCY;
 
         // Get client details from contract, order, or direct client
         if (contractId) {
@@ -34,6 +49,7 @@ export const createInvoice = async (req, res) => {
             if (contract) {
                 clientDetails = contract.clientDetails;
                 client = contract.client;
+                sourceCurrency = contract.financialTerms?.currency || sourceCurrency;
             }
         } else if (orderId) {
             const order = await Order.findById(orderId);
@@ -43,6 +59,7 @@ export const createInvoice = async (req, res) => {
                     email: order.clientEmail,
                 };
                 client = order.client;
+                sourceCurrency = order.currency || sourceCurrency;
             }
         } else if (clientId) {
             const user = await User.findById(clientId);
@@ -55,11 +72,20 @@ export const createInvoice = async (req, res) => {
             }
         }
 
-        // Calculate line item amounts
-        const processedLineItems = lineItems.map(item => ({
+        // Invoice in the contract/order currency unless one is given
+        const invoiceCurrency = currency === undefined ? sourceCurrency : normalizeCurrency(currency);
+        if (!invoiceCurrency || await Settings.getExchangeRate(invoiceCurrency) === null) {
+            return res.status(400).json({ message: `No exchange rate configured for ${currency || sourceCurrency}` });
+        }
+
+        // Calculate line item amounts; tax is per item when a tax profile is given
+        const { lineItems: processedLineItems, unknown } = await applyTaxProfiles(lineItems.map(item => ({
             ...item,
             amount: item.quantity * item.unitPrice,
-        }));
+        })));
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Unknown tax profile: ${unknown.join(', ')}` });
+        }
 
         const subtotal = processedLineItems.reduce((sum, item) => sum + item.amount, 0);
         const taxAmount = subtotal * ((taxRate || 0) / 100);
@@ -78,6 +104,7 @@ export const createInvoice = async (req, res) => {
             taxAmount,
             discountAmount: discountAmount || 0,
             total,
+            currency: invoiceCurrency,
             dueDate,
             notes,
             milestone: milestoneIndex !== undefined ? {
@@ -102,16 +129,7 @@ export const createInvoice = async (req, res) => {
 // @access  Private/Admin
 export const getInvoices = async (req, res) => {
     try {
-        const { status, client, startDate, endDate } = req.query;
-
-        const filter = {};
-        if (status) filter.status = status;
-        if (client) filter.client = client;
-        if (startDate || endDate) {
-            filter.issueDate = {};
-            if (startDate) filter.issueDate.$gte = new Date(startDate);
-            if (endDate) filter.issueDate.$lte = new Date(endDate);
-        }
+        const filter = buildInvoiceFilter(req.query);
 
         const invoices = await Invoice.find(filter)
             .populate('client', 'name email')
@@ -195,6 +213,41 @@ export const getInvoiceById = async (req, res) => {
     }
 };
 
+// @desc    Download invoice as PDF
+// @route   GET /api/invoices/:id/pdf
+// @access  Private
+export const downloadInvoicePdf = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id)
+            .populate('contract', 'contractNumber');
+
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        // Check access
+        const isAdmin = req.user.role === 'admin';
+        const isClient = invoice.client?.toString() === req.user._id.toString() ||
+            invoice.clientDetails?.email === req.user.email;
+
+        if (!isAdmin && !isClient) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const pdf = await renderInvoicePdf(invoice);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${req.query.inline ? 'inline' : 'attachment'}; filename="${invoice.invoiceNumber}.pdf"`,
+            'Content-Length': pdf.length,
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Invoice PDF Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Send invoice to client
 // @route   POST /api/invoices/:id/send
 // @access  Private/Admin
@@ -237,7 +290,7 @@ export const sendInvoice = async (req, res) => {
             );
         }
 
-        // Send email
+        // Send email with the invoice attached
         const clientEmail = invoice.clientDetails?.email;
         if (clientEmail) {
             await sendEmail(clientEmail, 'invoiceGenerated', {
@@ -248,7 +301,7 @@ export const sendInvoice = async (req, res) => {
                 amount: invoice.total,
                 dueDate: new Date(invoice.dueDate).toLocaleDateString(),
                 paymentUrl: `${process.env.FRONTEND_URL}/dashboard/client/payment`,
-            });
+            }, await pdfAttachments(`${invoice.invoiceNumber}.pdf`, () => renderInvoicePdf(invoice)));
         }
 
         res.json({
@@ -257,6 +310,9 @@ export const sendInvoice = async (req, res) => {
         });
     } catch (error) {
         console.error('Send Invoice Error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
@@ -274,6 +330,23 @@ export const markInvoicePaid = async (req, res) => {
             return res.status(404).json({ message: 'Invoice not found' });
         }
 
+        // Record whatever is still owed as a manual payment in the ledger
+        const ledger = await getInvoiceLedger(invoice);
+        if (ledger.balance > 0) {
+            await Payment.create({
+                order: invoice.order,
+                invoice: invoice._id,
+                client: invoice.client,
+                amount: ledger.balance,
+                currency: invoice.currency,
+                method: Payment.schema.path('method').enumValues.includes(paymentMethod) ? paymentMethod : 'manual',
+                transactionId: paymentReference,
+                notes: paymentNotes,
+                recordedBy: req.user._id,
+                paidAt: new Date(),
+            });
+        }
+
         invoice.status = 'paid';
         invoice.paidAt = new Date();
         invoice.paymentMethod = paymentMethod;
@@ -286,6 +359,10 @@ export const markInvoicePaid = async (req, res) => {
             await updateMilestonePaymentStatus(invoice._id);
         }
 
+        if (invoice.order) {
+            await syncOrderPaymentSummary(invoice.order);
+        }
+
         // Send confirmation email
         const clientEmail = invoice.clientDetails?.email;
         if (clientEmail) {
@@ -320,6 +397,262 @@ export const markInvoicePaid = async (req, res) => {
     }
 };
 
+// Longest a refund may hold its invoice's lock before another can start
+const REFUND_LOCK_TTL_MS = 60 * 1000;
+
+// @desc    Refund a paid invoice (full or partial) and issue a credit note
+// @route   POST /api/invoices/:id/refund
+// @access  Private/Admin
+export const refundInvoice = async (req, res) => {
+    try {
+        const { amount, reason, refundMethod, refundReference } = req.body;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ message: 'A refund reason is required' });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        // One refund per invoice at a time, so concurrent requests cannot together exceed what was paid
+        const lockName = `invoice_refund:${invoice._id}`;
+        const lockOwner = crypto.randomUUID();
+        if (!await JobLock.acquire(lockName, lockOwner, REFUND_LOCK_TTL_MS)) {
+            return res.status(409).json({ message: 'Another refund for this invoice is in progress' });
+        }
+
+        try {
+            const ledger = await getInvoiceLedger(invoice);
+            const refundable = ledger.netPaid;
+            if (refundable <= 0) {
+                return res.status(400).json({ message: 'No recorded payments to refund on this invoice' });
+            }
+
+            // Default to a full refund of what has been paid
+            const refundAmount = amount === undefined ? refundable : Math.round(Number(amount) * 100) / 100;
+            if (!(refundAmount > 0) || refundAmount > refundable) {
+                return res.status(400).json({
+                    message: `Refund amount must be greater than 0 and at most ${refundable}`,
+                    refundable,
+                });
+            }
+
+            // Refund through the same channel the money came in by default
+            const lastPayment = [...ledger.entries]
+                .reverse()
+                .find(entry => entry.status === 'completed' && entry.type === 'payment');
+            const methods = Payment.schema.path('method').enumValues;
+            const method = methods.includes(refundMethod) ? refundMethod : (lastPayment?.method || 'manual');
+
+            const refund = await Payment.create({
+                order: invoice.order,
+                invoice: invoice._id,
+                client: invoice.client,
+                type: 'refund',
+                amount: refundAmount,
+                currency: invoice.currency,
+                method,
+                transactionId: refundReference,
+                notes: reason,
+                recordedBy: req.user._id,
+                paidAt: new Date(),
+            });
+
+            const creditNote = await CreditNote.create({
+                invoice: invoice._id,
+                order: invoice.order,
+                client: invoice.client,
+                payment: refund._id,
+                clientDetails: invoice.clientDetails,
+                amount: refundAmount,
+                currency: invoice.currency,
+                reason,
+                refundMethod: method,
+                refundReference,
+                issuedBy: req.user._id,
+            });
+
+            const fullyRefunded = refundAmount === refundable;
+            if (fullyRefunded) {
+                invoice.status = 'refunded';
+                await invoice.save();
+            }
+
+            // The refund comes out of whatever the invoice still has held in escrow
+            await refundInvoiceEscrow(invoice, refundAmount);
+
+            const order = invoice.order ? await syncOrderPaymentSummary(invoice.order) : null;
+
+            await AuditLog.create({
+                userId: req.user._id,
+                action: 'payment_refunded',
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent'],
+                status: 'success',
+                severity: 'high',
+                details: {
+                    invoiceId: invoice._id,
+                    orderId: invoice.order,
+                    creditNoteId: creditNote._id,
+                    creditNoteNumber: creditNote.creditNoteNumber,
+                    amount: refundAmount,
+                    method,
+                    reason,
+                }
+            });
+
+            // Notify client
+            if (invoice.client) {
+                await createNotification(
+                    invoice.client,
+                    'payment_refunded',
+                    'Refund Issued',
+                    `A refund of ${invoice.currency} ${refundAmount.toLocaleString()} was issued for invoice ${invoice.invoiceNumber}.`,
+                    invoice._id,
+                    'Invoice',
+                    `/dashboard/client/payment`,
+                    { creditNoteNumber: creditNote.creditNoteNumber, amount: refundAmount }
+                );
+            }
+
+            // Send email with the credit note attached
+            const clientEmail = invoice.clientDetails?.email;
+            if (clientEmail) {
+                await sendEmail(clientEmail, 'refundIssued', {
+                    clientName: invoice.clientDetails?.name,
+                    invoiceNumber: invoice.invoiceNumber,
+                    creditNoteNumber: creditNote.creditNoteNumber,
+                    currency: invoice.currency,
+                    amount: refundAmount,
+                    reason,
+                    refundMethod: method,
+                    refundDate: new Date().toLocaleDateString(),
+                }, await pdfAttachments(`${creditNote.creditNoteNumber}.pdf`, () => renderCreditNotePdf({ ...creditNote.toObject(), invoice })));
+            }
+
+            res.status(201).json({
+                message: fullyRefunded ? 'Invoice fully refunded' : 'Partial refund issued',
+                creditNote,
+                invoice,
+                order,
+                refundable: refundable - refundAmount,
+            });
+        } finally {
+            await JobLock.release(lockName, lockOwner);
+        }
+    } catch (error) {
+        console.error('Refund Invoice Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Add a late fee line item to an overdue invoice
+// @route   POST /api/invoices/:id/late-fee
+// @access  Private/Admin
+export const applyInvoiceLateFee = async (req, res) => {
+    try {
+        const { amount } = req.body;
+
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (invoice.status !== 'overdue') {
+            return res.status(400).json({ message: 'Late fees can only be applied to overdue invoices' });
+        }
+
+        if (invoice.lateFeeAppliedAt) {
+            return res.status(400).json({ message: 'A late fee has already been applied to this invoice' });
+        }
+
+        if (amount !== undefined && !(Number(amount) > 0)) {
+            return res.status(400).json({ message: 'Late fee amount must be greater than 0' });
+        }
+
+        const fee = await applyLateFee(invoice, { amount });
+        if (!fee) {
+            return res.status(400).json({ message: 'Invoice has no outstanding balance' });
+        }
+
+        res.json({
+            message: 'Late fee applied',
+            lateFee: fee,
+            invoice,
+        });
+    } catch (error) {
+        console.error('Apply Late Fee Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get credit notes issued against an invoice
+// @route   GET /api/invoices/:id/credit-notes
+// @access  Private
+export const getInvoiceCreditNotes = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        // Check access
+        const isAdmin = req.user.role === 'admin';
+        const isClient = invoice.client?.toString() === req.user._id.toString() ||
+            invoice.clientDetails?.email === req.user.email;
+
+        if (!isAdmin && !isClient) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const creditNotes = await CreditNote.find({ invoice: invoice._id })
+            .populate('issuedBy', 'name')
+            .sort({ issuedAt: -1 });
+
+        res.json(creditNotes);
+    } catch (error) {
+        console.error('Get Credit Notes Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Download credit note as PDF
+// @route   GET /api/invoices/:id/credit-notes/:creditNoteId/pdf
+// @access  Private
+export const downloadCreditNotePdf = async (req, res) => {
+    try {
+        const creditNote = await CreditNote.findOne({ _id: req.params.creditNoteId, invoice: req.params.id })
+            .populate('invoice', 'invoiceNumber title total client clientDetails');
+
+        if (!creditNote) {
+            return res.status(404).json({ message: 'Credit note not found' });
+        }
+
+        // Check access
+        const isAdmin = req.user.role === 'admin';
+        const isClient = creditNote.client?.toString() === req.user._id.toString() ||
+            creditNote.clientDetails?.email === req.user.email;
+
+        if (!isAdmin && !isClient) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const pdf = await renderCreditNotePdf(creditNote);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${req.query.inline ? 'inline' : 'attachment'}; filename="${creditNote.creditNoteNumber}.pdf"`,
+            'Content-Length': pdf.length,
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Credit Note PDF Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Update invoice
 // @route   PUT /api/invoices/:id
 // @access  Private/Admin
@@ -346,10 +679,14 @@ export const updateInvoice = async (req, res) => {
         } = req.body;
 
         if (lineItems) {
-            invoice.lineItems = lineItems.map(item => ({
+            const { lineItems: processedLineItems, unknown } = await applyTaxProfiles(lineItems.map(item => ({
                 ...item,
                 amount: item.quantity * item.unitPrice,
-            }));
+            })));
+            if (unknown.length > 0) {
+                return res.status(400).json({ message: `Unknown tax profile: ${unknown.join(', ')}` });
+            }
+            invoice.lineItems = processedLineItems;
             invoice.subtotal = invoice.lineItems.reduce((sum, item) => sum + item.amount, 0);
         }
 
@@ -414,12 +751,32 @@ export const getInvoiceStats = async (req, res) => {
 
         const totalRevenue = await Invoice.aggregate([
             { $match: { status: 'paid' } },
-            { $group: { _id: null, total: { $sum: '$total' } } }
+            { $group: { _id: null, total: { $sum: baseAmount() } } }
         ]);
 
         const pendingRevenue = await Invoice.aggregate([
             { $match: { status: { $in: ['sent', 'viewed', 'overdue'] } } },
-            { $group: { _id: null, total: { $sum: '$total' } } }
+            { $group: { _id: null, total: { $sum: baseAmount() } } }
+        ]);
+
+        // Overdue totals, bucketed by days past the due date
+        const overdueAging = await Invoice.aggregate([
+            { $match: { status: 'overdue' } },
+            {
+                $bucket: {
+                    groupBy: { $dateDiff: { startDate: '$dueDate', endDate: '$$NOW', unit: 'day' } },
+                    boundaries: [0, 31, 61, 91],
+                    default: '90+',
+                    output: { total: { $sum: baseAmount() }, count: { $sum: 1 } }
+                }
+            }
+        ]);
+        const agingLabels = { 0: '0-30', 31: '31-60', 61: '61-90', '90+': '90+' };
+
+        const lateFees = await Invoice.aggregate([
+            { $unwind: '$lineItems' },
+            { $match: { 'lineItems.isLateFee': true } },
+            { $group: { _id: null, total: { $sum: baseAmount('$lineItems.amount') } } }
         ]);
 
         // Monthly revenue for the last 12 months
@@ -428,20 +785,25 @@ export const getInvoiceStats = async (req, res) => {
             {
                 $group: {
                     _id: { $dateToString: { format: '%Y-%m', date: '$paidAt' } },
-                    total: { $sum: '$total' },
+                    total: { $sum: baseAmount() },
                     count: { $sum: 1 }
                 }
             },
             { $sort: { _id: 1 } }
         ]);
 
+        // Amounts are converted to the base currency at each invoice's locked rate
         res.json({
+            currency: BASE_CURRENCY,
             totalInvoices,
             paidInvoices,
             pendingInvoices,
             overdueInvoices,
             totalRevenue: totalRevenue[0]?.total || 0,
             pendingRevenue: pendingRevenue[0]?.total || 0,
+            overdueRevenue: overdueAging.reduce((sum, bucket) => sum + bucket.total, 0),
+            overdueAging: overdueAging.map(bucket => ({ range: agingLabels[bucket._id], total: bucket.total, count: bucket.count })),
+            lateFeesCharged: lateFees[0]?.total || 0,
             monthlyRevenue,
         });
     } catch (error) {
@@ -449,3 +811,42 @@ export const getInvoiceStats = async (req, res) => {
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
+
+// @desc    Export invoices, line items, payments and refunds for accounting
+// @route   GET /api/invoices/export?format=csv|iif|xero&dataset=invoices|line_items|payments
+// @access  Private/Admin
+export const exportInvoices = async (req, res) => {
+    try {
+        const { format = 'csv', dataset = 'invoices', startDate, endDate } = req.query;
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+        if (format === 'csv' && !CSV_DATASETS.includes(dataset)) {
+            return res.status(400).json({ message: `Dataset must be one of: ${CSV_DATASETS.join(', ')}` });
+        }
+        if ([startDate, endDate].some(date => date && isNaN(new Date(date).getTime()))) {
+            return res.status(400).json({ message: 'Invalid date range' });
+        }
+
+        const file = await buildAccountingExport({ ...req.query, format, dataset });
+
+        await AuditLog.create({
+            userId: req.user._id,
+            action: 'accounting_export',
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+            status: 'success',
+            details: { format, dataset: format === 'csv' ? dataset : undefined, startDate, endDate },
+        });
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="${file.filename}"`,
+        });
+        res.send(file.content);
+    } catch (error) {
+        console.error('Invoice Export Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,386 @@
+import Contract from '../models/Contract.js';
+import Order from '../models/Order.js';
+import { createNotification, notifyAllAdmins } from './notificationController.js';
+import { generateMilestoneInvoice } from '../services/invoiceService.js';
+import {
+    getAutoApproveAt,
+    getEscrowSummary as summarizeEscrow,
+    HOLDING_RELEASE_ORDER_STATUSES,
+} from '../services/escrowService.js';
+import { ESCROW_STATUSES, releaseFunds, disputeFunds, resumeHold } from '../utils/escrow.js';
+
+// Helper: Is the requester the contract's client (by ID or email)
+const isContractClient = (contract, user) =>
+    contract.client?.toString() === user._id.toString() || contract.clientDetails?.email === user.email;
+
+// Helper: Load the contract and milestone named in the URL; sends the error response and returns null when missing
+const findMilestone = async (req, res) => {
+    const contract = await Contract.findById(req.params.id);
+    if (!contract) {
+        res.status(404).json({ message: 'Contract not found' });
+        return null;
+    }
+
+    const index = Number(req.params.index);
+    const milestone = Number.isInteger(index) ? contract.financialTerms?.milestones?.[index] : undefined;
+    if (!milestone) {
+        res.status(404).json({ message: 'Milestone not found' });
+        return null;
+    }
+
+    return { contract, milestone, index };
+};
+
+// Helper: Load the contract and escrow holding named in the URL; sends the error response and returns null when missing
+const findHolding = async (req, res) => {
+    const contract = await Contract.findById(req.params.id);
+    if (!contract) {
+        res.status(404).json({ message: 'Contract not found' });
+        return null;
+    }
+
+    const holding = contract.escrowHoldings.id(req.params.holdingId);
+    if (!holding) {
+        res.status(404).json({ message: 'Escrow holding not found' });
+        return null;
+    }
+
+    return { contract, holding };
+};
+
+// Helper: The order subtasks and deliverables a milestone is linked to
+const linkedWork = (milestone, order) => {
+    const subtaskIds = new Set((milestone.subtasks || []).map(String));
+    const deliverableIds = new Set((milestone.deliverables || []).map(String));
+    const subtasks = (order?.subtasks || []).filter(subtask => subtaskIds.has(String(subtask._id)));
+    const deliverables = (order?.deliverables || []).filter(file => deliverableIds.has(String(file._id)));
+    const completed = subtasks.filter(subtask => subtask.status === 'completed').length;
+
+    return {
+        subtasks,
+        deliverables,
+        progress: subtasks.length ? Math.round(completed / subtasks.length * 100) : null,
+    };
+};
+
+const notifyClient = (contract, type, title, message) => (contract.client ? createNotification(
+    contract.client,
+    type,
+    title,
+    message,
+    contract._id,
+    'Contract',
+    `/dashboard/client/contracts/${contract._id}`
+) : null);
+
+const notifyAdmins = (contract, type, title, message) => notifyAllAdmins(
+    type,
+    title,
+    message,
+    contract._id,
+    'Contract',
+    `/admin/contracts/${contract._id}`
+);
+
+// @desc    List a contract's milestones with their linked work and delivery status
+// @route   GET /api/contracts/:id/milestones
+// @access  Private (contract client or admin)
+export const getMilestones = async (req, res) => {
+    try {
+        const contract = await Contract.findById(req.params.id);
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found' });
+        }
+
+        if (req.user.role !== 'admin' && !isContractClient(contract, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const order = await Order.findById(contract.order).select('subtasks deliverables');
+        const milestones = (contract.financialTerms?.milestones || []).map((milestone, index) => ({
+            index,
+            ...milestone.toObject(),
+            ...linkedWork(milestone, order),
+        }));
+
+        res.json(milestones);
+    } catch (error) {
+        console.error('Get Milestones Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Link a milestone to subtasks and deliverables on the order
+// @route   PUT /api/contracts/:id/milestones/:index
+// @access  Private/Admin
+export const linkMilestoneWork = async (req, res) => {
+    try {
+        const found = await findMilestone(req, res);
+        if (!found) return;
+        const { contract, milestone, index } = found;
+
+        const { subtasks, deliverables } = req.body;
+        if ((subtasks !== undefined && !Array.isArray(subtasks)) || (deliverables !== undefined && !Array.isArray(deliverables))) {
+            return res.status(400).json({ message: 'subtasks and deliverables must be lists of IDs' });
+        }
+
+        // Every ID must be a subtask or deliverable of this contract's order
+        const order = await Order.findById(contract.order).select('subtasks deliverables');
+        const known = (list) => new Set((order?.[list] || []).map(item => String(item._id)));
+        for (const [list, ids] of [['subtasks', subtasks], ['deliverables', deliverables]]) {
+            const missing = (ids || []).map(String).filter(id => !known(list).has(id));
+            if (missing.length > 0) {
+                return res.status(400).json({ message: `Not on this order's ${list}: ${missing.join(', ')}` });
+            }
+        }
+
+        if (subtasks !== undefined) milestone.subtasks = subtasks;
+        if (deliverables !== undefined) milestone.deliverables = deliverables;
+        contract.lastModifiedBy = req.user._id;
+        await contract.save();
+
+        res.json({
+            message: 'Milestone work updated',
+            milestone: { index, ...milestone.toObject(), ...linkedWork(milestone, order) },
+        });
+    } catch (error) {
+        console.error('Link Milestone Work Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Approve the work for a milestone; invoices it if it has not been invoiced yet
+// @route   POST /api/contracts/:id/milestones/:index/approve
+// @access  Private/Admin
+export const approveMilestone = async (req, res) => {
+    try {
+        const found = await findMilestone(req, res);
+        if (!found) return;
+        const { contract, milestone, index } = found;
+
+        if (contract.status !== 'active') {
+            return res.status(400).json({ message: 'Milestones can only be approved on active contracts' });
+        }
+
+        if (!['pending', 'disputed'].includes(milestone.delivery?.status || 'pending')) {
+            return res.status(400).json({ message: `Milestone delivery has already been ${milestone.delivery.status}` });
+        }
+
+        // Linked subtasks must be done before the work is approved
+        const order = await Order.findById(contract.order).select('subtasks deliverables');
+        const { subtasks } = linkedWork(milestone, order);
+        const open = subtasks.filter(subtask => subtask.status !== 'completed');
+        if (open.length > 0) {
+            return res.status(400).json({
+                message: 'Linked subtasks are not completed yet',
+                subtasks: open.map(subtask => ({ _id: subtask._id, title: subtask.title, status: subtask.status })),
+            });
+        }
+
+        // First approval of an uninvoiced milestone bills it; the invoice service saves its own copy of the contract
+        let invoice = null;
+        let approved = contract;
+        if (milestone.status === 'pending') {
+            invoice = await generateMilestoneInvoice(contract._id, index, { createdBy: req.user._id });
+            approved = await Contract.findById(contract._id);
+        }
+
+        const wasDisputed = milestone.delivery?.status === 'disputed';
+        const approvedMilestone = approved.financialTerms.milestones[index];
+        const { delivery } = approvedMilestone;
+        delivery.status = 'approved';
+        delivery.approvedAt = new Date();
+        delivery.approvedBy = req.user._id;
+        delivery.autoApproveAt = await getAutoApproveAt(delivery.approvedAt);
+        resumeHold(approvedMilestone);
+        approved.lastModifiedBy = req.user._id;
+        await approved.save();
+
+        const title = milestone.title || `Milestone ${index + 1}`;
+        await notifyClient(
+            contract,
+            'milestone_approved',
+            'Milestone Ready for Review',
+            wasDisputed
+                ? `The disputed work for "${title}" on ${contract.contractNumber} has been revised. Please review and accept it.`
+                : `The work for "${title}" on ${contract.contractNumber} is complete. Please review and accept or dispute it.`
+        );
+
+        res.json({
+            message: 'Milestone approved',
+            milestone: { index, ...approvedMilestone.toObject() },
+            invoice,
+        });
+    } catch (error) {
+        console.error('Approve Milestone Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Client accepts or disputes the delivery of an approved milestone
+// @route   POST /api/contracts/:id/milestones/:index/accept
+// @route   POST /api/contracts/:id/milestones/:index/dispute
+// @access  Private/Client
+const reviewMilestone = (decision) => async (req, res) => {
+    try {
+        const found = await findMilestone(req, res);
+        if (!found) return;
+        const { contract, milestone, index } = found;
+
+        if (!isContractClient(contract, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        if (milestone.delivery?.status !== 'approved') {
+            return res.status(400).json({ message: 'Only milestones approved for delivery can be reviewed' });
+        }
+
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (decision === 'disputed' && !reason) {
+            return res.status(400).json({ message: 'Please describe what is wrong with the delivery' });
+        }
+
+        // Acceptance releases the milestone's held funds; a dispute keeps them back
+        const now = new Date();
+        milestone.delivery.status = decision;
+        if (decision === 'accepted') {
+            milestone.delivery.acceptedAt = now;
+            releaseFunds(milestone, 'client_approval', now);
+        } else {
+            milestone.delivery.disputedAt = now;
+            milestone.delivery.disputeReason = reason;
+            disputeFunds(milestone, now);
+        }
+        await contract.save();
+
+        const title = milestone.title || `Milestone ${index + 1}`;
+        if (decision === 'accepted') {
+            await notifyAdmins(contract, 'milestone_accepted', 'Milestone Accepted',
+                `Client accepted the delivery of "${title}" on ${contract.contractNumber}`);
+        } else {
+            await notifyAdmins(contract, 'milestone_disputed', 'Milestone Disputed',
+                `Client disputed the delivery of "${title}" on ${contract.contractNumber}: ${reason}`);
+        }
+
+        res.json({
+            message: `Milestone ${decision}`,
+            milestone: { index, ...milestone.toObject() },
+        });
+    } catch (error) {
+        console.error('Review Milestone Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+export const acceptMilestone = reviewMilestone('accepted');
+export const disputeMilestone = reviewMilestone('disputed');
+
+// @desc    Release a milestone's held or disputed funds
+// @route   POST /api/contracts/:id/milestones/:index/release
+// @access  Private/Admin
+export const releaseMilestoneFunds = async (req, res) => {
+    try {
+        const found = await findMilestone(req, res);
+        if (!found) return;
+        const { contract, milestone, index } = found;
+
+        if (!releaseFunds(milestone, 'admin')) {
+            return res.status(400).json({ message: 'Only held or disputed funds can be released' });
+        }
+        contract.lastModifiedBy = req.user._id;
+        await contract.save();
+
+        const title = milestone.title || `Milestone ${index + 1}`;
+        await notifyClient(contract, 'escrow_released', 'Milestone Funds Released',
+            `Funds held for "${title}" on ${contract.contractNumber} have been released.`);
+
+        res.json({
+            message: 'Milestone funds released',
+            milestone: { index, ...milestone.toObject() },
+        });
+    } catch (error) {
+        console.error('Release Milestone Funds Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Client accepts the delivery behind funds held on a contract without milestones
+// @route   POST /api/contracts/:id/holdings/:holdingId/accept
+// @access  Private/Client
+export const acceptHolding = async (req, res) => {
+    try {
+        const found = await findHolding(req, res);
+        if (!found) return;
+        const { contract, holding } = found;
+
+        if (!isContractClient(contract, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const order = await Order.findById(contract.order).select('status');
+        if (!HOLDING_RELEASE_ORDER_STATUSES.includes(order?.status)) {
+            return res.status(400).json({ message: 'Funds can only be released once the order has been delivered' });
+        }
+
+        if (!releaseFunds(holding, 'client_approval')) {
+            return res.status(400).json({ message: 'Only held or disputed funds can be released' });
+        }
+        await contract.save();
+
+        await notifyAdmins(contract, 'escrow_released', 'Funds Released',
+            `Client accepted the delivery and released funds held for "${holding.title}" on ${contract.contractNumber}`);
+
+        res.json({
+            message: 'Funds released',
+            holding: holding.toObject(),
+        });
+    } catch (error) {
+        console.error('Accept Holding Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Release funds held on a contract without milestones
+// @route   POST /api/contracts/:id/holdings/:holdingId/release
+// @access  Private/Admin
+export const releaseHoldingFunds = async (req, res) => {
+    try {
+        const found = await findHolding(req, res);
+        if (!found) return;
+        const { contract, holding } = found;
+
+        if (!releaseFunds(holding, 'admin')) {
+            return res.status(400).json({ message: 'Only held or disputed funds can be released' });
+        }
+        contract.lastModifiedBy = req.user._id;
+        await contract.save();
+
+        await notifyClient(contract, 'escrow_released', 'Funds Released',
+            `Funds held for "${holding.title}" on ${contract.contractNumber} have been released.`);
+
+        res.json({
+            message: 'Funds released',
+            holding: holding.toObject(),
+        });
+    } catch (error) {
+        console.error('Release Holding Funds Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Held, disputed and released milestone funds
+// @route   GET /api/contracts/escrow?status=
+// @access  Private/Admin
+export const getEscrowSummary = async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !ESCROW_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of: ${ESCROW_STATUSES.join(', ')}` });
+        }
+
+        res.json(await summarizeEscrow({ status }));
+    } catch (error) {
+        console.error('Get Escrow Summary Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -1,13 +1,61 @@
-import Order from '../models/Order.js';
+import Order, { ORDER_STATUS_TRANSITIONS } from '../models/Order.js';
 import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import Settings from '../models/Settings.js';
 import { createNotification, notifyClient, notifyAllAdmins } from './notificationController.js';
 import { sendEmail } from '../services/emailService.js';
+import { estimateOrderPrice } from '../services/pricingService.js';
+import { disputeOrderMilestones } from '../services/escrowService.js';
+import { BASE_CURRENCY, normalizeCurrency } from '../utils/currency.js';
+import { PRICING_FACTORS } from '../utils/pricing.js';
 
 /**
  * Order/Assignment Controller
  * Updated for Academic Assignment Service
  */
 
+// Helper: Currency the client wants to be quoted in, null when no rate is configured for it
+const resolveOrderCurrency = async (currency) => {
+    if (currency === undefined) return BASE_CURRENCY;
+    const code = normalizeCurrency(currency);
+    return code && await Settings.getExchangeRate(code) !== null ? code : null;
+};
+
+// Helper: Suggested price for a new order, using the same defaults the order is saved with
+const suggestOrderPrice = async (fields, currency) => {
+    const estimate = await estimateOrderPrice({
+        ...fields,
+        academicLevel: fields.academicLevel || 'undergraduate',
+        assignmentType: fields.assignmentType || 'other',
+        urgency: fields.urgency || 'standard',
+    }, { currency });
+    return estimate || undefined;
+};
+
+// Helper: Check whether a user may view an order (works with populated or raw refs)
+const canViewOrder = (order, user) => {
+    const userId = user._id.toString();
+    const idOf = (ref) => (ref?._id || ref)?.toString();
+
+    // Admins can view any order
+    if (user.role === 'admin') return true;
+
+    // Clients can only view their own orders
+    if (user.role === 'client') {
+        return idOf(order.client) === userId ||
+            order.clientEmail?.toLowerCase() === user.email?.toLowerCase();
+    }
+
+    // Workers/developers can only view orders they're assigned to
+    if (user.role === 'developer' || user.role === 'worker') {
+        return idOf(order.assignedDeveloper) === userId ||
+            order.assignedDevelopers?.some(d => idOf(d) === userId) ||
+            order.assignedWorkers?.some(w => idOf(w.worker) === userId);
+    }
+
+    return false;
+};
+
 // @desc    Get all orders
 // @route   GET /api/orders
 // @access  Private/Admin
@@ -89,42 +137,42 @@ export const getOrderById = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
-        // Authorization check
-        const userId = req.user._id.toString();
-        const userRole = req.user.role;
-
-        // Admins can view any order
-        if (userRole === 'admin') {
-            return res.json(order);
+        if (!canViewOrder(order, req.user)) {
+            return res.status(403).json({ message: 'Not authorized to view this assignment' });
         }
 
-        // Clients can only view their own orders
-        if (userRole === 'client') {
-            const isOwner = order.client?._id?.toString() === userId ||
-                            order.client?.toString() === userId ||
-                            order.clientEmail?.toLowerCase() === req.user.email?.toLowerCase();
-            if (!isOwner) {
-                return res.status(403).json({ message: 'Not authorized to view this assignment' });
-            }
-            return res.json(order);
-        }
+        res.json(order);
+    } catch (error) {
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
 
-        // Workers/developers can only view orders they're assigned to
-        if (userRole === 'developer' || userRole === 'worker') {
-            const isAssigned =
-                order.assignedDeveloper?.toString() === userId ||
-                order.assignedDevelopers?.some(d => d._id?.toString() === userId || d.toString() === userId) ||
-                order.assignedWorkers?.some(w => w.worker?._id?.toString() === userId || w.worker?.toString() === userId);
+// @desc    Get order status timeline
+// @route   GET /api/orders/:id/history
+// @access  Private (with authorization check)
+export const getOrderHistory = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .select('title assignmentNumber status client clientEmail assignedDeveloper assignedDevelopers assignedWorkers statusHistory')
+            .populate('statusHistory.changedBy', 'name role');
 
-            if (!isAssigned) {
-                return res.status(403).json({ message: 'Not authorized to view this assignment' });
-            }
-            return res.json(order);
+        if (!order) {
+            return res.status(404).json({ message: 'Assignment not found' });
+        }
+
+        if (!canViewOrder(order, req.user)) {
+            return res.status(403).json({ message: 'Not authorized to view this assignment' });
         }
 
-        // Default deny
-        return res.status(403).json({ message: 'Not authorized' });
+        res.json({
+            orderId: order._id,
+            assignmentNumber: order.assignmentNumber,
+            status: order.status,
+            allowedTransitions: ORDER_STATUS_TRANSITIONS[order.status] || [],
+            history: order.statusHistory,
+        });
     } catch (error) {
+        console.error('Get Order History Error:', error);
         res.status(500).json({ message: 'Server Error', error: error.message });
     }
 };
@@ -141,7 +189,17 @@ export const updateOrder = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
-        if (status) order.status = status;
+        if (status && status !== order.status) {
+            if (!Object.keys(ORDER_STATUS_TRANSITIONS).includes(status)) {
+                return res.status(400).json({ message: 'Invalid status' });
+            }
+            if (!order.transitionTo(status, { changedBy: req.user._id, reason: req.body.reason })) {
+                return res.status(409).json({
+                    message: `Cannot change assignment status from ${order.status} to ${status}`,
+                    allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status],
+                });
+            }
+        }
         if (assignedDeveloper !== undefined) order.assignedDeveloper = assignedDeveloper || null;
         if (progress !== undefined) order.progress = progress;
 
@@ -179,6 +237,7 @@ export const createOrder = async (req, res) => {
             clientPhone,
             files,
             techStack,
+            currency,
         } = req.body;
 
         // Validate required fields
@@ -186,6 +245,16 @@ export const createOrder = async (req, res) => {
             return res.status(400).json({ message: 'Title, description, and deadline are required' });
         }
 
+        const orderCurrency = await resolveOrderCurrency(currency);
+        if (!orderCurrency) {
+            return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+        }
+
+        const estimatedPrice = await suggestOrderPrice(
+            { academicLevel, assignmentType, urgency, wordCount, pageCount, deadline },
+            orderCurrency
+        );
+
         const order = await Order.create({
             title,
             description,
@@ -208,6 +277,8 @@ export const createOrder = async (req, res) => {
             // Legacy fields
             service: service || assignmentType,
             budget,
+            currency: orderCurrency,
+            estimatedPrice,
             // Handle files - store in referenceFiles if they're objects
             referenceFiles: Array.isArray(files) ? files.filter(f => typeof f === 'object') : [],
             files: Array.isArray(files) ? files.map(f => typeof f === 'string' ? f : f.fileUrl) : [],
@@ -264,12 +335,23 @@ export const createPublicOrder = async (req, res) => {
             clientEmail,
             clientPhone,
             files,
+            currency,
         } = req.body;
 
         if (!title || !description || !clientName || !clientEmail || !deadline) {
             return res.status(400).json({ message: 'Missing required fields' });
         }
 
+        const orderCurrency = await resolveOrderCurrency(currency);
+        if (!orderCurrency) {
+            return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+        }
+
+        const estimatedPrice = await suggestOrderPrice(
+            { academicLevel, assignmentType, urgency, wordCount, pageCount, deadline },
+            orderCurrency
+        );
+
         const order = await Order.create({
             title,
             description,
@@ -286,6 +368,8 @@ export const createPublicOrder = async (req, res) => {
             clientEmail,
             clientPhone: clientPhone || '',
             files: files || [],
+            currency: orderCurrency,
+            estimatedPrice,
             submittedAt: new Date(),
         });
 
@@ -311,6 +395,45 @@ export const createPublicOrder = async (req, res) => {
     }
 };
 
+// @desc    Estimate an order's price from the pricing rules (live price on the order form)
+// @route   POST /api/orders/estimate
+// @access  Public
+export const estimateOrder = async (req, res) => {
+    try {
+        const { wordCount, pageCount, deadline, currency } = req.body;
+
+        for (const factor of PRICING_FACTORS) {
+            const value = req.body[factor];
+            if (value !== undefined && !Order.schema.path(factor).enumValues.includes(value)) {
+                return res.status(400).json({ message: `Invalid ${factor}: ${value}` });
+            }
+        }
+
+        const counts = [wordCount, pageCount].filter(count => count !== undefined && count !== null && count !== '');
+        if (counts.length === 0 || counts.some(count => !(Number(count) > 0))) {
+            return res.status(400).json({ message: 'A positive word count or page count is required' });
+        }
+
+        if (deadline !== undefined && isNaN(new Date(deadline).getTime())) {
+            return res.status(400).json({ message: 'Invalid deadline' });
+        }
+
+        const orderCurrency = await resolveOrderCurrency(currency);
+        if (!orderCurrency) {
+            return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+        }
+
+        const { academicLevel, assignmentType, urgency } = req.body;
+        res.json(await suggestOrderPrice(
+            { academicLevel, assignmentType, urgency, wordCount, pageCount, deadline },
+            orderCurrency
+        ));
+    } catch (error) {
+        console.error('Estimate Order Error:', error);
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
+
 // @desc    Client accepts quote (quoted → accepted)
 // @route   POST /api/orders/:id/accept-quote
 // @access  Private/Client
@@ -327,11 +450,9 @@ export const acceptQuote = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        if (order.status !== 'quoted') {
-            return res.status(400).json({ message: 'Assignment must have a quote to accept' });
+        if (!order.transitionTo('accepted', { changedBy: req.user._id, reason: 'Quote accepted by client' })) {
+            return res.status(409).json({ message: 'Assignment must have a quote to accept' });
         }
-
-        order.status = 'accepted';
         order.acceptedAt = new Date();
 
         await order.save();
@@ -396,11 +517,10 @@ export const declineQuote = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        if (order.status !== 'quoted') {
-            return res.status(400).json({ message: 'Assignment must have a quote to decline' });
+        if (!order.transitionTo('declined', { changedBy: req.user._id, reason: reason || 'Quote declined by client' })) {
+            return res.status(409).json({ message: 'Assignment must have a quote to decline' });
         }
 
-        order.status = 'declined';
         order.holdReason = reason || 'Quote declined by client';
 
         await order.save();
@@ -442,7 +562,7 @@ export const requestRevision = async (req, res) => {
         }
 
         if (order.status !== 'delivered') {
-            return res.status(400).json({ message: 'Can only request revision for delivered assignments' });
+            return res.status(409).json({ message: 'Can only request revision for delivered assignments' });
         }
 
         // Check revision limit
@@ -458,10 +578,13 @@ export const requestRevision = async (req, res) => {
             requestedAt: new Date(),
         });
         order.revisionCount += 1;
-        order.status = 'working'; // Back to working status
+        order.transitionTo('working', { changedBy: req.user._id, reason: `Revision requested: ${request}` }); // Back to working status
 
         await order.save();
 
+        // Work under client review goes back into dispute, holding its funds
+        await disputeOrderMilestones(order._id, request);
+
         // Notify admins
         await notifyAllAdmins(
             'revision_requested',
@@ -526,6 +649,16 @@ export const uploadPaymentProof = async (req, res) => {
 
         await order.save();
 
+        await Payment.create({
+            order: order._id,
+            client: order.client,
+            amount: order.quotedAmount || order.amount || 0,
+            currency: order.currency,
+            method: 'manual',
+            status: 'pending_verification',
+            proofUrl: fileUrl,
+        });
+
         // Notify admins
         await notifyAllAdmins(
             'payment_proof_uploaded',
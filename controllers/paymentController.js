@@ -1,4 +1,3 @@
-import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
@@ -7,6 +6,20 @@ import User from '../models/User.js';
 import AuditLog from '../models/AuditLog.js';
 import { createNotification } from './notificationController.js';
 import { sendToRole, sendToUser } from '../config/socket.js';
+import { renderReceiptPdf } from '../services/pdfService.js';
+import Invoice from '../models/Invoice.js';
+import { getActiveProvider, getProvider } from '../services/paymentProviders/index.js';
+import Payment from '../models/Payment.js';
+import {
+    confirmPayment,
+    findInitiatedPayment,
+    findOrderByPaymentReference,
+    getOrderLedger,
+    getInvoiceLedger,
+    recordInitiatedPayment,
+    recordFailedPayment,
+    syncOrderPaymentSummary,
+} from '../services/paymentService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -48,6 +61,32 @@ export const uploadPaymentProof = async (req, res) => {
     }
 };
 
+// Helper: Build receipt data for an order (client populated)
+const buildReceipt = (order) => ({
+    receiptId: `RCP-${order._id.toString().slice(-8).toUpperCase()}-${Date.now()}`,
+    date: new Date().toISOString(),
+    currency: order.currency,
+    order: {
+        id: order._id,
+        assignmentNumber: order.assignmentNumber,
+        title: order.title,
+        description: order.description,
+        amount: order.paidAmount || order.amount,
+        quotedAmount: order.quotedAmount,
+    },
+    client: {
+        name: order.clientName || order.client?.name,
+        email: order.clientEmail || order.client?.email,
+        phone: order.clientPhone || order.client?.phone,
+    },
+    payment: {
+        method: order.paymentMethod || 'eSewa',
+        transactionId: order.transactionId,
+        status: order.paymentStatus,
+        paidAt: order.paidAt || order.updatedAt,
+    },
+});
+
 // @desc    Generate payment receipt
 // @route   POST /api/payment/generate-receipt
 // @access  Private
@@ -65,29 +104,7 @@ export const generateReceipt = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        // Generate receipt data
-        const receipt = {
-            receiptId: `RCP-${order._id.toString().slice(-8).toUpperCase()}-${Date.now()}`,
-            date: new Date().toISOString(),
-            order: {
-                id: order._id,
-                title: order.title,
-                description: order.description,
-                amount: order.paidAmount || order.amount,
-                quotedAmount: order.quotedAmount,
-            },
-            client: {
-                name: order.clientName || order.client?.name,
-                email: order.clientEmail || order.client?.email,
-                phone: order.clientPhone || order.client?.phone,
-            },
-            payment: {
-                method: order.paymentMethod || 'eSewa',
-                transactionId: order.transactionId,
-                status: order.paymentStatus,
-                paidAt: order.paidAt || order.updatedAt,
-            },
-        };
+        const receipt = buildReceipt(order);
 
         res.json({
             message: 'Receipt generated',
@@ -99,17 +116,48 @@ export const generateReceipt = async (req, res) => {
     }
 };
 
-// eSewa Sandbox Config
-const ESEWA_TEST_URL = "https://rc-epay.esewa.com.np/api/epay/main/v2/form";
-const ESEWA_MERCHANT_CODE = "EPAYTEST";
+// @desc    Download payment receipt as PDF
+// @route   GET /api/payment/receipt/:orderId/pdf
+// @access  Private
+export const downloadReceiptPdf = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId).populate('client', 'name email phone');
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        // Verify user has access to this order
+        if (req.user.role !== 'admin' && order.client?._id.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (!['paid', 'partially_paid', 'pending_verification'].includes(order.paymentStatus)) {
+            return res.status(400).json({ message: 'No payment recorded for this order' });
+        }
+
+        const receipt = buildReceipt(order);
+        const pdf = await renderReceiptPdf(receipt);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${req.query.inline ? 'inline' : 'attachment'}; filename="${receipt.receiptId}.pdf"`,
+            'Content-Length': pdf.length,
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Receipt PDF Error:', error);
+        res.status(500).json({ message: 'Failed to generate receipt', error: error.message });
+    }
+};
+
 const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
 
-// @desc    Initiate Payment
+// @desc    Initiate Payment with the active payment provider
 // @route   POST /api/payment/initiate
 // @access  Private (Client)
 export const initiatePayment = async (req, res) => {
     try {
-        const { orderId, amount } = req.body;
+        const { orderId, amount, invoiceId } = req.body;
 
         // In real app, verify order belongs to user and amount matches
         const order = await Order.findById(orderId);
@@ -117,25 +165,45 @@ export const initiatePayment = async (req, res) => {
             return res.status(404).json({ message: 'Order not found' });
         }
 
-        const transactionUuid = `${orderId}-${Date.now()}`;
-        const productCode = ESEWA_MERCHANT_CODE;
-        const totalAmount = amount; // Needs to include tax etc if applicable, using flat for now
-
-        // Signature Generation for eSewa v2
-        // Message format: total_amount,transaction_uuid,product_code
-        const signatureString = `total_amount=${totalAmount},transaction_uuid=${transactionUuid},product_code=${productCode}`;
-        const secretKey = process.env.ESEWA_SECRET_KEY;
+        // Optionally tie the payment to one of the order's invoices
+        let invoice = null;
+        if (invoiceId) {
+            invoice = await Invoice.findOne({ _id: invoiceId, order: order._id });
+            if (!invoice) {
+                return res.status(404).json({ message: 'Invoice not found for this order' });
+            }
+            if (invoice.status === 'paid') {
+                return res.status(400).json({ message: 'Invoice is already paid' });
+            }
+        }
 
-        if (!secretKey) {
+        const provider = await getActiveProvider();
+        if (!provider.isConfigured()) {
             return res.status(500).json({ message: 'Payment gateway not configured properly' });
         }
 
-        const signature = crypto.createHmac('sha256', secretKey).update(signatureString).digest('base64');
+        const transactionUuid = `${orderId}-${Date.now()}`;
+        const totalAmount = amount; // Needs to include tax etc if applicable, using flat for now
 
-        // Store transaction UUID in order for verification
+        const payment = await provider.initiate({
+            order,
+            amount: totalAmount,
+            transactionUuid,
+            successUrl: `${CLIENT_URL}/dashboard/client/payment?orderId=${orderId}&provider=${provider.key}&status=success`,
+            failureUrl: `${CLIENT_URL}/dashboard/client/payment?orderId=${orderId}&provider=${provider.key}&status=failure`,
+            customer: req.user,
+        });
+
+        // Remember which provider and reference to verify against
         order.transactionUuid = transactionUuid;
+        order.paymentProvider = provider.key;
+        order.paymentReference = payment.reference;
+        order.paymentMethod = provider.method;
+        order.paymentInvoice = invoice?._id;
         await order.save();
 
+        await recordInitiatedPayment(order, provider, { amount: totalAmount, reference: payment.reference, invoice });
+
         // Log payment initiation
         await AuditLog.create({
             userId: req.user._id,
@@ -148,25 +216,16 @@ export const initiatePayment = async (req, res) => {
                 orderId: order._id,
                 amount: totalAmount,
                 transactionUuid: transactionUuid,
-                paymentMethod: 'esewa'
+                paymentMethod: provider.method,
+                provider: provider.key,
             }
         });
 
         res.json({
-            url: ESEWA_TEST_URL,
-            params: {
-                amount: amount,
-                tax_amount: 0,
-                total_amount: totalAmount,
-                transaction_uuid: transactionUuid,
-                product_code: productCode,
-                product_service_charge: 0,
-                product_delivery_charge: 0,
-                success_url: `${CLIENT_URL}/dashboard/client/payment?orderId=${orderId}&status=success&data=`,
-                failure_url: `${CLIENT_URL}/dashboard/client/payment?orderId=${orderId}&status=failure`,
-                signed_field_names: "total_amount,transaction_uuid,product_code",
-                signature: signature,
-            }
+            provider: provider.key,
+            method: payment.method,
+            url: payment.url,
+            params: payment.params,
         });
     } catch (error) {
         console.error('Payment Initiation Error:', error);
@@ -189,22 +248,22 @@ export const initiatePayment = async (req, res) => {
     }
 };
 
-// @desc    Verify Payment (Callback from Frontend passing eSewa response)
+// @desc    Verify Payment (Callback from Frontend passing the provider response)
 // @route   POST /api/payment/verify
 // @access  Private
 export const verifyPayment = async (req, res) => {
     try {
-        const { encodedResponse, orderId } = req.body;
+        const { orderId } = req.body;
 
         if (!orderId) {
             return res.status(400).json({ message: 'Order ID is required' });
         }
 
-        if (!encodedResponse) {
+        if (!req.body.encodedResponse && !req.body.pidx) {
             return res.status(400).json({ message: 'Payment response data is required' });
         }
 
-        const order = await Order.findById(orderId).populate('assignedDeveloper');
+        const order = await Order.findById(orderId);
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
         }
@@ -214,87 +273,46 @@ export const verifyPayment = async (req, res) => {
             return res.status(400).json({ message: 'Payment already verified for this order' });
         }
 
-        // Decode the base64 encoded JSON response
-        let responseData;
-        try {
-            // Strip the ?data= prefix if present
-            const cleanedResponse = encodedResponse.startsWith('?data=')
-                ? encodedResponse.substring(6)
-                : encodedResponse;
-
-            const decodedString = Buffer.from(cleanedResponse, 'base64').toString('utf-8');
-            responseData = JSON.parse(decodedString);
-        } catch (decodeError) {
-            console.error('Failed to decode payment response:', decodeError.message);
-            return res.status(400).json({
-                message: 'Invalid payment response format',
-                error: 'Unable to decode payment data'
-            });
+        // Verify with the provider that initiated the payment, even if the active one changed since
+        const provider = getProvider(order.paymentProvider) || await getActiveProvider();
+        if (!provider.isConfigured()) {
+            return res.status(500).json({ message: 'Payment gateway not configured properly' });
         }
 
-        // Verify payment status
-        if (responseData.status !== 'COMPLETE') {
-            order.paymentStatus = 'failed';
-            await order.save();
-            return res.status(400).json({ message: 'Payment failed or cancelled' });
-        }
+        const result = await provider.verify(req.body);
 
-        // Verify signature for security
-        const secretKey = process.env.ESEWA_SECRET_KEY;
-        if (!secretKey) {
-            return res.status(500).json({ message: 'Payment gateway not configured properly' });
+        if (result.status === 'invalid') {
+            return res.status(400).json({ message: result.message, error: result.error });
         }
 
-        // Reconstruct the signature string using the response data
-        const { transaction_code, total_amount, transaction_uuid, product_code } = responseData;
-        const signatureString = `transaction_code=${transaction_code},status=${responseData.status},total_amount=${total_amount},transaction_uuid=${transaction_uuid},product_code=${product_code},signed_field_names=transaction_code,status,total_amount,transaction_uuid,product_code`;
-
-        // Calculate expected signature
-        const expectedSignature = crypto.createHmac('sha256', secretKey)
-            .update(signatureString)
-            .digest('base64');
+        if (result.status === 'pending') {
+            return res.status(202).json({ message: result.message });
+        }
 
-        // Verify signature matches
-        if (responseData.signature !== expectedSignature) {
-            console.error('Signature mismatch!');
-            console.error('Expected:', expectedSignature);
-            console.error('Received:', responseData.signature);
-            return res.status(400).json({
-                message: 'Payment verification failed',
-                error: 'Invalid signature'
-            });
+        if (result.status === 'failed') {
+            await recordFailedPayment(provider, result.reference || order.paymentReference);
+            await syncOrderPaymentSummary(order._id);
+            return res.status(400).json({ message: result.message });
         }
 
-        // Verify the transaction UUID matches the order
-        if (responseData.transaction_uuid !== order.transactionUuid) {
+        // Verify the gateway reference matches the order: any payment initiated on it, or its last reference
+        const initiated = await findInitiatedPayment(provider, result.reference);
+        const matchesOrder = initiated
+            ? initiated.order.toString() === order._id.toString()
+            : result.reference === (order.paymentReference || order.transactionUuid);
+        if (!matchesOrder) {
             return res.status(400).json({
                 message: 'Transaction UUID mismatch',
                 error: 'Payment does not match order'
             });
         }
 
-        // Update order with payment details
-        order.paymentStatus = 'paid';
-        order.status = 'delivered';
-        order.paidAmount = responseData.total_amount;
-        order.transactionId = responseData.transaction_code;
-        order.paidAt = new Date();
-
-        // Update developer earnings
-        if (order.assignedDeveloper) {
-            const developer = await User.findById(order.assignedDeveloper._id);
-            if (developer) {
-                // Parse budget to get numeric value
-                const budgetAmount = parseFloat(order.budget.replace(/[^0-9.-]+/g, ""));
-                if (!isNaN(budgetAmount)) {
-                    developer.earnings += budgetAmount;
-                    await developer.save();
-                }
-            }
+        // Update order (and any invoice it settles) with payment details
+        const { duplicate, order: paidOrder } = await confirmPayment(order, provider, result, { changedBy: req.user?._id });
+        if (duplicate) {
+            return res.status(400).json({ message: 'Payment already verified for this order' });
         }
 
-        await order.save();
-
         // Log successful payment verification to audit trail
         await AuditLog.create({
             userId: order.client,
@@ -305,15 +323,17 @@ export const verifyPayment = async (req, res) => {
             severity: 'high',
             details: {
                 orderId: order._id,
-                transactionId: responseData.transaction_code,
-                amount: responseData.total_amount,
-                paymentMethod: 'esewa'
+                transactionId: result.transactionId,
+                amount: result.amount,
+                paymentMethod: provider.method,
+                provider: provider.key,
+                source: 'redirect',
             }
         });
 
         res.json({
             message: 'Payment verified and order delivered',
-            order: order
+            order: paidOrder
         });
 
     } catch (error) {
@@ -339,6 +359,165 @@ export const verifyPayment = async (req, res) => {
     }
 };
 
+// Helper: Record a gateway callback attempt in the audit trail
+const logWebhook = (req, status, { userId, ...details }) => AuditLog.create({
+    userId,
+    action: 'payment_webhook',
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    status,
+    severity: status === 'failure' ? 'high' : 'medium',
+    details: { provider: req.params.provider, ...details },
+});
+
+// @desc    Gateway payment notification (server-to-server)
+// @route   POST /api/payment/webhook/:provider (GET for redirect-style callbacks)
+// @access  Public (authenticated by the provider signature/lookup)
+export const handlePaymentWebhook = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider || !provider.isConfigured()) {
+            await logWebhook(req, 'failure', { error: 'Unknown or unconfigured provider' });
+            return res.status(404).json({ message: 'Unknown payment provider' });
+        }
+
+        // eSewa/mock send the payload as `data`, Khalti as `pidx` in the query string
+        const payload = { ...req.query, ...req.body };
+        const result = await provider.verify({ ...payload, encodedResponse: payload.encodedResponse || payload.data });
+
+        if (result.status === 'invalid') {
+            await logWebhook(req, 'failure', { error: result.error || result.message });
+            return res.status(400).json({ message: result.message, error: result.error });
+        }
+
+        const order = await findOrderByPaymentReference(result.reference, provider);
+        if (!order) {
+            await logWebhook(req, 'failure', { reference: result.reference, error: 'No matching order' });
+            return res.status(404).json({ message: 'No order matches this payment' });
+        }
+
+        const context = {
+            userId: order.client,
+            orderId: order._id,
+            transactionUuid: order.transactionUuid,
+            reference: result.reference,
+        };
+
+        if (result.status === 'pending') {
+            await logWebhook(req, 'warning', { ...context, outcome: 'pending' });
+            return res.json({ received: true, status: 'pending' });
+        }
+
+        // Failure notices are not always signed, so they are only recorded
+        if (result.status === 'failed') {
+            await recordFailedPayment(provider, result.reference);
+            await logWebhook(req, 'warning', { ...context, outcome: 'failed' });
+            return res.json({ received: true, status: 'failed' });
+        }
+
+        const { duplicate, invoice } = await confirmPayment(order, provider, result);
+
+        await logWebhook(req, duplicate ? 'warning' : 'success', {
+            ...context,
+            outcome: duplicate ? 'duplicate' : 'paid',
+            transactionId: result.transactionId,
+            amount: result.amount,
+            invoiceId: invoice?._id,
+        });
+
+        if (!duplicate) {
+            await AuditLog.create({
+                userId: order.client,
+                action: 'payment_verified',
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent'],
+                status: 'success',
+                severity: 'high',
+                details: {
+                    orderId: order._id,
+                    transactionId: result.transactionId,
+                    amount: result.amount,
+                    paymentMethod: provider.method,
+                    provider: provider.key,
+                    source: 'webhook',
+                }
+            });
+        }
+
+        res.json({ received: true, status: 'paid', duplicate });
+    } catch (error) {
+        console.error('Payment Webhook Error:', error);
+        await logWebhook(req, 'failure', { error: error.message }).catch(() => {});
+        res.status(500).json({ message: 'Payment Webhook Failed', error: error.message });
+    }
+};
+
+// @desc    Get payment history (ledger entries) for the current client
+// @route   GET /api/payment/history
+// @access  Private
+export const getPaymentHistory = async (req, res) => {
+    try {
+        const payments = await Payment.find({
+            client: req.user._id,
+            status: { $in: ['completed', 'pending_verification'] },
+        })
+            .populate('order', 'title assignmentNumber')
+            .populate('invoice', 'invoiceNumber')
+            .sort({ createdAt: -1 });
+
+        res.json(payments);
+    } catch (error) {
+        console.error('Payment history error:', error);
+        res.status(500).json({ message: 'Failed to fetch payment history' });
+    }
+};
+
+// @desc    Get ledger and running balance for an order
+// @route   GET /api/payment/ledger/order/:orderId
+// @access  Private (Owner or Admin)
+export const getOrderPaymentLedger = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        if (req.user.role !== 'admin' && order.client?.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const ledger = await getOrderLedger(order);
+
+        res.json({ orderId: order._id, paymentStatus: order.paymentStatus, ...ledger });
+    } catch (error) {
+        console.error('Order Ledger Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get ledger and running balance for an invoice
+// @route   GET /api/payment/ledger/invoice/:invoiceId
+// @access  Private (Owner or Admin)
+export const getInvoicePaymentLedger = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.invoiceId);
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (req.user.role !== 'admin' && invoice.client?.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const ledger = await getInvoiceLedger(invoice);
+
+        res.json({ invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, status: invoice.status, ...ledger });
+    } catch (error) {
+        console.error('Invoice Ledger Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Get payment status for order
 // @route   GET /api/payment/:orderId
 // @access  Private
@@ -350,11 +529,15 @@ export const getPaymentStatus = async (req, res) => {
             return res.status(404).json({ message: 'Order not found' });
         }
 
+        const ledger = await getOrderLedger(order);
+
         res.json({
             orderId: order._id,
             paymentStatus: order.paymentStatus,
             paidAmount: order.paidAmount,
             totalAmount: order.budget,
+            amountDue: ledger.amountDue,
+            balanceDue: ledger.balance,
             transactionId: order.transactionId,
             orderStatus: order.status,
         });
@@ -393,6 +576,16 @@ export const submitQRPayment = async (req, res) => {
         // Don't change order.status - it stays 'accepted' until admin verifies payment
         order.paidAmount = order.quotedAmount || order.amount;
 
+        // One open proof per order: a resubmission replaces the previous one
+        await Payment.findOneAndUpdate(
+            { order: order._id, method: 'qr', status: 'pending_verification' },
+            {
+                $set: { amount: order.paidAmount || 0, proofUrl: paymentProofUrl, notes },
+                $setOnInsert: { client: order.client, currency: order.currency },
+            },
+            { upsert: true }
+        );
+
         if (notes) {
             order.progressNotes.push({
                 developerName: 'Client',
@@ -454,9 +647,17 @@ export const rejectQRPayment = async (req, res) => {
             return res.status(404).json({ message: 'Order not found' });
         }
 
-        // Reset payment status
-        order.paymentStatus = 'pending';
-        order.status = 'completed'; // Back to completed, awaiting new payment
+        // Reject the proof in the ledger; the payment status is recomputed below
+        await Payment.updateMany(
+            { order: order._id, status: 'pending_verification' },
+            { $set: { status: 'rejected', notes: reason || 'Invalid payment proof', verifiedBy: req.user._id, verifiedAt: new Date() } }
+        );
+
+        // A delivery released by this payment goes back to completed, awaiting a new payment;
+        // orders that were never released keep their status
+        if (order.status === 'delivered') {
+            order.transitionTo('completed', { changedBy: req.user._id, reason: `QR payment rejected: ${reason || 'Invalid payment proof'}` });
+        }
         order.qrPaymentProof = null;
         order.qrPaymentSubmittedAt = null;
 
@@ -467,7 +668,8 @@ export const rejectQRPayment = async (req, res) => {
             updatedAt: new Date(),
         });
 
-        const updatedOrder = await order.save();
+        await order.save();
+        const updatedOrder = await syncOrderPaymentSummary(order._id);
 
         // Notify client
         if (order.client) {
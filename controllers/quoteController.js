@@ -1,9 +1,20 @@
-import Quote from '../models/Quote.js';
+import Quote, { OPEN_QUOTE_STATUSES } from '../models/Quote.js';
 import Order from '../models/Order.js';
 import User from '../models/User.js';
-import Contract from '../models/Contract.js';
+import Contract, { SERVICE_PROVIDER } from '../models/Contract.js';
+import Settings from '../models/Settings.js';
+import QuoteTemplate from '../models/QuoteTemplate.js';
 import { createNotification } from './notificationController.js';
 import { sendEmail } from '../services/emailService.js';
+import { renderQuotePdf, pdfAttachments } from '../services/pdfService.js';
+import { sendToUser } from '../config/socket.js';
+import { normalizeCurrency, roundAmount } from '../utils/currency.js';
+import { normalizeRecurringTerms, buildRecurringSchedule } from '../utils/recurring.js';
+import { applyTaxProfiles } from '../services/taxService.js';
+import { buildQuoteFromTemplate } from '../services/quoteTemplateService.js';
+import { findContractTemplate, renderContractTemplate } from '../services/contractTemplateService.js';
+import { getQuoteValidUntil } from '../services/quoteExpiryService.js';
+import { snapshotQuote, diffQuoteSnapshots } from '../utils/quoteDiff.js';
 
 // Helper: Notify client about quote
 const notifyClient = async (clientId, type, title, message, quoteId, orderId) => {
@@ -45,6 +56,74 @@ const notifyAdmins = async (type, title, message, quoteId, orderId) => {
     }
 };
 
+// Helper: Whether the user is the client of the quote's order - by ID or email match
+const isQuoteClient = (order, user) =>
+    order?.client?.toString() === user._id.toString() ||
+    Boolean(order?.clientEmail) && order.clientEmail.toLowerCase() === user.email?.toLowerCase();
+
+// Helper: Push a negotiation update to the quote's client and every admin in real time
+const emitNegotiationUpdate = async (quote, clientId, payload) => {
+    try {
+        const admins = await User.find({ role: 'admin' }).select('_id');
+        const recipients = [clientId, ...admins.map(admin => admin._id)].filter(Boolean);
+        for (const userId of recipients) {
+            sendToUser(userId.toString(), 'quote_negotiation', {
+                quoteId: quote._id,
+                quoteNumber: quote.quoteNumber,
+                version: quote.version,
+                status: quote.status,
+                ...payload,
+            });
+        }
+    } catch (error) {
+        console.error('Error emitting negotiation update:', error);
+    }
+};
+
+// Helper: Validate a counter-offer: either a lower total or changed line items
+// Returns { counterOffer } (undefined when none was made) or { error }
+const normalizeCounterOffer = (offer, quote) => {
+    if (offer === undefined || offer === null) return {};
+
+    const hasTotal = offer.proposedTotal !== undefined && offer.proposedTotal !== null;
+    const hasLineItems = Array.isArray(offer.lineItems) && offer.lineItems.length > 0;
+    if (hasTotal === hasLineItems) {
+        return { error: 'A counter-offer needs either a proposedTotal or lineItems' };
+    }
+
+    if (hasTotal) {
+        const proposedTotal = Number(offer.proposedTotal);
+        if (!(proposedTotal > 0) || proposedTotal >= quote.total) {
+            return { error: 'The proposed total must be above 0 and below the quoted total' };
+        }
+        return { counterOffer: { proposedTotal } };
+    }
+
+    // Items keep the tax profile of the quoted line they match unless the offer names one
+    const quotedProfile = (description) => quote.lineItems.find(line => line.description === description)?.taxProfile;
+    return {
+        counterOffer: {
+            lineItems: offer.lineItems.map(({ category, description, quantity, unit, unitPrice, taxProfile }) =>
+                ({ category, description, quantity, unit, unitPrice, taxProfile: taxProfile || quotedProfile(description) })),
+        },
+    };
+};
+
+// Helper: Revision changes that turn an accepted counter-offer into the next version
+// A proposed total becomes a fixed discount; tax scales with the discounted amount.
+const counterOfferChanges = (quote, offer) => {
+    if (offer.lineItems?.length > 0) {
+        return { lineItems: offer.lineItems };
+    }
+
+    const afterDiscount = quote.subtotal - quote.discountAmount;
+    const taxFactor = afterDiscount > 0 ? quote.total / afterDiscount : 1;
+    return {
+        discountType: 'fixed',
+        discountValue: roundAmount(quote.subtotal - offer.proposedTotal / taxFactor),
+    };
+};
+
 // @desc    Create a new quote
 // @route   POST /api/quotes
 // @access  Private/Admin
@@ -67,8 +146,10 @@ export const createQuote = async (req, res) => {
             discountType,
             discountValue,
             taxRate,
+            currency,
             clientNotes,
             internalNotes,
+            template,
         } = req.body;
 
         // Validate user
@@ -87,10 +168,14 @@ export const createQuote = async (req, res) => {
             return res.status(404).json({ message: 'Order not found' });
         }
 
+        if (validUntil !== undefined && !(new Date(validUntil) > new Date())) {
+            return res.status(400).json({ message: 'validUntil must be a date in the future' });
+        }
+
         // Check if there's already an active quote for this order
         const existingQuote = await Quote.findOne({
             order: orderId,
-            status: { $in: ['draft', 'sent', 'viewed', 'negotiating'] }
+            status: { $in: ['draft', ...OPEN_QUOTE_STATUSES] }
         });
 
         if (existingQuote) {
@@ -100,18 +185,33 @@ export const createQuote = async (req, res) => {
             });
         }
 
+        // Quotes are issued immediately, so the currency needs a rate today
+        const quoteCurrency = currency === undefined ? order.currency : normalizeCurrency(currency);
+        if (!quoteCurrency || await Settings.getExchangeRate(quoteCurrency) === null) {
+            return res.status(400).json({ message: `No exchange rate configured for ${currency}` });
+        }
+
+        // A new quote is only allowed while the order can still be (re-)quoted
+        if (order.status !== 'quoted' && !order.canTransitionTo('quoted')) {
+            return res.status(409).json({ message: `Cannot quote an order in ${order.status} status` });
+        }
+
         // Validate lineItems exists
         if (!lineItems || !Array.isArray(lineItems)) {
             return res.status(400).json({ message: 'Line items are required' });
         }
 
         // Calculate line item amounts - filter out empty items
-        const processedLineItems = lineItems
+        const { lineItems: processedLineItems, unknown } = await applyTaxProfiles(lineItems
             .filter(item => item && item.description && item.unitPrice > 0)
             .map(item => ({
                 ...item,
                 amount: (item.quantity || 1) * item.unitPrice
-            }));
+            })));
+
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Unknown tax profile: ${unknown.join(', ')}` });
+        }
 
         if (processedLineItems.length === 0) {
             return res.status(400).json({ message: 'At least one line item with description and price is required' });
@@ -123,6 +223,13 @@ export const createQuote = async (req, res) => {
 
         // Process payment milestones - filter empty ones and calculate amounts
         let processedPaymentTerms = paymentTerms || { type: 'milestone', milestones: [] };
+        if (processedPaymentTerms.type === 'recurring') {
+            const recurring = normalizeRecurringTerms(processedPaymentTerms.recurring);
+            if (!recurring) {
+                return res.status(400).json({ message: 'Recurring payment terms need an interval (weekly, monthly, quarterly or yearly) and a valid start date' });
+            }
+            processedPaymentTerms.recurring = recurring;
+        }
         if (processedPaymentTerms.milestones) {
             const subtotalForMilestones = processedLineItems.reduce((sum, item) => sum + item.amount, 0);
             processedPaymentTerms.milestones = processedPaymentTerms.milestones
@@ -169,21 +276,26 @@ export const createQuote = async (req, res) => {
             estimatedCompletionDate,
             paymentTerms: processedPaymentTerms,
             termsAndConditions,
-            validUntil: validUntil || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days default
+            validUntil: validUntil || await getQuoteValidUntil(),
             discountType: discountType || 'none',
             discountValue: discountValue || 0,
             taxRate: taxRate || 0,
             total,
+            currency: quoteCurrency,
             clientNotes,
             internalNotes,
+            template,
             createdBy: req.user._id,
             status: 'sent', // Set to 'sent' so client can accept it
         });
 
         // Update order status to quoted
-        order.status = 'quoted';
+        if (order.status !== 'quoted') {
+            order.transitionTo('quoted', { changedBy: req.user._id, reason: `Quote ${quote.quoteNumber} sent` });
+        }
         order.quotedAt = new Date();
         order.quotedAmount = total;
+        order.currency = quote.currency;
         order.quote = quote._id;
         await order.save();
 
@@ -203,7 +315,7 @@ export const createQuote = async (req, res) => {
                 order.client,
                 'order_quoted',
                 'Quote Ready for Review',
-                `Your quote for "${finalProjectTitle}" is ready. Total: NPR ${total.toLocaleString()}`,
+                `Your quote for "${finalProjectTitle}" is ready. Total: ${quote.currency} ${total.toLocaleString()}`,
                 quote._id,
                 order._id
             ).catch(err => console.error('Quote notification error:', err.message));
@@ -213,16 +325,18 @@ export const createQuote = async (req, res) => {
         const clientEmail = order.clientEmail || (order.client ? (await User.findById(order.client))?.email : null);
         if (clientEmail) {
             const baseUrl = process.env.CLIENT_URL || 'http://localhost:5173';
-            sendEmail(clientEmail, 'quoteReady', {
-                clientName: order.clientName || 'Valued Customer',
-                assignmentTitle: finalProjectTitle,
-                quotedAmount: total,
-                assignmentType: order.assignmentType || 'Assignment',
-                deadline: order.deadline ? new Date(order.deadline).toLocaleDateString() : 'As agreed',
-                wordCount: order.wordCount,
-                acceptUrl: `${baseUrl}/dashboard/client/quotes/${quote._id}`,
-                viewUrl: `${baseUrl}/dashboard/client/quotes/${quote._id}`,
-            }).catch(err => console.error('Quote email error:', err.message));
+            pdfAttachments(`${quote.quoteNumber}.pdf`, () => renderQuotePdf(populatedQuote))
+                .then(attachments => sendEmail(clientEmail, 'quoteReady', {
+                    clientName: order.clientName || 'Valued Customer',
+                    assignmentTitle: finalProjectTitle,
+                    quotedAmount: total,
+                    assignmentType: order.assignmentType || 'Assignment',
+                    deadline: order.deadline ? new Date(order.deadline).toLocaleDateString() : 'As agreed',
+                    wordCount: order.wordCount,
+                    acceptUrl: `${baseUrl}/dashboard/client/quotes/${quote._id}`,
+                    viewUrl: `${baseUrl}/dashboard/client/quotes/${quote._id}`,
+                }, attachments))
+                .catch(err => console.error('Quote email error:', err.message));
         }
 
         return;
@@ -237,6 +351,32 @@ export const createQuote = async (req, res) => {
     }
 };
 
+// @desc    Create quote for an order from a template
+// @route   POST /api/quotes/from-template
+// @access  Private/Admin
+export const createQuoteFromTemplate = async (req, res) => {
+    try {
+        const { templateId, orderId, ...overrides } = req.body;
+
+        const template = await QuoteTemplate.findById(templateId).populate('lineItems.catalogItem').lean();
+        if (!template || !template.isActive) {
+            return res.status(404).json({ message: 'Quote template not found' });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        // Anything sent alongside the template replaces the prefilled value
+        req.body = { ...await buildQuoteFromTemplate(template, order), ...overrides, orderId: order._id };
+        return createQuote(req, res);
+    } catch (error) {
+        console.error('Create Quote From Template Error:', error);
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
+
 // @desc    Get all quotes (admin)
 // @route   GET /api/quotes
 // @access  Private/Admin
@@ -304,6 +444,98 @@ export const getQuoteById = async (req, res) => {
     }
 };
 
+// @desc    Compare two versions of a quote (?from=1&to=3, defaults to the previous and this version)
+// @route   GET /api/quotes/:id/diff
+// @access  Private
+export const getQuoteDiff = async (req, res) => {
+    try {
+        const quote = await Quote.findById(req.params.id).populate('order', 'client clientEmail');
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
+
+        const isAdmin = req.user.role === 'admin';
+        const isClientById = quote.order?.client?.toString() === req.user._id.toString();
+        const isClientByEmail = quote.order?.clientEmail?.toLowerCase() === req.user.email?.toLowerCase();
+        if (!isAdmin && !isClientById && !isClientByEmail) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        // Replaced versions as they were when revised, then versions not revised yet
+        const versions = await Quote.find({ quoteNumber: quote.quoteNumber }).sort({ version: 1 });
+        const snapshots = new Map();
+        for (const version of versions) {
+            for (const revision of version.revisionHistory) {
+                if (revision.snapshot) snapshots.set(revision.version, revision.snapshot);
+            }
+        }
+        for (const version of versions) {
+            if (!snapshots.has(version.version)) {
+                snapshots.set(version.version, snapshotQuote(version.toObject()));
+            }
+        }
+
+        // Clients only see versions that were sent to them
+        if (!isAdmin) {
+            for (const [version, snapshot] of snapshots) {
+                if (snapshot.status === 'draft') snapshots.delete(version);
+            }
+        }
+
+        const to = req.query.to === undefined ? quote.version : Number(req.query.to);
+        const from = req.query.from === undefined ? to - 1 : Number(req.query.from);
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || from >= to) {
+            return res.status(400).json({ message: 'from and to must be version numbers with from lower than to' });
+        }
+
+        const missing = [from, to].filter(version => !snapshots.has(version));
+        if (missing.length > 0) {
+            return res.status(404).json({ message: `Quote version not found: ${missing.join(', ')}` });
+        }
+
+        res.json({
+            quoteNumber: quote.quoteNumber,
+            versions: [...snapshots.keys()].sort((a, b) => a - b),
+            diff: diffQuoteSnapshots(snapshots.get(from), snapshots.get(to)),
+        });
+    } catch (error) {
+        console.error('Quote Diff Error:', error);
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
+
+// @desc    Download quote as PDF
+// @route   GET /api/quotes/:id/pdf
+// @access  Private
+export const downloadQuotePdf = async (req, res) => {
+    try {
+        const quote = await Quote.findById(req.params.id)
+            .populate('order', 'title clientName clientEmail client');
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
+
+        // Check access - admin can download all, client can only download their quotes
+        if (req.user.role !== 'admin' && quote.order?.client?.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const pdf = await renderQuotePdf(quote);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${req.query.inline ? 'inline' : 'attachment'}; filename="${quote.quoteNumber}.pdf"`,
+            'Content-Length': pdf.length,
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Quote PDF Error:', error);
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
+
 // @desc    Get quotes for an order
 // @route   GET /api/quotes/order/:orderId
 // @access  Private
@@ -394,14 +626,25 @@ export const sendQuote = async (req, res) => {
             return res.status(400).json({ message: 'Quote must have at least one line item' });
         }
 
+        const order = await Order.findById(quote.order._id);
+        if (order.status !== 'quoted' && !order.canTransitionTo('quoted')) {
+            return res.status(409).json({ message: `Cannot quote an order in ${order.status} status` });
+        }
+
         quote.status = 'sent';
         quote.sentAt = new Date();
+        // The validity window starts again when a draft is sent after it lapsed
+        if (!(quote.validUntil > quote.sentAt)) {
+            quote.validUntil = await getQuoteValidUntil(quote.sentAt);
+        }
         await quote.save();
 
         // Update order status
-        const order = await Order.findById(quote.order._id);
-        order.status = 'quoted';
+        if (order.status !== 'quoted') {
+            order.transitionTo('quoted', { changedBy: req.user._id, reason: `Quote ${quote.quoteNumber} sent` });
+        }
         order.quotedAmount = quote.total;
+        order.currency = quote.currency;
         order.quotedAt = new Date();
         await order.save();
 
@@ -422,6 +665,10 @@ export const sendQuote = async (req, res) => {
             quote
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', '), errors: error.errors });
+        }
         res.status(500).json({ message: 'Server Error', error: error.message });
     }
 };
@@ -456,9 +703,14 @@ export const acceptQuote = async (req, res) => {
             return res.status(400).json({ message: 'Quote cannot be accepted in its current state' });
         }
 
+        if (!order.canTransitionTo('accepted')) {
+            return res.status(409).json({ message: `Cannot accept a quote for an order in ${order.status} status` });
+        }
+
         // Check if quote is expired
         if (quote.isExpired()) {
             quote.status = 'expired';
+            quote.expiredAt = new Date();
             await quote.save();
             return res.status(400).json({ message: 'Quote has expired. Please request a new quote.' });
         }
@@ -473,12 +725,18 @@ export const acceptQuote = async (req, res) => {
         await quote.save();
 
         // Update order - Quote accepted, awaiting payment
-        order.status = 'accepted';
+        order.transitionTo('accepted', { changedBy: req.user._id, reason: `Quote ${quote.quoteNumber} accepted` });
         order.acceptedAt = new Date();
         order.amount = quote.total;
         order.quotedAmount = quote.total;
+        order.currency = quote.currency;
         order.acceptedQuote = quote._id;
 
+        // Contract wording comes from the default contract template, if one is set up
+        const contractTemplate = await findContractTemplate();
+        const templateFields = contractTemplate &&
+            renderContractTemplate(contractTemplate, { quote, order, provider: SERVICE_PROVIDER });
+
         // Auto-generate contract from accepted quote (use req.user._id as client)
         const contract = await Contract.create({
             order: order._id,
@@ -487,11 +745,7 @@ export const acceptQuote = async (req, res) => {
             status: 'pending_signature',
 
             // Service provider details
-            serviceProvider: {
-                name: 'CodeSupport',
-                email: 'support@codesupport.com',
-                phone: '+977-9800000000',
-            },
+            serviceProvider: SERVICE_PROVIDER,
 
             // Client details
             clientDetails: {
@@ -521,6 +775,9 @@ export const acceptQuote = async (req, res) => {
                     dueDescription: m.dueDescription,
                     status: 'pending',
                 })) || [],
+                recurring: quote.paymentTerms?.type === 'recurring'
+                    ? buildRecurringSchedule(quote.paymentTerms.recurring, quote.total)
+                    : undefined,
                 paymentMethods: ['esewa', 'bank_transfer', 'qr'],
             },
 
@@ -532,8 +789,9 @@ export const acceptQuote = async (req, res) => {
                 estimatedDuration: quote.estimatedDuration,
             },
 
-            // Terms from quote
-            terms: {
+            // Clauses from the contract template, or the quote's terms when there is none
+            ...templateFields,
+            terms: templateFields ? undefined : {
                 revisionPolicy: quote.termsAndConditions?.revisionPolicy,
                 paymentTerms: quote.termsAndConditions?.paymentPolicy,
                 intellectualProperty: quote.termsAndConditions?.intellectualProperty,
@@ -541,14 +799,7 @@ export const acceptQuote = async (req, res) => {
                 additionalTerms: quote.termsAndConditions?.additionalTerms,
             },
 
-            // Provider signature (auto-signed by system)
-            providerSignature: {
-                signedByName: 'CodeSupport Team',
-                signedByEmail: 'contracts@codesupport.com',
-                signedAt: new Date(),
-                agreed: true,
-                signatureType: 'digital_acceptance',
-            },
+            // The provider counter-signs after the client (POST /api/contracts/:id/countersign)
 
             sentAt: new Date(),
         });
@@ -670,12 +921,25 @@ export const requestNegotiation = async (req, res) => {
             return res.status(400).json({ message: 'Please provide your concerns or requested changes' });
         }
 
+        if (quote.isExpired()) {
+            quote.status = 'expired';
+            quote.expiredAt = new Date();
+            await quote.save();
+            return res.status(400).json({ message: 'Quote has expired. Please request a new quote.' });
+        }
+
         quote.status = 'negotiating';
         quote.clientResponse = {
             decision: 'negotiation_requested',
             negotiationNotes: notes,
             respondedAt: new Date()
         };
+        quote.negotiation.push({
+            author: req.user._id,
+            authorRole: 'client',
+            message: notes,
+            version: quote.version,
+        });
         await quote.save();
 
         // Notify admins
@@ -686,6 +950,7 @@ export const requestNegotiation = async (req, res) => {
             quote._id,
             order._id
         );
+        await emitNegotiationUpdate(quote, order.client, { action: 'message', entry: quote.negotiation.at(-1) });
 
         res.json({
             message: 'Negotiation request sent. Admin will review and respond.',
@@ -696,6 +961,353 @@ export const requestNegotiation = async (req, res) => {
     }
 };
 
+// @desc    Get the negotiation thread of a quote
+// @route   GET /api/quotes/:id/negotiation
+// @access  Private (quote's client or admin)
+export const getNegotiationThread = async (req, res) => {
+    try {
+        const quote = await Quote.findById(req.params.id)
+            .populate('order', 'client clientEmail')
+            .populate('negotiation.author', 'name role');
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
+
+        if (req.user.role !== 'admin' && !isQuoteClient(quote.order, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        res.json({
+            quoteId: quote._id,
+            quoteNumber: quote.quoteNumber,
+            version: quote.version,
+            status: quote.status,
+            negotiation: quote.negotiation,
+        });
+    } catch (error) {
+        console.error('Get Negotiation Thread Error:', error);
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
+
+// @desc    Post a message, optionally with a counter-offer, to a quote's negotiation thread
+// @route   POST /api/quotes/:id/negotiation
+// @access  Private (quote's client or admin)
+export const postNegotiationMessage = async (req, res) => {
+    try {
+        const { message, counterOffer } = req.body;
+        const quote = await Quote.findById(req.params.id).populate('order');
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
+
+        const isAdmin = req.user.role === 'admin';
+        if (!isAdmin && !isQuoteClient(quote.order, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        if (typeof message !== 'string' || message.trim() === '') {
+            return res.status(400).json({ message: 'Message is required' });
+        }
+
+        if (!OPEN_QUOTE_STATUSES.includes(quote.status)) {
+            return res.status(400).json({ message: 'Quote cannot be negotiated in its current state' });
+        }
+
+        if (quote.isExpired()) {
+            quote.status = 'expired';
+            quote.expiredAt = new Date();
+            await quote.save();
+            return res.status(400).json({ message: 'Quote has expired. Please request a new quote.' });
+        }
+
+        const { counterOffer: offer, error } = normalizeCounterOffer(counterOffer, quote);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        // A new counter-offer replaces any still waiting for an answer
+        if (offer) {
+            for (const entry of quote.negotiation) {
+                if (entry.counterOffer?.status === 'pending') {
+                    entry.counterOffer.status = 'superseded';
+                }
+            }
+        }
+
+        quote.negotiation.push({
+            author: req.user._id,
+            authorRole: isAdmin ? 'admin' : 'client',
+            message,
+            version: quote.version,
+            counterOffer: offer,
+        });
+
+        if (!isAdmin) {
+            quote.status = 'negotiating';
+            quote.clientResponse = {
+                decision: 'negotiation_requested',
+                negotiationNotes: message,
+                respondedAt: new Date()
+            };
+        }
+        await quote.save();
+
+        const entry = quote.negotiation.at(-1);
+        const title = offer ? 'Counter-Offer Received' : 'New Negotiation Message';
+        const summary = `${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`;
+        if (isAdmin) {
+            await notifyClient(quote.order.client, 'quote_negotiation', title, `Quote ${quote.quoteNumber}: "${summary}"`, quote._id, quote.order._id);
+        } else {
+            await notifyAdmins('quote_negotiation', title, `Client on quote ${quote.quoteNumber}: "${summary}"`, quote._id, quote.order._id);
+        }
+        await emitNegotiationUpdate(quote, quote.order.client, { action: 'message', entry });
+
+        res.status(201).json({ message: 'Message posted', entry, quote });
+    } catch (error) {
+        console.error('Post Negotiation Message Error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', '), errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
+
+// @desc    Accept or reject the other party's counter-offer
+// @route   POST /api/quotes/:id/negotiation/:messageId/respond
+// @access  Private (quote's client or admin)
+export const respondToCounterOffer = async (req, res) => {
+    try {
+        const { decision } = req.body;
+        const quote = await Quote.findById(req.params.id).populate('order');
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
+
+        const isAdmin = req.user.role === 'admin';
+        if (!isAdmin && !isQuoteClient(quote.order, req.user)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const entry = quote.negotiation.id(req.params.messageId);
+        if (!entry?.counterOffer) {
+            return res.status(404).json({ message: 'Counter-offer not found' });
+        }
+
+        if (entry.authorRole === (isAdmin ? 'admin' : 'client')) {
+            return res.status(403).json({ message: 'A counter-offer must be answered by the other party' });
+        }
+
+        if (!['accepted', 'rejected'].includes(decision)) {
+            return res.status(400).json({ message: 'Decision must be accepted or rejected' });
+        }
+
+        if (entry.counterOffer.status !== 'pending' || !OPEN_QUOTE_STATUSES.includes(quote.status)) {
+            return res.status(400).json({ message: 'Counter-offer is no longer open' });
+        }
+
+        entry.counterOffer.status = decision;
+        entry.counterOffer.respondedBy = req.user._id;
+        entry.counterOffer.respondedAt = new Date();
+        await quote.save();
+
+        const title = `Counter-Offer ${decision === 'accepted' ? 'Accepted' : 'Rejected'}`;
+        const text = `The counter-offer on quote ${quote.quoteNumber} was ${decision}`;
+        if (isAdmin) {
+            await notifyClient(quote.order.client, 'quote_negotiation', title, text, quote._id, quote.order._id);
+        } else {
+            await notifyAdmins('quote_negotiation', title, text, quote._id, quote.order._id);
+        }
+        await emitNegotiationUpdate(quote, quote.order.client, { action: `counter_offer_${decision}`, entry });
+
+        res.json({ message: title, entry, quote });
+    } catch (error) {
+        console.error('Respond To Counter-Offer Error:', error);
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
+
+// @desc    Turn an accepted counter-offer into the next quote version (draft)
+// @route   POST /api/quotes/:id/negotiation/:messageId/revise
+// @access  Private/Admin
+export const reviseFromCounterOffer = async (req, res) => {
+    try {
+        const quote = await Quote.findById(req.params.id);
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
+
+        const entry = quote.negotiation.id(req.params.messageId);
+        if (!entry?.counterOffer) {
+            return res.status(404).json({ message: 'Counter-offer not found' });
+        }
+
+        if (entry.counterOffer.status !== 'accepted') {
+            return res.status(400).json({ message: 'Only an accepted counter-offer can be turned into a revision' });
+        }
+
+        if (!OPEN_QUOTE_STATUSES.includes(quote.status)) {
+            return res.status(400).json({ message: 'Quote cannot be revised in its current state' });
+        }
+
+        const offer = entry.counterOffer.toObject();
+        entry.counterOffer.status = 'applied';
+        const { quote: newQuote, error } = await createQuoteRevision(
+            quote,
+            { ...counterOfferChanges(quote, offer), changeNotes: req.body.changeNotes },
+            req.user._id,
+            { defaultChangeNotes: `Counter-offer from ${entry.authorRole} applied: ${entry.message}` }
+        );
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        // Link the offer to the version created from it, in both threads
+        for (const version of [quote, newQuote]) {
+            version.negotiation.id(entry._id).counterOffer.revision = newQuote._id;
+            await version.save();
+        }
+
+        const order = await Order.findById(quote.order).select('client');
+        await emitNegotiationUpdate(newQuote, order?.client, {
+            action: 'revision_created',
+            entry: newQuote.negotiation.id(entry._id),
+            previousQuoteId: quote._id,
+        });
+
+        const populatedQuote = await Quote.findById(newQuote._id)
+            .populate('order', 'title clientName clientEmail')
+            .populate('createdBy', 'name email');
+
+        res.status(201).json({
+            message: 'Revision created from the counter-offer. Review and send to client.',
+            quote: populatedQuote,
+            previousQuote: quote
+        });
+    } catch (error) {
+        console.error('Revise From Counter-Offer Error:', error);
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
+
+// Helper: Create the next version of a quote and mark the original as revised
+// Fields not in `changes` are carried over. Returns { error } when the changes are invalid.
+const createQuoteRevision = async (originalQuote, changes, userId, { status = 'draft', defaultChangeNotes } = {}) => {
+    const {
+        lineItems,
+        deliverables,
+        estimatedDuration,
+        paymentTerms,
+        termsAndConditions,
+        validUntil,
+        discountType,
+        discountValue,
+        taxRate,
+        clientNotes,
+        internalNotes,
+        changeNotes
+    } = changes;
+
+    if (validUntil !== undefined && !(new Date(validUntil) > new Date())) {
+        return { error: 'validUntil must be a date in the future' };
+    }
+
+    // Resolve tax profiles on new line items before touching the original
+    let taxedLineItems = null;
+    if (lineItems) {
+        const { lineItems: taxed, unknown } = await applyTaxProfiles(lineItems);
+        if (unknown.length > 0) {
+            return { error: `Unknown tax profile: ${unknown.join(', ')}` };
+        }
+        taxedLineItems = taxed;
+    }
+
+    let revisedPaymentTerms = paymentTerms;
+    if (paymentTerms?.type === 'recurring') {
+        const recurring = normalizeRecurringTerms(paymentTerms.recurring);
+        if (!recurring) {
+            return { error: 'Recurring payment terms need an interval (weekly, monthly, quarterly or yearly) and a valid start date' };
+        }
+        revisedPaymentTerms = { ...paymentTerms, recurring };
+    }
+
+    // Mark original as revised, keeping a snapshot of it as it was offered
+    const snapshot = snapshotQuote(originalQuote.toObject());
+    originalQuote.status = 'revised';
+    await originalQuote.save();
+
+    // Calculate new line items
+    const processedLineItems = (taxedLineItems || originalQuote.toObject().lineItems).map(item => ({
+        ...item,
+        amount: (item.quantity || 1) * item.unitPrice
+    }));
+
+    const subtotal = processedLineItems.reduce((sum, item) => sum + item.amount, 0);
+    let total = subtotal;
+    const newDiscountType = discountType || originalQuote.discountType;
+    const newDiscountValue = discountValue ?? originalQuote.discountValue;
+    const newTaxRate = taxRate ?? originalQuote.taxRate;
+
+    if (newDiscountType === 'percentage') {
+        total -= (subtotal * newDiscountValue) / 100;
+    } else if (newDiscountType === 'fixed') {
+        total -= newDiscountValue;
+    }
+
+    if (newTaxRate) {
+        total += (total * newTaxRate) / 100;
+    }
+
+    // Create new quote with incremented version
+    const newQuote = await Quote.create({
+        order: originalQuote.order,
+        quoteNumber: originalQuote.quoteNumber, // Same number, next version
+        version: originalQuote.version + 1,
+        projectTitle: originalQuote.projectTitle,
+        projectSummary: originalQuote.projectSummary,
+        lineItems: processedLineItems,
+        deliverables: deliverables || originalQuote.deliverables,
+        estimatedDuration: estimatedDuration || originalQuote.estimatedDuration,
+        estimatedStartDate: originalQuote.estimatedStartDate,
+        estimatedCompletionDate: originalQuote.estimatedCompletionDate,
+        paymentTerms: revisedPaymentTerms || originalQuote.paymentTerms,
+        termsAndConditions: termsAndConditions || originalQuote.termsAndConditions,
+        validUntil: validUntil || await getQuoteValidUntil(),
+        discountType: newDiscountType,
+        discountValue: newDiscountValue,
+        taxRate: newTaxRate,
+        total,
+        currency: originalQuote.currency,
+        clientNotes: clientNotes || originalQuote.clientNotes,
+        internalNotes,
+        template: originalQuote.template,
+        createdBy: userId,
+        previousQuote: originalQuote._id,
+        negotiation: originalQuote.negotiation,
+        status,
+        sentAt: status === 'sent' ? new Date() : undefined,
+        revisionHistory: [
+            ...originalQuote.revisionHistory,
+            {
+                version: originalQuote.version,
+                changes: changeNotes || defaultChangeNotes || 'Quote revised based on client feedback',
+                previousTotal: originalQuote.total,
+                newTotal: total,
+                revisedBy: userId,
+                revisedAt: new Date(),
+                snapshot
+            }
+        ]
+    });
+
+    return { quote: newQuote };
+};
+
 // @desc    Admin creates revision of quote
 // @route   POST /api/quotes/:id/revise
 // @access  Private/Admin
@@ -707,96 +1319,94 @@ export const reviseQuote = async (req, res) => {
             return res.status(404).json({ message: 'Quote not found' });
         }
 
-        const {
-            lineItems,
-            deliverables,
-            estimatedDuration,
-            paymentTerms,
-            termsAndConditions,
-            validUntil,
-            discountType,
-            discountValue,
-            taxRate,
-            clientNotes,
-            internalNotes,
-            changeNotes
-        } = req.body;
+        const { quote: newQuote, error } = await createQuoteRevision(originalQuote, req.body, req.user._id);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
 
-        // Mark original as revised
-        originalQuote.status = 'revised';
-        await originalQuote.save();
+        const populatedQuote = await Quote.findById(newQuote._id)
+            .populate('order', 'title clientName clientEmail')
+            .populate('createdBy', 'name email');
 
-        // Calculate new line items
-        const processedLineItems = (lineItems || originalQuote.lineItems).map(item => ({
-            ...item,
-            amount: item.quantity * item.unitPrice
-        }));
+        res.status(201).json({
+            message: 'Quote revision created. Review and send to client.',
+            quote: populatedQuote,
+            previousQuote: originalQuote
+        });
+    } catch (error) {
+        console.error('Revise Quote Error:', error);
+        res.status(500).json({ message: 'Server Error', error: error.message });
+    }
+};
 
-        const subtotal = processedLineItems.reduce((sum, item) => sum + item.amount, 0);
-        let total = subtotal;
-        const newDiscountType = discountType || originalQuote.discountType;
-        const newDiscountValue = discountValue ?? originalQuote.discountValue;
-        const newTaxRate = taxRate ?? originalQuote.taxRate;
+// @desc    Renew an expired quote as a new version with a fresh validity window and send it
+// @route   POST /api/quotes/:id/renew
+// @access  Private/Admin
+export const renewQuote = async (req, res) => {
+    try {
+        const originalQuote = await Quote.findById(req.params.id);
+
+        if (!originalQuote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
 
-        if (newDiscountType === 'percentage') {
-            total -= (subtotal * newDiscountValue) / 100;
-        } else if (newDiscountType === 'fixed') {
-            total -= newDiscountValue;
+        if (originalQuote.status !== 'expired') {
+            return res.status(400).json({ message: 'Only expired quotes can be renewed' });
         }
 
-        if (newTaxRate) {
-            total += (total * newTaxRate) / 100;
+        const order = await Order.findById(originalQuote.order);
+        if (order.status !== 'quoted' && !order.canTransitionTo('quoted')) {
+            return res.status(409).json({ message: `Cannot quote an order in ${order.status} status` });
         }
 
-        // Create new quote with incremented version
-        const newQuote = await Quote.create({
-            order: originalQuote.order,
-            quoteNumber: originalQuote.quoteNumber, // Same number
-            version: originalQuote.version + 1,
-            projectTitle: originalQuote.projectTitle,
-            projectSummary: originalQuote.projectSummary,
-            lineItems: processedLineItems,
-            deliverables: deliverables || originalQuote.deliverables,
-            estimatedDuration: estimatedDuration || originalQuote.estimatedDuration,
-            estimatedStartDate: originalQuote.estimatedStartDate,
-            estimatedCompletionDate: originalQuote.estimatedCompletionDate,
-            paymentTerms: paymentTerms || originalQuote.paymentTerms,
-            termsAndConditions: termsAndConditions || originalQuote.termsAndConditions,
-            validUntil: validUntil || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-            discountType: newDiscountType,
-            discountValue: newDiscountValue,
-            taxRate: newTaxRate,
-            total,
-            currency: originalQuote.currency,
-            clientNotes: clientNotes || originalQuote.clientNotes,
-            internalNotes,
-            createdBy: req.user._id,
-            previousQuote: originalQuote._id,
-            status: 'draft',
-            revisionHistory: [
-                ...originalQuote.revisionHistory,
-                {
-                    version: originalQuote.version,
-                    changes: changeNotes || 'Quote revised based on client feedback',
-                    previousTotal: originalQuote.total,
-                    newTotal: total,
-                    revisedBy: req.user._id,
-                    revisedAt: new Date()
-                }
-            ]
+        // The renewed quote is issued right away, at today's exchange rate
+        if (await Settings.getExchangeRate(originalQuote.currency) === null) {
+            return res.status(400).json({ message: `No exchange rate configured for ${originalQuote.currency}` });
+        }
+
+        const { quote: newQuote, error } = await createQuoteRevision(originalQuote, req.body, req.user._id, {
+            status: 'sent',
+            defaultChangeNotes: 'Quote renewed after expiry',
         });
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        if (order.status !== 'quoted') {
+            order.transitionTo('quoted', { changedBy: req.user._id, reason: `Quote ${newQuote.quoteNumber} renewed` });
+        }
+        order.quotedAmount = newQuote.total;
+        order.currency = newQuote.currency;
+        order.quotedAt = new Date();
+        order.quote = newQuote._id;
+        await order.save();
+
+        if (order.client) {
+            await notifyClient(
+                order.client,
+                'quote_received',
+                'Quote Renewed',
+                `Your quote for "${newQuote.projectTitle}" has been renewed until ${newQuote.validUntil.toLocaleDateString()}. Total: ${newQuote.currency} ${newQuote.total.toLocaleString()}`,
+                newQuote._id,
+                order._id
+            );
+        }
 
         const populatedQuote = await Quote.findById(newQuote._id)
             .populate('order', 'title clientName clientEmail')
             .populate('createdBy', 'name email');
 
         res.status(201).json({
-            message: 'Quote revision created. Review and send to client.',
+            message: 'Quote renewed and sent to client',
             quote: populatedQuote,
             previousQuote: originalQuote
         });
     } catch (error) {
-        console.error('Revise Quote Error:', error);
+        console.error('Renew Quote Error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({ message: messages.join(', '), errors: error.errors });
+        }
         res.status(500).json({ message: 'Server Error', error: error.message });
     }
 };
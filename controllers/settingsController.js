@@ -1,4 +1,18 @@
 import Settings from '../models/Settings.js';
+import { getReminderOffsets, normalizeOffsets } from '../services/deadlineReminderService.js';
+import { getDunningConfig, normalizeDunningOffsets, normalizeLateFee } from '../services/invoiceDunningService.js';
+import { getBranding, DEFAULT_BRANDING } from '../services/pdfService.js';
+import { BASE_CURRENCY, EXCHANGE_RATES_SETTING, normalizeRateEntry, findRate } from '../utils/currency.js';
+import { TAX_PROFILES_SETTING, FISCAL_YEAR_SETTING, normalizeTaxProfile, normalizeFiscalYearStart } from '../utils/tax.js';
+import { getTaxProfiles, getFiscalYearStart } from '../services/taxService.js';
+import { PRICING_RULES_SETTING, normalizePricingRules } from '../utils/pricing.js';
+import { getPricingRules } from '../services/pricingService.js';
+import {
+    PAYMENT_PROVIDER_SETTING,
+    getProvider,
+    getActiveProvider,
+    listProviders,
+} from '../services/paymentProviders/index.js';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
@@ -97,6 +111,363 @@ export const updateQRCodeSettings = async (req, res) => {
     }
 };
 
+// @desc    Get deadline reminder settings
+// @route   GET /api/settings/reminders
+// @access  Private/Admin
+export const getReminderSettings = async (req, res) => {
+    try {
+        const offsets = await getReminderOffsets();
+
+        res.json({ deadlineReminderOffsets: offsets });
+    } catch (error) {
+        console.error('Get Reminder Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update deadline reminder offsets (hours before deadline)
+// @route   PUT /api/settings/reminders
+// @access  Private/Admin
+export const updateReminderSettings = async (req, res) => {
+    try {
+        const offsets = normalizeOffsets(req.body.deadlineReminderOffsets);
+
+        if (!offsets) {
+            return res.status(400).json({ message: 'Provide at least one reminder offset in whole hours' });
+        }
+
+        await Settings.setSetting('deadline_reminder_offsets', offsets, req.user._id, 'Hours before a deadline at which reminder emails are sent');
+
+        res.json({
+            message: 'Reminder settings updated successfully',
+            deadlineReminderOffsets: offsets,
+        });
+    } catch (error) {
+        console.error('Update Reminder Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get invoice dunning settings (reminder offsets and late fee)
+// @route   GET /api/settings/dunning
+// @access  Private/Admin
+export const getDunningSettings = async (req, res) => {
+    try {
+        const { offsets, lateFee } = await getDunningConfig();
+
+        res.json({ dunningOffsets: offsets, lateFee });
+    } catch (error) {
+        console.error('Get Dunning Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update dunning offsets (days after due date) and late fee
+// @route   PUT /api/settings/dunning
+// @access  Private/Admin
+export const updateDunningSettings = async (req, res) => {
+    try {
+        const current = await getDunningConfig();
+        const { dunningOffsets, lateFee } = req.body;
+
+        const offsets = dunningOffsets === undefined ? current.offsets : normalizeDunningOffsets(dunningOffsets);
+        if (!offsets) {
+            return res.status(400).json({ message: 'Provide at least one dunning offset in whole days' });
+        }
+
+        const fee = lateFee === undefined ? current.lateFee : normalizeLateFee({ ...current.lateFee, ...lateFee });
+        if (!fee) {
+            return res.status(400).json({ message: 'Late fee needs a type of percentage (up to 100) or fixed, a positive value and whole afterDays' });
+        }
+
+        await Settings.setSetting('invoice_dunning_offsets', offsets, req.user._id, 'Days after the due date at which overdue invoice reminders are sent');
+        await Settings.setSetting('invoice_late_fee', fee, req.user._id, 'Late fee charged on overdue invoices');
+
+        res.json({
+            message: 'Dunning settings updated successfully',
+            dunningOffsets: offsets,
+            lateFee: fee,
+        });
+    } catch (error) {
+        console.error('Update Dunning Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Helper: Sort a rate table by currency, newest rate first
+const sortRateTable = (table) => [...table].sort((a, b) =>
+    a.currency.localeCompare(b.currency) || new Date(b.effectiveFrom) - new Date(a.effectiveFrom)
+);
+
+// Helper: Rate table response with the rate currently in effect per currency
+const rateTableResponse = (table) => {
+    const currencies = [...new Set(table.map(entry => entry.currency))];
+    return {
+        baseCurrency: BASE_CURRENCY,
+        rates: sortRateTable(table),
+        current: Object.fromEntries(currencies.map(currency => [currency, findRate(table, currency)])),
+    };
+};
+
+// @desc    Get exchange rate table
+// @route   GET /api/settings/exchange-rates
+// @access  Private/Admin
+export const getExchangeRates = async (req, res) => {
+    try {
+        const table = await Settings.getSetting(EXCHANGE_RATES_SETTING, []);
+
+        res.json(rateTableResponse(table));
+    } catch (error) {
+        console.error('Get Exchange Rates Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Add an exchange rate effective from a date (replaces one for the same date)
+// @route   POST /api/settings/exchange-rates
+// @access  Private/Admin
+export const addExchangeRate = async (req, res) => {
+    try {
+        const entry = normalizeRateEntry(req.body);
+
+        if (!entry) {
+            return res.status(400).json({ message: `Provide a currency other than ${BASE_CURRENCY}, a positive rate and a valid effectiveFrom date` });
+        }
+
+        const table = (await Settings.getSetting(EXCHANGE_RATES_SETTING, [])).filter(existing =>
+            existing.currency !== entry.currency ||
+            new Date(existing.effectiveFrom).getTime() !== entry.effectiveFrom.getTime()
+        );
+        table.push(entry);
+
+        await Settings.setSetting(EXCHANGE_RATES_SETTING, sortRateTable(table), req.user._id, `Exchange rates to ${BASE_CURRENCY} with effective dates`);
+
+        res.status(201).json({
+            message: 'Exchange rate added successfully',
+            ...rateTableResponse(table),
+        });
+    } catch (error) {
+        console.error('Add Exchange Rate Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Replace the exchange rate table
+// @route   PUT /api/settings/exchange-rates
+// @access  Private/Admin
+export const updateExchangeRates = async (req, res) => {
+    try {
+        const { rates } = req.body;
+
+        if (!Array.isArray(rates)) {
+            return res.status(400).json({ message: 'rates must be an array' });
+        }
+
+        const table = rates.map(normalizeRateEntry);
+        const invalid = table.findIndex(entry => !entry);
+        if (invalid !== -1) {
+            return res.status(400).json({ message: `Invalid exchange rate at position ${invalid}` });
+        }
+
+        await Settings.setSetting(EXCHANGE_RATES_SETTING, sortRateTable(table), req.user._id, `Exchange rates to ${BASE_CURRENCY} with effective dates`);
+
+        res.json({
+            message: 'Exchange rates updated successfully',
+            ...rateTableResponse(table),
+        });
+    } catch (error) {
+        console.error('Update Exchange Rates Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get tax profiles and fiscal year start
+// @route   GET /api/settings/tax
+// @access  Private/Admin
+export const getTaxSettings = async (req, res) => {
+    try {
+        res.json({
+            taxProfiles: await getTaxProfiles(),
+            fiscalYearStart: await getFiscalYearStart(),
+        });
+    } catch (error) {
+        console.error('Get Tax Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update tax profiles and/or fiscal year start
+// @route   PUT /api/settings/tax
+// @access  Private/Admin
+export const updateTaxSettings = async (req, res) => {
+    try {
+        const { taxProfiles, fiscalYearStart } = req.body;
+
+        if (taxProfiles !== undefined) {
+            const profiles = Array.isArray(taxProfiles) ? taxProfiles.map(normalizeTaxProfile) : [];
+            if (profiles.length === 0 || profiles.some(profile => !profile)) {
+                return res.status(400).json({ message: 'Each tax profile needs a code, a name and a rate between 0 and 100' });
+            }
+            if (new Set(profiles.map(profile => profile.code)).size !== profiles.length) {
+                return res.status(400).json({ message: 'Tax profile codes must be unique' });
+            }
+            await Settings.setSetting(TAX_PROFILES_SETTING, profiles, req.user._id, 'Tax profiles available on line items');
+        }
+
+        if (fiscalYearStart !== undefined) {
+            const start = normalizeFiscalYearStart(fiscalYearStart);
+            if (!start) {
+                return res.status(400).json({ message: 'fiscalYearStart needs a month (1-12) and day (1-28)' });
+            }
+            await Settings.setSetting(FISCAL_YEAR_SETTING, start, req.user._id, 'First day of the fiscal year used for invoice numbering');
+        }
+
+        res.json({
+            message: 'Tax settings updated successfully',
+            taxProfiles: await getTaxProfiles(),
+            fiscalYearStart: await getFiscalYearStart(),
+        });
+    } catch (error) {
+        console.error('Update Tax Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get order pricing rules
+// @route   GET /api/settings/pricing
+// @access  Private/Admin
+export const getPricingSettings = async (req, res) => {
+    try {
+        res.json({ currency: BASE_CURRENCY, rules: await getPricingRules() });
+    } catch (error) {
+        console.error('Get Pricing Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update order pricing rules (fields not sent keep their current value)
+// @route   PUT /api/settings/pricing
+// @access  Private/Admin
+export const updatePricingSettings = async (req, res) => {
+    try {
+        const current = await getPricingRules();
+        const { pricePerPage, wordsPerPage, minimumPrice, multipliers = {} } = req.body;
+
+        const rules = normalizePricingRules({
+            pricePerPage: pricePerPage ?? current.pricePerPage,
+            wordsPerPage: wordsPerPage ?? current.wordsPerPage,
+            minimumPrice: minimumPrice ?? current.minimumPrice,
+            multipliers: Object.fromEntries(
+                Object.entries(current.multipliers).map(([factor, table]) => [
+                    factor,
+                    multipliers[factor] === undefined ? table : { ...table, ...multipliers[factor] },
+                ])
+            ),
+        });
+        if (!rules) {
+            return res.status(400).json({
+                message: 'Pricing rules need a positive price per page, 50-1000 words per page, a minimum price of 0 or more and multipliers between 0 and 10',
+            });
+        }
+
+        await Settings.setSetting(PRICING_RULES_SETTING, rules, req.user._id, `Rules used to estimate order prices (${BASE_CURRENCY})`);
+
+        res.json({ message: 'Pricing rules updated successfully', currency: BASE_CURRENCY, rules });
+    } catch (error) {
+        console.error('Update Pricing Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get payment provider settings
+// @route   GET /api/settings/payment-provider
+// @access  Private/Admin
+export const getPaymentProviderSettings = async (req, res) => {
+    try {
+        const active = await getActiveProvider();
+
+        res.json({
+            activeProvider: active.key,
+            providers: listProviders(),
+        });
+    } catch (error) {
+        console.error('Get Payment Provider Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Select the active payment provider
+// @route   PUT /api/settings/payment-provider
+// @access  Private/Admin
+export const updatePaymentProviderSettings = async (req, res) => {
+    try {
+        const provider = getProvider(req.body.provider);
+
+        if (!provider) {
+            return res.status(400).json({
+                message: 'Unknown payment provider',
+                providers: listProviders().map(p => p.key),
+            });
+        }
+
+        if (!provider.isConfigured()) {
+            return res.status(400).json({ message: `${provider.label} is not configured on this server` });
+        }
+
+        await Settings.setSetting(PAYMENT_PROVIDER_SETTING, provider.key, req.user._id, 'Payment gateway used for online payments');
+
+        res.json({
+            message: 'Payment provider updated successfully',
+            activeProvider: provider.key,
+        });
+    } catch (error) {
+        console.error('Update Payment Provider Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get document branding (used on PDFs)
+// @route   GET /api/settings/branding
+// @access  Private/Admin
+export const getBrandingSettings = async (req, res) => {
+    try {
+        res.json(await getBranding());
+    } catch (error) {
+        console.error('Get Branding Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update document branding
+// @route   PUT /api/settings/branding
+// @access  Private/Admin
+export const updateBrandingSettings = async (req, res) => {
+    try {
+        const updates = {};
+        Object.keys(DEFAULT_BRANDING).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[field] = String(req.body[field]).trim();
+            }
+        });
+
+        if (updates.primaryColor && !/^#[0-9a-fA-F]{6}$/.test(updates.primaryColor)) {
+            return res.status(400).json({ message: 'Primary color must be a hex color like #3b82f6' });
+        }
+
+        const current = await Settings.getSetting('branding', {});
+        const branding = { ...current, ...updates };
+        await Settings.setSetting('branding', branding, req.user._id, 'Company details and colours shown on PDF documents');
+
+        res.json({
+            message: 'Branding updated successfully',
+            branding: { ...DEFAULT_BRANDING, ...branding },
+        });
+    } catch (error) {
+        console.error('Update Branding Settings Error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // @desc    Get all settings (admin only)
 // @route   GET /api/settings
 // @access  Private/Admin
@@ -12,19 +12,25 @@ import connectDB from './config/db.js';
 import { initializeSocket } from './config/socket.js';
 import { initEmailService } from './services/emailService.js';
 import { startDeadlineReminderScheduler } from './services/deadlineReminderService.js';
+import { startInvoiceDunningScheduler } from './services/invoiceDunningService.js';
+import { startRecurringInvoiceScheduler } from './services/recurringInvoiceService.js';
+import { startQuoteExpiryScheduler } from './services/quoteExpiryService.js';
+import { startContractLifecycleScheduler } from './services/contractLifecycleService.js';
+import { startMilestoneAutoApprovalScheduler } from './services/escrowService.js';
 
 // Core routes (KEEP)
 import authRoutes from './routes/authRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
-import paymentRoutes from './routes/paymentRoutes.js';
+import paymentRoutes, { paymentWebhookRouter } from './routes/paymentRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import settingsRoutes from './routes/settingsRoutes.js';
 import workspaceRoutes from './routes/workspaceRoutes.js';
 import quoteRoutes from './routes/quoteRoutes.js';
 import contractRoutes from './routes/contractRoutes.js';
 import invoiceRoutes from './routes/invoiceRoutes.js';
+import catalogRoutes from './routes/catalogRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
 import messageRoutes from './routes/messageRoutes.js';
 
@@ -58,7 +64,12 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config();
 
-connectDB();
+// Tests connect to their own database and never bind a port
+const isTest = process.env.NODE_ENV === 'test';
+
+if (!isTest) {
+    connectDB();
+}
 initEmailService();
 
 const app = express();
@@ -173,6 +184,9 @@ app.use('/api/sessions', sessionRoutes);
 // CSRF Token Generation (before protected routes)
 app.use('/api', csrfRoutes);
 
+// Payment gateway callbacks (server-to-server, verified by provider signature)
+app.use('/api/payment/webhook', paymentWebhookRouter);
+
 // Apply CSRF protection to state-changing routes
 // Note: GET, HEAD, OPTIONS are automatically ignored by CSRF middleware
 app.use('/api/admin', csrfProtection);
@@ -181,6 +195,7 @@ app.use('/api/orders', csrfProtection);
 app.use('/api/quotes', csrfProtection);
 app.use('/api/contracts', csrfProtection);
 app.use('/api/invoices', csrfProtection);
+app.use('/api/catalog', csrfProtection);
 app.use('/api/payment', csrfProtection);
 app.use('/api/upload', csrfProtection);
 app.use('/api/developer', csrfProtection);
@@ -209,6 +224,9 @@ app.use('/api/quotes', quoteRoutes);
 app.use('/api/contracts', contractRoutes);
 app.use('/api/invoices', invoiceRoutes);
 
+// Service catalog and quote templates
+app.use('/api/catalog', catalogRoutes);
+
 // Payments
 app.use('/api/payment', paymentRoutes);
 
@@ -245,10 +263,20 @@ app.use(csrfErrorHandler);
 const PORT = process.env.PORT || 5000;
 const HOST = process.env.HOST || '0.0.0.0';
 
-server.listen(PORT, HOST, () => {
-    console.log(`Server running on http://${HOST}:${PORT}`);
-    console.log(`Socket.io enabled for real-time notifications`);
-
-    // Start background services
-    startDeadlineReminderScheduler();
-});
\ No newline at end of file
+if (!isTest) {
+    server.listen(PORT, HOST, () => {
+        console.log(`Server running on http://${HOST}:${PORT}`);
+        console.log(`Socket.io enabled for real-time notifications`);
+
+        // Start background services
+        startDeadlineReminderScheduler();
+        startInvoiceDunningScheduler();
+        startRecurringInvoiceScheduler();
+        startQuoteExpiryScheduler();
+        startContractLifecycleScheduler();
+        startMilestoneAutoApprovalScheduler();
+    });
+}
+
+export { app, server };
+export default app;
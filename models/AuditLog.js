@@ -4,8 +4,7 @@ const auditLogSchema = mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
-    },
+    }, // Empty for unauthenticated events such as gateway callbacks
     action: {
         type: String,
         required: true,
@@ -28,6 +27,13 @@ const auditLogSchema = mongoose.Schema({
             'email_verified',
             'security_alert',
             'suspicious_activity',
+            'payment_initiated',
+            'payment_initiation_failed',
+            'payment_verified',
+            'payment_verification_failed',
+            'payment_webhook',
+            'payment_refunded',
+            'accounting_export',
         ],
     },
     ipAddress: String,
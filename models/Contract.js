@@ -1,17 +1,32 @@
 import mongoose from 'mongoose';
+import Settings from './Settings.js';
+import { RECURRING_INTERVALS } from '../utils/recurring.js';
+import { hashContract } from '../utils/contractHash.js';
+import { AMENDMENT_TARGETS } from '../utils/contractAmendments.js';
+import { ESCROW_STATUSES, ESCROW_RELEASE_REASONS } from '../utils/escrow.js';
+
+// Provider details written onto generated contracts
+export const SERVICE_PROVIDER = {
+    name: 'CodeSupport',
+    email: 'support@codesupport.com',
+    phone: '+977-9800000000',
+};
+
+// Review of a milestone's work: approved by an admin, then accepted or disputed by the client
+export const MILESTONE_DELIVERY_STATUSES = ['pending', 'approved', 'accepted', 'disputed'];
 
-// Auto-generate contract number
+// Auto-generate contract number from a per-year counter in Settings
+// Renewals reuse their contract's number; a new counter starts after the
+// highest number already issued that year
 const generateContractNumber = async () => {
     const year = new Date().getFullYear();
-    const lastContract = await mongoose.model('Contract')
-        .findOne({ contractNumber: new RegExp(`^CTR-${year}-`) })
-        .sort({ createdAt: -1 });
-
-    let sequence = 1;
-    if (lastContract) {
-        const lastSequence = parseInt(lastContract.contractNumber.split('-')[2]);
-        sequence = lastSequence + 1;
-    }
+    const sequence = await Settings.nextSequence(`contract_sequence_${year}`, `Last contract number issued in ${year}`, async () => {
+        const [last] = await mongoose.model('Contract').aggregate([
+            { $match: { contractNumber: new RegExp(`^CTR-${year}-\\d+$`) } },
+            { $group: { _id: null, sequence: { $max: { $toInt: { $arrayElemAt: [{ $split: ['$contractNumber', '-'] }, 2] } } } } },
+        ]);
+        return last?.sequence || 0;
+    });
 
     return `CTR-${year}-${String(sequence).padStart(4, '0')}`;
 };
@@ -28,14 +43,18 @@ const signatureSchema = new mongoose.Schema({
     userAgent: String,
     signatureType: {
         type: String,
-        enum: ['digital_acceptance', 'drawn_signature'],
+        enum: ['digital_acceptance', 'drawn_signature', 'typed_signature'],
         default: 'digital_acceptance',
     },
     signatureData: String, // For drawn signatures (base64)
+    typedName: String, // For typed signatures
     agreed: {
         type: Boolean,
         default: false,
     },
+    // Signing certificate: the content hash signed plus the details above
+    contentHash: String,
+    certificateId: String,
 });
 
 const amendmentSchema = new mongoose.Schema({
@@ -44,6 +63,25 @@ const amendmentSchema = new mongoose.Schema({
     changes: String,
     previousValue: String,
     newValue: String,
+
+    // Structured amendments (see utils/contractAmendments.js); free-text ones have no target
+    target: {
+        type: String,
+        enum: AMENDMENT_TARGETS,
+    },
+    milestoneIndex: Number,
+    proposed: mongoose.Schema.Types.Mixed,
+    appliedAt: Date,
+    contractVersion: Number, // Contract version the amendment produced
+    invoicesVoided: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+    }],
+    invoicesIssued: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+    }],
+    clientAcceptance: signatureSchema, // Client re-acceptance of the amended contract
     requestedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -64,6 +102,81 @@ const amendmentSchema = new mongoose.Schema({
     approvedAt: Date,
 });
 
+// Money held in escrow (see utils/escrow.js)
+const escrowSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ESCROW_STATUSES,
+    },
+    amount: Number,
+    heldAt: Date,
+    disputedAt: Date,
+    releasedAt: Date,
+    refunded: Number, // Refunded out of escrow; amount is what is still held
+    refundedAt: Date,
+    releaseReason: {
+        type: String,
+        enum: ESCROW_RELEASE_REASONS,
+    },
+}, { _id: false });
+
+// A payment on a contract without milestones (upfront or 50/50), held until
+// the order's delivery has been accepted
+const escrowHoldingSchema = new mongoose.Schema({
+    title: String,
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+    },
+    escrow: escrowSchema,
+});
+
+// Retainer billing: one invoice per period until the end date, a pause or cancellation
+const recurringScheduleSchema = new mongoose.Schema({
+    interval: {
+        type: String,
+        enum: RECURRING_INTERVALS,
+        required: true,
+    },
+    intervalCount: {
+        type: Number,
+        default: 1,
+        min: 1,
+    },
+    amount: {
+        type: Number,
+        required: true,
+    },
+    startDate: {
+        type: Date,
+        required: true,
+    },
+    endDate: Date,
+    status: {
+        type: String,
+        enum: ['active', 'paused', 'cancelled', 'ended'],
+        default: 'active',
+    },
+    periodsInvoiced: {
+        type: Number,
+        default: 0,
+    },
+    nextInvoiceDate: Date,
+    lastInvoicedAt: Date,
+    pausedAt: Date,
+    resumedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    cancellationReason: String,
+}, { _id: false });
+
 const contractSchema = new mongoose.Schema({
     // References
     order: {
@@ -82,10 +195,7 @@ const contractSchema = new mongoose.Schema({
     },
 
     // Contract identification
-    contractNumber: {
-        type: String,
-        unique: true,
-    },
+    contractNumber: String, // Shared by renewals; unique together with version
     version: {
         type: Number,
         default: 1,
@@ -94,7 +204,7 @@ const contractSchema = new mongoose.Schema({
     // Status
     status: {
         type: String,
-        enum: ['draft', 'pending_signature', 'active', 'completed', 'terminated', 'expired'],
+        enum: ['draft', 'pending_signature', 'pending_countersign', 'active', 'completed', 'terminated', 'expired'],
         default: 'draft',
     },
 
@@ -138,8 +248,9 @@ const contractSchema = new mongoose.Schema({
         },
         paymentStructure: {
             type: String,
-            enum: ['full_upfront', 'milestone', '50_50', 'custom'],
+            enum: ['full_upfront', 'milestone', '50_50', 'custom', 'recurring'],
         },
+        recurring: recurringScheduleSchema,
         milestones: [{
             title: String,
             description: String,
@@ -152,6 +263,30 @@ const contractSchema = new mongoose.Schema({
                 default: 'pending',
             },
             paidAt: Date,
+            // Work the milestone pays for: subtasks and deliverables on the order
+            subtasks: [mongoose.Schema.Types.ObjectId],
+            deliverables: [mongoose.Schema.Types.ObjectId],
+            // Admin approves the work, then the client accepts or disputes it
+            delivery: {
+                status: {
+                    type: String,
+                    enum: MILESTONE_DELIVERY_STATUSES,
+                    default: 'pending',
+                },
+                approvedAt: Date,
+                approvedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                // The client has until then to accept or dispute before it is accepted for them
+                autoApproveAt: Date,
+                acceptedAt: Date,
+                autoAccepted: Boolean,
+                disputedAt: Date,
+                disputeReason: String,
+            },
+            // Money paid for the milestone, held until its delivery is accepted
+            escrow: escrowSchema,
         }],
         paymentMethods: [String],
         lateFeePercentage: {
@@ -257,12 +392,40 @@ const contractSchema = new mongoose.Schema({
         additionalTerms: String,
     },
 
+    // Clauses rendered from a contract template; contracts without a template use the terms above
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ContractTemplate',
+    },
+    templateVersion: Number,
+    clauses: [{
+        clause: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ContractClause',
+        },
+        key: String,
+        title: String,
+        version: Number,
+        body: String,
+    }],
+
+    // SHA-256 of the content as sent for signature (see utils/contractHash.js)
+    contentHash: String,
+    contentHashedAt: Date,
+
     // Signatures
     clientSignature: signatureSchema,
     providerSignature: signatureSchema,
 
+    // Payments held on contracts without milestones
+    escrowHoldings: [escrowHoldingSchema],
+
     // Amendments
     amendments: [amendmentSchema],
+    awaitingReacceptance: {
+        type: Boolean,
+        default: false,
+    },
 
     // Invoice Settings
     autoSendInvoices: {
@@ -278,6 +441,22 @@ const contractSchema = new mongoose.Schema({
     completedAt: Date,
     terminatedAt: Date,
     terminationReason: String,
+    expiredAt: Date,
+    expiryReason: {
+        type: String,
+        enum: ['unsigned', 'ended'],
+    },
+    renewalReminderSentAt: Date,
+
+    // Renewal chain
+    renewedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contract',
+    },
+    renewedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contract',
+    },
 
     // Audit
     createdBy: {
@@ -297,8 +476,28 @@ contractSchema.pre('save', async function() {
     if (!this.contractNumber) {
         this.contractNumber = await generateContractNumber();
     }
+
+    // Seal the content when the contract goes out for signature
+    if (this.status === 'pending_signature' && !this.contentHash) {
+        this.sealContent();
+    }
+    if (this.providerSignature?.agreed && !this.providerSignature.contentHash) {
+        this.providerSignature.contentHash = this.contentHash;
+    }
 });
 
+// Record the hash of the content as it is now; done whenever it is (re-)sent for signature
+contractSchema.methods.sealContent = function() {
+    this.contentHash = hashContract(this);
+    this.contentHashedAt = new Date();
+    return this.contentHash;
+};
+
+// Whether the content still matches the given hash (defaults to the sealed one)
+contractSchema.methods.verifyContent = function(hash = this.contentHash) {
+    return Boolean(hash) && hashContract(this) === hash;
+};
+
 // Check if contract is signed by both parties
 contractSchema.methods.isFullySigned = function() {
     return this.clientSignature?.agreed && this.providerSignature?.agreed;
@@ -309,12 +508,15 @@ contractSchema.methods.isActive = function() {
     return this.status === 'active' && this.isFullySigned();
 };
 
-// Indexes (contractNumber already indexed via unique: true)
+// Indexes (renewals share a number, so it is unique per version; the old
+// unique contractNumber_1 index is dropped at startup, see config/db.js)
+contractSchema.index({ contractNumber: 1, version: 1 }, { unique: true });
 contractSchema.index({ order: 1 });
 contractSchema.index({ quote: 1 });
 contractSchema.index({ client: 1 });
 contractSchema.index({ status: 1 });
 contractSchema.index({ 'clientDetails.email': 1 });
+contractSchema.index({ 'financialTerms.recurring.status': 1, 'financialTerms.recurring.nextInvoiceDate': 1 });
 
 const Contract = mongoose.model('Contract', contractSchema);
 
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { findUnknownPlaceholders } from '../utils/contractTemplate.js';
+
+export const CLAUSE_CATEGORIES = [
+    'scope', 'revisions', 'payment', 'intellectual_property', 'confidentiality',
+    'liability', 'termination', 'dispute_resolution', 'general',
+];
+
+/**
+ * ContractClause - a reusable piece of contract wording in the clause
+ * library. The body may use {{placeholders}} (see utils/contractTemplate.js).
+ * Editing the title or body bumps the version; contracts keep the text and
+ * version they were generated with.
+ */
+const contractClauseSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9_]+$/, 'Clause keys may only contain letters, numbers and underscores'],
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    category: {
+        type: String,
+        enum: CLAUSE_CATEGORIES,
+        default: 'general',
+    },
+    body: {
+        type: String,
+        required: true,
+        validate: {
+            validator: (body) => findUnknownPlaceholders(body).length === 0,
+            message: (props) => `Unknown placeholder: ${findUnknownPlaceholders(props.value).join(', ')}`,
+        },
+    },
+    version: {
+        type: Number,
+        default: 1,
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+contractClauseSchema.pre('save', function() {
+    if (!this.isNew && (this.isModified('title') || this.isModified('body'))) {
+        this.version += 1;
+    }
+});
+
+const ContractClause = mongoose.model('ContractClause', contractClauseSchema);
+
+export default ContractClause;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * ContractTemplate - an ordered list of clauses from the clause library.
+ * The default template is used when a contract is generated without
+ * choosing one. Changing the name or clause list bumps the version, which
+ * each generated contract records.
+ */
+const contractTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+    },
+    description: String,
+    clauses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ContractClause',
+    }],
+    version: {
+        type: Number,
+        default: 1,
+    },
+
+    isDefault: {
+        type: Boolean,
+        default: false,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+contractTemplateSchema.index({ isDefault: 1, isActive: 1 });
+
+contractTemplateSchema.pre('save', async function() {
+    if (!this.isNew && (this.isModified('name') || this.isModified('clauses'))) {
+        this.version += 1;
+    }
+
+    // Only one default template at a time
+    if (this.isDefault && this.isModified('isDefault')) {
+        await this.constructor.updateMany({ _id: { $ne: this._id }, isDefault: true }, { isDefault: false });
+    }
+});
+
+const ContractTemplate = mongoose.model('ContractTemplate', contractTemplateSchema);
+
+export default ContractTemplate;
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// Auto-generate credit note number
+const generateCreditNoteNumber = async () => {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const lastCreditNote = await mongoose.model('CreditNote')
+        .findOne({ creditNoteNumber: new RegExp(`^CN-${year}${month}-`) })
+        .sort({ createdAt: -1 });
+
+    let sequence = 1;
+    if (lastCreditNote) {
+        const lastSequence = parseInt(lastCreditNote.creditNoteNumber.split('-')[2]);
+        sequence = lastSequence + 1;
+    }
+
+    return `CN-${year}${month}-${String(sequence).padStart(4, '0')}`;
+};
+
+/**
+ * CreditNote - issued for every refund against an invoice. The money
+ * movement itself is the linked refund entry in the Payment ledger.
+ */
+const creditNoteSchema = new mongoose.Schema({
+    creditNoteNumber: {
+        type: String,
+        unique: true,
+    },
+
+    // References
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+    },
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+    },
+
+    // Client details (snapshot from the invoice)
+    clientDetails: {
+        name: String,
+        email: String,
+        phone: String,
+        address: String,
+        company: String,
+    },
+
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    currency: {
+        type: String,
+        default: 'NPR',
+    },
+    reason: {
+        type: String,
+        required: true,
+    },
+    refundMethod: String,
+    refundReference: String,
+
+    issuedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+creditNoteSchema.pre('save', async function() {
+    if (!this.creditNoteNumber) {
+        this.creditNoteNumber = await generateCreditNoteNumber();
+    }
+});
+
+creditNoteSchema.index({ invoice: 1, createdAt: -1 });
+creditNoteSchema.index({ client: 1 });
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+export default CreditNote;
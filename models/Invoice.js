@@ -1,20 +1,35 @@
 import mongoose from 'mongoose';
-
-// Auto-generate invoice number
-const generateInvoiceNumber = async () => {
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    const lastInvoice = await mongoose.model('Invoice')
-        .findOne({ invoiceNumber: new RegExp(`^INV-${year}${month}-`) })
-        .sort({ createdAt: -1 });
-
-    let sequence = 1;
-    if (lastInvoice) {
-        const lastSequence = parseInt(lastInvoice.invoiceNumber.split('-')[2]);
-        sequence = lastSequence + 1;
-    }
-
-    return `INV-${year}${month}-${String(sequence).padStart(4, '0')}`;
+import Settings from './Settings.js';
+import {
+    FISCAL_YEAR_SETTING,
+    DEFAULT_FISCAL_YEAR_START,
+    getFiscalYear,
+    formatInvoiceNumber,
+    applyLineItemTaxes,
+} from '../utils/tax.js';
+
+// Next number in the fiscal year's sequence, drawn from a counter in Settings
+// (see Settings.nextSequence) so concurrent issues never draw the same number.
+// The counter starts after numbers already on invoices. Numbers are only
+// taken once an invoice has passed validation, retainer periods are claimed
+// as drafts before they are numbered, and issued invoices are never deleted,
+// so the sequence has no gaps.
+const nextInvoiceNumber = async (issueDate) => {
+    const start = await Settings.getSetting(FISCAL_YEAR_SETTING, DEFAULT_FISCAL_YEAR_START);
+    const fiscalYear = getFiscalYear(issueDate, start).label;
+    const sequenceNumber = await Settings.nextSequence(
+        `invoice_sequence_${fiscalYear}`,
+        `Last invoice number issued in fiscal year ${fiscalYear}`,
+        async () => {
+            const lastInvoice = await mongoose.model('Invoice')
+                .findOne({ fiscalYear, sequenceNumber: { $exists: true } })
+                .sort({ sequenceNumber: -1 })
+                .select('sequenceNumber');
+            return lastInvoice?.sequenceNumber || 0;
+        }
+    );
+
+    return { fiscalYear, sequenceNumber, invoiceNumber: formatInvoiceNumber(fiscalYear, sequenceNumber) };
 };
 
 const lineItemSchema = new mongoose.Schema({
@@ -22,13 +37,23 @@ const lineItemSchema = new mongoose.Schema({
     quantity: { type: Number, default: 1 },
     unitPrice: { type: Number, required: true },
     amount: { type: Number, required: true },
+    isLateFee: { type: Boolean, default: false },
+    // Tax profile copied onto the item (see utils/tax.js)
+    taxProfile: String,
+    taxProfileName: String,
+    taxRate: Number,
+    taxExempt: Boolean,
+    taxAmount: Number,
 });
 
 const invoiceSchema = new mongoose.Schema({
+    // DRAFT-<id> until issued, then INV-<fiscal year>-<sequence>
     invoiceNumber: {
         type: String,
         unique: true,
     },
+    fiscalYear: String,
+    sequenceNumber: Number,
 
     // References
     contract: {
@@ -88,11 +113,14 @@ const invoiceSchema = new mongoose.Schema({
         type: String,
         default: 'NPR',
     },
+    // Base currency per 1 unit of `currency`, locked when issued
+    exchangeRate: Number,
+    exchangeRateLockedAt: Date,
 
     // Status
     status: {
         type: String,
-        enum: ['draft', 'sent', 'viewed', 'paid', 'overdue', 'cancelled'],
+        enum: ['draft', 'sent', 'viewed', 'paid', 'overdue', 'cancelled', 'refunded'],
         default: 'draft',
     },
 
@@ -108,6 +136,8 @@ const invoiceSchema = new mongoose.Schema({
     paidAt: Date,
     sentAt: Date,
     viewedAt: Date,
+    overdueAt: Date,
+    lateFeeAppliedAt: Date,
 
     // Payment info
     paymentMethod: String,
@@ -120,6 +150,12 @@ const invoiceSchema = new mongoose.Schema({
         index: Number,
     },
 
+    // Retainer period this invoice bills (recurring contracts only)
+    billingPeriod: {
+        start: Date,
+        end: Date,
+    },
+
     // Notes
     notes: String,
     termsAndConditions: {
@@ -136,22 +172,54 @@ const invoiceSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+// Lock the exchange rate to the base currency when the invoice is issued
+// (only on the draft to issued move, so invoices issued before rates existed are left as they are)
+invoiceSchema.pre('validate', async function() {
+    const issuing = this.isNew || this.$locals.storedStatus === 'draft';
+    if (this.status === 'draft' || !issuing || this.exchangeRateLockedAt) return;
+
+    const rate = await Settings.getExchangeRate(this.currency);
+    if (rate === null) {
+        this.invalidate('currency', `No exchange rate configured for ${this.currency}`);
+        return;
+    }
+
+    this.exchangeRate = rate;
+    this.exchangeRateLockedAt = new Date();
+});
+
+// Remember the stored status so issuing a saved draft can be detected
+const rememberStoredStatus = function() {
+    this.$locals.storedStatus = this.status;
+};
+invoiceSchema.post('init', rememberStoredStatus);
+invoiceSchema.post('save', rememberStoredStatus);
+
 // Pre-save middleware
 invoiceSchema.pre('save', async function() {
     if (!this.invoiceNumber) {
-        this.invoiceNumber = await generateInvoiceNumber();
+        this.invoiceNumber = `DRAFT-${this._id}`;
+    }
+
+    // Number the invoice when it is issued
+    const issuing = this.isNew || this.$locals.storedStatus === 'draft';
+    if (this.status !== 'draft' && issuing && !this.sequenceNumber) {
+        this.issueDate = new Date();
+        Object.assign(this, await nextInvoiceNumber(this.issueDate));
     }
 
     // Calculate totals
     if (this.lineItems && this.lineItems.length > 0) {
         this.subtotal = this.lineItems.reduce((sum, item) => sum + item.amount, 0);
-        this.taxAmount = this.subtotal * (this.taxRate / 100);
+        const lineItemTax = applyLineItemTaxes(this.lineItems, this.discountAmount || 0);
+        this.taxAmount = lineItemTax ?? this.subtotal * (this.taxRate / 100);
         this.total = this.subtotal + this.taxAmount - (this.discountAmount || 0);
     }
 
     // Check if overdue
-    if (this.status === 'sent' && new Date() > this.dueDate) {
+    if (['sent', 'viewed'].includes(this.status) && new Date() > this.dueDate) {
         this.status = 'overdue';
+        this.overdueAt = this.overdueAt || new Date();
     }
 });
 
@@ -160,6 +228,16 @@ invoiceSchema.index({ client: 1 });
 invoiceSchema.index({ contract: 1 });
 invoiceSchema.index({ status: 1 });
 invoiceSchema.index({ dueDate: 1 });
+invoiceSchema.index(
+    { fiscalYear: 1, sequenceNumber: 1 },
+    { unique: true, partialFilterExpression: { sequenceNumber: { $exists: true } } }
+);
+invoiceSchema.index({ issueDate: 1 });
+// A retainer period is billed once, even if two sweeps race
+invoiceSchema.index(
+    { contract: 1, 'billingPeriod.start': 1 },
+    { unique: true, partialFilterExpression: { 'billingPeriod.start': { $type: 'date' } } }
+);
 
 const Invoice = mongoose.model('Invoice', invoiceSchema);
 
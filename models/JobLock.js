@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * JobLock - lease-based lock so only one server instance runs a
+ * background sweep at a time. A lease expires on its own, so a crashed
+ * holder never blocks the job for longer than its TTL.
+ */
+const jobLockSchema = mongoose.Schema({
+    name: {
+        type: String,
+        unique: true,
+        required: true,
+    },
+    owner: {
+        type: String,
+        required: true,
+    },
+    lockedUntil: {
+        type: Date,
+        required: true,
+    },
+    lastRunAt: Date,
+}, {
+    timestamps: true,
+});
+
+// Static method to acquire (or renew) a lock - returns true if this owner holds it
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+    const now = new Date();
+
+    try {
+        const lock = await this.findOneAndUpdate(
+            {
+                name,
+                $or: [
+                    { lockedUntil: { $lte: now } },
+                    { owner },
+                ],
+            },
+            {
+                owner,
+                lockedUntil: new Date(now.getTime() + ttlMs),
+                lastRunAt: now,
+            },
+            { upsert: true, new: true }
+        );
+        return lock?.owner === owner;
+    } catch (error) {
+        // Another instance holds a live lock, so the upsert collided with its document
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Static method to release a lock held by this owner
+jobLockSchema.statics.release = async function(name, owner) {
+    await this.updateOne(
+        { name, owner },
+        { lockedUntil: new Date() }
+    );
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
@@ -44,11 +44,14 @@ const notificationSchema = mongoose.Schema({
             'quote_accepted',        // Client accepted quote
             'quote_rejected',        // Client rejected quote
             'quote_negotiation',     // Client requested negotiation
+            'quote_expired',         // Quote lapsed without a response
             // Payment types
             'payment_pending',       // Client submitted payment proof
             'payment_verified',      // Admin verified payment
             'payment_proof_uploaded', // Payment proof uploaded
             'qr_payment_submitted',  // Client submitted QR payment proof
+            'payment_refunded',      // Admin issued a refund / credit note
+            'invoice_generated',     // Invoices created for a contract
             'release_required',      // Dev needs to release
             'released_to_admin',     // All devs released
             // Contract types
@@ -58,8 +61,17 @@ const notificationSchema = mongoose.Schema({
             'contract_active',       // Contract is now active
             'contract_completed',    // Contract completed
             'contract_terminated',   // Contract terminated
+            'contract_expired',      // Contract expired unsigned or at its end date
+            'contract_renewal',      // Contract nearing its end date, or renewed
             'amendment_requested',   // Client requested amendment
             'amendment_response',    // Admin responded to amendment
+            'retainer_paused',       // Retainer billing paused
+            'retainer_resumed',      // Retainer billing resumed
+            'retainer_cancelled',    // Retainer cancelled
+            'milestone_approved',    // Admin approved a milestone's work
+            'milestone_accepted',    // Client accepted a milestone's delivery
+            'milestone_disputed',    // Client disputed a milestone's delivery
+            'escrow_released',       // Held funds were released by an admin, the client or the review window
         ],
         required: true,
     },
@@ -1,5 +1,22 @@
 import mongoose from 'mongoose';
 
+/**
+ * Allowed order status transitions
+ * Revisions send review/delivered work back to working; declined quotes can be re-quoted.
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+    pending: ['quoted', 'rejected', 'cancelled'],
+    quoted: ['accepted', 'declined', 'cancelled'],
+    accepted: ['working', 'cancelled'],
+    working: ['review', 'cancelled'],
+    review: ['working', 'delivered', 'cancelled'],
+    delivered: ['working', 'completed'],
+    completed: ['delivered'], // Paying for completed work releases the delivery
+    rejected: [],
+    declined: ['quoted', 'cancelled'],
+    cancelled: [],
+};
+
 /**
  * Assignment Model (formerly Order)
  * Represents academic assignments submitted by students (clients)
@@ -271,16 +288,30 @@ const orderSchema = mongoose.Schema({
     quotedAmount: Number,
     amount: { type: Number, default: 0 },
     currency: { type: String, default: 'NPR' },
+    // Suggested price from the pricing rules at submission (see services/pricingService.js)
+    estimatedPrice: {
+        amount: Number,
+        currency: String,
+        exchangeRate: Number,
+        pages: Number,
+        urgency: String,
+        breakdown: [{
+            _id: false,
+            label: String,
+            amount: Number,
+        }],
+        computedAt: Date,
+    },
 
-    // PAYMENT (Simplified)
+    // PAYMENT (cached summary of the Payment ledger, see services/paymentService.js)
     paymentStatus: {
         type: String,
-        enum: ['unpaid', 'pending_verification', 'paid'],
+        enum: ['unpaid', 'pending_verification', 'partially_paid', 'paid', 'refunded'],
         default: 'unpaid',
     },
     paymentMethod: {
         type: String,
-        enum: ['esewa', 'qr', 'bank_transfer', 'manual'],
+        enum: ['esewa', 'khalti', 'mock', 'qr', 'bank_transfer', 'manual'],
         default: 'esewa',
     },
     paymentProof: {
@@ -291,7 +322,13 @@ const orderSchema = mongoose.Schema({
     paidAmount: { type: Number, default: 0 },
     paidAt: Date,
     transactionId: String,
-    transactionUuid: String, // For eSewa payment verification
+    transactionUuid: String, // Our id for the gateway transaction
+    paymentProvider: String, // Provider key that initiated the payment (e.g. esewa_live)
+    paymentReference: String, // Gateway reference to verify against (eSewa uuid, Khalti pidx)
+    paymentInvoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+    }, // Invoice the pending online payment settles
     paymentVerifiedAt: Date,
     paymentVerifiedBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -382,6 +419,18 @@ const orderSchema = mongoose.Schema({
         respondedAt: Date,
     }],
 
+    // Status timeline - every transition made through transitionTo()
+    statusHistory: [{
+        from: String,
+        to: { type: String, required: true },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reason: String,
+        changedAt: { type: Date, default: Date.now },
+    }],
+
     // Timestamps
     submittedAt: { type: Date, default: Date.now },
     quotedAt: Date,
@@ -420,8 +469,41 @@ orderSchema.pre('save', async function() {
         const count = await mongoose.model('Order').countDocuments();
         this.assignmentNumber = `ASN-${year}-${String(count + 1).padStart(4, '0')}`;
     }
+
+    // Start the timeline with the initial status
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({
+            from: null,
+            to: this.status,
+            changedBy: this.client,
+            reason: 'Assignment submitted',
+        });
+    }
 });
 
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+    return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move to a new status and record it in statusHistory - returns false if the move is not allowed
+orderSchema.methods.transitionTo = function(status, { changedBy = null, reason = null } = {}) {
+    if (!this.canTransitionTo(status)) {
+        return false;
+    }
+
+    this.statusHistory.push({
+        from: this.status,
+        to: status,
+        changedBy,
+        reason,
+        changedAt: new Date(),
+    });
+    this.status = status;
+
+    return true;
+};
+
 // Ensure virtuals are included in JSON
 orderSchema.set('toJSON', { virtuals: true });
 orderSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * Payment - one ledger entry per money movement (gateway payment, QR or
+ * manual payment, refund). Order and invoice balances are computed from
+ * these entries; the payment fields on Order are a cached summary.
+ */
+const paymentSchema = mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+    },
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+    },
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    // Refunds are stored as positive amounts and subtracted from the balance
+    type: {
+        type: String,
+        enum: ['payment', 'refund'],
+        default: 'payment',
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    currency: {
+        type: String,
+        default: 'NPR',
+    },
+    method: {
+        type: String,
+        enum: ['esewa', 'khalti', 'mock', 'qr', 'bank_transfer', 'manual'],
+        default: 'manual',
+    },
+    status: {
+        type: String,
+        enum: ['initiated', 'pending_verification', 'completed', 'failed', 'rejected'],
+        default: 'completed',
+    },
+
+    // Gateway details
+    provider: String, // Provider key (e.g. esewa_live)
+    gatewayReference: String, // eSewa transaction uuid, Khalti pidx
+    transactionUuid: String,
+    transactionId: String, // Gateway transaction code once completed
+
+    // Manual payments
+    proofUrl: String,
+    notes: String,
+    verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    verifiedAt: Date,
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+
+    paidAt: Date,
+    metadata: mongoose.Schema.Types.Mixed,
+}, {
+    timestamps: true,
+});
+
+// A gateway transaction is recorded once - replays hit this index
+paymentSchema.index(
+    { provider: 1, gatewayReference: 1 },
+    { unique: true, partialFilterExpression: { gatewayReference: { $type: 'string' } } }
+);
+paymentSchema.index({ order: 1, createdAt: 1 });
+paymentSchema.index({ invoice: 1, createdAt: 1 });
+paymentSchema.index({ client: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -1,17 +1,23 @@
 import mongoose from 'mongoose';
+import Settings from './Settings.js';
+import { applyLineItemTaxes } from '../utils/tax.js';
+import { RECURRING_INTERVALS } from '../utils/recurring.js';
 
-// Auto-generate quote number
+// Statuses in which the client can still respond to a quote; these expire after validUntil
+export const OPEN_QUOTE_STATUSES = ['sent', 'viewed', 'negotiating'];
+
+// Auto-generate quote number from a per-year counter in Settings
+// Revisions reuse their quote's number; a new counter starts after the
+// highest number already issued that year
 const generateQuoteNumber = async () => {
     const year = new Date().getFullYear();
-    const lastQuote = await mongoose.model('Quote')
-        .findOne({ quoteNumber: new RegExp(`^QT-${year}-`) })
-        .sort({ createdAt: -1 });
-
-    let sequence = 1;
-    if (lastQuote) {
-        const lastSequence = parseInt(lastQuote.quoteNumber.split('-')[2]);
-        sequence = lastSequence + 1;
-    }
+    const sequence = await Settings.nextSequence(`quote_sequence_${year}`, `Last quote number issued in ${year}`, async () => {
+        const [last] = await mongoose.model('Quote').aggregate([
+            { $match: { quoteNumber: new RegExp(`^QT-${year}-\\d+$`) } },
+            { $group: { _id: null, sequence: { $max: { $toInt: { $arrayElemAt: [{ $split: ['$quoteNumber', '-'] }, 2] } } } } },
+        ]);
+        return last?.sequence || 0;
+    });
 
     return `QT-${year}-${String(sequence).padStart(4, '0')}`;
 };
@@ -46,6 +52,12 @@ const lineItemSchema = new mongoose.Schema({
         required: true,
         min: 0,
     },
+    // Tax profile copied onto the item (see utils/tax.js)
+    taxProfile: String,
+    taxProfileName: String,
+    taxRate: Number,
+    taxExempt: Boolean,
+    taxAmount: Number,
 });
 
 const deliverableSchema = new mongoose.Schema({
@@ -76,6 +88,26 @@ const milestoneSchema = new mongoose.Schema({
     dueDescription: String, // e.g., "Upon project start", "After design approval"
 });
 
+// Billing schedule for retainer (e.g. maintenance) quotes
+const recurringTermsSchema = new mongoose.Schema({
+    interval: {
+        type: String,
+        enum: RECURRING_INTERVALS,
+        required: true,
+    },
+    intervalCount: {
+        type: Number,
+        default: 1,
+        min: 1,
+    },
+    amount: Number, // Per period; defaults to the quote total
+    startDate: {
+        type: Date,
+        required: true,
+    },
+    endDate: Date, // Open-ended when not set
+}, { _id: false });
+
 const revisionSchema = new mongoose.Schema({
     version: {
         type: Number,
@@ -95,6 +127,63 @@ const revisionSchema = new mongoose.Schema({
         type: Date,
         default: Date.now,
     },
+    snapshot: mongoose.Schema.Types.Mixed, // Full state of the replaced version (see utils/quoteDiff.js)
+});
+
+// Counter-offer attached to a negotiation message: a new total or changed line items
+const counterOfferSchema = new mongoose.Schema({
+    proposedTotal: {
+        type: Number,
+        min: 0,
+    },
+    lineItems: [{
+        _id: false,
+        category: lineItemSchema.path('category').options,
+        description: lineItemSchema.path('description').options,
+        quantity: lineItemSchema.path('quantity').options,
+        unit: lineItemSchema.path('unit').options,
+        unitPrice: lineItemSchema.path('unitPrice').options,
+        taxProfile: String,
+    }],
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected', 'superseded', 'applied'],
+        default: 'pending',
+    },
+    respondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    respondedAt: Date,
+    revision: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quote',
+    }, // Version created from the offer
+}, { _id: false });
+
+const negotiationMessageSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    authorRole: {
+        type: String,
+        enum: ['client', 'admin'],
+        required: true,
+    },
+    message: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000,
+    },
+    version: Number, // Quote version the message was posted on
+    counterOffer: counterOfferSchema,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
 });
 
 const quoteSchema = new mongoose.Schema({
@@ -104,12 +193,13 @@ const quoteSchema = new mongoose.Schema({
         ref: 'Order',
         required: true,
     },
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'QuoteTemplate',
+    }, // Template the quote was built from, if any
 
     // Quote identification
-    quoteNumber: {
-        type: String,
-        unique: true,
-    },
+    quoteNumber: String, // Shared by all versions of a quote
     version: {
         type: Number,
         default: 1,
@@ -159,6 +249,9 @@ const quoteSchema = new mongoose.Schema({
         type: String,
         default: 'NPR',
     },
+    // Base currency per 1 unit of `currency`, locked when issued
+    exchangeRate: Number,
+    exchangeRateLockedAt: Date,
 
     // Project details
     projectTitle: {
@@ -189,10 +282,11 @@ const quoteSchema = new mongoose.Schema({
     paymentTerms: {
         type: {
             type: String,
-            enum: ['full_upfront', 'milestone', '50_50', 'custom'],
+            enum: ['full_upfront', 'milestone', '50_50', 'custom', 'recurring'],
             default: 'milestone',
         },
         milestones: [milestoneSchema],
+        recurring: recurringTermsSchema,
         notes: String,
     },
 
@@ -226,6 +320,7 @@ const quoteSchema = new mongoose.Schema({
         type: Date,
         required: true,
     },
+    expiredAt: Date, // Set when the quote lapsed unanswered
 
     // Notes
     internalNotes: String, // Admin only
@@ -255,6 +350,9 @@ const quoteSchema = new mongoose.Schema({
     // Revision history
     revisionHistory: [revisionSchema],
 
+    // Negotiation thread, carried over to each new version
+    negotiation: [negotiationMessageSchema],
+
     // If this is a revision of another quote
     previousQuote: {
         type: mongoose.Schema.Types.ObjectId,
@@ -264,6 +362,27 @@ const quoteSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+// Lock the exchange rate to the base currency when the quote is issued
+// (only on the draft to issued move, so quotes issued before rates existed are left as they are)
+quoteSchema.pre('validate', async function() {
+    const issuing = this.isNew || this.$locals.storedStatus === 'draft';
+    if (this.status === 'draft' || !issuing || this.exchangeRateLockedAt) return;
+
+    const rate = await Settings.getExchangeRate(this.currency);
+    if (rate === null) {
+        this.invalidate('currency', `No exchange rate configured for ${this.currency}`);
+        return;
+    }
+
+    this.exchangeRate = rate;
+    this.exchangeRateLockedAt = new Date();
+});
+
+// Remember the stored status so issuing a loaded draft can be detected
+quoteSchema.post('init', function() {
+    this.$locals.storedStatus = this.status;
+});
+
 // Pre-save middleware to generate quote number
 quoteSchema.pre('save', async function() {
     if (!this.quoteNumber) {
@@ -282,17 +401,18 @@ quoteSchema.pre('save', async function() {
         this.discountAmount = 0;
     }
 
-    // Calculate tax
+    // Calculate tax - per line item when items carry tax profiles
     const afterDiscount = this.subtotal - this.discountAmount;
-    this.taxAmount = (afterDiscount * this.taxRate) / 100;
+    const lineItemTax = applyLineItemTaxes(this.lineItems, this.discountAmount);
+    this.taxAmount = lineItemTax ?? (afterDiscount * this.taxRate) / 100;
 
     // Calculate total
     this.total = afterDiscount + this.taxAmount;
 });
 
 // Check if quote is expired
-quoteSchema.methods.isExpired = function() {
-    return new Date() > this.validUntil && this.status === 'sent';
+quoteSchema.methods.isExpired = function(now = new Date()) {
+    return now > this.validUntil && OPEN_QUOTE_STATUSES.includes(this.status);
 };
 
 // Virtual for formatted quote number with version
@@ -300,8 +420,13 @@ quoteSchema.virtual('displayNumber').get(function() {
     return this.version > 1 ? `${this.quoteNumber}-v${this.version}` : this.quoteNumber;
 });
 
-// Index for quick lookups (quoteNumber already indexed via unique: true)
+// Each version of a quote is a separate document with the same number
+// (the old unique quoteNumber_1 index is dropped at startup, see config/db.js)
+quoteSchema.index({ quoteNumber: 1, version: 1 }, { unique: true });
+
+// Index for quick lookups
 quoteSchema.index({ order: 1, status: 1 });
+quoteSchema.index({ status: 1, validUntil: 1 });
 quoteSchema.index({ createdBy: 1 });
 
 const Quote = mongoose.model('Quote', quoteSchema);
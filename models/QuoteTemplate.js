@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import Order from './Order.js';
+import Quote from './Quote.js';
+import { RECURRING_INTERVALS } from '../utils/recurring.js';
+
+const quoteLineItem = Quote.schema.path('lineItems').schema;
+const orderEnum = (field) => Order.schema.path(field).enumValues;
+
+// A template line either points at a catalog item (priced from the catalog
+// when a quote is built) or carries its own price
+const templateLineItemSchema = new mongoose.Schema({
+    catalogItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceCatalogItem',
+    },
+    category: {
+        type: String,
+        enum: quoteLineItem.path('category').enumValues,
+    },
+    description: String,
+    quantity: Number, // Defaults to 1, or the order's page count for per-page items
+    unit: {
+        type: String,
+        enum: quoteLineItem.path('unit').enumValues,
+    },
+    unitPrice: {
+        type: Number,
+        min: 0,
+    },
+    taxProfile: String,
+}, { _id: false });
+
+/**
+ * QuoteTemplate - named starting point for quotes on similar assignments:
+ * line items, deliverables, milestones and terms. Building a quote from a
+ * template fills in the order's own details.
+ */
+const quoteTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+    },
+    description: String,
+
+    // Orders this template suits; unset means any
+    subject: {
+        type: String,
+        enum: orderEnum('subject'),
+    },
+    assignmentType: {
+        type: String,
+        enum: orderEnum('assignmentType'),
+    },
+    academicLevel: {
+        type: String,
+        enum: orderEnum('academicLevel'),
+    },
+    urgency: {
+        type: String,
+        enum: orderEnum('urgency'),
+    },
+
+    // Empty means the order's matching catalog items are used
+    lineItems: [templateLineItemSchema],
+    deliverables: [{
+        title: { type: String, required: true },
+        description: String,
+        estimatedDelivery: String,
+    }],
+    estimatedDuration: {
+        value: Number,
+        unit: {
+            type: String,
+            enum: ['days', 'weeks', 'months'],
+            default: 'days',
+        },
+    },
+    paymentTerms: {
+        type: {
+            type: String,
+            enum: ['full_upfront', 'milestone', '50_50', 'custom', 'recurring'],
+            default: 'milestone',
+        },
+        milestones: [{
+            title: { type: String, required: true },
+            description: String,
+            percentage: { type: Number, required: true, min: 0, max: 100 },
+            dueDescription: String,
+        }],
+        // Retainers start on the day the quote is built
+        recurring: {
+            interval: {
+                type: String,
+                enum: RECURRING_INTERVALS,
+            },
+            intervalCount: Number,
+        },
+        notes: String,
+    },
+    termsAndConditions: {
+        revisionPolicy: String,
+        paymentPolicy: String,
+        cancellationPolicy: String,
+        intellectualProperty: String,
+        confidentiality: String,
+        additionalTerms: String,
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed', 'none'],
+        default: 'none',
+    },
+    discountValue: {
+        type: Number,
+        default: 0,
+    },
+    taxRate: {
+        type: Number,
+        default: 0,
+    },
+    validityDays: {
+        type: Number,
+        default: 7,
+        min: 1,
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+quoteTemplateSchema.index({ isActive: 1 });
+
+const QuoteTemplate = mongoose.model('QuoteTemplate', quoteTemplateSchema);
+
+export default QuoteTemplate;
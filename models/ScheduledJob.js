@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * ScheduledJob - one record per background job run (e.g. a single
+ * deadline reminder for an order or dunning email for an invoice).
+ * Persisting runs lets restarts and multiple instances see what has
+ * already been done.
+ */
+const scheduledJobSchema = mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['deadline_reminder', 'invoice_dunning'],
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+    },
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+    },
+    // Hours before the deadline this run targets (deadline reminders)
+    offsetHours: Number,
+    // Days after the due date this run targets (invoice dunning)
+    offsetDays: Number,
+    // Deadline/due date at the time the run was created - a changed date starts a new cycle
+    deadline: Date,
+    runAt: {
+        type: Date,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed', 'skipped'],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    completedAt: Date,
+    lastError: String,
+    recipient: String,
+    processedBy: String, // Instance that ran the job
+    metadata: mongoose.Schema.Types.Mixed,
+}, {
+    timestamps: true,
+});
+
+// A reminder is sent at most once per order or invoice/offset/deadline
+scheduledJobSchema.index(
+    { type: 1, order: 1, invoice: 1, offsetHours: 1, offsetDays: 1, deadline: 1 },
+    { unique: true }
+);
+scheduledJobSchema.index({ type: 1, runAt: -1 });
+scheduledJobSchema.index({ status: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+export default ScheduledJob;
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import Order from './Order.js';
+import Quote from './Quote.js';
+import { rankForOrder } from '../utils/catalog.js';
+
+const quoteLineItem = Quote.schema.path('lineItems').schema;
+const orderEnum = (field) => Order.schema.path(field).enumValues;
+
+/**
+ * ServiceCatalogItem - a priced service admins add to quotes. Items that
+ * share a code are price variants of one service (e.g. essay writing per
+ * academic level); for a given order the most specific matching variant wins.
+ */
+const serviceCatalogItemSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    description: String,
+
+    // Line item defaults
+    category: {
+        type: String,
+        enum: quoteLineItem.path('category').enumValues,
+        required: true,
+    },
+    unit: {
+        type: String,
+        enum: quoteLineItem.path('unit').enumValues,
+        default: 'fixed',
+    },
+    unitPrice: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    taxProfile: String,
+
+    // Orders this price applies to; unset means any
+    subject: {
+        type: String,
+        enum: orderEnum('subject'),
+    },
+    assignmentType: {
+        type: String,
+        enum: orderEnum('assignmentType'),
+    },
+    academicLevel: {
+        type: String,
+        enum: orderEnum('academicLevel'),
+    },
+    urgency: {
+        type: String,
+        enum: orderEnum('urgency'),
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+// Active items priced for an order: the most specific variant of each service
+serviceCatalogItemSchema.statics.findForOrder = async function(order) {
+    const items = await this.find({ isActive: true }).sort({ code: 1 });
+    const byCode = new Map();
+    for (const item of rankForOrder(items, order)) {
+        if (!byCode.has(item.code)) byCode.set(item.code, item);
+    }
+    return [...byCode.values()];
+};
+
+serviceCatalogItemSchema.index({ code: 1 });
+serviceCatalogItemSchema.index({ isActive: 1 });
+
+const ServiceCatalogItem = mongoose.model('ServiceCatalogItem', serviceCatalogItemSchema);
+
+export default ServiceCatalogItem;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { EXCHANGE_RATES_SETTING, findRate } from '../utils/currency.js';
 
 const settingsSchema = mongoose.Schema({
     key: {
@@ -39,6 +40,25 @@ settingsSchema.statics.setSetting = async function(key, value, userId = null, de
     );
 };
 
+// Static method to get the exchange rate (base currency per unit) in effect at a date
+settingsSchema.statics.getExchangeRate = async function(currency, at = new Date()) {
+    const table = await this.getSetting(EXCHANGE_RATES_SETTING, []);
+    return findRate(table, currency, at);
+};
+
+// Static method to draw the next number from a counter with one atomic update,
+// so concurrent callers never get the same number. A new counter starts after
+// floor(), the highest number already in use.
+settingsSchema.statics.nextSequence = async function(key, description, floor = async () => 0) {
+    const start = await this.exists({ key }) ? 0 : await floor();
+    const counter = await this.findOneAndUpdate(
+        { key },
+        [{ $set: { value: { $add: [{ $max: [{ $ifNull: ['$value', 0] }, start] }, 1] }, description } }],
+        { upsert: true, new: true, updatePipeline: true }
+    );
+    return counter.value;
+};
+
 const Settings = mongoose.model('Settings', settingsSchema);
 
 export default Settings;
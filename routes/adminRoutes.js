@@ -10,6 +10,7 @@ import {
     rejectTask,
     verifyPayment,
     updateProgress,
+    getReminderRuns,
     // Legacy endpoints (kept for backwards compatibility)
     assignTaskToDeveloper,
     assignTaskToMultipleDevelopers,
@@ -52,6 +53,9 @@ router.put('/tasks/:taskId/progress', protect, authorize('admin'), updateProgres
 // Payment verification
 router.put('/tasks/:taskId/verify-payment', protect, authorize('admin'), verifyPayment);
 
+// Deadline reminder runs (upcoming + history)
+router.get('/reminders', protect, authorize('admin'), getReminderRuns);
+
 // Fix draft quotes (one-time fix for quotes created before status fix)
 router.put('/fix-draft-quotes', protect, authorize('admin'), async (req, res) => {
     try {
@@ -3,6 +3,7 @@ import { protect, authorize } from '../middleware/authMiddleware.js';
 import {
     getDashboardAnalytics,
     getRevenueAnalytics,
+    getVatAnalytics,
     getClientAnalytics,
     getProjectAnalytics,
 } from '../controllers/analyticsController.js';
@@ -11,6 +12,7 @@ const router = express.Router();
 
 router.get('/dashboard', protect, authorize('admin'), getDashboardAnalytics);
 router.get('/revenue', protect, authorize('admin'), getRevenueAnalytics);
+router.get('/vat', protect, authorize('admin'), getVatAnalytics);
 router.get('/clients', protect, authorize('admin'), getClientAnalytics);
 router.get('/projects', protect, authorize('admin'), getProjectAnalytics);
 
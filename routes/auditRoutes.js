@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+    getAuditLogs,
+    getAuditLogById,
+    getAuditLogStats,
+    getUserAuditLogs,
+    exportAuditLogs
+} from '../controllers/auditController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+router.get('/', getAuditLogs);
+router.get('/stats', getAuditLogStats);
+router.get('/export', exportAuditLogs);
+router.get('/user/:userId', getUserAuditLogs);
+router.get('/:id', getAuditLogById);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+    getCatalogItems,
+    getCatalogMatches,
+    createCatalogItem,
+    updateCatalogItem,
+    deleteCatalogItem,
+    getQuoteTemplates,
+    getQuoteTemplateById,
+    prefillQuoteFromTemplate,
+    createQuoteTemplate,
+    updateQuoteTemplate,
+    deleteQuoteTemplate,
+} from '../controllers/catalogController.js';
+
+const router = express.Router();
+
+// Service catalog (admin only)
+router.get('/services', protect, authorize('admin'), getCatalogItems);
+router.post('/services', protect, authorize('admin'), createCatalogItem);
+router.get('/services/match/:orderId', protect, authorize('admin'), getCatalogMatches);
+router.put('/services/:id', protect, authorize('admin'), updateCatalogItem);
+router.delete('/services/:id', protect, authorize('admin'), deleteCatalogItem);
+
+// Quote templates (admin only)
+router.get('/templates', protect, authorize('admin'), getQuoteTemplates);
+router.post('/templates', protect, authorize('admin'), createQuoteTemplate);
+router.get('/templates/:id', protect, authorize('admin'), getQuoteTemplateById);
+router.get('/templates/:id/prefill', protect, authorize('admin'), prefillQuoteFromTemplate);
+router.put('/templates/:id', protect, authorize('admin'), updateQuoteTemplate);
+router.delete('/templates/:id', protect, authorize('admin'), deleteQuoteTemplate);
+
+export default router;
@@ -4,41 +4,111 @@ import {
     generateContract,
     getContracts,
     getContractById,
+    downloadContractPdf,
     getMyContracts,
     signContract,
+    countersignContract,
+    verifyContract,
     updateContract,
     requestAmendment,
     respondToAmendment,
+    acceptAmendment,
     terminateContract,
     completeContract,
+    renewContract,
+    pauseRetainer,
+    resumeRetainer,
+    cancelRetainer,
     getContractStats,
 } from '../controllers/contractController.js';
+import {
+    getClausePlaceholders,
+    getClauses,
+    createClause,
+    updateClause,
+    deleteClause,
+    getContractTemplates,
+    getContractTemplateById,
+    previewContractTemplate,
+    createContractTemplate,
+    updateContractTemplate,
+    deleteContractTemplate,
+} from '../controllers/contractTemplateController.js';
+import {
+    getMilestones,
+    linkMilestoneWork,
+    approveMilestone,
+    acceptMilestone,
+    disputeMilestone,
+    releaseMilestoneFunds,
+    acceptHolding,
+    releaseHoldingFunds,
+    getEscrowSummary,
+} from '../controllers/milestoneController.js';
 
 const router = express.Router();
 
 // Stats (admin only)
 router.get('/stats', protect, authorize('admin'), getContractStats);
 
+// Milestone escrow balances (admin only)
+router.get('/escrow', protect, authorize('admin'), getEscrowSummary);
+
 // Client routes
 router.get('/my-contracts', protect, getMyContracts);
 
+// Clause library and contract templates (admin only)
+router.get('/clauses/placeholders', protect, authorize('admin'), getClausePlaceholders);
+router.get('/clauses', protect, authorize('admin'), getClauses);
+router.post('/clauses', protect, authorize('admin'), createClause);
+router.put('/clauses/:id', protect, authorize('admin'), updateClause);
+router.delete('/clauses/:id', protect, authorize('admin'), deleteClause);
+router.get('/templates', protect, authorize('admin'), getContractTemplates);
+router.post('/templates', protect, authorize('admin'), createContractTemplate);
+router.get('/templates/:id', protect, authorize('admin'), getContractTemplateById);
+router.get('/templates/:id/preview', protect, authorize('admin'), previewContractTemplate);
+router.put('/templates/:id', protect, authorize('admin'), updateContractTemplate);
+router.delete('/templates/:id', protect, authorize('admin'), deleteContractTemplate);
+
 // Admin routes
 router.post('/generate', protect, authorize('admin'), generateContract);
 router.get('/', protect, authorize('admin'), getContracts);
 
 // Shared routes (with access control in controller)
 router.get('/:id', protect, getContractById);
+router.get('/:id/pdf', protect, downloadContractPdf);
+router.get('/:id/verify', protect, verifyContract);
 router.put('/:id', protect, authorize('admin'), updateContract);
 
-// Client signing
+// Signing: client first, then the provider counter-signs
 router.post('/:id/sign', protect, signContract);
+router.post('/:id/countersign', protect, authorize('admin'), countersignContract);
 
 // Amendments
 router.post('/:id/amendment', protect, requestAmendment);
 router.put('/:id/amendment/:amendmentId', protect, authorize('admin'), respondToAmendment);
+router.post('/:id/amendment/:amendmentId/accept', protect, acceptAmendment);
+
+// Milestone delivery: admin links and approves the work, client accepts (releasing held funds) or disputes it
+router.get('/:id/milestones', protect, getMilestones);
+router.put('/:id/milestones/:index', protect, authorize('admin'), linkMilestoneWork);
+router.post('/:id/milestones/:index/approve', protect, authorize('admin'), approveMilestone);
+router.post('/:id/milestones/:index/accept', protect, acceptMilestone);
+router.post('/:id/milestones/:index/dispute', protect, disputeMilestone);
+router.post('/:id/milestones/:index/release', protect, authorize('admin'), releaseMilestoneFunds);
+
+// Funds held on contracts without milestones: client accepts the delivered order or an admin releases them
+router.post('/:id/holdings/:holdingId/accept', protect, acceptHolding);
+router.post('/:id/holdings/:holdingId/release', protect, authorize('admin'), releaseHoldingFunds);
+
+// Retainer billing (client or admin, checked in controller)
+router.post('/:id/recurring/pause', protect, pauseRetainer);
+router.post('/:id/recurring/resume', protect, resumeRetainer);
+router.post('/:id/recurring/cancel', protect, cancelRetainer);
 
 // Contract lifecycle (admin only)
 router.post('/:id/terminate', protect, authorize('admin'), terminateContract);
 router.post('/:id/complete', protect, authorize('admin'), completeContract);
+router.post('/:id/renew', protect, authorize('admin'), renewContract);
 
 export default router;
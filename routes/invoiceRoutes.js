@@ -5,11 +5,17 @@ import {
     getInvoices,
     getMyInvoices,
     getInvoiceById,
+    downloadInvoicePdf,
     sendInvoice,
     markInvoicePaid,
+    refundInvoice,
+    applyInvoiceLateFee,
+    getInvoiceCreditNotes,
+    downloadCreditNotePdf,
     updateInvoice,
     deleteInvoice,
     getInvoiceStats,
+    exportInvoices,
 } from '../controllers/invoiceController.js';
 
 const router = express.Router();
@@ -18,8 +24,11 @@ const router = express.Router();
 router.post('/', protect, authorize('admin'), createInvoice);
 router.get('/', protect, authorize('admin'), getInvoices);
 router.get('/stats', protect, authorize('admin'), getInvoiceStats);
+router.get('/export', protect, authorize('admin'), exportInvoices);
 router.post('/:id/send', protect, authorize('admin'), sendInvoice);
 router.post('/:id/mark-paid', protect, authorize('admin'), markInvoicePaid);
+router.post('/:id/refund', protect, authorize('admin'), refundInvoice);
+router.post('/:id/late-fee', protect, authorize('admin'), applyInvoiceLateFee);
 router.put('/:id', protect, authorize('admin'), updateInvoice);
 router.delete('/:id', protect, authorize('admin'), deleteInvoice);
 
@@ -28,5 +37,8 @@ router.get('/my-invoices', protect, getMyInvoices);
 
 // Shared routes
 router.get('/:id', protect, getInvoiceById);
+router.get('/:id/pdf', protect, downloadInvoicePdf);
+router.get('/:id/credit-notes', protect, getInvoiceCreditNotes);
+router.get('/:id/credit-notes/:creditNoteId/pdf', protect, downloadCreditNotePdf);
 
 export default router;
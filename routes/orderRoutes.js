@@ -5,7 +5,9 @@ import {
     createOrder,
     getCustomerOrders,
     getOrderById,
+    getOrderHistory,
     createPublicOrder,
+    estimateOrder,
     acceptQuote,
     declineQuote,
     requestRevision,
@@ -31,6 +33,9 @@ const router = express.Router();
 // Guest submissions (no auth required)
 router.post('/public', createPublicOrder);
 
+// Live price estimate for the order form
+router.post('/estimate', estimateOrder);
+
 // ============================================
 // CLIENT ROUTES
 // ============================================
@@ -68,6 +73,9 @@ router.put('/:id', protect, authorize('admin'), updateOrder);
 // Get single order (both client and admin can view)
 router.get('/:id', protect, getOrderById);
 
+// Status timeline
+router.get('/:id/history', protect, getOrderHistory);
+
 // ============================================
 // SUBTASK ROUTES (Admin & Developers)
 // ============================================
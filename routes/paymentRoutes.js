@@ -6,12 +6,23 @@ import {
     submitQRPayment,
     rejectQRPayment,
     uploadPaymentProof,
-    generateReceipt
+    generateReceipt,
+    downloadReceiptPdf,
+    handlePaymentWebhook,
+    getPaymentHistory,
+    getOrderPaymentLedger,
+    getInvoicePaymentLedger
 } from '../controllers/paymentController.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
 import multer from 'multer';
 
 const router = express.Router();
+
+// Gateway callbacks are mounted ahead of CSRF protection (see index.js)
+export const paymentWebhookRouter = express.Router();
+paymentWebhookRouter.post('/:provider', handlePaymentWebhook);
+paymentWebhookRouter.get('/:provider', handlePaymentWebhook);
+
 const upload = multer({
     storage: multer.memoryStorage(),
     fileFilter: (req, file, cb) => {
@@ -24,7 +35,7 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
 });
 
-// eSewa payment
+// Online payment (active provider from settings)
 router.post('/initiate', protect, initiatePayment);
 router.post('/verify', protect, verifyPayment);
 
@@ -37,21 +48,12 @@ router.post('/upload-proof', protect, upload.single('file'), uploadPaymentProof)
 
 // Receipt generation
 router.post('/generate-receipt', protect, generateReceipt);
+router.get('/receipt/:orderId/pdf', protect, downloadReceiptPdf);
 
-// Payment history (returns orders with payment info)
-router.get('/history', protect, async (req, res) => {
-    try {
-        const Order = (await import('../models/Order.js')).default;
-        const orders = await Order.find({
-            client: req.user._id,
-            paymentStatus: { $in: ['paid', 'pending_verification'] }
-        }).select('title paymentStatus paidAmount quotedAmount paidAt transactionId paymentMethod').sort({ paidAt: -1 });
-        res.json(orders);
-    } catch (error) {
-        console.error('Payment history error:', error);
-        res.status(500).json({ message: 'Failed to fetch payment history' });
-    }
-});
+// Payment ledger
+router.get('/history', protect, getPaymentHistory);
+router.get('/ledger/order/:orderId', protect, getOrderPaymentLedger);
+router.get('/ledger/invoice/:invoiceId', protect, getInvoicePaymentLedger);
 
 // Status
 router.get('/:orderId', protect, getPaymentStatus);
@@ -1,8 +1,11 @@
 import express from 'express';
 import {
     createQuote,
+    createQuoteFromTemplate,
     getQuotes,
     getQuoteById,
+    downloadQuotePdf,
+    getQuoteDiff,
     getQuotesByOrder,
     updateQuote,
     sendQuote,
@@ -10,6 +13,11 @@ import {
     rejectQuote,
     requestNegotiation,
     reviseQuote,
+    renewQuote,
+    getNegotiationThread,
+    postNegotiationMessage,
+    respondToCounterOffer,
+    reviseFromCounterOffer,
     deleteQuote,
     getMyQuotes,
     getQuoteStats
@@ -20,11 +28,14 @@ const router = express.Router();
 
 // Admin routes
 router.post('/', protect, authorize('admin'), createQuote);
+router.post('/from-template', protect, authorize('admin'), createQuoteFromTemplate);
 router.get('/', protect, authorize('admin'), getQuotes);
 router.get('/stats', protect, authorize('admin'), getQuoteStats);
 router.put('/:id', protect, authorize('admin'), updateQuote);
 router.post('/:id/send', protect, authorize('admin'), sendQuote);
 router.post('/:id/revise', protect, authorize('admin'), reviseQuote);
+router.post('/:id/renew', protect, authorize('admin'), renewQuote);
+router.post('/:id/negotiation/:messageId/revise', protect, authorize('admin'), reviseFromCounterOffer);
 router.delete('/:id', protect, authorize('admin'), deleteQuote);
 
 // Client routes
@@ -35,6 +46,11 @@ router.post('/:id/negotiate', protect, authorize('client'), requestNegotiation);
 
 // Shared routes (access controlled in controller)
 router.get('/order/:orderId', protect, getQuotesByOrder);
+router.get('/:id/pdf', protect, downloadQuotePdf);
+router.get('/:id/diff', protect, getQuoteDiff);
+router.get('/:id/negotiation', protect, authorize('client', 'admin'), getNegotiationThread);
+router.post('/:id/negotiation', protect, authorize('client', 'admin'), postNegotiationMessage);
+router.post('/:id/negotiation/:messageId/respond', protect, authorize('client', 'admin'), respondToCounterOffer);
 router.get('/:id', protect, getQuoteById);
 
 export default router;
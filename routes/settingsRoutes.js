@@ -4,7 +4,22 @@ import {
     updateQRCodeSettings,
     uploadQRCode,
     getAllSettings,
-    updateSetting
+    updateSetting,
+    getReminderSettings,
+    updateReminderSettings,
+    getDunningSettings,
+    updateDunningSettings,
+    getExchangeRates,
+    addExchangeRate,
+    updateExchangeRates,
+    getTaxSettings,
+    updateTaxSettings,
+    getBrandingSettings,
+    updateBrandingSettings,
+    getPricingSettings,
+    updatePricingSettings,
+    getPaymentProviderSettings,
+    updatePaymentProviderSettings
 } from '../controllers/settingsController.js';
 import { protect, authorize } from '../middleware/authMiddleware.js';
 import multer from 'multer';
@@ -28,6 +43,21 @@ router.get('/qr-code', getQRCodeSettings);
 // Admin routes
 router.put('/qr-code', protect, authorize('admin'), updateQRCodeSettings);
 router.post('/qr-code/upload', protect, authorize('admin'), upload.single('file'), uploadQRCode);
+router.get('/reminders', protect, authorize('admin'), getReminderSettings);
+router.put('/reminders', protect, authorize('admin'), updateReminderSettings);
+router.get('/dunning', protect, authorize('admin'), getDunningSettings);
+router.put('/dunning', protect, authorize('admin'), updateDunningSettings);
+router.get('/exchange-rates', protect, authorize('admin'), getExchangeRates);
+router.post('/exchange-rates', protect, authorize('admin'), addExchangeRate);
+router.put('/exchange-rates', protect, authorize('admin'), updateExchangeRates);
+router.get('/tax', protect, authorize('admin'), getTaxSettings);
+router.put('/tax', protect, authorize('admin'), updateTaxSettings);
+router.get('/branding', protect, authorize('admin'), getBrandingSettings);
+router.put('/branding', protect, authorize('admin'), updateBrandingSettings);
+router.get('/pricing', protect, authorize('admin'), getPricingSettings);
+router.put('/pricing', protect, authorize('admin'), updatePricingSettings);
+router.get('/payment-provider', protect, authorize('admin'), getPaymentProviderSettings);
+router.put('/payment-provider', protect, authorize('admin'), updatePaymentProviderSettings);
 router.get('/', protect, authorize('admin'), getAllSettings);
 router.put('/:key', protect, authorize('admin'), updateSetting);
 
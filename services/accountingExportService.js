@@ -0,0 +1,360 @@
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import CreditNote from '../models/CreditNote.js';
+import Settings from '../models/Settings.js';
+import { buildInvoiceFilter } from './invoiceService.js';
+import { BASE_CURRENCY, roundAmount } from '../utils/currency.js';
+
+/**
+ * Accounting Export Service
+ * Exports invoices, line items, payments and refunds for the bookkeeper as
+ * generic CSV, a QuickBooks Desktop IIF file or Xero's sales invoice CSV.
+ * IIF amounts are converted to the base currency at each document's locked
+ * rate; the CSV and Xero files keep the document currency.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'iif', 'xero'];
+export const CSV_DATASETS = ['invoices', 'line_items', 'payments'];
+
+// Settings key for ledger account names/codes, merged over the defaults
+export const ACCOUNTS_SETTING = 'accounting_export_accounts';
+
+export const DEFAULT_ACCOUNTS = {
+    receivable: 'Accounts Receivable',
+    income: 'Sales',
+    salesTax: 'Sales Tax Payable',
+    discount: 'Discounts Given',
+    deposit: 'Undeposited Funds',
+    xeroSalesAccountCode: '200',
+    xeroTaxType: 'Tax on Sales',
+    xeroExemptTaxType: 'Tax Exempt',
+};
+
+const XERO_COLUMNS = [
+    '*ContactName', 'EmailAddress', 'POAddressLine1', 'POAddressLine2', 'POAddressLine3', 'POAddressLine4',
+    'POCity', 'PORegion', 'POPostalCode', 'POCountry', '*InvoiceNumber', 'Reference', '*InvoiceDate',
+    '*DueDate', 'Total', 'InventoryItemCode', '*Description', '*Quantity', '*UnitAmount', 'Discount',
+    '*AccountCode', '*TaxType', 'TaxAmount', 'TrackingName1', 'TrackingOption1', 'TrackingName2',
+    'TrackingOption2', 'Currency', 'BrandingTheme',
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+const usDate = (date) => {
+    const d = new Date(date);
+    return `${pad(d.getMonth() + 1)}/${pad(d.getDate())}/${d.getFullYear()}`;
+};
+const xeroDate = (date) => {
+    const d = new Date(date);
+    return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+};
+
+/**
+ * Quote a CSV cell; text starting with a formula character is prefixed
+ * with ' so spreadsheets do not evaluate it
+ */
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) =>
+    [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+
+// IIF is tab separated with no quoting, so tabs and line breaks are flattened
+const iifCell = (value) => (value === undefined || value === null ? '' : String(value).replace(/[\t\r\n]+/g, ' '));
+const iifRow = (cells) => cells.map(iifCell).join('\t');
+
+/**
+ * Ledger account names, with admin overrides from Settings
+ */
+export const getExportAccounts = async () => {
+    const configured = await Settings.getSetting(ACCOUNTS_SETTING, {});
+    return { ...DEFAULT_ACCOUNTS, ...(configured && typeof configured === 'object' ? configured : {}) };
+};
+
+/**
+ * Invoices matching the getInvoices filters; drafts are left out unless a
+ * status is asked for since they are not yet in the books
+ */
+const findInvoices = (query) => {
+    const filter = buildInvoiceFilter(query);
+    if (!filter.status) filter.status = { $ne: 'draft' };
+    return Invoice.find(filter).sort({ issueDate: 1, sequenceNumber: 1 }).lean();
+};
+
+/**
+ * Completed payment ledger entries paid in the period, with the credit
+ * note behind each refund
+ */
+const findPayments = async ({ client, startDate, endDate } = {}) => {
+    const filter = { status: 'completed' };
+    if (client) filter.client = client;
+    if (startDate || endDate) {
+        filter.paidAt = {};
+        if (startDate) filter.paidAt.$gte = new Date(startDate);
+        if (endDate) filter.paidAt.$lte = new Date(endDate);
+    }
+
+    const payments = await Payment.find(filter)
+        .sort({ paidAt: 1 })
+        .populate('invoice', 'invoiceNumber clientDetails currency exchangeRate taxAmount total')
+        .populate('client', 'name email')
+        .lean();
+
+    const refundIds = payments.filter(payment => payment.type === 'refund').map(payment => payment._id);
+    const creditNotes = refundIds.length > 0
+        ? await CreditNote.find({ payment: { $in: refundIds } }).lean()
+        : [];
+    const notesByPayment = new Map(creditNotes.map(note => [String(note.payment), note]));
+
+    return Promise.all(payments.map(async payment => {
+        let rate = 1;
+        if (payment.currency && payment.currency !== BASE_CURRENCY) {
+            rate = payment.invoice?.currency === payment.currency && payment.invoice.exchangeRate
+                ? payment.invoice.exchangeRate
+                : (await Settings.getExchangeRate(payment.currency, payment.paidAt)) || 1;
+        }
+        return { ...payment, exchangeRate: rate, creditNote: notesByPayment.get(String(payment._id)) || null };
+    }));
+};
+
+// Per-item tax, falling back to the document rate for unprofiled invoices
+const lineItemTax = (invoice, item) => {
+    if (invoice.lineItems.some(line => line.taxProfile)) return item.taxAmount || 0;
+    return roundAmount(item.amount * ((invoice.taxRate || 0) / 100));
+};
+
+const invoiceRows = (invoices) => invoices.map(invoice => ({
+    invoiceNumber: invoice.invoiceNumber,
+    issueDate: isoDate(invoice.issueDate),
+    dueDate: isoDate(invoice.dueDate),
+    status: invoice.status,
+    client: invoice.clientDetails?.name,
+    clientEmail: invoice.clientDetails?.email,
+    title: invoice.title,
+    currency: invoice.currency,
+    exchangeRate: invoice.exchangeRate || 1,
+    subtotal: invoice.subtotal,
+    discountAmount: invoice.discountAmount || 0,
+    taxAmount: invoice.taxAmount || 0,
+    total: invoice.total,
+    baseTotal: roundAmount(invoice.total * (invoice.exchangeRate || 1)),
+    paidAt: isoDate(invoice.paidAt),
+    paymentMethod: invoice.paymentMethod,
+    paymentReference: invoice.paymentReference,
+}));
+
+const lineItemRows = (invoices) => invoices.flatMap(invoice => invoice.lineItems.map(item => ({
+    invoiceNumber: invoice.invoiceNumber,
+    issueDate: isoDate(invoice.issueDate),
+    status: invoice.status,
+    client: invoice.clientDetails?.name,
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    amount: item.amount,
+    taxProfile: item.taxProfile,
+    taxRate: item.taxProfile ? item.taxRate || 0 : invoice.taxRate || 0,
+    taxAmount: lineItemTax(invoice, item),
+    lateFee: item.isLateFee ? 'yes' : 'no',
+    currency: invoice.currency,
+})));
+
+const paymentRows = (payments) => payments.map(payment => ({
+    date: isoDate(payment.paidAt),
+    type: payment.type,
+    invoiceNumber: payment.invoice?.invoiceNumber,
+    creditNoteNumber: payment.creditNote?.creditNoteNumber,
+    client: payment.invoice?.clientDetails?.name || payment.client?.name,
+    method: payment.method,
+    amount: payment.amount,
+    currency: payment.currency,
+    exchangeRate: payment.exchangeRate,
+    baseAmount: roundAmount(payment.amount * payment.exchangeRate),
+    transactionId: payment.transactionId || payment.gatewayReference,
+    notes: payment.notes || payment.creditNote?.reason,
+}));
+
+const CSV_COLUMNS = {
+    invoices: [
+        'invoiceNumber', 'issueDate', 'dueDate', 'status', 'client', 'clientEmail', 'title', 'currency',
+        'exchangeRate', 'subtotal', 'discountAmount', 'taxAmount', 'total', 'baseTotal', 'paidAt',
+        'paymentMethod', 'paymentReference',
+    ],
+    line_items: [
+        'invoiceNumber', 'issueDate', 'status', 'client', 'description', 'quantity', 'unitPrice', 'amount',
+        'taxProfile', 'taxRate', 'taxAmount', 'lateFee', 'currency',
+    ],
+    payments: [
+        'date', 'type', 'invoiceNumber', 'creditNoteNumber', 'client', 'method', 'amount', 'currency',
+        'exchangeRate', 'baseAmount', 'transactionId', 'notes',
+    ],
+};
+
+/**
+ * QuickBooks IIF: invoices, received payments, and refunds as a credit memo
+ * plus the cheque paying it out. QuickBooks rejects unbalanced transactions,
+ * so the TRNS amount is the negated sum of the rounded splits.
+ */
+const buildIif = (invoices, payments, accounts) => {
+    const lines = [
+        iifRow(['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO']),
+        iifRow(['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO']),
+        iifRow(['!ENDTRNS']),
+    ];
+    const transaction = (type, date, name, docNumber, memo, account, splits) => {
+        const rounded = splits.map(split => ({ ...split, amount: roundAmount(split.amount) }));
+        const amount = -rounded.reduce((sum, split) => sum + split.amount, 0);
+        lines.push(iifRow(['TRNS', '', type, usDate(date), account, name, roundAmount(amount).toFixed(2), docNumber, memo]));
+        for (const split of rounded) {
+            lines.push(iifRow(['SPL', '', type, usDate(date), split.account, name, split.amount.toFixed(2), docNumber, split.memo]));
+        }
+        lines.push(iifRow(['ENDTRNS']));
+    };
+
+    for (const invoice of invoices) {
+        if (invoice.status === 'cancelled') continue;
+        const rate = invoice.exchangeRate || 1;
+        const name = invoice.clientDetails?.name || 'Unknown client';
+
+        const splits = invoice.lineItems.map(item => ({
+            account: accounts.income,
+            amount: -item.amount * rate,
+            memo: item.description,
+        }));
+        if (invoice.discountAmount) {
+            splits.push({ account: accounts.discount, amount: invoice.discountAmount * rate, memo: 'Discount' });
+        }
+        if (invoice.taxAmount) {
+            splits.push({ account: accounts.salesTax, amount: -invoice.taxAmount * rate, memo: 'Tax' });
+        }
+
+        transaction('INVOICE', invoice.issueDate, name, invoice.invoiceNumber, invoice.title,
+            accounts.receivable, splits);
+    }
+
+    for (const payment of payments) {
+        const amount = payment.amount * payment.exchangeRate;
+        const name = payment.invoice?.clientDetails?.name || payment.client?.name || 'Unknown client';
+        const docNumber = payment.invoice?.invoiceNumber || '';
+
+        if (payment.type === 'payment') {
+            transaction('PAYMENT', payment.paidAt, name, docNumber, payment.transactionId || payment.method,
+                accounts.deposit, [{ account: accounts.receivable, amount: -amount, memo: payment.method }]);
+            continue;
+        }
+
+        const note = payment.creditNote;
+        if (note) {
+            // Reverse the invoice's tax share of the refunded amount
+            const invoice = payment.invoice;
+            const taxShare = invoice?.total > 0 ? (invoice.taxAmount || 0) / invoice.total : 0;
+            const tax = roundAmount(amount * taxShare);
+            const splits = [{ account: accounts.income, amount: amount - tax, memo: note.reason }];
+            if (tax) splits.push({ account: accounts.salesTax, amount: tax, memo: 'Tax' });
+
+            transaction('CREDIT MEMO', payment.paidAt, name, note.creditNoteNumber, note.reason,
+                accounts.receivable, splits);
+        }
+
+        transaction('CHECK', payment.paidAt, name, note?.creditNoteNumber || docNumber, 'Refund',
+            accounts.deposit, [{ account: accounts.receivable, amount, memo: 'Refund' }]);
+    }
+
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Xero sales invoice import: one row per line item, document discount
+ * spread as a percentage over every line
+ */
+const buildXeroCsv = (invoices, accounts) => {
+    const rows = [];
+    for (const invoice of invoices) {
+        if (invoice.status === 'cancelled') continue;
+        const profiled = invoice.lineItems.some(item => item.taxProfile);
+        const discountPercent = invoice.subtotal > 0 && invoice.discountAmount
+            ? roundAmount((invoice.discountAmount / invoice.subtotal) * 100)
+            : '';
+
+        for (const item of invoice.lineItems) {
+            const taxRate = profiled ? (item.taxExempt ? 0 : item.taxRate || 0) : invoice.taxRate || 0;
+            rows.push({
+                '*ContactName': invoice.clientDetails?.name || 'Unknown client',
+                EmailAddress: invoice.clientDetails?.email,
+                '*InvoiceNumber': invoice.invoiceNumber,
+                Reference: invoice.title,
+                '*InvoiceDate': xeroDate(invoice.issueDate),
+                '*DueDate': xeroDate(invoice.dueDate),
+                Total: invoice.total,
+                '*Description': item.description,
+                '*Quantity': item.quantity,
+                '*UnitAmount': item.unitPrice,
+                Discount: discountPercent,
+                '*AccountCode': accounts.xeroSalesAccountCode,
+                '*TaxType': taxRate > 0 ? accounts.xeroTaxType : accounts.xeroExemptTaxType,
+                TaxAmount: lineItemTax(invoice, item),
+                Currency: invoice.currency,
+            });
+        }
+    }
+
+    return toCsv(XERO_COLUMNS, rows);
+};
+
+/**
+ * Build an accounting export file
+ * @param {Object} options - { format, dataset, status, client, startDate, endDate }
+ * @returns {Promise<{filename: string, contentType: string, content: string}>}
+ */
+export const buildAccountingExport = async ({ format = 'csv', dataset = 'invoices', ...query } = {}) => {
+    const range = `${isoDate(query.startDate) || 'start'}-to-${isoDate(query.endDate || new Date())}`;
+
+    if (format === 'iif') {
+        const [invoices, payments, accounts] = await Promise.all([
+            findInvoices(query),
+            findPayments(query),
+            getExportAccounts(),
+        ]);
+        return {
+            filename: `quickbooks-${range}.iif`,
+            contentType: 'text/plain; charset=utf-8',
+            content: buildIif(invoices, payments, accounts),
+        };
+    }
+
+    if (format === 'xero') {
+        const [invoices, accounts] = await Promise.all([findInvoices(query), getExportAccounts()]);
+        return {
+            filename: `xero-invoices-${range}.csv`,
+            contentType: 'text/csv; charset=utf-8',
+            content: buildXeroCsv(invoices, accounts),
+        };
+    }
+
+    const rows = dataset === 'payments'
+        ? paymentRows(await findPayments(query))
+        : (dataset === 'line_items' ? lineItemRows : invoiceRows)(await findInvoices(query));
+
+    return {
+        filename: `${dataset.replace('_', '-')}-${range}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        content: toCsv(CSV_COLUMNS[dataset], rows),
+    };
+};
+
+export default {
+    EXPORT_FORMATS,
+    CSV_DATASETS,
+    DEFAULT_ACCOUNTS,
+    getExportAccounts,
+    toCsv,
+    buildAccountingExport,
+};
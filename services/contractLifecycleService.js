@@ -0,0 +1,235 @@
+import Contract from '../models/Contract.js';
+import Settings from '../models/Settings.js';
+import { startRecurringJob } from './jobScheduler.js';
+import { createNotification, notifyAllAdmins } from '../controllers/notificationController.js';
+
+/**
+ * Contract Lifecycle Service
+ * Contracts left unsigned or not counter-signed past the signing window,
+ * and active contracts whose end date has passed, are moved to 'expired'.
+ * A contract past its end date stays active while any milestone is still
+ * unpaid or under review, or any payment is held in escrow, so late work
+ * can be finished, billed and disputed. Ahead of the end date
+ * both parties get one renewal reminder; admins renew a contract as a new
+ * version with POST /api/contracts/:id/renew.
+ */
+
+export const CONTRACT_LIFECYCLE_JOB_NAME = 'contract_lifecycle';
+
+// Settings keys holding the signing window and renewal notice in days
+export const CONTRACT_SIGNING_WINDOW_SETTING = 'contract_signing_days';
+export const DEFAULT_CONTRACT_SIGNING_DAYS = 14;
+export const CONTRACT_RENEWAL_NOTICE_SETTING = 'contract_renewal_notice_days';
+export const DEFAULT_CONTRACT_RENEWAL_NOTICE_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getDays = async (key, fallback) => {
+    const days = Number(await Settings.getSetting(key, fallback));
+    return Number.isInteger(days) && days > 0 ? days : fallback;
+};
+
+/**
+ * Get the configured signing window in days
+ */
+export const getContractSigningDays = () =>
+    getDays(CONTRACT_SIGNING_WINDOW_SETTING, DEFAULT_CONTRACT_SIGNING_DAYS);
+
+/**
+ * Get the configured renewal notice in days
+ */
+export const getContractRenewalNoticeDays = () =>
+    getDays(CONTRACT_RENEWAL_NOTICE_SETTING, DEFAULT_CONTRACT_RENEWAL_NOTICE_DAYS);
+
+/**
+ * End date of a contract: the retainer end for recurring contracts,
+ * otherwise the estimated completion date
+ */
+export const getContractEndDate = (contract) =>
+    (contract.financialTerms?.paymentStructure === 'recurring'
+        ? contract.financialTerms.recurring?.endDate
+        : contract.timeline?.estimatedCompletionDate) || null;
+
+// Active contracts whose end date is before the given time
+const endingBefore = (date) => ({
+    status: 'active',
+    $or: [
+        { 'financialTerms.paymentStructure': 'recurring', 'financialTerms.recurring.endDate': { $lt: date } },
+        { 'financialTerms.paymentStructure': { $ne: 'recurring' }, 'timeline.estimatedCompletionDate': { $lt: date } },
+    ],
+});
+
+// Statuses awaiting a signature, with when the wait for it started: the client's
+// window runs from when the contract was sent, the admin's from the client's signature
+const SIGNING_WAIT_STARTS = { pending_signature: 'sentAt', pending_countersign: 'signedAt' };
+
+// No milestone is unpaid, under client review or holding funds, and no payment is held on the contract
+const noOutstandingMilestones = {
+    'escrowHoldings.escrow.status': { $nin: ['held', 'disputed'] },
+    'financialTerms.milestones': {
+        $not: {
+            $elemMatch: {
+                $or: [
+                    { status: { $ne: 'paid' } },
+                    { 'delivery.status': { $in: ['approved', 'disputed'] } },
+                    { 'escrow.status': { $in: ['held', 'disputed'] } },
+                ],
+            },
+        },
+    },
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const notifyClient = async (contract, type, title, message) => {
+    if (!contract.client) return;
+    await createNotification(
+        contract.client,
+        type,
+        title,
+        message,
+        contract._id,
+        'Contract',
+        `/dashboard/client/contracts/${contract._id}`
+    );
+};
+
+const notifyAdmins = (type, title, message, contract) => notifyAllAdmins(
+    type,
+    title,
+    message,
+    contract._id,
+    'Contract',
+    `/admin/contracts/${contract._id}`
+);
+
+// Move one contract to 'expired'; the status check keeps a contract signed meanwhile from being expired
+const expireContract = async (contract, fromStatus, reason, now) => {
+    const updated = await Contract.findOneAndUpdate(
+        { _id: contract._id, status: fromStatus },
+        { status: 'expired', expiredAt: now, expiryReason: reason },
+        { new: true }
+    );
+    if (!updated) return false;
+
+    const { contractNumber } = contract;
+    const title = contract.projectDetails?.title;
+    if (reason === 'unsigned') {
+        const signing = fromStatus === 'pending_countersign' ? 'counter-signed' : 'signed';
+        await notifyClient(contract, 'contract_expired', 'Contract Expired',
+            `Contract ${contractNumber} for "${title}" expired before it was ${signing}. Contact us to have it reissued.`);
+        await notifyAdmins('contract_expired', 'Contract Expired',
+            `Contract ${contractNumber} for "${title}" expired before it was ${signing}`, contract);
+    } else {
+        await notifyClient(contract, 'contract_expired', 'Contract Ended',
+            `Contract ${contractNumber} for "${title}" has reached its end date and expired.`);
+        await notifyAdmins('contract_expired', 'Contract Ended',
+            `Contract ${contractNumber} for "${title}" reached its end date`, contract);
+    }
+    return true;
+};
+
+/**
+ * Expire contracts left unsigned or not counter-signed past the signing
+ * window, and active contracts past their end date with nothing outstanding
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<{checked: number, expired: number}>}
+ */
+export const expireContracts = async (now = new Date()) => {
+    const signingCutoff = new Date(now.getTime() - await getContractSigningDays() * DAY_MS);
+    const unsigned = await Contract.find({
+        $or: Object.entries(SIGNING_WAIT_STARTS).map(([status, since]) => ({ status, [since]: { $lt: signingCutoff } })),
+    });
+    const ended = await Contract.find({ ...endingBefore(now), ...noOutstandingMilestones });
+
+    let expired = 0;
+    const due = [
+        ...unsigned.map(contract => [contract, contract.status, 'unsigned']),
+        ...ended.map(contract => [contract, 'active', 'ended']),
+    ];
+    for (const [contract, fromStatus, reason] of due) {
+        try {
+            if (await expireContract(contract, fromStatus, reason, now)) expired++;
+        } catch (error) {
+            console.error(`[Contract Lifecycle] Expiry failed for contract ${contract.contractNumber}:`, error.message);
+        }
+    }
+
+    return { checked: due.length, expired };
+};
+
+/**
+ * Remind both parties once when an active contract nears its end date
+ * Renewed contracts are skipped.
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<{checked: number, reminded: number}>}
+ */
+export const sendRenewalReminders = async (now = new Date()) => {
+    const noticeEnd = new Date(now.getTime() + await getContractRenewalNoticeDays() * DAY_MS);
+    const contracts = await Contract.find({
+        ...endingBefore(noticeEnd),
+        renewalReminderSentAt: null,
+        renewedTo: null,
+    });
+
+    let reminded = 0;
+    for (const contract of contracts) {
+        try {
+            const endDate = getContractEndDate(contract);
+            if (!endDate || endDate < now) continue;
+
+            const claimed = await Contract.findOneAndUpdate(
+                { _id: contract._id, status: 'active', renewalReminderSentAt: null },
+                { renewalReminderSentAt: now }
+            );
+            if (!claimed) continue;
+            reminded++;
+
+            const { contractNumber } = contract;
+            const title = contract.projectDetails?.title;
+            await notifyClient(contract, 'contract_renewal', 'Contract Ending Soon',
+                `Contract ${contractNumber} for "${title}" ends on ${formatDate(endDate)}. Contact us if you would like to renew it.`);
+            await notifyAdmins('contract_renewal', 'Contract Ending Soon',
+                `Contract ${contractNumber} for "${title}" ends on ${formatDate(endDate)} and can be renewed`, contract);
+        } catch (error) {
+            console.error(`[Contract Lifecycle] Reminder failed for contract ${contract.contractNumber}:`, error.message);
+        }
+    }
+
+    return { checked: contracts.length, reminded };
+};
+
+/**
+ * One lifecycle sweep: renewal reminders, then expiry
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<{expired: number, reminded: number}>}
+ */
+export const processContractLifecycle = async (now = new Date()) => {
+    const { reminded } = await sendRenewalReminders(now);
+    const { expired } = await expireContracts(now);
+    return { expired, reminded };
+};
+
+/**
+ * Start the contract lifecycle scheduler
+ * Runs every hour; only the instance holding the lock performs the sweep
+ */
+export const startContractLifecycleScheduler = () => {
+    console.log('[Contract Lifecycle] Starting contract lifecycle service...');
+
+    const intervalMs = 60 * 60 * 1000; // 1 hour
+    const stop = startRecurringJob(CONTRACT_LIFECYCLE_JOB_NAME, intervalMs, () => processContractLifecycle());
+
+    console.log('[Contract Lifecycle] Scheduler started - checking every hour');
+    return stop;
+};
+
+export default {
+    getContractSigningDays,
+    getContractRenewalNoticeDays,
+    getContractEndDate,
+    expireContracts,
+    sendRenewalReminders,
+    processContractLifecycle,
+    startContractLifecycleScheduler,
+};
@@ -0,0 +1,48 @@
+import ContractTemplate from '../models/ContractTemplate.js';
+import { contractVariables, renderClauseText } from '../utils/contractTemplate.js';
+
+/**
+ * Contract Template Service
+ * Renders a contract template's clauses for a quote and its order. The
+ * rendered text is stored on the contract with the template and clause
+ * versions, so later library edits never change a sent contract.
+ */
+
+/**
+ * Active template by ID, or the default template when no ID is given
+ * @returns {Promise<Object|null>} Template with clauses populated
+ */
+export const findContractTemplate = async (templateId) => {
+    const filter = templateId ? { _id: templateId, isActive: true } : { isDefault: true, isActive: true };
+    return ContractTemplate.findOne(filter).populate('clauses');
+};
+
+/**
+ * Contract fields generated from a template
+ * @param {Object} template - Template with clauses populated
+ * @param {Object} context - { quote, order, provider }
+ * @returns {Object} { template, templateVersion, clauses }
+ */
+export const renderContractTemplate = (template, { quote, order, provider }) => {
+    const variables = contractVariables(quote, order, provider);
+
+    return {
+        template: template._id,
+        templateVersion: template.version,
+        // Retired clauses are left out of new contracts
+        clauses: (template.clauses || [])
+            .filter(clause => clause?.isActive)
+            .map(clause => ({
+                clause: clause._id,
+                key: clause.key,
+                title: clause.title,
+                version: clause.version,
+                body: renderClauseText(clause.body, variables),
+            })),
+    };
+};
+
+export default {
+    findContractTemplate,
+    renderContractTemplate,
+};
@@ -1,13 +1,26 @@
 import Order from '../models/Order.js';
+import Settings from '../models/Settings.js';
+import ScheduledJob from '../models/ScheduledJob.js';
 import { sendEmail } from './emailService.js';
+import { instanceId, startRecurringJob, getLockStatus } from './jobScheduler.js';
 
 /**
  * Deadline Reminder Service
- * Runs periodically to check for upcoming deadlines and send reminder emails
+ * Runs periodically to check for upcoming deadlines and send reminder emails.
+ * Each reminder is recorded as a ScheduledJob so restarts and additional
+ * instances never send the same reminder twice.
  */
 
-// Track sent reminders to avoid duplicates (in production, use Redis or DB)
-const sentReminders = new Map();
+export const REMINDER_JOB_NAME = 'deadline_reminders';
+
+// Hours before the deadline at which reminders go out (overridable via Settings)
+export const DEFAULT_REMINDER_OFFSETS = [72, 48, 24];
+
+const MAX_ATTEMPTS = 3;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Order statuses that still need deadline reminders
+const ACTIVE_STATUSES = ['accepted', 'working', 'review'];
 
 // Status labels for email
 const statusLabels = {
@@ -20,121 +33,237 @@ const statusLabels = {
     completed: 'Completed',
 };
 
+/**
+ * Clean a list of reminder offsets: positive whole hours, unique, largest first
+ */
+export const normalizeOffsets = (offsets) => {
+    if (!Array.isArray(offsets)) return null;
+
+    const cleaned = [...new Set(
+        offsets.map(Number).filter(h => Number.isInteger(h) && h > 0)
+    )].sort((a, b) => b - a);
+
+    return cleaned.length > 0 ? cleaned : null;
+};
+
+/**
+ * Get configured reminder offsets in hours
+ */
+export const getReminderOffsets = async () => {
+    const configured = await Settings.getSetting('deadline_reminder_offsets', DEFAULT_REMINDER_OFFSETS);
+    return normalizeOffsets(configured) || DEFAULT_REMINDER_OFFSETS;
+};
+
+/**
+ * Pick the tightest offset the deadline has already entered, e.g. 24 when 20 hours remain
+ */
+const getDueOffset = (offsets, hoursRemaining) => {
+    const reached = offsets.filter(offset => hoursRemaining <= offset);
+    return reached.length > 0 ? Math.min(...reached) : null;
+};
+
+const formatTimeRemaining = (hoursRemaining) => {
+    if (hoursRemaining < 24) {
+        return `${hoursRemaining} hours`;
+    }
+    const daysRemaining = Math.floor(hoursRemaining / 24);
+    return `${daysRemaining} day${daysRemaining > 1 ? 's' : ''}`;
+};
+
+/**
+ * Send a single reminder and record the outcome on its job
+ */
+const sendReminder = async (job, assignment, hoursRemaining) => {
+    const deadlineDate = new Date(assignment.deadline);
+    const clientEmail = assignment.client?.email || assignment.clientEmail;
+
+    job.attempts += 1;
+    job.processedBy = instanceId;
+
+    if (!clientEmail) {
+        job.status = 'skipped';
+        job.lastError = 'No client email';
+        await job.save();
+        return;
+    }
+
+    job.recipient = clientEmail;
+
+    try {
+        const baseUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+        await sendEmail(clientEmail, 'deadlineReminder', {
+            clientName: assignment.client?.name || assignment.clientName || 'Valued Customer',
+            assignmentTitle: assignment.title,
+            timeRemaining: formatTimeRemaining(hoursRemaining),
+            deadline: deadlineDate.toLocaleDateString('en-US', {
+                weekday: 'long',
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            }),
+            status: statusLabels[assignment.status] || assignment.status,
+            progress: assignment.progress || 0,
+            dashboardUrl: `${baseUrl}/dashboard/client/orders/${assignment._id}`,
+        });
+
+        job.status = 'completed';
+        job.completedAt = new Date();
+        job.lastError = undefined;
+        console.log(`[Deadline Reminder] Sent ${job.offsetHours}h reminder for "${assignment.title}" to ${clientEmail}`);
+    } catch (emailError) {
+        job.status = 'failed';
+        job.lastError = emailError.message;
+        console.error(`[Deadline Reminder] Failed to send email for ${assignment._id}:`, emailError);
+    }
+
+    await job.save();
+};
+
 /**
  * Check for assignments with approaching deadlines and send reminders
+ * Should only be called while holding the reminder job lock
  */
 export const checkDeadlineReminders = async () => {
-    try {
-        const now = new Date();
-
-        // Find assignments that are active and have deadlines within 3 days
-        const threeDaysFromNow = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
-        const oneDayFromNow = new Date(now.getTime() + 1 * 24 * 60 * 60 * 1000);
-
-        const assignments = await Order.find({
-            status: { $in: ['accepted', 'working', 'review'] },
-            deadline: {
-                $gte: now,
-                $lte: threeDaysFromNow
-            }
-        }).populate('client', 'name email');
-
-        console.log(`[Deadline Reminder] Found ${assignments.length} assignments with upcoming deadlines`);
-
-        for (const assignment of assignments) {
-            const deadlineDate = new Date(assignment.deadline);
-            const hoursRemaining = Math.floor((deadlineDate - now) / (1000 * 60 * 60));
-            const daysRemaining = Math.floor(hoursRemaining / 24);
-
-            // Determine reminder type based on time remaining
-            let reminderType = null;
-            if (hoursRemaining <= 24) {
-                reminderType = '24h';
-            } else if (daysRemaining <= 2) {
-                reminderType = '2d';
-            } else if (daysRemaining <= 3) {
-                reminderType = '3d';
-            }
-
-            if (!reminderType) continue;
-
-            // Create unique key for this reminder
-            const reminderKey = `${assignment._id}-${reminderType}`;
-
-            // Skip if already sent
-            if (sentReminders.has(reminderKey)) {
-                continue;
-            }
-
-            // Get client email
-            const clientEmail = assignment.client?.email || assignment.clientEmail;
-            if (!clientEmail) continue;
-
-            // Calculate time remaining string
-            let timeRemaining;
-            if (hoursRemaining < 24) {
-                timeRemaining = `${hoursRemaining} hours`;
-            } else {
-                timeRemaining = `${daysRemaining} day${daysRemaining > 1 ? 's' : ''}`;
-            }
-
-            try {
-                const baseUrl = process.env.CLIENT_URL || 'http://localhost:5173';
-                await sendEmail(clientEmail, 'deadlineReminder', {
-                    clientName: assignment.client?.name || assignment.clientName || 'Valued Customer',
-                    assignmentTitle: assignment.title,
-                    timeRemaining,
-                    deadline: deadlineDate.toLocaleDateString('en-US', {
-                        weekday: 'long',
-                        year: 'numeric',
-                        month: 'long',
-                        day: 'numeric',
-                        hour: '2-digit',
-                        minute: '2-digit'
-                    }),
-                    status: statusLabels[assignment.status] || assignment.status,
-                    progress: assignment.progress || 0,
-                    dashboardUrl: `${baseUrl}/dashboard/client/orders/${assignment._id}`,
-                });
-
-                // Mark as sent
-                sentReminders.set(reminderKey, Date.now());
-                console.log(`[Deadline Reminder] Sent ${reminderType} reminder for "${assignment.title}" to ${clientEmail}`);
-            } catch (emailError) {
-                console.error(`[Deadline Reminder] Failed to send email for ${assignment._id}:`, emailError);
-            }
+    const now = new Date();
+    const offsets = await getReminderOffsets();
+    const windowEnd = new Date(now.getTime() + offsets[0] * HOUR_MS);
+
+    const assignments = await Order.find({
+        status: { $in: ACTIVE_STATUSES },
+        deadline: {
+            $gte: now,
+            $lte: windowEnd
         }
+    }).populate('client', 'name email');
+
+    console.log(`[Deadline Reminder] Found ${assignments.length} assignments with upcoming deadlines`);
+
+    let sent = 0;
 
-        // Clean up old entries from sentReminders (older than 7 days)
-        const sevenDaysAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
-        for (const [key, timestamp] of sentReminders.entries()) {
-            if (timestamp < sevenDaysAgo) {
-                sentReminders.delete(key);
-            }
+    for (const assignment of assignments) {
+        const deadlineDate = new Date(assignment.deadline);
+        const hoursRemaining = Math.floor((deadlineDate - now) / HOUR_MS);
+
+        const offsetHours = getDueOffset(offsets, hoursRemaining);
+        if (!offsetHours) continue;
+
+        // Create the run record once; later sweeps find the existing one
+        const job = await ScheduledJob.findOneAndUpdate(
+            {
+                type: 'deadline_reminder',
+                order: assignment._id,
+                offsetHours,
+                deadline: deadlineDate,
+            },
+            {
+                $setOnInsert: {
+                    runAt: new Date(deadlineDate.getTime() - offsetHours * HOUR_MS),
+                    status: 'pending',
+                },
+            },
+            { upsert: true, new: true }
+        );
+
+        const retryable = job.status === 'pending' ||
+            (job.status === 'failed' && job.attempts < MAX_ATTEMPTS);
+        if (!retryable) continue;
+
+        await sendReminder(job, assignment, hoursRemaining);
+        if (job.status === 'completed') sent++;
+    }
+
+    return { checked: assignments.length, sent };
+};
+
+/**
+ * List past reminder runs and reminders expected to go out
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of past runs
+ * @param {number} options.days - How far ahead to look for upcoming reminders
+ */
+export const getReminderSchedule = async ({ limit = 50, days = 7 } = {}) => {
+    const now = new Date();
+    const offsets = await getReminderOffsets();
+    const horizon = new Date(now.getTime() + days * 24 * HOUR_MS);
+
+    const past = await ScheduledJob.find({ type: 'deadline_reminder' })
+        .populate('order', 'title assignmentNumber deadline status')
+        .sort({ updatedAt: -1 })
+        .limit(limit);
+
+    // Orders whose deadline falls within reach of any offset during the horizon
+    const orders = await Order.find({
+        status: { $in: ACTIVE_STATUSES },
+        deadline: {
+            $gte: now,
+            $lte: new Date(horizon.getTime() + offsets[0] * HOUR_MS)
         }
+    }).select('title assignmentNumber deadline status clientEmail');
+
+    const existingJobs = await ScheduledJob.find({
+        type: 'deadline_reminder',
+        order: { $in: orders.map(o => o._id) },
+    }).select('order offsetHours deadline');
+
+    const existingKeys = new Set(existingJobs.map(j =>
+        `${j.order}-${j.offsetHours}-${new Date(j.deadline).getTime()}`
+    ));
 
-    } catch (error) {
-        console.error('[Deadline Reminder] Error checking deadlines:', error);
+    const upcoming = [];
+    for (const order of orders) {
+        const deadlineDate = new Date(order.deadline);
+        const hoursRemaining = Math.floor((deadlineDate - now) / HOUR_MS);
+        const dueOffset = getDueOffset(offsets, hoursRemaining);
+
+        for (const offsetHours of offsets) {
+            if (existingKeys.has(`${order._id}-${offsetHours}-${deadlineDate.getTime()}`)) continue;
+
+            const runAt = new Date(deadlineDate.getTime() - offsetHours * HOUR_MS);
+            const isDue = offsetHours === dueOffset;
+
+            // Offsets already passed are skipped by the sweep, except the current one
+            if (runAt <= now && !isDue) continue;
+            if (runAt > horizon) continue;
+
+            upcoming.push({
+                order,
+                offsetHours,
+                deadline: deadlineDate,
+                runAt: isDue ? now : runAt,
+                status: isDue ? 'due' : 'scheduled',
+            });
+        }
     }
+
+    upcoming.sort((a, b) => a.runAt - b.runAt);
+
+    return {
+        offsets,
+        lock: await getLockStatus(REMINDER_JOB_NAME),
+        upcoming,
+        past,
+    };
 };
 
 /**
  * Start the deadline reminder scheduler
- * Runs every hour to check for upcoming deadlines
+ * Runs every hour; only the instance holding the lock performs the sweep
  */
 export const startDeadlineReminderScheduler = () => {
-    // Run immediately on startup
     console.log('[Deadline Reminder] Starting deadline reminder service...');
-    checkDeadlineReminders();
 
-    // Then run every hour
     const intervalMs = 60 * 60 * 1000; // 1 hour
-    setInterval(checkDeadlineReminders, intervalMs);
+    const stop = startRecurringJob(REMINDER_JOB_NAME, intervalMs, checkDeadlineReminders);
 
     console.log('[Deadline Reminder] Scheduler started - checking every hour');
+    return stop;
 };
 
 export default {
     checkDeadlineReminders,
+    getReminderOffsets,
+    getReminderSchedule,
     startDeadlineReminderScheduler
 };
@@ -189,6 +189,60 @@ const templates = {
     `,
   }),
 
+  invoiceOverdue: (data) => ({
+    subject: data.finalNotice
+      ? `Final Notice: Invoice ${data.invoiceNumber} is ${data.daysOverdue} days overdue`
+      : `Payment Reminder: Invoice ${data.invoiceNumber} is overdue`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, ${data.finalNotice ? '#ef4444 0%, #b91c1c' : '#f97316 0%, #ea580c'} 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; }
+          .amount-box { background: white; padding: 20px; border-radius: 8px; text-align: center; margin: 20px 0; border: 2px solid ${data.finalNotice ? '#ef4444' : '#f97316'}; }
+          .amount { font-size: 32px; font-weight: bold; color: ${data.finalNotice ? '#b91c1c' : '#ea580c'}; }
+          .button { display: inline-block; background: ${data.finalNotice ? '#ef4444' : '#f97316'}; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: 600; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1 style="margin: 0;">${data.finalNotice ? 'Final Payment Notice' : 'Payment Overdue'}</h1>
+            <p style="margin: 10px 0 0 0;">${data.invoiceNumber} &middot; Reminder ${data.stage} of ${data.totalStages}</p>
+          </div>
+          <div class="content">
+            <p>Dear ${data.clientName},</p>
+            <p>Invoice ${data.invoiceNumber} for <strong>${data.description}</strong> was due on ${data.dueDate} and is now ${data.daysOverdue} day${data.daysOverdue === 1 ? '' : 's'} overdue.</p>
+
+            <div class="amount-box">
+              <p style="margin: 0; color: #6b7280;">Outstanding Balance</p>
+              <p class="amount">${data.currency} ${data.amount?.toLocaleString()}</p>
+              ${data.lateFee ? `<p style="margin: 0; color: #6b7280;">Includes a late fee of ${data.currency} ${data.lateFee.toLocaleString()}</p>` : ''}
+            </div>
+
+            <center>
+              <a href="${data.paymentUrl}" class="button">Pay Now</a>
+            </center>
+
+            <p style="color: #6b7280; font-size: 14px; margin-top: 20px;">
+              ${data.finalNotice
+                ? 'This is our final reminder. Please settle the balance immediately or contact us to discuss your account.'
+                : 'If you have already paid, please disregard this reminder. Late payments may incur additional charges.'}
+            </p>
+          </div>
+          <div class="footer">
+            <p>CodeSupport - Professional Development Services</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
   paymentReceived: (data) => ({
     subject: `Payment Received - Thank You!`,
     html: `
@@ -229,6 +283,48 @@ const templates = {
     `,
   }),
 
+  refundIssued: (data) => ({
+    subject: `Refund Issued - Credit Note ${data.creditNoteNumber}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1 style="margin: 0;">Refund Issued</h1>
+          </div>
+          <div class="content">
+            <p>Dear ${data.clientName},</p>
+            <p>We have issued a refund of <strong>${data.currency} ${data.amount?.toLocaleString()}</strong> against invoice ${data.invoiceNumber}.</p>
+            <p>Reason: ${data.reason}</p>
+
+            <p>Refund Details:</p>
+            <ul>
+              <li>Credit Note: ${data.creditNoteNumber}</li>
+              <li>Amount: ${data.currency} ${data.amount?.toLocaleString()}</li>
+              <li>Method: ${data.refundMethod}</li>
+              <li>Date: ${data.refundDate}</li>
+            </ul>
+            <p>The credit note is attached to this email for your records.</p>
+          </div>
+          <div class="footer">
+            <p>CodeSupport - Professional Development Services</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
   orderStatusUpdate: (data) => ({
     subject: `Project Update - ${data.projectTitle}`,
     html: `
@@ -700,7 +796,8 @@ const templates = {
 };
 
 // Send email function
-export const sendEmail = async (to, templateName, data) => {
+// attachments: nodemailer attachment objects, e.g. pdfAttachments() from pdfService
+export const sendEmail = async (to, templateName, data, attachments = []) => {
   const template = templates[templateName];
   if (!template) {
     console.error(`Email template "${templateName}" not found`);
@@ -716,6 +813,9 @@ export const sendEmail = async (to, templateName, data) => {
     console.log('Subject:', subject);
     console.log('Template:', templateName);
     console.log('Data:', JSON.stringify(data, null, 2));
+    if (attachments.length > 0) {
+      console.log('Attachments:', attachments.map(a => a.filename).join(', '));
+    }
     console.log('================================');
     return true;
   }
@@ -726,6 +826,7 @@ export const sendEmail = async (to, templateName, data) => {
       to,
       subject,
       html,
+      attachments,
     };
 
     const result = await transporter.sendMail(mailOptions);
@@ -0,0 +1,336 @@
+import Contract from '../models/Contract.js';
+import Order from '../models/Order.js';
+import Settings from '../models/Settings.js';
+import { startRecurringJob } from './jobScheduler.js';
+import { createNotification, notifyAllAdmins } from '../controllers/notificationController.js';
+import { releaseFunds, holdFunds, holdContractPayment, disputeFunds, refundFunds } from '../utils/escrow.js';
+
+/**
+ * Escrow Service
+ * Milestone payments are held until the client accepts the delivery. A
+ * client who neither accepts nor disputes an approved milestone within the
+ * auto-approval window is taken to accept it, which releases the funds.
+ * Revision requests on the order dispute funds for work under review.
+ * Payments on contracts without milestones are held on the contract and
+ * released once the order has been delivered for the same window, when
+ * the client accepts the delivery, or by an admin.
+ */
+
+export const MILESTONE_AUTO_APPROVAL_JOB_NAME = 'milestone_auto_approval';
+
+// Settings key holding the auto-approval window in days
+export const MILESTONE_AUTO_APPROVAL_SETTING = 'milestone_auto_approval_days';
+export const DEFAULT_MILESTONE_AUTO_APPROVAL_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order statuses after which contract holdings can be released
+export const HOLDING_RELEASE_ORDER_STATUSES = ['delivered', 'completed'];
+
+/**
+ * Get the configured auto-approval window in days
+ */
+export const getMilestoneAutoApprovalDays = async () => {
+    const days = Number(await Settings.getSetting(MILESTONE_AUTO_APPROVAL_SETTING, DEFAULT_MILESTONE_AUTO_APPROVAL_DAYS));
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_MILESTONE_AUTO_APPROVAL_DAYS;
+};
+
+/**
+ * When a milestone approved at the given time is accepted automatically
+ */
+export const getAutoApproveAt = async (from = new Date()) =>
+    new Date(from.getTime() + await getMilestoneAutoApprovalDays() * DAY_MS);
+
+// Amount a milestone bills
+const milestoneAmount = (milestone, total) => milestone.amount ?? (total * (milestone.percentage || 0) / 100);
+
+/**
+ * Hold a payment made on an order rather than an invoice under the order's
+ * active contract, once it has settled what it can of the contract's open
+ * invoices (see applyOrderPayment). It pays off milestones not yet invoiced
+ * in order, stopping at one whose invoice is still open; what no milestone
+ * covers, or the whole payment on a contract without milestones, is held
+ * on the contract.
+ * @param {string} orderId - Order the payment was made on
+ * @param {number} amount - Amount paid
+ * @param {Object} details - { title, payment } naming the ledger entry
+ * @returns {Promise<Object|null>} The contract, or null when the order has no active contract
+ */
+export const holdOrderPayment = async (orderId, amount, { title, payment } = {}, now = new Date()) => {
+    const contract = await Contract.findOne({ order: orderId, status: 'active' });
+    if (!contract || !(amount > 0)) return null;
+
+    const total = contract.financialTerms?.totalAmount || 0;
+    let remaining = amount;
+    for (const milestone of contract.financialTerms?.milestones || []) {
+        if (milestone.status === 'paid') continue;
+        // Invoiced milestones are paid through their invoice's ledger
+        if (milestone.status === 'invoiced') break;
+        const due = milestoneAmount(milestone, total);
+        if (due > remaining + 0.005) break;
+        milestone.status = 'paid';
+        milestone.paidAt = now;
+        holdFunds(milestone, due, now);
+        remaining = Math.round((remaining - due) * 100) / 100;
+    }
+
+    if (remaining > 0) {
+        holdContractPayment(contract, { title: title || 'Order payment', amount: remaining, payment }, now);
+    }
+    await contract.save();
+    return contract;
+};
+
+/**
+ * Accept every approved milestone whose auto-approval window has passed,
+ * releasing its held funds
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<{checked: number, approved: number}>}
+ */
+export const autoApproveMilestones = async (now = new Date()) => {
+    const contracts = await Contract.find({
+        'financialTerms.milestones': {
+            $elemMatch: { 'delivery.status': 'approved', 'delivery.autoApproveAt': { $lt: now } },
+        },
+    });
+
+    let approved = 0;
+    for (const contract of contracts) {
+        try {
+            const due = contract.financialTerms.milestones
+                .filter(m => m.delivery?.status === 'approved' && m.delivery.autoApproveAt < now);
+            for (const milestone of due) {
+                milestone.delivery.status = 'accepted';
+                milestone.delivery.acceptedAt = now;
+                milestone.delivery.autoAccepted = true;
+                releaseFunds(milestone, 'auto_approval', now);
+            }
+            await contract.save();
+            approved += due.length;
+
+            for (const milestone of due) {
+                const message = `"${milestone.title}" on ${contract.contractNumber} was accepted automatically after the review window passed`;
+                if (contract.client) {
+                    await createNotification(
+                        contract.client,
+                        'milestone_accepted',
+                        'Milestone Accepted',
+                        message,
+                        contract._id,
+                        'Contract',
+                        `/dashboard/client/contracts/${contract._id}`
+                    );
+                }
+                await notifyAllAdmins(
+                    'milestone_accepted',
+                    'Milestone Accepted',
+                    message,
+                    contract._id,
+                    'Contract',
+                    `/admin/contracts/${contract._id}`
+                );
+            }
+        } catch (error) {
+            console.error(`[Escrow] Auto-approval failed for contract ${contract.contractNumber}:`, error.message);
+        }
+    }
+
+    return { checked: contracts.length, approved };
+};
+
+/**
+ * Release contract holdings once the order has been delivered (or
+ * completed) for the auto-approval window. Disputed holdings wait for the
+ * next delivery.
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<{checked: number, released: number}>}
+ */
+export const releaseDeliveredHoldings = async (now = new Date()) => {
+    const contracts = await Contract.find({ 'escrowHoldings.escrow.status': { $in: ['held', 'disputed'] } });
+    const windowMs = await getMilestoneAutoApprovalDays() * DAY_MS;
+
+    let released = 0;
+    for (const contract of contracts) {
+        try {
+            const order = await Order.findById(contract.order).select('status deliveredAt completedAt');
+            if (!HOLDING_RELEASE_ORDER_STATUSES.includes(order?.status)) continue;
+            const deliveredAt = order.deliveredAt || order.completedAt;
+            if (!deliveredAt) continue;
+
+            const due = contract.escrowHoldings.filter(({ escrow }) => {
+                if (escrow?.status === 'disputed' && !(deliveredAt > escrow.disputedAt)) return false;
+                const from = Math.max(deliveredAt.getTime(), escrow?.heldAt?.getTime() || 0);
+                return from + windowMs < now.getTime();
+            });
+            const releasedHere = due.filter(holding => releaseFunds(holding, 'auto_approval', now));
+            if (releasedHere.length === 0) continue;
+            await contract.save();
+            released += releasedHere.length;
+
+            const message = `Funds held for ${contract.contractNumber} were released after the delivery review window passed`;
+            if (contract.client) {
+                await createNotification(
+                    contract.client,
+                    'escrow_released',
+                    'Funds Released',
+                    message,
+                    contract._id,
+                    'Contract',
+                    `/dashboard/client/contracts/${contract._id}`
+                );
+            }
+        } catch (error) {
+            console.error(`[Escrow] Releasing holdings failed for contract ${contract.contractNumber}:`, error.message);
+        }
+    }
+
+    return { checked: contracts.length, released };
+};
+
+/**
+ * Dispute the delivery of every milestone under client review on an order's
+ * active contract, moving its held funds to disputed, along with any funds
+ * held on the contract itself
+ * @param {string} orderId - Order the revision was requested on
+ * @param {string} reason - What the client asked to change
+ * @returns {Promise<number>} Number of milestones and holdings disputed
+ */
+export const disputeOrderMilestones = async (orderId, reason, now = new Date()) => {
+    const contract = await Contract.findOne({ order: orderId, status: 'active' });
+    const underReview = (contract?.financialTerms?.milestones || []).filter(m => m.delivery?.status === 'approved');
+    const holdings = (contract?.escrowHoldings || []).filter(holding => disputeFunds(holding, now));
+    if (underReview.length === 0 && holdings.length === 0) return 0;
+
+    for (const milestone of underReview) {
+        milestone.delivery.status = 'disputed';
+        milestone.delivery.disputedAt = now;
+        milestone.delivery.disputeReason = reason;
+        disputeFunds(milestone, now);
+    }
+    await contract.save();
+    return underReview.length + holdings.length;
+};
+
+/**
+ * Take a refund recorded on an invoice out of the escrow it paid into: the
+ * invoice's milestone, or its holding on a contract without milestones.
+ * Funds already released are left alone.
+ * @param {Object} invoice - Refunded invoice
+ * @param {number} amount - Amount refunded
+ * @returns {Promise<boolean>} Whether any held funds were refunded
+ */
+export const refundInvoiceEscrow = async (invoice, amount, now = new Date()) => {
+    if (!invoice.contract || invoice.billingPeriod?.start) return false;
+    const contract = await Contract.findById(invoice.contract);
+    if (!contract) return false;
+
+    const milestones = contract.financialTerms?.milestones || [];
+    const entry = milestones.length
+        ? milestones[invoice.milestone?.index]
+        : contract.escrowHoldings.find(holding => String(holding.invoice) === String(invoice._id));
+    if (!entry || !refundFunds(entry, amount, now)) return false;
+
+    await contract.save();
+    return true;
+};
+
+/**
+ * Held, disputed, released and refunded milestone funds, and funds held on contracts without milestones
+ * @param {Object} filter - { status } to list only one escrow status
+ * @returns {Promise<{totals: Array, milestones: Array, holdings: Array}>} Totals per currency and the entries behind them
+ */
+export const getEscrowSummary = async ({ status } = {}) => {
+    const contractFields = {
+        _id: 0,
+        contract: '$_id',
+        contractNumber: 1,
+        version: 1,
+        projectTitle: '$projectDetails.title',
+        clientName: '$clientDetails.name',
+        currency: { $ifNull: ['$financialTerms.currency', 'NPR'] },
+    };
+
+    const milestones = await Contract.aggregate([
+        { $match: { 'financialTerms.milestones.escrow.status': { $exists: true } } },
+        { $unwind: { path: '$financialTerms.milestones', includeArrayIndex: 'index' } },
+        { $match: { 'financialTerms.milestones.escrow.status': status || { $exists: true } } },
+        {
+            $project: {
+                ...contractFields,
+                index: 1,
+                title: '$financialTerms.milestones.title',
+                delivery: '$financialTerms.milestones.delivery.status',
+                autoApproveAt: '$financialTerms.milestones.delivery.autoApproveAt',
+                escrow: '$financialTerms.milestones.escrow',
+            },
+        },
+        { $sort: { 'escrow.heldAt': 1 } },
+    ]);
+
+    const holdings = await Contract.aggregate([
+        { $match: { 'escrowHoldings.escrow.status': status || { $exists: true } } },
+        { $unwind: '$escrowHoldings' },
+        { $match: { 'escrowHoldings.escrow.status': status || { $exists: true } } },
+        {
+            $project: {
+                ...contractFields,
+                holding: '$escrowHoldings._id',
+                title: '$escrowHoldings.title',
+                invoice: '$escrowHoldings.invoice',
+                payment: '$escrowHoldings.payment',
+                escrow: '$escrowHoldings.escrow',
+            },
+        },
+        { $sort: { 'escrow.heldAt': 1 } },
+    ]);
+
+    const totals = {};
+    for (const entry of [...milestones, ...holdings]) {
+        const currency = entry.currency;
+        totals[currency] ??= { currency, held: 0, disputed: 0, released: 0, refunded: 0 };
+        if (entry.escrow.status !== 'refunded') {
+            totals[currency][entry.escrow.status] += entry.escrow.amount || 0;
+        }
+        totals[currency].refunded += entry.escrow.refunded || 0;
+    }
+
+    return { totals: Object.values(totals), milestones, holdings };
+};
+
+/**
+ * Release held funds and accept milestones whose review windows have passed
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<{approved: number, released: number}>}
+ */
+export const processEscrow = async (now = new Date()) => {
+    const { approved } = await autoApproveMilestones(now);
+    const { released } = await releaseDeliveredHoldings(now);
+    return { approved, released };
+};
+
+/**
+ * Start the milestone auto-approval scheduler
+ * Runs every hour; only the instance holding the lock performs the sweep
+ */
+export const startMilestoneAutoApprovalScheduler = () => {
+    console.log('[Escrow] Starting milestone auto-approval service...');
+
+    const intervalMs = 60 * 60 * 1000; // 1 hour
+    const stop = startRecurringJob(MILESTONE_AUTO_APPROVAL_JOB_NAME, intervalMs, () => processEscrow());
+
+    console.log('[Escrow] Scheduler started - checking every hour');
+    return stop;
+};
+
+export default {
+    getMilestoneAutoApprovalDays,
+    getAutoApproveAt,
+    holdOrderPayment,
+    autoApproveMilestones,
+    releaseDeliveredHoldings,
+    disputeOrderMilestones,
+    refundInvoiceEscrow,
+    getEscrowSummary,
+    processEscrow,
+    startMilestoneAutoApprovalScheduler,
+};
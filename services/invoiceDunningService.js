@@ -0,0 +1,285 @@
+import Invoice from '../models/Invoice.js';
+import Settings from '../models/Settings.js';
+import ScheduledJob from '../models/ScheduledJob.js';
+import { sendEmail } from './emailService.js';
+import { instanceId, startRecurringJob } from './jobScheduler.js';
+import { getInvoiceLedger } from './paymentService.js';
+import { renderInvoicePdf, pdfAttachments } from './pdfService.js';
+import { createNotification } from '../controllers/notificationController.js';
+
+/**
+ * Invoice Dunning Service
+ * Periodically flags invoices past their due date as overdue and sends
+ * escalating payment reminders. Each reminder is recorded as a ScheduledJob
+ * so restarts and additional instances never send the same notice twice.
+ */
+
+export const DUNNING_JOB_NAME = 'invoice_dunning';
+
+// Days after the due date at which reminders go out (overridable via Settings)
+export const DEFAULT_DUNNING_OFFSETS = [1, 7, 14, 30];
+
+// Late fee charged on the outstanding balance; only added automatically when autoApply is on
+export const DEFAULT_LATE_FEE = {
+    autoApply: false,
+    type: 'percentage', // 'percentage' of the outstanding balance or a 'fixed' amount
+    value: 5,
+    afterDays: 14,
+};
+
+const MAX_ATTEMPTS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invoice statuses that become overdue once the due date passes
+const OPEN_STATUSES = ['sent', 'viewed'];
+
+/**
+ * Clean a list of dunning offsets: whole days (0 = on the due date), unique, smallest first
+ */
+export const normalizeDunningOffsets = (offsets) => {
+    if (!Array.isArray(offsets)) return null;
+
+    const cleaned = [...new Set(
+        offsets.map(Number).filter(d => Number.isInteger(d) && d >= 0)
+    )].sort((a, b) => a - b);
+
+    return cleaned.length > 0 ? cleaned : null;
+};
+
+/**
+ * Validate a late fee configuration, filling gaps from the defaults
+ * @returns {Object|null} The cleaned configuration, or null when invalid
+ */
+export const normalizeLateFee = (config = {}) => {
+    if (!config || typeof config !== 'object') return null;
+
+    const lateFee = { ...DEFAULT_LATE_FEE, ...config };
+    lateFee.autoApply = Boolean(lateFee.autoApply);
+    lateFee.value = Number(lateFee.value);
+    lateFee.afterDays = Number(lateFee.afterDays);
+
+    if (!['percentage', 'fixed'].includes(lateFee.type)) return null;
+    if (!(lateFee.value > 0) || (lateFee.type === 'percentage' && lateFee.value > 100)) return null;
+    if (!Number.isInteger(lateFee.afterDays) || lateFee.afterDays < 0) return null;
+
+    return {
+        autoApply: lateFee.autoApply,
+        type: lateFee.type,
+        value: lateFee.value,
+        afterDays: lateFee.afterDays,
+    };
+};
+
+/**
+ * Get configured dunning offsets and late fee
+ */
+export const getDunningConfig = async () => {
+    const offsets = await Settings.getSetting('invoice_dunning_offsets', DEFAULT_DUNNING_OFFSETS);
+    const lateFee = await Settings.getSetting('invoice_late_fee', DEFAULT_LATE_FEE);
+
+    return {
+        offsets: normalizeDunningOffsets(offsets) || DEFAULT_DUNNING_OFFSETS,
+        lateFee: normalizeLateFee(lateFee) || DEFAULT_LATE_FEE,
+    };
+};
+
+/**
+ * Pick the latest offset the invoice has reached, e.g. 7 when 10 days overdue
+ */
+const getDueOffset = (offsets, daysOverdue) => {
+    const reached = offsets.filter(offset => daysOverdue >= offset);
+    return reached.length > 0 ? Math.max(...reached) : null;
+};
+
+/**
+ * Late fee for an outstanding balance, rounded to 2 decimals
+ */
+export const calculateLateFee = (balance, lateFee) => {
+    const fee = lateFee.type === 'fixed' ? lateFee.value : balance * (lateFee.value / 100);
+    return Math.round(fee * 100) / 100;
+};
+
+/**
+ * Add a late fee line item to an invoice; an invoice is charged at most once
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { amount } overrides the configured fee
+ * @returns {Promise<number|null>} The fee charged, or null when nothing was added
+ */
+export const applyLateFee = async (invoice, options = {}) => {
+    if (invoice.lateFeeAppliedAt || invoice.lineItems.some(item => item.isLateFee)) return null;
+
+    const ledger = await getInvoiceLedger(invoice);
+    if (ledger.balance <= 0) return null;
+
+    let amount = options.amount;
+    let description = 'Late payment fee';
+    if (amount === undefined) {
+        const { lateFee } = await getDunningConfig();
+        amount = calculateLateFee(ledger.balance, lateFee);
+        if (lateFee.type === 'percentage') {
+            description = `Late payment fee (${lateFee.value}% of outstanding balance)`;
+        }
+    }
+
+    amount = Math.round(Number(amount) * 100) / 100;
+    if (!(amount > 0)) return null;
+
+    invoice.lineItems.push({ description, quantity: 1, unitPrice: amount, amount, isLateFee: true });
+    invoice.lateFeeAppliedAt = new Date();
+    await invoice.save();
+
+    return amount;
+};
+
+/**
+ * Send a single dunning notice and record the outcome on its job
+ */
+const sendDunningNotice = async (job, invoice, { stage, totalStages, daysOverdue, balance }) => {
+    const clientEmail = invoice.clientDetails?.email || invoice.client?.email;
+
+    job.attempts += 1;
+    job.processedBy = instanceId;
+
+    if (!clientEmail) {
+        job.status = 'skipped';
+        job.lastError = 'No client email';
+        await job.save();
+        return;
+    }
+
+    job.recipient = clientEmail;
+    const finalNotice = stage === totalStages;
+
+    try {
+        const paymentUrl = `${process.env.FRONTEND_URL}/dashboard/client/payment`;
+        const delivered = await sendEmail(clientEmail, 'invoiceOverdue', {
+            clientName: invoice.clientDetails?.name || invoice.client?.name || 'Valued Customer',
+            invoiceNumber: invoice.invoiceNumber,
+            description: invoice.title,
+            currency: invoice.currency,
+            amount: balance,
+            lateFee: invoice.lineItems.find(item => item.isLateFee)?.amount,
+            dueDate: new Date(invoice.dueDate).toLocaleDateString(),
+            daysOverdue,
+            stage,
+            totalStages,
+            finalNotice,
+            paymentUrl,
+        }, await pdfAttachments(`${invoice.invoiceNumber}.pdf`, () => renderInvoicePdf(invoice)));
+
+        if (!delivered) {
+            throw new Error('Email could not be delivered');
+        }
+
+        if (invoice.client) {
+            await createNotification(
+                invoice.client._id || invoice.client,
+                'payment_due',
+                finalNotice ? 'Final Payment Notice' : 'Invoice Overdue',
+                `Invoice ${invoice.invoiceNumber} is ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue. Outstanding: ${invoice.currency} ${balance.toLocaleString()}`,
+                invoice._id,
+                'Invoice',
+                `/dashboard/client/payment`,
+                { stage, daysOverdue }
+            );
+        }
+
+        job.status = 'completed';
+        job.completedAt = new Date();
+        job.lastError = undefined;
+        console.log(`[Invoice Dunning] Sent day ${job.offsetDays} notice for ${invoice.invoiceNumber} to ${clientEmail}`);
+    } catch (error) {
+        job.status = 'failed';
+        job.lastError = error.message;
+        console.error(`[Invoice Dunning] Failed to send notice for ${invoice._id}:`, error);
+    }
+
+    await job.save();
+};
+
+/**
+ * Flag invoices past their due date as overdue and send due reminders
+ * Should only be called while holding the dunning job lock
+ */
+export const checkOverdueInvoices = async () => {
+    const now = new Date();
+    const { offsets, lateFee } = await getDunningConfig();
+
+    const { modifiedCount: markedOverdue } = await Invoice.updateMany(
+        { status: { $in: OPEN_STATUSES }, dueDate: { $lt: now } },
+        { $set: { status: 'overdue', overdueAt: now } }
+    );
+
+    const invoices = await Invoice.find({ status: 'overdue' }).populate('client', 'name email');
+
+    console.log(`[Invoice Dunning] Marked ${markedOverdue} invoices overdue, ${invoices.length} overdue in total`);
+
+    let sent = 0;
+    let lateFeesApplied = 0;
+
+    for (const invoice of invoices) {
+        const daysOverdue = Math.floor((now - new Date(invoice.dueDate)) / DAY_MS);
+
+        if (lateFee.autoApply && daysOverdue >= lateFee.afterDays) {
+            if (await applyLateFee(invoice)) lateFeesApplied++;
+        }
+
+        const offsetDays = getDueOffset(offsets, daysOverdue);
+        if (offsetDays === null) continue;
+
+        const { balance } = await getInvoiceLedger(invoice);
+        if (balance <= 0) continue;
+
+        // Create the run record once; later sweeps find the existing one
+        const job = await ScheduledJob.findOneAndUpdate(
+            {
+                type: 'invoice_dunning',
+                invoice: invoice._id,
+                offsetDays,
+                deadline: invoice.dueDate,
+            },
+            {
+                $setOnInsert: {
+                    runAt: new Date(new Date(invoice.dueDate).getTime() + offsetDays * DAY_MS),
+                    status: 'pending',
+                },
+            },
+            { upsert: true, new: true }
+        );
+
+        const retryable = job.status === 'pending' ||
+            (job.status === 'failed' && job.attempts < MAX_ATTEMPTS);
+        if (!retryable) continue;
+
+        await sendDunningNotice(job, invoice, {
+            stage: offsets.indexOf(offsetDays) + 1,
+            totalStages: offsets.length,
+            daysOverdue,
+            balance,
+        });
+        if (job.status === 'completed') sent++;
+    }
+
+    return { markedOverdue, checked: invoices.length, sent, lateFeesApplied };
+};
+
+/**
+ * Start the invoice dunning scheduler
+ * Runs every hour; only the instance holding the lock performs the sweep
+ */
+export const startInvoiceDunningScheduler = () => {
+    console.log('[Invoice Dunning] Starting invoice dunning service...');
+
+    const intervalMs = 60 * 60 * 1000; // 1 hour
+    const stop = startRecurringJob(DUNNING_JOB_NAME, intervalMs, checkOverdueInvoices);
+
+    console.log('[Invoice Dunning] Scheduler started - checking every hour');
+    return stop;
+};
+
+export default {
+    checkOverdueInvoices,
+    getDunningConfig,
+    applyLateFee,
+    startInvoiceDunningScheduler
+};
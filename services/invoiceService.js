@@ -1,7 +1,28 @@
 import Invoice from '../models/Invoice.js';
 import Contract from '../models/Contract.js';
+import Payment from '../models/Payment.js';
 import { createNotification, notifyAllAdmins } from '../controllers/notificationController.js';
 import { sendEmail } from './emailService.js';
+import { getBillingPeriod } from '../utils/recurring.js';
+import { holdFunds, holdContractPayment } from '../utils/escrow.js';
+
+/**
+ * Build an Invoice query from list filters (status, client, issue date range)
+ * Shared by the invoice list and the accounting export.
+ * @param {Object} query - { status, client, startDate, endDate }
+ * @returns {Object} Mongo filter
+ */
+export function buildInvoiceFilter({ status, client, startDate, endDate } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (client) filter.client = client;
+    if (startDate || endDate) {
+        filter.issueDate = {};
+        if (startDate) filter.issueDate.$gte = new Date(startDate);
+        if (endDate) filter.issueDate.$lte = new Date(endDate);
+    }
+    return filter;
+}
 
 /**
  * Generate invoices from a signed contract based on payment structure
@@ -147,6 +168,12 @@ export async function generateInvoicesFromContract(contract, options = {}) {
                 break;
             }
 
+            case 'recurring': {
+                // Bill every period that has started; later periods come from the recurring sweep
+                invoices.push(...await generateRecurringInvoices(contract, { autoSend, createdBy }));
+                break;
+            }
+
             case 'custom': {
                 // For custom payment, don't auto-generate - admin creates manually
                 console.log('Custom payment structure - skipping auto-generation');
@@ -188,10 +215,14 @@ async function createInvoice({
     currency,
     dueDate,
     milestone,
+    billingPeriod,
     autoSend,
     createdBy,
 }) {
     const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+    // A retainer period is inserted as a draft and issued afterwards, so the
+    // unique period index turns a concurrent run away before a number is drawn
+    const issueOnCreate = autoSend && !billingPeriod;
 
     const invoice = await Invoice.create({
         contract: contract._id,
@@ -209,10 +240,16 @@ async function createInvoice({
         currency,
         dueDate,
         milestone,
-        status: autoSend ? 'sent' : 'draft',
-        sentAt: autoSend ? new Date() : null,
+        billingPeriod,
+        status: issueOnCreate ? 'sent' : 'draft',
+        sentAt: issueOnCreate ? new Date() : null,
         createdBy,
     });
+    if (autoSend && !issueOnCreate) {
+        invoice.status = 'sent';
+        invoice.sentAt = new Date();
+        await invoice.save();
+    }
 
     // If auto-send, notify client and send email
     if (autoSend && contract.client) {
@@ -353,13 +390,239 @@ export async function generateMilestoneInvoice(contractId, milestoneIndex, optio
     }
 }
 
+/**
+ * Create the invoice for one billing period
+ * @returns {Object|null} The invoice, or null when a concurrent run already billed the period
+ */
+async function createPeriodInvoice(data) {
+    try {
+        return await createInvoice(data);
+    } catch (error) {
+        if (error.code === 11000 && error.keyPattern?.['billingPeriod.start']) return null;
+        throw error;
+    }
+}
+
+/**
+ * Invoice every retainer period of a recurring contract that has started
+ * Catches up on periods missed while the scheduler was down; periods
+ * skipped during a pause are not billed. Ends the schedule once the next
+ * period would start after the end date.
+ * @param {Object} contract - Active contract with financialTerms.recurring
+ * @param {Object} options - { autoSend, createdBy, now }
+ * @returns {Array} Invoices created
+ */
+export async function generateRecurringInvoices(contract, options = {}) {
+    const { autoSend = contract.autoSendInvoices, createdBy = null, now = new Date() } = options;
+    const schedule = contract.financialTerms?.recurring;
+    if (contract.status !== 'active' || schedule?.status !== 'active') {
+        return [];
+    }
+
+    const currency = contract.financialTerms?.currency || 'NPR';
+    const projectTitle = contract.projectDetails?.title || 'Retainer';
+    const invoices = [];
+    let index = schedule.periodsInvoiced || 0;
+    let period = getBillingPeriod(schedule, index);
+
+    while (period.start <= now && !(schedule.endDate && period.start >= schedule.endDate)) {
+        const dueDate = new Date(Math.max(period.start.getTime(), now.getTime()));
+        dueDate.setDate(dueDate.getDate() + 14);
+        const label = `${period.start.toLocaleDateString()} - ${period.end.toLocaleDateString()}`;
+
+        const invoice = await createPeriodInvoice({
+            contract,
+            title: `${projectTitle} (${label})`,
+            description: `Retainer period ${index + 1}`,
+            lineItems: [{
+                description: `${projectTitle} retainer: ${label}`,
+                quantity: 1,
+                unitPrice: schedule.amount,
+                amount: schedule.amount,
+            }],
+            total: schedule.amount,
+            currency,
+            dueDate,
+            billingPeriod: period,
+            autoSend,
+            createdBy,
+        });
+        if (invoice) invoices.push(invoice);
+
+        index += 1;
+        period = getBillingPeriod(schedule, index);
+    }
+
+    schedule.periodsInvoiced = index;
+    schedule.nextInvoiceDate = period.start;
+    if (invoices.length > 0) {
+        schedule.lastInvoicedAt = now;
+    }
+    if (schedule.endDate && period.start >= schedule.endDate) {
+        schedule.status = 'ended';
+    }
+    await contract.save();
+
+    return invoices;
+}
+
+/**
+ * Move a resumed retainer's schedule past the periods that started while it was paused
+ */
+export function skipPausedPeriods(schedule, now = new Date()) {
+    let index = schedule.periodsInvoiced || 0;
+    while (getBillingPeriod(schedule, index).start < now) {
+        index += 1;
+    }
+    schedule.periodsInvoiced = index;
+    schedule.nextInvoiceDate = getBillingPeriod(schedule, index).start;
+}
+
+// Contract invoices that can still be replaced
+const OPEN_INVOICE_STATUSES = ['draft', 'sent', 'viewed', 'overdue'];
+
+// What a contract invoice should bill after an amendment: its milestone, or the whole total.
+// 50/50 halves without milestones bill the first half as it stands and the rest of the total last.
+function amendedInvoiceAmount(contract, invoice, firstHalf) {
+    const { totalAmount = 0, paymentStructure, milestones = [] } = contract.financialTerms || {};
+    const index = invoice.milestone?.index;
+    if (index == null) return totalAmount;
+
+    const milestone = milestones[index];
+    if (milestone) return milestone.amount ?? (totalAmount * milestone.percentage / 100);
+    if (paymentStructure === '50_50') {
+        return index === 0 ? firstHalf : totalAmount - firstHalf;
+    }
+    return invoice.total;
+}
+
+// Whether any payment has been recorded against an invoice
+const hasPayments = (invoice) => Payment.exists({ invoice: invoice._id, type: 'payment', status: 'completed' });
+
+// The first 50/50 half: what its invoice bills once it has been paid (in part), otherwise half the total
+async function firstHalfAmount(contract) {
+    const first = await Invoice.findOne({ contract: contract._id, 'milestone.index': 0, status: { $ne: 'cancelled' } })
+        .sort({ createdAt: -1 });
+    if (first && (first.status === 'paid' || await hasPayments(first))) {
+        return first.total;
+    }
+    return Math.round((contract.financialTerms?.totalAmount || 0) / 2);
+}
+
+// The final 50/50 invoice follows the completion date; others keep their due date
+function amendedDueDate(contract, invoice) {
+    const completion = contract.timeline?.estimatedCompletionDate;
+    if (contract.financialTerms?.paymentStructure === '50_50' && invoice.milestone?.index === 1 && completion) {
+        const dueDate = new Date(completion);
+        dueDate.setDate(dueDate.getDate() + 7);
+        return dueDate;
+    }
+    return invoice.dueDate;
+}
+
+/**
+ * Void the open invoices an amendment affects and issue replacements
+ * Only invoices whose amount or due date changed are touched. Invoices
+ * with payments recorded against them are left alone and reported as
+ * skipped. Replacements are drafts for an admin to review and send.
+ * @param {Object} contract - Contract with the amendment applied
+ * @param {Object} options - { milestoneIndexes, fullPayment, reason, createdBy }
+ * @returns {Object} { voided, created, skipped } lists of invoices
+ */
+export async function reissueContractInvoices(contract, options = {}) {
+    const { milestoneIndexes = [], fullPayment = false, reason = 'Contract amended', createdBy = null } = options;
+    const result = { voided: [], created: [], skipped: [] };
+
+    const openInvoices = await Invoice.find({ contract: contract._id, status: { $in: OPEN_INVOICE_STATUSES } });
+    const affected = openInvoices.filter(invoice => {
+        if (invoice.billingPeriod?.start) return false; // Retainer periods are not amended
+        const index = invoice.milestone?.index;
+        return index == null ? fullPayment : milestoneIndexes.includes(index);
+    });
+
+    // Work out every replacement before touching any invoice, so a bad amount changes nothing
+    const firstHalf = contract.financialTerms?.paymentStructure === '50_50' ? await firstHalfAmount(contract) : 0;
+    const replacements = [];
+    for (const invoice of affected) {
+        const amount = amendedInvoiceAmount(contract, invoice, firstHalf);
+        const dueDate = amendedDueDate(contract, invoice);
+        if (amount === invoice.total && new Date(dueDate).getTime() === invoice.dueDate?.getTime()) {
+            continue;
+        }
+
+        if (await hasPayments(invoice)) {
+            result.skipped.push(invoice);
+            continue;
+        }
+
+        if (amount < 0) {
+            throw new Error('The new total is less than what has already been paid');
+        }
+        replacements.push({ invoice, amount, dueDate });
+    }
+
+    // Create every replacement as a draft before voiding anything, and undo
+    // both on an error, so a failure leaves the contract's invoices as they were
+    try {
+        for (const { invoice, amount, dueDate } of replacements) {
+            const index = invoice.milestone?.index;
+            const milestone = index == null ? undefined : contract.financialTerms?.milestones?.[index];
+            result.created.push(await createInvoice({
+                contract,
+                title: invoice.title,
+                description: invoice.description,
+                lineItems: [{
+                    description: invoice.lineItems[0]?.description || invoice.title,
+                    quantity: 1,
+                    unitPrice: amount,
+                    amount,
+                }],
+                total: amount,
+                currency: invoice.currency,
+                dueDate,
+                milestone: index == null ? undefined : { title: milestone?.title || invoice.milestone.title, index },
+                autoSend: false,
+                createdBy,
+            }));
+        }
+
+        for (const { invoice } of replacements) {
+            invoice.$locals.beforeVoid = { status: invoice.status, notes: invoice.notes };
+            invoice.status = 'cancelled';
+            invoice.notes = [invoice.notes, `Voided: ${reason}`].filter(Boolean).join('\n');
+            await invoice.save();
+            result.voided.push(invoice);
+        }
+    } catch (error) {
+        await revertReissuedInvoices(result);
+        throw error;
+    }
+
+    return result;
+}
+
+/**
+ * Undo reissueContractInvoices: delete the replacement drafts and reopen the voided invoices
+ * @param {Object} reissued - { voided, created } as returned by reissueContractInvoices
+ */
+export async function revertReissuedInvoices({ voided = [], created = [] }) {
+    await Invoice.deleteMany({ _id: { $in: created.map(invoice => invoice._id) }, status: 'draft' });
+    for (const invoice of voided) {
+        Object.assign(invoice, invoice.$locals.beforeVoid);
+        await invoice.save();
+    }
+}
+
 /**
  * Update contract milestone status when invoice is paid
+ * The payment is held in escrow until the milestone's delivery is accepted.
+ * Invoices on contracts without a matching milestone (upfront payments and
+ * 50/50 halves) are held on the contract itself; retainer periods are not held.
  */
 export async function updateMilestonePaymentStatus(invoiceId) {
     try {
         const invoice = await Invoice.findById(invoiceId);
-        if (!invoice || !invoice.contract || !invoice.milestone) {
+        if (!invoice || !invoice.contract || invoice.billingPeriod?.start) {
             return;
         }
 
@@ -368,11 +631,20 @@ export async function updateMilestonePaymentStatus(invoiceId) {
             return;
         }
 
-        const milestoneIndex = invoice.milestone.index;
-        if (milestoneIndex !== undefined && contract.financialTerms?.milestones?.[milestoneIndex]) {
-            contract.financialTerms.milestones[milestoneIndex].status = 'paid';
-            contract.financialTerms.milestones[milestoneIndex].paidAt = new Date();
+        const milestoneIndex = invoice.milestone?.index;
+        const milestone = milestoneIndex == null ? undefined : contract.financialTerms?.milestones?.[milestoneIndex];
+        if (milestone) {
+            milestone.status = 'paid';
+            milestone.paidAt = new Date();
+            holdFunds(milestone, invoice.total, milestone.paidAt);
             await contract.save();
+        } else if (!contract.financialTerms?.milestones?.length) {
+            const held = holdContractPayment(contract, {
+                title: invoice.milestone?.title || invoice.title,
+                amount: invoice.total,
+                invoice: invoice._id,
+            });
+            if (held) await contract.save();
         }
     } catch (error) {
         console.error('Update Milestone Payment Status Error:', error);
@@ -380,7 +652,12 @@ export async function updateMilestonePaymentStatus(invoiceId) {
 }
 
 export default {
+    buildInvoiceFilter,
     generateInvoicesFromContract,
     generateMilestoneInvoice,
+    generateRecurringInvoices,
+    skipPausedPeriods,
+    reissueContractInvoices,
+    revertReissuedInvoices,
     updateMilestonePaymentStatus,
 };
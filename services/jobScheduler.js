@@ -0,0 +1,87 @@
+import os from 'os';
+import crypto from 'crypto';
+import JobLock from '../models/JobLock.js';
+
+/**
+ * Job Scheduler
+ * Runs periodic background sweeps behind a database lock so that only
+ * one server instance (the current leader) executes each sweep.
+ */
+
+// Unique identity of this process for lock ownership
+export const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Run a job only if this instance can acquire its lock
+ * @param {string} name - Lock name, one per job
+ * @param {Function} job - Async function to execute while holding the lock
+ * @param {Object} options
+ * @param {number} options.ttlMs - Lease length; must exceed the job's worst-case runtime
+ * @returns {Object} { ran: boolean, result }
+ */
+export async function runExclusive(name, job, options = {}) {
+    const { ttlMs = 10 * 60 * 1000 } = options;
+
+    const acquired = await JobLock.acquire(name, instanceId, ttlMs);
+    if (!acquired) {
+        return { ran: false };
+    }
+
+    try {
+        const result = await job();
+        return { ran: true, result };
+    } finally {
+        await JobLock.release(name, instanceId);
+    }
+}
+
+/**
+ * Start a recurring job that runs immediately and then every intervalMs
+ * @param {string} name - Job name used for the lock and logging
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} job - Async function to execute
+ * @param {Object} options - Passed through to runExclusive
+ * @returns {Function} Stop function that clears the interval
+ */
+export function startRecurringJob(name, intervalMs, job, options = {}) {
+    const tick = async () => {
+        try {
+            const { ran } = await runExclusive(name, job, options);
+            if (!ran) {
+                console.log(`[Scheduler] Skipping ${name} - another instance holds the lock`);
+            }
+        } catch (error) {
+            console.error(`[Scheduler] ${name} failed:`, error);
+        }
+    };
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+
+    return () => clearInterval(timer);
+}
+
+/**
+ * Get the current state of a job lock (for admin views)
+ */
+export async function getLockStatus(name) {
+    const lock = await JobLock.findOne({ name });
+    if (!lock) {
+        return { name, locked: false, lastRunAt: null };
+    }
+
+    return {
+        name,
+        locked: lock.lockedUntil > new Date(),
+        owner: lock.owner,
+        lockedUntil: lock.lockedUntil,
+        lastRunAt: lock.lastRunAt,
+    };
+}
+
+export default {
+    instanceId,
+    runExclusive,
+    startRecurringJob,
+    getLockStatus,
+};
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+
+/**
+ * eSewa ePay v2 provider
+ * Payments are made by posting a signed form to eSewa; eSewa redirects back
+ * to the success URL with a base64 JSON payload whose HMAC signature is
+ * checked here before the payment is trusted.
+ */
+
+const ENVIRONMENTS = {
+    sandbox: {
+        label: 'eSewa (sandbox)',
+        formUrl: 'https://rc-epay.esewa.com.np/api/epay/main/v2/form',
+        merchantCode: () => 'EPAYTEST',
+        secretKey: () => process.env.ESEWA_SECRET_KEY,
+    },
+    live: {
+        label: 'eSewa',
+        formUrl: 'https://epay.esewa.com.np/api/epay/main/v2/form',
+        merchantCode: () => process.env.ESEWA_MERCHANT_CODE,
+        secretKey: () => process.env.ESEWA_LIVE_SECRET_KEY,
+    },
+};
+
+// Fields eSewa signs on the way out and on the way back
+const REQUEST_SIGNED_FIELDS = ['total_amount', 'transaction_uuid', 'product_code'];
+const RESPONSE_SIGNED_FIELDS = ['transaction_code', 'status', 'total_amount', 'transaction_uuid', 'product_code'];
+
+const hmac = (secretKey, message) => crypto.createHmac('sha256', secretKey).update(message).digest('base64');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Create an eSewa provider for the given environment ('sandbox' or 'live')
+ */
+export const createEsewaProvider = (environment = 'sandbox') => {
+    const config = ENVIRONMENTS[environment];
+
+    const sign = (fields) => {
+        const message = REQUEST_SIGNED_FIELDS.map(name => `${name}=${fields[name]}`).join(',');
+        return hmac(config.secretKey(), message);
+    };
+
+    const verifySignature = (data) => {
+        const message = [
+            ...RESPONSE_SIGNED_FIELDS.map(name => `${name}=${data[name]}`),
+            `signed_field_names=${RESPONSE_SIGNED_FIELDS.join(',')}`,
+        ].join(',');
+        return safeEqual(data.signature, hmac(config.secretKey(), message));
+    };
+
+    return {
+        key: `esewa_${environment}`,
+        label: config.label,
+        method: 'esewa',
+        live: environment === 'live',
+
+        isConfigured: () => Boolean(config.secretKey() && config.merchantCode()),
+
+        sign,
+        verifySignature,
+
+        /**
+         * Build the signed form the client posts to eSewa
+         */
+        initiate: async ({ amount, transactionUuid, successUrl, failureUrl }) => {
+            const params = {
+                amount,
+                tax_amount: 0,
+                total_amount: amount,
+                transaction_uuid: transactionUuid,
+                product_code: config.merchantCode(),
+                product_service_charge: 0,
+                product_delivery_charge: 0,
+                success_url: `${successUrl}&data=`,
+                failure_url: failureUrl,
+                signed_field_names: REQUEST_SIGNED_FIELDS.join(','),
+            };
+            params.signature = sign(params);
+
+            return { url: config.formUrl, method: 'form', params, reference: transactionUuid };
+        },
+
+        /**
+         * Decode and check the payload eSewa appended to the success URL
+         * @param {Object} payload - { encodedResponse }
+         */
+        verify: async ({ encodedResponse }) => {
+            if (!encodedResponse) {
+                return { status: 'invalid', message: 'Payment response data is required' };
+            }
+
+            let data;
+            try {
+                // Strip the ?data= prefix if present; query strings turn '+' into spaces
+                const cleaned = (encodedResponse.startsWith('?data=') ? encodedResponse.substring(6) : encodedResponse)
+                    .replace(/ /g, '+');
+                data = JSON.parse(Buffer.from(cleaned, 'base64').toString('utf-8'));
+            } catch (decodeError) {
+                console.error('Failed to decode payment response:', decodeError.message);
+                return { status: 'invalid', message: 'Invalid payment response format', error: 'Unable to decode payment data' };
+            }
+
+            // Only a signed payload is trusted, whether it reports success or failure
+            if (!verifySignature(data)) {
+                console.error('eSewa signature mismatch for transaction', data.transaction_uuid);
+                return { status: 'invalid', message: 'Payment verification failed', error: 'Invalid signature' };
+            }
+
+            if (data.status !== 'COMPLETE') {
+                return { status: 'failed', message: 'Payment failed or cancelled', reference: data.transaction_uuid };
+            }
+
+            if (data.product_code !== config.merchantCode()) {
+                return { status: 'invalid', message: 'Payment verification failed', error: 'Unexpected merchant code' };
+            }
+
+            return {
+                status: 'complete',
+                reference: data.transaction_uuid,
+                transactionId: data.transaction_code,
+                amount: Number(data.total_amount),
+            };
+        },
+    };
+};
+
+export default createEsewaProvider;
@@ -0,0 +1,56 @@
+import Settings from '../../models/Settings.js';
+import { createEsewaProvider } from './esewaProvider.js';
+import { createKhaltiProvider } from './khaltiProvider.js';
+import { mockProvider } from './mockProvider.js';
+
+/**
+ * Payment provider registry
+ * Every provider exposes the same shape:
+ *   key, label, method (Order.paymentMethod), live, isConfigured(),
+ *   sign(), initiate({ order, amount, transactionUuid, successUrl, failureUrl, customer }),
+ *   verify(payload) -> { status: 'complete' | 'failed' | 'pending' | 'invalid', reference, transactionId, amount, message, error }
+ * The active provider is stored in Settings under PAYMENT_PROVIDER_SETTING.
+ */
+
+export const PAYMENT_PROVIDER_SETTING = 'payment_provider';
+export const DEFAULT_PAYMENT_PROVIDER = 'esewa_sandbox';
+
+const providers = [
+    createEsewaProvider('sandbox'),
+    createEsewaProvider('live'),
+    createKhaltiProvider('sandbox'),
+    createKhaltiProvider('live'),
+    mockProvider,
+].reduce((registry, provider) => ({ ...registry, [provider.key]: provider }), {});
+
+/**
+ * Look up a provider by key
+ */
+export const getProvider = (key) => providers[key] || null;
+
+/**
+ * Provider currently selected in Settings (falls back to the eSewa sandbox)
+ */
+export const getActiveProvider = async () => {
+    const key = await Settings.getSetting(PAYMENT_PROVIDER_SETTING, DEFAULT_PAYMENT_PROVIDER);
+    return getProvider(key) || getProvider(DEFAULT_PAYMENT_PROVIDER);
+};
+
+/**
+ * Summary of every registered provider for the admin settings screen
+ */
+export const listProviders = () => Object.values(providers).map(provider => ({
+    key: provider.key,
+    label: provider.label,
+    method: provider.method,
+    live: provider.live,
+    configured: provider.isConfigured(),
+}));
+
+export default {
+    PAYMENT_PROVIDER_SETTING,
+    DEFAULT_PAYMENT_PROVIDER,
+    getProvider,
+    getActiveProvider,
+    listProviders,
+};
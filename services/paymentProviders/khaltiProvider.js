@@ -0,0 +1,114 @@
+/**
+ * Khalti ePayment (KPG-2) provider
+ * Khalti authenticates requests with the merchant secret key instead of a
+ * payload signature, so a payment is only trusted after a server-side lookup
+ * of its pidx. Amounts are exchanged with Khalti in paisa.
+ */
+
+const ENVIRONMENTS = {
+    sandbox: {
+        label: 'Khalti (sandbox)',
+        baseUrl: 'https://dev.khalti.com/api/v2',
+        secretKey: () => process.env.KHALTI_SECRET_KEY,
+    },
+    live: {
+        label: 'Khalti',
+        baseUrl: 'https://khalti.com/api/v2',
+        secretKey: () => process.env.KHALTI_LIVE_SECRET_KEY,
+    },
+};
+
+// Lookup statuses that mean the customer will not complete this payment
+const FAILED_STATUSES = ['User canceled', 'Expired', 'Refunded', 'Partially Refunded'];
+
+/**
+ * Create a Khalti provider for the given environment ('sandbox' or 'live')
+ */
+export const createKhaltiProvider = (environment = 'sandbox') => {
+    const config = ENVIRONMENTS[environment];
+
+    // Khalti "signs" requests by sending the secret key in the Authorization header
+    const sign = () => `Key ${config.secretKey()}`;
+
+    const request = async (path, body) => {
+        const response = await fetch(`${config.baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                Authorization: sign(),
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.detail || data.error_key || `Khalti request failed with status ${response.status}`);
+        }
+        return data;
+    };
+
+    return {
+        key: `khalti_${environment}`,
+        label: config.label,
+        method: 'khalti',
+        live: environment === 'live',
+
+        isConfigured: () => Boolean(config.secretKey()),
+
+        sign,
+
+        /**
+         * Register the payment with Khalti and return its hosted payment page
+         */
+        initiate: async ({ order, amount, transactionUuid, successUrl, customer }) => {
+            const data = await request('/epayment/initiate/', {
+                return_url: successUrl,
+                website_url: process.env.CLIENT_URL || 'http://localhost:5173',
+                amount: Math.round(Number(amount) * 100),
+                purchase_order_id: transactionUuid,
+                purchase_order_name: order.title || `Order ${order._id}`,
+                customer_info: customer ? {
+                    name: customer.name,
+                    email: customer.email,
+                    phone: customer.phone,
+                } : undefined,
+            });
+
+            return {
+                url: data.payment_url,
+                method: 'redirect',
+                params: { pidx: data.pidx, expires_at: data.expires_at },
+                reference: data.pidx,
+            };
+        },
+
+        /**
+         * Look the payment up on Khalti rather than trusting the return URL
+         * @param {Object} payload - { pidx }
+         */
+        verify: async ({ pidx }) => {
+            if (!pidx) {
+                return { status: 'invalid', message: 'Payment response data is required' };
+            }
+
+            const data = await request('/epayment/lookup/', { pidx });
+
+            if (data.status === 'Completed') {
+                return {
+                    status: 'complete',
+                    reference: data.pidx,
+                    transactionId: data.transaction_id,
+                    amount: Number(data.total_amount) / 100,
+                };
+            }
+
+            if (FAILED_STATUSES.includes(data.status)) {
+                return { status: 'failed', message: 'Payment failed or cancelled', reference: data.pidx };
+            }
+
+            return { status: 'pending', message: 'Payment is still being processed', reference: data.pidx };
+        },
+    };
+};
+
+export default createKhaltiProvider;
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+
+/**
+ * Local mock provider for development and tests
+ * Never talks to a real gateway. Responses are base64 JSON signed with
+ * MOCK_PAYMENT_SECRET, mirroring the eSewa callback shape. Only available
+ * when that secret is set, or under NODE_ENV=test with a per-process key.
+ */
+
+const TEST_SECRET = crypto.randomBytes(32).toString('hex');
+
+const secretKey = () => process.env.MOCK_PAYMENT_SECRET || (process.env.NODE_ENV === 'test' ? TEST_SECRET : null);
+
+const sign = ({ transaction_uuid, total_amount, status }) => crypto
+    .createHmac('sha256', secretKey())
+    .update(`${transaction_uuid},${total_amount},${status}`)
+    .digest('hex');
+
+const verifySignature = (data) => {
+    if (!secretKey()) return false;
+    const expected = Buffer.from(sign(data));
+    const received = Buffer.from(String(data.signature || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Build the encoded response the mock gateway would send back
+ */
+export const buildMockResponse = ({ transactionUuid, amount, status = 'COMPLETE', transactionCode }) => {
+    const data = {
+        transaction_uuid: transactionUuid,
+        total_amount: amount,
+        status,
+        transaction_code: transactionCode || `MOCK-${Date.now()}`,
+    };
+    data.signature = sign(data);
+    return Buffer.from(JSON.stringify(data)).toString('base64');
+};
+
+export const mockProvider = {
+    key: 'mock',
+    label: 'Mock gateway (testing only)',
+    method: 'mock',
+    live: false,
+
+    isConfigured: () => Boolean(secretKey()),
+
+    sign,
+    verifySignature,
+
+    initiate: async ({ amount, transactionUuid, successUrl }) => ({
+        url: `${successUrl}&data=${buildMockResponse({ transactionUuid, amount })}`,
+        method: 'redirect',
+        params: { transaction_uuid: transactionUuid, total_amount: amount },
+        reference: transactionUuid,
+    }),
+
+    verify: async ({ encodedResponse }) => {
+        if (!encodedResponse) {
+            return { status: 'invalid', message: 'Payment response data is required' };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.from(encodedResponse.replace(/ /g, '+'), 'base64').toString('utf-8'));
+        } catch {
+            return { status: 'invalid', message: 'Invalid payment response format', error: 'Unable to decode payment data' };
+        }
+
+        if (!verifySignature(data)) {
+            return { status: 'invalid', message: 'Payment verification failed', error: 'Invalid signature' };
+        }
+
+        if (data.status !== 'COMPLETE') {
+            return { status: 'failed', message: 'Payment failed or cancelled', reference: data.transaction_uuid };
+        }
+
+        return {
+            status: 'complete',
+            reference: data.transaction_uuid,
+            transactionId: data.transaction_code,
+            amount: Number(data.total_amount),
+        };
+    },
+};
+
+export default mockProvider;
@@ -0,0 +1,350 @@
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import Contract from '../models/Contract.js';
+import { roundAmount } from '../utils/currency.js';
+import { updateMilestonePaymentStatus } from './invoiceService.js';
+import { holdOrderPayment } from './escrowService.js';
+
+/**
+ * Payment Service
+ * Keeps the Payment ledger and derives order and invoice balances from it.
+ * Gateway confirmations are applied exactly once, whether they arrive from
+ * the browser redirect or a gateway callback.
+ */
+
+// Invoice statuses that can still be settled by a payment
+const OPEN_INVOICE_STATUSES = ['sent', 'viewed', 'overdue'];
+
+// Amount an order is expected to be paid in full
+const orderAmountDue = (order) => order.quotedAmount || order.amount || 0;
+
+/**
+ * Build a ledger from completed entries: running balance after each entry
+ * Every refund is issued with a credit note, so it lowers the amount due
+ * by the same amount it lowers the net paid and leaves the balance as is.
+ * @param {Object} filter - Payment query (e.g. { order } or { invoice })
+ * @param {number} amountDue - Amount owed before any payments
+ */
+export async function getLedger(filter, amountDue = 0) {
+    const payments = await Payment.find(filter)
+        .populate('invoice', 'invoiceNumber')
+        .populate('verifiedBy recordedBy', 'name')
+        .lean();
+
+    const entries = payments
+        .map(payment => ({ ...payment, date: payment.paidAt || payment.createdAt }))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let paid = 0;
+    let refunded = 0;
+    let balance = amountDue;
+
+    for (const entry of entries) {
+        if (entry.status === 'completed') {
+            if (entry.type === 'refund') {
+                refunded += entry.amount;
+            } else {
+                paid += entry.amount;
+                balance -= entry.amount;
+            }
+        }
+        entry.runningBalance = balance;
+    }
+
+    return {
+        amountDue,
+        adjustedAmountDue: amountDue - refunded,
+        paid,
+        refunded,
+        netPaid: paid - refunded,
+        balance,
+        pending: entries
+            .filter(entry => entry.status === 'pending_verification')
+            .reduce((sum, entry) => sum + entry.amount, 0),
+        entries,
+    };
+}
+
+/**
+ * Ledger for an order
+ */
+export async function getOrderLedger(order) {
+    return getLedger({ order: order._id }, orderAmountDue(order));
+}
+
+/**
+ * Ledger for an invoice
+ */
+export async function getInvoiceLedger(invoice) {
+    return getLedger({ invoice: invoice._id }, invoice.total || 0);
+}
+
+/**
+ * Refresh the cached payment fields on an order from its ledger
+ * @returns {Promise<Object>} The saved order
+ */
+export async function syncOrderPaymentSummary(orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) return null;
+
+    const ledger = await getOrderLedger(order);
+    const amountDue = ledger.adjustedAmountDue;
+    const lastPayment = [...ledger.entries]
+        .reverse()
+        .find(entry => entry.status === 'completed' && entry.type === 'payment');
+
+    if (ledger.refunded > 0 && ledger.netPaid <= 0) {
+        order.paymentStatus = 'refunded';
+    } else if (amountDue > 0 ? ledger.netPaid >= amountDue : ledger.netPaid > 0) {
+        order.paymentStatus = 'paid';
+    } else if (ledger.pending > 0) {
+        order.paymentStatus = 'pending_verification';
+    } else if (ledger.netPaid > 0) {
+        order.paymentStatus = 'partially_paid';
+    } else {
+        order.paymentStatus = 'unpaid';
+    }
+
+    order.paidAmount = ledger.netPaid;
+    if (lastPayment) {
+        order.paidAt = lastPayment.paidAt;
+        order.transactionId = lastPayment.transactionId || order.transactionId;
+        order.paymentMethod = lastPayment.method;
+    }
+
+    await order.save();
+    return order;
+}
+
+/**
+ * Mark an invoice paid once its ledger balance is settled
+ */
+export async function settleInvoiceIfPaid(invoice, details = {}) {
+    if (!invoice || invoice.status === 'paid') return invoice;
+
+    const ledger = await getInvoiceLedger(invoice);
+    if (ledger.balance > 0) return invoice;
+
+    invoice.status = 'paid';
+    invoice.paidAt = new Date();
+    invoice.paymentMethod = details.method || invoice.paymentMethod;
+    invoice.paymentReference = details.reference || invoice.paymentReference;
+    await invoice.save();
+
+    // Marks the contract milestone paid when the invoice is for one
+    await updateMilestonePaymentStatus(invoice._id);
+
+    return invoice;
+}
+
+/**
+ * Apply a completed payment made on an order rather than an invoice
+ * (verified QR proofs, gateway payments without an invoice). The payment
+ * settles the open invoices of the order's active contract in milestone
+ * order for as long as it covers them: the part that pays each invoice is
+ * split off into its own ledger entry on that invoice, so order totals are
+ * unchanged. What is left is held in escrow under the contract.
+ * @param {Object} payment - Completed ledger entry without an invoice
+ * @param {string} title - Label for funds held on the contract
+ * @returns {Promise<Object|null>} The contract, or null when the order has no active contract
+ */
+export async function applyOrderPayment(payment, title) {
+    const contract = await Contract.findOne({ order: payment.order, status: 'active' }).select('_id');
+    if (!contract) return null;
+
+    const invoices = await Invoice.find({ contract: contract._id, status: { $in: OPEN_INVOICE_STATUSES } })
+        .sort({ 'milestone.index': 1, dueDate: 1 });
+
+    let remaining = payment.amount;
+    for (const invoice of invoices) {
+        const { balance } = await getInvoiceLedger(invoice);
+        if (balance > remaining + 0.005) break;
+        if (balance > 0) {
+            await Payment.create({
+                order: payment.order,
+                invoice: invoice._id,
+                client: payment.client,
+                amount: balance,
+                currency: payment.currency,
+                method: payment.method,
+                transactionId: payment.transactionId,
+                verifiedBy: payment.verifiedBy,
+                verifiedAt: payment.verifiedAt,
+                paidAt: payment.paidAt,
+                metadata: { splitFrom: payment._id },
+            });
+            remaining = roundAmount(remaining - balance);
+        }
+        await settleInvoiceIfPaid(invoice, { method: payment.method, reference: payment.transactionId });
+    }
+
+    if (remaining !== payment.amount) {
+        await Payment.updateOne({ _id: payment._id }, { $set: { amount: remaining } });
+    }
+    return holdOrderPayment(payment.order, remaining, { title, payment: payment._id });
+}
+
+/**
+ * Ledger entry a gateway initiation created, matched by provider and reference
+ */
+export async function findInitiatedPayment(provider, reference) {
+    if (!reference) return null;
+    return Payment.findOne({ provider: provider.key, gatewayReference: reference });
+}
+
+/**
+ * Find the order a gateway reference belongs to
+ * The ledger entry keeps the reference of every initiation; the order only
+ * remembers the latest one.
+ */
+export async function findOrderByPaymentReference(reference, provider) {
+    if (!reference) return null;
+    const entry = await Payment.findOne({ gatewayReference: reference, ...(provider && { provider: provider.key }) });
+    if (entry) return Order.findById(entry.order);
+    return Order.findOne({
+        $or: [{ paymentReference: reference }, { transactionUuid: reference }],
+        ...(provider && { paymentProvider: provider.key }),
+    });
+}
+
+/**
+ * Invoice a gateway payment settles: the one recorded on its initiated
+ * ledger entry, otherwise the oldest open invoice on the order for the same
+ * amount. Payments initiated before the ledger fall back to the order's
+ * last chosen invoice.
+ */
+async function resolveInvoice(order, amount, entry) {
+    if (entry?.invoice) {
+        return Invoice.findById(entry.invoice);
+    }
+    if (!entry && order.paymentInvoice) {
+        return Invoice.findById(order.paymentInvoice);
+    }
+    return Invoice.findOne({
+        order: order._id,
+        status: { $in: OPEN_INVOICE_STATUSES },
+        total: amount,
+    }).sort({ dueDate: 1 });
+}
+
+/**
+ * Record the start of a gateway payment in the ledger
+ */
+export async function recordInitiatedPayment(order, provider, { amount, reference, invoice }) {
+    return Payment.create({
+        order: order._id,
+        invoice: invoice?._id,
+        client: order.client,
+        amount,
+        currency: order.currency,
+        method: provider.method,
+        status: 'initiated',
+        provider: provider.key,
+        gatewayReference: reference,
+        transactionUuid: order.transactionUuid,
+    });
+}
+
+/**
+ * Mark an initiated gateway payment as failed
+ */
+export async function recordFailedPayment(provider, reference) {
+    if (!reference) return;
+    await Payment.updateOne(
+        { provider: provider.key, gatewayReference: reference, status: 'initiated' },
+        { $set: { status: 'failed' } }
+    );
+}
+
+/**
+ * Record a verified gateway payment against its order
+ * The ledger entry is claimed with an upsert on the unique gateway reference,
+ * so replays and concurrent confirmations are no-ops.
+ * @param {Object} order - Order the payment belongs to
+ * @param {Object} provider - Payment provider that verified the payment
+ * @param {Object} result - Successful provider verification result
+ * @param {Object} options - { changedBy }
+ * @returns {Promise<{duplicate: boolean, order: Object, invoice: Object|null, payment: Object|null}>}
+ */
+export async function confirmPayment(order, provider, result, options = {}) {
+    const entry = await findInitiatedPayment(provider, result.reference);
+    const invoice = await resolveInvoice(order, result.amount, entry);
+    const wasPaid = order.paymentStatus === 'paid';
+
+    let payment;
+    try {
+        payment = await Payment.findOneAndUpdate(
+            { provider: provider.key, gatewayReference: result.reference, status: { $ne: 'completed' } },
+            {
+                $set: {
+                    status: 'completed',
+                    amount: result.amount,
+                    transactionId: result.transactionId,
+                    paidAt: new Date(),
+                    ...(invoice && { invoice: invoice._id }),
+                },
+                $setOnInsert: {
+                    order: order._id,
+                    client: order.client,
+                    currency: order.currency,
+                    method: provider.method,
+                    transactionUuid: order.transactionUuid,
+                },
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // The reference is already completed: this is a replay
+        if (error.code === 11000) {
+            return { duplicate: true, order: await Order.findById(order._id), invoice: null, payment: null };
+        }
+        throw error;
+    }
+
+    const paidOrder = await syncOrderPaymentSummary(order._id);
+
+    if (!wasPaid && paidOrder.paymentStatus === 'paid') {
+        // Paying for completed work releases the delivery; deposits taken earlier in the workflow leave the status alone
+        if (paidOrder.status === 'completed') {
+            paidOrder.transitionTo('delivered', { changedBy: options.changedBy, reason: `${provider.label} payment verified` });
+            await paidOrder.save();
+        }
+
+        // Update developer earnings
+        if (paidOrder.assignedDeveloper) {
+            const developer = await User.findById(paidOrder.assignedDeveloper);
+            if (developer) {
+                // Parse budget to get numeric value
+                const budgetAmount = parseFloat(String(paidOrder.budget).replace(/[^0-9.-]+/g, ''));
+                if (!isNaN(budgetAmount)) {
+                    developer.earnings += budgetAmount;
+                    await developer.save();
+                }
+            }
+        }
+    }
+
+    // Invoice payments are held when the invoice settles; payments on the order are held under its contract
+    const settledInvoice = await settleInvoiceIfPaid(invoice, { method: provider.method, reference: result.transactionId });
+    if (!invoice) {
+        await applyOrderPayment(payment, `${provider.label} payment`);
+    }
+
+    return { duplicate: false, order: paidOrder, invoice: settledInvoice, payment };
+}
+
+export default {
+    getLedger,
+    getOrderLedger,
+    getInvoiceLedger,
+    syncOrderPaymentSummary,
+    settleInvoiceIfPaid,
+    applyOrderPayment,
+    findInitiatedPayment,
+    findOrderByPaymentReference,
+    recordInitiatedPayment,
+    recordFailedPayment,
+    confirmPayment,
+};
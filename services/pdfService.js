@@ -0,0 +1,704 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import Settings from '../models/Settings.js';
+
+/**
+ * PDF Service
+ * Renders quotes, contracts, invoices and payment receipts as printable
+ * PDF documents. Company details and colours come from the `branding`
+ * setting so admins can change them without a deploy.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const SERVER_ROOT = path.join(path.dirname(__filename), '..');
+
+export const DEFAULT_BRANDING = {
+    companyName: 'CodeSupport',
+    address: '',
+    email: '',
+    phone: '',
+    website: '',
+    registrationNumber: '',
+    primaryColor: '#3b82f6',
+    logoPath: '', // Relative to the server root, e.g. uploads/branding/logo.png
+    footerText: 'Thank you for your business.',
+};
+
+const MUTED = '#6b7280';
+const TEXT = '#111827';
+const BORDER = '#e5e7eb';
+
+/**
+ * Get branding settings merged over the defaults
+ */
+export const getBranding = async () => {
+    const saved = await Settings.getSetting('branding', {});
+    return { ...DEFAULT_BRANDING, ...(saved || {}) };
+};
+
+const formatMoney = (amount, currency = 'NPR') =>
+    `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+}) : '-');
+
+const PAYMENT_STRUCTURE_LABELS = {
+    full_upfront: 'Full Payment Upfront',
+    '50_50': '50% Upfront / 50% on Delivery',
+    milestone: 'Milestone Payments',
+    custom: 'Custom',
+    recurring: 'Recurring Retainer',
+};
+
+// Tax rows for the totals block: one per tax profile, or the document rate
+const taxRows = (document, currency) => {
+    const profiled = (document.lineItems || []).filter(item => item.taxProfile);
+    if (profiled.length === 0) {
+        return document.taxAmount ? [[`Tax (${document.taxRate}%)`, formatMoney(document.taxAmount, currency)]] : [];
+    }
+
+    const byProfile = new Map();
+    for (const item of profiled) {
+        byProfile.set(item.taxProfileName, (byProfile.get(item.taxProfileName) || 0) + (item.taxAmount || 0));
+    }
+    return [...byProfile].map(([name, amount]) => [name, formatMoney(amount, currency)]);
+};
+
+const humanize = (value) => (value ? String(value).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : '-');
+
+/**
+ * Create a document and a promise that resolves with its bytes once ended
+ */
+const createDocument = (title) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: title } });
+    const chunks = [];
+
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    return { doc, done };
+};
+
+// Start a new page if fewer than `height` points remain
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+};
+
+const drawHeader = (doc, branding, title, metaRows) => {
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const top = doc.y;
+
+    const logoFile = branding.logoPath ? path.resolve(SERVER_ROOT, branding.logoPath) : null;
+    let textX = left;
+    if (logoFile && logoFile.startsWith(SERVER_ROOT) && fs.existsSync(logoFile)) {
+        try {
+            doc.image(logoFile, left, top, { fit: [60, 60] });
+            textX = left + 70;
+        } catch (error) {
+            console.error('PDF logo error:', error.message);
+        }
+    }
+
+    doc.fillColor(branding.primaryColor).fontSize(18).font('Helvetica-Bold')
+        .text(branding.companyName, textX, top, { width: 250 });
+    doc.fillColor(MUTED).fontSize(9).font('Helvetica');
+    [branding.address, branding.email, branding.phone, branding.website, branding.registrationNumber && `Reg. No: ${branding.registrationNumber}`]
+        .filter(Boolean)
+        .forEach(line => doc.text(line, textX, doc.y, { width: 250 }));
+    const companyBottom = doc.y;
+
+    doc.fillColor(TEXT).fontSize(20).font('Helvetica-Bold')
+        .text(title.toUpperCase(), left, top, { width: right - left, align: 'right' });
+    doc.fontSize(9).font('Helvetica');
+    metaRows.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.fillColor(MUTED).text(`${label}:`, right - 200, y, { width: 85, align: 'right' });
+        doc.fillColor(TEXT).text(value || '-', right - 110, y, { width: 110, align: 'right' });
+    });
+
+    doc.y = Math.max(doc.y, companyBottom, top + 60) + 10;
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(2).strokeColor(branding.primaryColor).stroke();
+    doc.moveDown(1);
+};
+
+const drawSectionTitle = (doc, branding, title) => {
+    ensureSpace(doc, 40);
+    doc.moveDown(0.5);
+    doc.fillColor(branding.primaryColor).fontSize(11).font('Helvetica-Bold')
+        .text(title.toUpperCase(), doc.page.margins.left);
+    doc.moveDown(0.3);
+    doc.fillColor(TEXT).fontSize(10).font('Helvetica');
+};
+
+const drawParagraph = (doc, text) => {
+    if (!text) return;
+    ensureSpace(doc, 30);
+    doc.fillColor(TEXT).fontSize(10).font('Helvetica')
+        .text(text, doc.page.margins.left, doc.y, { align: 'justify' });
+    doc.moveDown(0.5);
+};
+
+const drawParties = (doc, branding, from, to) => {
+    const left = doc.page.margins.left;
+    const half = (doc.page.width - left - doc.page.margins.right) / 2;
+    const top = doc.y;
+
+    const block = (x, heading, lines) => {
+        doc.fillColor(MUTED).fontSize(8).font('Helvetica-Bold').text(heading.toUpperCase(), x, top, { width: half - 10 });
+        doc.fillColor(TEXT).fontSize(10).font('Helvetica-Bold').text(lines[0] || '-', x, doc.y, { width: half - 10 });
+        doc.font('Helvetica').fontSize(9);
+        lines.slice(1).filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width: half - 10 }));
+        return doc.y;
+    };
+
+    const leftBottom = block(left, from.heading, from.lines);
+    const rightBottom = block(left + half, to.heading, to.lines);
+    doc.y = Math.max(leftBottom, rightBottom) + 15;
+    doc.x = left;
+};
+
+/**
+ * Draw a simple table
+ * @param {Array} columns - [{ header, width, align, value: row => string }]
+ */
+const drawTable = (doc, branding, columns, rows) => {
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - left - doc.page.margins.right;
+    const totalWeight = columns.reduce((sum, c) => sum + c.width, 0);
+    const widths = columns.map(c => (c.width / totalWeight) * tableWidth);
+
+    const drawRow = (cells, { header = false } = {}) => {
+        doc.fontSize(9).font(header ? 'Helvetica-Bold' : 'Helvetica');
+        const height = Math.max(...cells.map((cell, i) =>
+            doc.heightOfString(String(cell ?? ''), { width: widths[i] - 8 }))) + 10;
+
+        ensureSpace(doc, height);
+        const y = doc.y;
+
+        if (header) {
+            doc.rect(left, y, tableWidth, height).fill(branding.primaryColor);
+        }
+
+        let x = left;
+        cells.forEach((cell, i) => {
+            doc.fillColor(header ? '#ffffff' : TEXT)
+                .text(String(cell ?? ''), x + 4, y + 5, { width: widths[i] - 8, align: columns[i].align || 'left' });
+            x += widths[i];
+        });
+
+        doc.y = y + height;
+        if (!header) {
+            doc.moveTo(left, doc.y).lineTo(left + tableWidth, doc.y).lineWidth(0.5).strokeColor(BORDER).stroke();
+        }
+    };
+
+    drawRow(columns.map(c => c.header), { header: true });
+    rows.forEach(row => drawRow(columns.map(c => c.value(row))));
+    doc.x = left;
+    doc.moveDown(0.5);
+};
+
+// Right-aligned label/value rows; the last row is emphasised as the total
+const drawTotals = (doc, branding, rows) => {
+    const right = doc.page.width - doc.page.margins.right;
+    const width = 220;
+    const x = right - width;
+
+    ensureSpace(doc, rows.length * 18 + 10);
+    rows.forEach(([label, value], index) => {
+        const isTotal = index === rows.length - 1;
+        const y = doc.y;
+        doc.fontSize(isTotal ? 11 : 10).font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+            .fillColor(isTotal ? branding.primaryColor : MUTED)
+            .text(label, x, y, { width: width / 2 });
+        doc.fillColor(isTotal ? branding.primaryColor : TEXT)
+            .text(value, x + width / 2, y, { width: width / 2, align: 'right' });
+        doc.y = y + (isTotal ? 20 : 16);
+    });
+    doc.x = doc.page.margins.left;
+    doc.moveDown(0.5);
+};
+
+const drawMilestones = (doc, branding, milestones, currency) => {
+    if (!milestones || milestones.length === 0) return;
+
+    drawSectionTitle(doc, branding, 'Payment Milestones');
+    drawTable(doc, branding, [
+        { header: '#', width: 1, value: m => m.index + 1 },
+        { header: 'Milestone', width: 5, value: m => m.title },
+        { header: 'Due', width: 4, value: m => m.dueDescription || '-' },
+        { header: '%', width: 1.5, align: 'right', value: m => (m.percentage != null ? `${m.percentage}%` : '-') },
+        { header: 'Amount', width: 3, align: 'right', value: m => formatMoney(m.amount, currency) },
+        ...(milestones.some(m => m.status) ? [{ header: 'Status', width: 2, value: m => humanize(m.status) }] : []),
+    ], milestones.map((m, index) => ({ ...(m.toObject ? m.toObject() : m), index })));
+};
+
+const drawSignatures = (doc, branding, signatures) => {
+    drawSectionTitle(doc, branding, 'Signatures');
+    ensureSpace(doc, 110);
+
+    const left = doc.page.margins.left;
+    const colWidth = (doc.page.width - left - doc.page.margins.right) / signatures.length;
+    const top = doc.y;
+    let bottom = top;
+
+    signatures.forEach(({ label, signature }, i) => {
+        const x = left + i * colWidth;
+        doc.y = top;
+        doc.fillColor(MUTED).fontSize(8).font('Helvetica-Bold').text(label.toUpperCase(), x, top, { width: colWidth - 20 });
+
+        const signed = signature?.agreed;
+        let lineY = doc.y + 40;
+
+        if (signed && signature.signatureType === 'drawn_signature' && signature.signatureData) {
+            try {
+                const data = signature.signatureData.replace(/^data:image\/\w+;base64,/, '');
+                doc.image(Buffer.from(data, 'base64'), x, doc.y + 2, { fit: [colWidth - 40, 36] });
+            } catch (error) {
+                console.error('PDF signature image error:', error.message);
+            }
+        } else if (signed) {
+            doc.fillColor(TEXT).fontSize(14).font('Helvetica-Oblique')
+                .text(signature.typedName || signature.signedByName || 'Digitally accepted', x, doc.y + 14, { width: colWidth - 20 });
+            lineY = Math.max(lineY, doc.y + 4);
+        }
+
+        doc.moveTo(x, lineY).lineTo(x + colWidth - 30, lineY).lineWidth(0.5).strokeColor(MUTED).stroke();
+        doc.fillColor(TEXT).fontSize(9).font('Helvetica');
+        doc.text(signed ? (signature.signedByName || '-') : 'Not yet signed', x, lineY + 4, { width: colWidth - 20 });
+        if (signed) {
+            doc.fillColor(MUTED).fontSize(8);
+            if (signature.signedByEmail) doc.text(signature.signedByEmail, x, doc.y, { width: colWidth - 20 });
+            doc.text(`Signed: ${signature.signedAt ? new Date(signature.signedAt).toLocaleString('en-US') : '-'}`, x, doc.y, { width: colWidth - 20 });
+            if (signature.ipAddress) doc.text(`IP: ${signature.ipAddress}`, x, doc.y, { width: colWidth - 20 });
+            if (signature.contentHash) doc.text(`SHA-256: ${signature.contentHash}`, x, doc.y, { width: colWidth - 20 });
+        }
+        bottom = Math.max(bottom, doc.y);
+    });
+
+    doc.y = bottom + 10;
+    doc.x = left;
+};
+
+// Large diagonal stamp, e.g. PAID
+const drawStamp = (doc, text, color) => {
+    const { x, y } = doc;
+    doc.save();
+    doc.rotate(-20, { origin: [doc.page.width / 2, 200] });
+    doc.fontSize(48).font('Helvetica-Bold').fillColor(color).fillOpacity(0.15)
+        .text(text, 0, 180, { width: doc.page.width, align: 'center' });
+    doc.restore();
+    doc.fillOpacity(1);
+    doc.x = x;
+    doc.y = y;
+};
+
+// Footer text and page numbers on every page
+const finalize = (doc, branding, done) => {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        const y = doc.page.height - 35;
+        doc.fontSize(8).font('Helvetica').fillColor(MUTED)
+            .text(branding.footerText || '', doc.page.margins.left, y, { width: 350 })
+            .text(`Page ${i - range.start + 1} of ${range.count}`, doc.page.width - doc.page.margins.right - 100, y, { width: 100, align: 'right' });
+        doc.page.margins.bottom = bottomMargin;
+    }
+    doc.end();
+    return done;
+};
+
+/**
+ * Render a quote as PDF
+ * @param {Object} quote - Quote document (order may be populated)
+ * @returns {Promise<Buffer>}
+ */
+export async function renderQuotePdf(quote) {
+    const branding = await getBranding();
+    const currency = quote.currency || 'NPR';
+    const { doc, done } = createDocument(`Quote ${quote.quoteNumber}`);
+
+    drawHeader(doc, branding, 'Quote', [
+        ['Quote No', quote.quoteNumber],
+        ['Version', String(quote.version || 1)],
+        ['Date', formatDate(quote.sentAt || quote.createdAt)],
+        ['Valid Until', formatDate(quote.validUntil)],
+    ]);
+
+    if (quote.status === 'accepted') drawStamp(doc, 'ACCEPTED', '#16a34a');
+
+    drawParties(doc, branding,
+        { heading: 'From', lines: [branding.companyName, branding.email, branding.phone] },
+        { heading: 'Prepared For', lines: [quote.order?.clientName || 'Client', quote.order?.clientEmail] });
+
+    drawSectionTitle(doc, branding, quote.projectTitle);
+    drawParagraph(doc, quote.projectSummary);
+
+    drawTable(doc, branding, [
+        { header: 'Description', width: 6, value: item => item.description },
+        { header: 'Category', width: 2.5, value: item => humanize(item.category) },
+        { header: 'Qty', width: 2, align: 'right', value: item => `${item.quantity} ${item.unit && item.unit !== 'fixed' ? item.unit : ''}`.trim() },
+        { header: 'Unit Price', width: 3, align: 'right', value: item => formatMoney(item.unitPrice, currency) },
+        { header: 'Amount', width: 3, align: 'right', value: item => formatMoney(item.amount, currency) },
+    ], quote.lineItems || []);
+
+    const discountLabel = quote.discountType === 'percentage' ? `Discount (${quote.discountValue}%)` : 'Discount';
+    drawTotals(doc, branding, [
+        ['Subtotal', formatMoney(quote.subtotal, currency)],
+        ...(quote.discountAmount ? [[discountLabel, `- ${formatMoney(quote.discountAmount, currency)}`]] : []),
+        ...taxRows(quote, currency),
+        ['Total', formatMoney(quote.total, currency)],
+    ]);
+
+    if (quote.deliverables?.length > 0) {
+        drawSectionTitle(doc, branding, 'Deliverables');
+        drawTable(doc, branding, [
+            { header: 'Deliverable', width: 5, value: d => d.title },
+            { header: 'Details', width: 7, value: d => d.description || '-' },
+            { header: 'Delivery', width: 3, value: d => d.estimatedDelivery || '-' },
+        ], quote.deliverables);
+    }
+
+    if (quote.estimatedDuration?.value || quote.estimatedCompletionDate) {
+        drawSectionTitle(doc, branding, 'Timeline');
+        if (quote.estimatedDuration?.value) {
+            drawParagraph(doc, `Estimated duration: ${quote.estimatedDuration.value} ${quote.estimatedDuration.unit || 'days'}`);
+        }
+        if (quote.estimatedStartDate || quote.estimatedCompletionDate) {
+            drawParagraph(doc, `Estimated start: ${formatDate(quote.estimatedStartDate)}    Estimated completion: ${formatDate(quote.estimatedCompletionDate)}`);
+        }
+    }
+
+    drawMilestones(doc, branding, quote.paymentTerms?.milestones, currency);
+    drawParagraph(doc, quote.paymentTerms?.notes);
+
+    const terms = quote.termsAndConditions || {};
+    const termSections = [
+        ['Revision Policy', terms.revisionPolicy],
+        ['Payment Policy', terms.paymentPolicy],
+        ['Cancellation Policy', terms.cancellationPolicy],
+        ['Intellectual Property', terms.intellectualProperty],
+        ['Confidentiality', terms.confidentiality],
+        ['Additional Terms', terms.additionalTerms],
+    ].filter(([, text]) => text);
+
+    if (termSections.length > 0) {
+        drawSectionTitle(doc, branding, 'Terms & Conditions');
+        termSections.forEach(([label, text]) => {
+            ensureSpace(doc, 30);
+            doc.font('Helvetica-Bold').fontSize(9).text(label);
+            doc.font('Helvetica');
+            drawParagraph(doc, text);
+        });
+    }
+
+    if (quote.clientNotes) {
+        drawSectionTitle(doc, branding, 'Notes');
+        drawParagraph(doc, quote.clientNotes);
+    }
+
+    return finalize(doc, branding, done);
+}
+
+const CONTRACT_TERM_LABELS = [
+    ['scopeOfWork', 'Scope of Work'],
+    ['changeRequests', 'Change Requests'],
+    ['revisionPolicy', 'Revision Policy'],
+    ['additionalRevisionRate', 'Additional Revisions'],
+    ['paymentTerms', 'Payment Terms'],
+    ['lateFeePolicy', 'Late Fees'],
+    ['refundPolicy', 'Refunds'],
+    ['intellectualProperty', 'Intellectual Property'],
+    ['ownershipTransfer', 'Ownership Transfer'],
+    ['confidentiality', 'Confidentiality'],
+    ['ndaClause', 'Non-Disclosure'],
+    ['limitationOfLiability', 'Limitation of Liability'],
+    ['warranty', 'Warranty'],
+    ['terminationByClient', 'Termination by Client'],
+    ['terminationByProvider', 'Termination by Service Provider'],
+    ['disputeResolution', 'Dispute Resolution'],
+    ['governingLaw', 'Governing Law'],
+    ['forceMajeure', 'Force Majeure'],
+    ['additionalTerms', 'Additional Terms'],
+];
+
+/**
+ * Render a contract as PDF
+ * @param {Object} contract - Contract document
+ * @returns {Promise<Buffer>}
+ */
+export async function renderContractPdf(contract) {
+    const branding = await getBranding();
+    const currency = contract.financialTerms?.currency || 'NPR';
+    const provider = contract.serviceProvider || {};
+    const client = contract.clientDetails || {};
+    const { doc, done } = createDocument(`Contract ${contract.contractNumber}`);
+
+    drawHeader(doc, branding, 'Service Contract', [
+        ['Contract No', contract.contractNumber],
+        ['Version', String(contract.version || 1)],
+        ['Status', humanize(contract.status)],
+        ['Effective', formatDate(contract.timeline?.effectiveDate || contract.activatedAt)],
+    ]);
+
+    if (contract.status === 'terminated') drawStamp(doc, 'TERMINATED', '#dc2626');
+
+    drawParties(doc, branding,
+        { heading: 'Service Provider', lines: [provider.name || branding.companyName, provider.address, provider.email, provider.phone] },
+        { heading: 'Client', lines: [client.name, client.company, client.address, client.email, client.phone] });
+
+    const project = contract.projectDetails || {};
+    drawSectionTitle(doc, branding, `Project: ${project.title || '-'}`);
+    drawParagraph(doc, project.description);
+    drawParagraph(doc, project.scope);
+
+    if (project.deliverables?.length > 0) {
+        drawTable(doc, branding, [
+            { header: 'Deliverable', width: 5, value: d => d.title },
+            { header: 'Details', width: 7, value: d => d.description || '-' },
+            { header: 'Delivery', width: 3, value: d => d.estimatedDelivery || '-' },
+        ], project.deliverables);
+    }
+
+    const timeline = contract.timeline || {};
+    if (timeline.estimatedStartDate || timeline.estimatedCompletionDate) {
+        drawSectionTitle(doc, branding, 'Timeline');
+        drawParagraph(doc, `Estimated start: ${formatDate(timeline.estimatedStartDate)}    Estimated completion: ${formatDate(timeline.estimatedCompletionDate)}`);
+    }
+
+    drawSectionTitle(doc, branding, 'Financial Terms');
+    drawParagraph(doc, `Payment structure: ${PAYMENT_STRUCTURE_LABELS[contract.financialTerms?.paymentStructure] || '-'}`);
+    const recurring = contract.financialTerms?.recurring;
+    if (contract.financialTerms?.paymentStructure === 'recurring' && recurring) {
+        const units = { weekly: 'weeks', monthly: 'months', quarterly: 'quarters', yearly: 'years' };
+        const every = recurring.intervalCount > 1 ? `every ${recurring.intervalCount} ${units[recurring.interval]}` : recurring.interval;
+        drawParagraph(doc, `Billed ${every}: ${formatMoney(recurring.amount, currency)} per period from ${formatDate(recurring.startDate)}${recurring.endDate ? ` until ${formatDate(recurring.endDate)}` : ''}`);
+    }
+    drawTotals(doc, branding, [
+        ['Contract Value', formatMoney(contract.financialTerms?.totalAmount, currency)],
+    ]);
+    drawMilestones(doc, branding, contract.financialTerms?.milestones, currency);
+
+    // Template clauses replace the built-in terms
+    drawSectionTitle(doc, branding, 'Terms & Conditions');
+    const terms = contract.terms || {};
+    const sections = contract.clauses?.length > 0
+        ? contract.clauses.map(clause => [clause.title, clause.body])
+        : CONTRACT_TERM_LABELS.filter(([key]) => terms[key]).map(([key, label]) => [label, terms[key]]);
+    sections.forEach(([label, text], index) => {
+        ensureSpace(doc, 30);
+        doc.font('Helvetica-Bold').fontSize(9).fillColor(TEXT).text(`${index + 1}. ${label}`);
+        doc.font('Helvetica');
+        drawParagraph(doc, text);
+    });
+
+    const approvedAmendments = (contract.amendments || []).filter(a => a.status === 'approved');
+    if (approvedAmendments.length > 0) {
+        drawSectionTitle(doc, branding, 'Amendments');
+        drawTable(doc, branding, [
+            { header: '#', width: 1, value: a => a.amendmentNumber },
+            { header: 'Description', width: 8, value: a => a.description || a.changes },
+            { header: 'Approved', width: 3, value: a => formatDate(a.approvedAt) },
+        ], approvedAmendments);
+    }
+
+    drawSignatures(doc, branding, [
+        { label: 'For the Service Provider', signature: contract.providerSignature },
+        { label: 'Client', signature: contract.clientSignature },
+    ]);
+
+    return finalize(doc, branding, done);
+}
+
+/**
+ * Render an invoice as PDF
+ * @param {Object} invoice - Invoice document (contract/order may be populated)
+ * @returns {Promise<Buffer>}
+ */
+export async function renderInvoicePdf(invoice) {
+    const branding = await getBranding();
+    const currency = invoice.currency || 'NPR';
+    const client = invoice.clientDetails || {};
+    const { doc, done } = createDocument(`Invoice ${invoice.invoiceNumber}`);
+
+    drawHeader(doc, branding, 'Invoice', [
+        ['Invoice No', invoice.invoiceNumber],
+        ['Issue Date', formatDate(invoice.issueDate)],
+        ['Due Date', formatDate(invoice.dueDate)],
+        ...(invoice.contract?.contractNumber ? [['Contract', invoice.contract.contractNumber]] : []),
+    ]);
+
+    const stamps = {
+        paid: ['PAID', '#16a34a'],
+        overdue: ['OVERDUE', '#dc2626'],
+        cancelled: ['CANCELLED', MUTED],
+        refunded: ['REFUNDED', '#d97706'],
+    };
+    if (stamps[invoice.status]) drawStamp(doc, ...stamps[invoice.status]);
+
+    drawParties(doc, branding,
+        { heading: 'From', lines: [branding.companyName, branding.address, branding.email, branding.phone] },
+        { heading: 'Bill To', lines: [client.name, client.company, client.address, client.email, client.phone] });
+
+    drawSectionTitle(doc, branding, invoice.title);
+    drawParagraph(doc, invoice.description);
+    if (invoice.milestone?.title) {
+        drawParagraph(doc, `Milestone: ${invoice.milestone.title}`);
+    }
+
+    drawTable(doc, branding, [
+        { header: 'Description', width: 8, value: item => item.description },
+        { header: 'Qty', width: 1.5, align: 'right', value: item => item.quantity },
+        { header: 'Unit Price', width: 3, align: 'right', value: item => formatMoney(item.unitPrice, currency) },
+        { header: 'Amount', width: 3, align: 'right', value: item => formatMoney(item.amount, currency) },
+    ], invoice.lineItems || []);
+
+    drawTotals(doc, branding, [
+        ['Subtotal', formatMoney(invoice.subtotal, currency)],
+        ...taxRows(invoice, currency),
+        ...(invoice.discountAmount ? [['Discount', `- ${formatMoney(invoice.discountAmount, currency)}`]] : []),
+        ['Total Due', formatMoney(invoice.total, currency)],
+    ]);
+
+    if (invoice.status === 'paid') {
+        drawSectionTitle(doc, branding, 'Payment');
+        drawParagraph(doc, [
+            `Paid on ${formatDate(invoice.paidAt)}`,
+            invoice.paymentMethod && `via ${humanize(invoice.paymentMethod)}`,
+            invoice.paymentReference && `(Ref: ${invoice.paymentReference})`,
+        ].filter(Boolean).join(' '));
+    }
+
+    if (invoice.notes) {
+        drawSectionTitle(doc, branding, 'Notes');
+        drawParagraph(doc, invoice.notes);
+    }
+
+    if (invoice.termsAndConditions) {
+        drawSectionTitle(doc, branding, 'Terms');
+        drawParagraph(doc, invoice.termsAndConditions);
+    }
+
+    return finalize(doc, branding, done);
+}
+
+/**
+ * Render a credit note as PDF
+ * @param {Object} creditNote - CreditNote document with invoice populated
+ * @returns {Promise<Buffer>}
+ */
+export async function renderCreditNotePdf(creditNote) {
+    const branding = await getBranding();
+    const currency = creditNote.currency || 'NPR';
+    const client = creditNote.clientDetails || {};
+    const invoice = creditNote.invoice || {};
+    const { doc, done } = createDocument(`Credit Note ${creditNote.creditNoteNumber}`);
+
+    drawHeader(doc, branding, 'Credit Note', [
+        ['Credit Note No', creditNote.creditNoteNumber],
+        ['Issue Date', formatDate(creditNote.issuedAt)],
+        ...(invoice.invoiceNumber ? [['Invoice', invoice.invoiceNumber]] : []),
+    ]);
+
+    drawParties(doc, branding,
+        { heading: 'From', lines: [branding.companyName, branding.address, branding.email, branding.phone] },
+        { heading: 'Credit To', lines: [client.name, client.company, client.address, client.email, client.phone] });
+
+    drawSectionTitle(doc, branding, 'Reason');
+    drawParagraph(doc, creditNote.reason);
+
+    drawTable(doc, branding, [
+        { header: 'Description', width: 9, value: row => row.description },
+        { header: 'Amount', width: 3, align: 'right', value: row => formatMoney(row.amount, currency) },
+    ], [{ description: `Credit against ${invoice.invoiceNumber || 'invoice'}${invoice.title ? ` - ${invoice.title}` : ''}`, amount: creditNote.amount }]);
+
+    drawTotals(doc, branding, [
+        ...(invoice.total !== undefined ? [['Original Invoice Total', formatMoney(invoice.total, currency)]] : []),
+        ['Refund Method', humanize(creditNote.refundMethod)],
+        ['Refund Reference', creditNote.refundReference || '-'],
+        ['Total Credited', formatMoney(creditNote.amount, currency)],
+    ]);
+
+    return finalize(doc, branding, done);
+}
+
+/**
+ * Render a payment receipt as PDF
+ * @param {Object} receipt - Receipt data as built by the payment controller
+ * @returns {Promise<Buffer>}
+ */
+export async function renderReceiptPdf(receipt) {
+    const branding = await getBranding();
+    const currency = receipt.currency || 'NPR';
+    const { doc, done } = createDocument(`Receipt ${receipt.receiptId}`);
+
+    drawHeader(doc, branding, 'Payment Receipt', [
+        ['Receipt No', receipt.receiptId],
+        ['Date', formatDate(receipt.date)],
+        ...(receipt.order.assignmentNumber ? [['Assignment', receipt.order.assignmentNumber]] : []),
+    ]);
+
+    if (receipt.payment.status === 'paid') drawStamp(doc, 'PAID', '#16a34a');
+
+    drawParties(doc, branding,
+        { heading: 'Received By', lines: [branding.companyName, branding.address, branding.email, branding.phone] },
+        { heading: 'Received From', lines: [receipt.client.name, receipt.client.email, receipt.client.phone] });
+
+    drawTable(doc, branding, [
+        { header: 'Description', width: 9, value: row => row.description },
+        { header: 'Amount', width: 3, align: 'right', value: row => formatMoney(row.amount, currency) },
+    ], [{ description: receipt.order.title, amount: receipt.order.amount }]);
+
+    drawTotals(doc, branding, [
+        ['Payment Method', humanize(receipt.payment.method)],
+        ['Transaction ID', receipt.payment.transactionId || '-'],
+        ['Paid On', formatDate(receipt.payment.paidAt)],
+        ['Amount Paid', formatMoney(receipt.order.amount, currency)],
+    ]);
+
+    if (receipt.payment.status !== 'paid') {
+        drawParagraph(doc, `Payment status: ${humanize(receipt.payment.status)}`);
+    }
+
+    return finalize(doc, branding, done);
+}
+
+/**
+ * Render a PDF as email attachments for sendEmail
+ * A rendering failure is logged and yields no attachment so the email still goes out
+ * @param {string} filename - Attachment file name
+ * @param {Function} render - Async function returning the PDF buffer
+ * @returns {Array} Nodemailer attachments (empty on failure)
+ */
+export async function pdfAttachments(filename, render) {
+    try {
+        const content = await render();
+        return [{ filename, content, contentType: 'application/pdf' }];
+    } catch (error) {
+        console.error('PDF attachment error:', error.message);
+        return [];
+    }
+}
+
+export default {
+    getBranding,
+    renderQuotePdf,
+    renderContractPdf,
+    renderInvoicePdf,
+    renderReceiptPdf,
+    renderCreditNotePdf,
+    pdfAttachments,
+};
@@ -0,0 +1,59 @@
+import Settings from '../models/Settings.js';
+import { BASE_CURRENCY, roundAmount } from '../utils/currency.js';
+import {
+    PRICING_RULES_SETTING,
+    DEFAULT_PRICING_RULES,
+    normalizePricingRules,
+    estimatePrice,
+} from '../utils/pricing.js';
+
+/**
+ * Pricing Service
+ * Suggested prices for orders from the admin-managed pricing rules. The
+ * estimate is only a starting point for the quote; it never sets the
+ * order's amount.
+ */
+
+/**
+ * Get the configured pricing rules
+ */
+export const getPricingRules = async () => {
+    const configured = await Settings.getSetting(PRICING_RULES_SETTING, DEFAULT_PRICING_RULES);
+    return normalizePricingRules(configured) || DEFAULT_PRICING_RULES;
+};
+
+/**
+ * Estimate an order's price in the requested currency
+ * Each breakdown line is converted at today's rate and the total is their sum.
+ * @param {Object} order - Order or order form fields
+ * @param {Object} options - { currency, now }
+ * @returns {Promise<Object|null>} { amount, currency, exchangeRate, pages, urgency, breakdown, computedAt },
+ * null when the order has no page or word count or no rate exists for the currency
+ */
+export const estimateOrderPrice = async (order, { currency = BASE_CURRENCY, now = new Date() } = {}) => {
+    const estimate = estimatePrice(order, await getPricingRules(), now);
+    if (!estimate) return null;
+
+    const exchangeRate = await Settings.getExchangeRate(currency, now);
+    if (exchangeRate === null) return null;
+
+    const breakdown = estimate.breakdown.map(line => ({
+        label: line.label,
+        amount: roundAmount(line.amount / exchangeRate),
+    }));
+
+    return {
+        amount: roundAmount(breakdown.reduce((sum, line) => sum + line.amount, 0)),
+        currency,
+        exchangeRate,
+        pages: estimate.pages,
+        urgency: estimate.urgency,
+        breakdown,
+        computedAt: now,
+    };
+};
+
+export default {
+    getPricingRules,
+    estimateOrderPrice,
+};
@@ -0,0 +1,107 @@
+import Quote, { OPEN_QUOTE_STATUSES } from '../models/Quote.js';
+import Settings from '../models/Settings.js';
+import { startRecurringJob } from './jobScheduler.js';
+import { createNotification, notifyAllAdmins } from '../controllers/notificationController.js';
+
+/**
+ * Quote Expiry Service
+ * Quotes are valid for a window after they are sent. Once validUntil has
+ * passed, open quotes are moved to 'expired' so they can no longer be
+ * accepted at stale prices; admins can renew them as a new version.
+ */
+
+export const QUOTE_EXPIRY_JOB_NAME = 'quote_expiry';
+
+// Settings key holding the default validity window in days
+export const QUOTE_VALIDITY_SETTING = 'quote_validity_days';
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the configured validity window in days
+ */
+export const getQuoteValidityDays = async () => {
+    const days = Number(await Settings.getSetting(QUOTE_VALIDITY_SETTING, DEFAULT_QUOTE_VALIDITY_DAYS));
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_QUOTE_VALIDITY_DAYS;
+};
+
+/**
+ * End of the validity window for a quote sent at the given time
+ */
+export const getQuoteValidUntil = async (from = new Date()) =>
+    new Date(from.getTime() + await getQuoteValidityDays() * DAY_MS);
+
+/**
+ * Expire every open quote whose validity window has passed
+ * The status check in the update keeps a quote accepted meanwhile from being expired.
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<{checked: number, expired: number}>}
+ */
+export const expireQuotes = async (now = new Date()) => {
+    const quotes = await Quote.find({
+        status: { $in: OPEN_QUOTE_STATUSES },
+        validUntil: { $lt: now },
+    }).populate('order', 'client');
+
+    let expired = 0;
+    for (const quote of quotes) {
+        try {
+            const updated = await Quote.findOneAndUpdate(
+                { _id: quote._id, status: { $in: OPEN_QUOTE_STATUSES } },
+                { status: 'expired', expiredAt: now },
+                { new: true }
+            );
+            if (!updated) continue;
+            expired++;
+
+            if (quote.order?.client) {
+                await createNotification(
+                    quote.order.client,
+                    'quote_expired',
+                    'Quote Expired',
+                    `Your quote ${quote.quoteNumber} for "${quote.projectTitle}" has expired. Contact us for a renewed quote.`,
+                    quote._id,
+                    'Quote',
+                    `/dashboard/client/quotes/${quote._id}`,
+                    { orderId: quote.order._id }
+                );
+            }
+
+            await notifyAllAdmins(
+                'quote_expired',
+                'Quote Expired',
+                `Quote ${quote.quoteNumber} for "${quote.projectTitle}" expired without a response`,
+                quote._id,
+                'Quote',
+                `/admin/quotes/${quote._id}`,
+                { orderId: quote.order?._id }
+            );
+        } catch (error) {
+            console.error(`[Quote Expiry] Failed for quote ${quote.quoteNumber}:`, error.message);
+        }
+    }
+
+    return { checked: quotes.length, expired };
+};
+
+/**
+ * Start the quote expiry scheduler
+ * Runs every hour; only the instance holding the lock performs the sweep
+ */
+export const startQuoteExpiryScheduler = () => {
+    console.log('[Quote Expiry] Starting quote expiry service...');
+
+    const intervalMs = 60 * 60 * 1000; // 1 hour
+    const stop = startRecurringJob(QUOTE_EXPIRY_JOB_NAME, intervalMs, () => expireQuotes());
+
+    console.log('[Quote Expiry] Scheduler started - checking every hour');
+    return stop;
+};
+
+export default {
+    getQuoteValidityDays,
+    getQuoteValidUntil,
+    expireQuotes,
+    startQuoteExpiryScheduler,
+};
@@ -0,0 +1,118 @@
+import ServiceCatalogItem from '../models/ServiceCatalogItem.js';
+import QuoteTemplate from '../models/QuoteTemplate.js';
+import { rankForOrder } from '../utils/catalog.js';
+
+/**
+ * Quote Template Service
+ * Turns a quote template plus an order into the request body createQuote
+ * expects. Catalog-backed lines are priced from the catalog at build time,
+ * so price changes reach new quotes without editing every template.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-page services are quoted for the order's page count
+const defaultQuantity = (unit, order) => (unit === 'pages' && order.pageCount > 0 ? order.pageCount : 1);
+
+/**
+ * Quote line item from a catalog item
+ */
+export const catalogLineItem = (item, order, overrides = {}) => ({
+    category: item.category,
+    description: overrides.description || item.name,
+    quantity: overrides.quantity || defaultQuantity(item.unit, order),
+    unit: item.unit,
+    unitPrice: item.unitPrice,
+    taxProfile: overrides.taxProfile || item.taxProfile,
+});
+
+/**
+ * Line items for a template and order; a template without lines uses the
+ * order's matching catalog items
+ * @param {Object} template - Template with lineItems.catalogItem populated
+ */
+export const resolveTemplateLineItems = async (template, order) => {
+    if (!template.lineItems?.length) {
+        const items = await ServiceCatalogItem.findForOrder(order);
+        return items.map(item => catalogLineItem(item, order));
+    }
+
+    return template.lineItems
+        // Lines pointing at a retired catalog item are dropped
+        .filter(line => !line.catalogItem || line.catalogItem.isActive)
+        .map(line => (line.catalogItem
+            ? catalogLineItem(line.catalogItem, order, line)
+            : {
+                category: line.category || 'other',
+                description: line.description,
+                quantity: line.quantity || defaultQuantity(line.unit, order),
+                unit: line.unit || 'fixed',
+                unitPrice: line.unitPrice,
+                taxProfile: line.taxProfile,
+            }));
+};
+
+/**
+ * Active templates suited to an order, most specific first
+ */
+export const findTemplatesForOrder = async (order) => {
+    const templates = await QuoteTemplate.find({ isActive: true }).sort({ name: 1 });
+    return rankForOrder(templates, order);
+};
+
+/**
+ * Build a createQuote request body from a template for an order
+ * @param {Object} template - Lean template with lineItems.catalogItem populated
+ * @returns {Promise<Object>} Prefilled quote fields
+ */
+export const buildQuoteFromTemplate = async (template, order) => {
+    const now = new Date();
+    const paymentTerms = template.paymentTerms || {};
+    const duration = template.estimatedDuration?.value ? template.estimatedDuration : undefined;
+
+    return {
+        orderId: order._id,
+        template: template._id,
+        projectTitle: order.title,
+        projectSummary: order.description,
+        lineItems: await resolveTemplateLineItems(template, order),
+        deliverables: (template.deliverables || []).map(({ title, description, estimatedDelivery }) => ({
+            title,
+            description,
+            estimatedDelivery,
+        })),
+        estimatedDuration: duration && { value: duration.value, unit: duration.unit },
+        estimatedStartDate: now,
+        estimatedCompletionDate: order.deadline,
+        paymentTerms: {
+            type: paymentTerms.type || 'milestone',
+            milestones: (paymentTerms.milestones || []).map(({ title, description, percentage, dueDescription }) => ({
+                title,
+                description,
+                percentage,
+                dueDescription,
+            })),
+            recurring: paymentTerms.type === 'recurring'
+                ? { ...paymentTerms.recurring, startDate: now }
+                : undefined,
+            notes: paymentTerms.notes,
+        },
+        // Unset template terms fall back to the Quote defaults
+        termsAndConditions: Object.fromEntries(
+            Object.entries(template.termsAndConditions || {})
+                .filter(([, value]) => value)
+        ),
+        validUntil: new Date(now.getTime() + (template.validityDays || 7) * DAY_MS),
+        discountType: template.discountType,
+        discountValue: template.discountValue,
+        taxRate: template.taxRate,
+        currency: order.currency,
+    };
+};
+
+export default {
+    catalogLineItem,
+    resolveTemplateLineItems,
+    findTemplatesForOrder,
+    buildQuoteFromTemplate,
+};
@@ -0,0 +1,69 @@
+import Contract from '../models/Contract.js';
+import { startRecurringJob } from './jobScheduler.js';
+import { generateRecurringInvoices } from './invoiceService.js';
+import { notifyAllAdmins } from '../controllers/notificationController.js';
+
+/**
+ * Recurring Invoice Service
+ * Periodically bills active retainer contracts whose next period has
+ * started. Invoices carry their billing period, and a unique index on
+ * contract + period start keeps a period from being billed twice.
+ */
+
+export const RECURRING_INVOICE_JOB_NAME = 'recurring_invoices';
+
+/**
+ * Generate invoices for every retainer period that is due
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<{checked: number, invoiced: number}>}
+ */
+export const processRecurringInvoices = async (now = new Date()) => {
+    const contracts = await Contract.find({
+        status: 'active',
+        'financialTerms.paymentStructure': 'recurring',
+        'financialTerms.recurring.status': 'active',
+        'financialTerms.recurring.nextInvoiceDate': { $lte: now },
+    });
+
+    let invoiced = 0;
+    for (const contract of contracts) {
+        try {
+            const invoices = await generateRecurringInvoices(contract, { now });
+            invoiced += invoices.length;
+
+            if (invoices.length > 0) {
+                await notifyAllAdmins(
+                    'invoice_generated',
+                    'Retainer Invoices Generated',
+                    `${invoices.length} retainer invoice(s) created for contract ${contract.contractNumber}`,
+                    contract._id,
+                    'Contract',
+                    '/admin/invoices'
+                );
+            }
+        } catch (error) {
+            console.error(`[Recurring Invoices] Failed for contract ${contract.contractNumber}:`, error.message);
+        }
+    }
+
+    return { checked: contracts.length, invoiced };
+};
+
+/**
+ * Start the recurring invoice scheduler
+ * Runs every hour; only the instance holding the lock performs the sweep
+ */
+export const startRecurringInvoiceScheduler = () => {
+    console.log('[Recurring Invoices] Starting recurring invoice service...');
+
+    const intervalMs = 60 * 60 * 1000; // 1 hour
+    const stop = startRecurringJob(RECURRING_INVOICE_JOB_NAME, intervalMs, () => processRecurringInvoices());
+
+    console.log('[Recurring Invoices] Scheduler started - checking every hour');
+    return stop;
+};
+
+export default {
+    processRecurringInvoices,
+    startRecurringInvoiceScheduler,
+};
@@ -0,0 +1,215 @@
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import Settings from '../models/Settings.js';
+import { BASE_CURRENCY, roundAmount } from '../utils/currency.js';
+import {
+    TAX_PROFILES_SETTING,
+    FISCAL_YEAR_SETTING,
+    DEFAULT_TAX_PROFILES,
+    DEFAULT_FISCAL_YEAR_START,
+    normalizeTaxProfile,
+    normalizeFiscalYearStart,
+    getFiscalYear,
+} from '../utils/tax.js';
+
+/**
+ * Tax Service
+ * Admin-defined tax profiles for line items and the VAT summary used by
+ * accountants. Amounts in the report are converted to the base currency at
+ * each invoice's locked exchange rate.
+ */
+
+/**
+ * Get configured tax profiles
+ */
+export const getTaxProfiles = async () => {
+    const configured = await Settings.getSetting(TAX_PROFILES_SETTING, DEFAULT_TAX_PROFILES);
+    const profiles = (Array.isArray(configured) ? configured : []).map(normalizeTaxProfile).filter(Boolean);
+    return profiles.length > 0 ? profiles : DEFAULT_TAX_PROFILES;
+};
+
+/**
+ * Get the configured fiscal year start ({ month, day })
+ */
+export const getFiscalYearStart = async () => {
+    const configured = await Settings.getSetting(FISCAL_YEAR_SETTING, DEFAULT_FISCAL_YEAR_START);
+    return normalizeFiscalYearStart(configured) || DEFAULT_FISCAL_YEAR_START;
+};
+
+/**
+ * Copy tax profile details onto line items that name a profile by code
+ * Items without a profile fall back to the document-level tax rate.
+ * @returns {Promise<{lineItems: Array, unknown: string[]}>} Items plus any profile codes that do not exist
+ */
+export const applyTaxProfiles = async (lineItems = []) => {
+    const profiles = await getTaxProfiles();
+    const byCode = new Map(profiles.map(profile => [profile.code, profile]));
+    const unknown = [];
+
+    const taxed = lineItems.map(item => {
+        const { taxProfile, taxProfileName, taxRate, taxExempt, taxAmount, ...rest } = item;
+        if (!taxProfile) return rest;
+
+        const profile = byCode.get(String(taxProfile).toUpperCase());
+        if (!profile) {
+            unknown.push(taxProfile);
+            return rest;
+        }
+
+        return {
+            ...rest,
+            taxProfile: profile.code,
+            taxProfileName: profile.name,
+            taxRate: profile.rate,
+            taxExempt: profile.exempt,
+        };
+    });
+
+    return { lineItems: taxed, unknown };
+};
+
+/**
+ * Resolve the report period from explicit dates or a fiscal year label (e.g. 2025-26)
+ * Defaults to the current fiscal year to date.
+ */
+export const resolveReportPeriod = async ({ startDate, endDate, fiscalYear } = {}) => {
+    const start = await getFiscalYearStart();
+
+    if (fiscalYear) {
+        const startYear = parseInt(String(fiscalYear).split('-')[0]);
+        if (isNaN(startYear)) return null;
+        const year = getFiscalYear(new Date(startYear, start.month - 1, start.day), start);
+        return { from: year.startsAt, to: year.endsAt, fiscalYear: year.label };
+    }
+
+    const current = getFiscalYear(new Date(), start);
+    const from = startDate ? new Date(startDate) : current.startsAt;
+    const to = endDate ? new Date(endDate) : new Date();
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return null;
+
+    return { from, to };
+};
+
+/**
+ * Build the VAT summary for invoices issued and credit notes raised in a period
+ * @param {Object} period - { from, to }
+ */
+export const getVatReport = async ({ from, to }) => {
+    const invoices = await Invoice.find({
+        status: { $ne: 'draft' },
+        issueDate: { $gte: from, $lte: to },
+    })
+        .sort({ issueDate: 1, sequenceNumber: 1 })
+        .lean();
+
+    const profiles = new Map();
+    const addToProfile = (key, details, taxable, tax) => {
+        const entry = profiles.get(key) || { ...details, taxableAmount: 0, taxAmount: 0, lines: 0 };
+        entry.taxableAmount += taxable;
+        entry.taxAmount += tax;
+        entry.lines += 1;
+        profiles.set(key, entry);
+    };
+
+    const register = [];
+    let cancelled = 0;
+
+    for (const invoice of invoices) {
+        const rate = invoice.exchangeRate || 1;
+        const discount = invoice.discountAmount || 0;
+        const taxableAmount = (invoice.subtotal - discount) * rate;
+        const taxAmount = (invoice.taxAmount || 0) * rate;
+
+        register.push({
+            invoiceNumber: invoice.invoiceNumber,
+            issueDate: invoice.issueDate,
+            client: invoice.clientDetails?.name,
+            status: invoice.status,
+            currency: invoice.currency,
+            exchangeRate: rate,
+            taxableAmount: roundAmount(taxableAmount),
+            taxAmount: roundAmount(taxAmount),
+            total: roundAmount(invoice.total * rate),
+        });
+
+        // Cancelled invoices keep their number in the register but carry no tax
+        if (invoice.status === 'cancelled') {
+            cancelled++;
+            continue;
+        }
+
+        const profiled = invoice.lineItems.some(item => item.taxProfile);
+        if (!profiled) {
+            const docRate = invoice.taxRate || 0;
+            addToProfile(`rate:${docRate}`, {
+                code: null,
+                name: docRate > 0 ? `${docRate}% (invoice rate)` : 'No tax',
+                rate: docRate,
+                exempt: false,
+            }, taxableAmount, taxAmount);
+            continue;
+        }
+
+        const discountRatio = invoice.subtotal > 0 ? Math.min(discount / invoice.subtotal, 1) : 0;
+        for (const item of invoice.lineItems) {
+            const key = item.taxProfile || 'none';
+            addToProfile(key, {
+                code: item.taxProfile || null,
+                name: item.taxProfileName || 'No tax profile',
+                rate: item.taxRate || 0,
+                exempt: Boolean(item.taxExempt),
+            }, item.amount * (1 - discountRatio) * rate, (item.taxAmount || 0) * rate);
+        }
+    }
+
+    const byProfile = [...profiles.values()].map(entry => ({
+        ...entry,
+        taxableAmount: roundAmount(entry.taxableAmount),
+        taxAmount: roundAmount(entry.taxAmount),
+    }));
+
+    // Credit notes reverse the tax share of the refunded amount
+    const creditNotes = await CreditNote.find({ issuedAt: { $gte: from, $lte: to } })
+        .populate('invoice', 'taxAmount total exchangeRate')
+        .lean();
+
+    let creditAmount = 0;
+    let creditTax = 0;
+    for (const note of creditNotes) {
+        const rate = note.invoice?.exchangeRate || 1;
+        const taxShare = note.invoice?.total > 0 ? (note.invoice.taxAmount || 0) / note.invoice.total : 0;
+        creditAmount += note.amount * rate;
+        creditTax += note.amount * taxShare * rate;
+    }
+
+    const outputTax = byProfile.reduce((sum, entry) => sum + entry.taxAmount, 0);
+
+    return {
+        currency: BASE_CURRENCY,
+        period: { from, to },
+        summary: {
+            invoices: invoices.length - cancelled,
+            cancelledInvoices: cancelled,
+            taxableAmount: roundAmount(byProfile.filter(e => !e.exempt).reduce((sum, e) => sum + e.taxableAmount, 0)),
+            exemptAmount: roundAmount(byProfile.filter(e => e.exempt).reduce((sum, e) => sum + e.taxableAmount, 0)),
+            outputTax: roundAmount(outputTax),
+            creditNoteTax: roundAmount(creditTax),
+            netTaxPayable: roundAmount(outputTax - creditTax),
+        },
+        byProfile,
+        creditNotes: {
+            count: creditNotes.length,
+            amount: roundAmount(creditAmount),
+            taxAmount: roundAmount(creditTax),
+        },
+        invoices: register,
+    };
+};
+
+export default {
+    getTaxProfiles,
+    getFiscalYearStart,
+    applyTaxProfiles,
+    resolveReportPeriod,
+    getVatReport,
+};
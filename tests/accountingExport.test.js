@@ -0,0 +1,145 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+} from './helpers/testApp.js';
+
+const parseCsv = (text) => text.trim().split('\r\n');
+
+// Sum of each IIF transaction's TRNS and SPL amounts, one entry per transaction
+const iifBalances = (text) => {
+    const balances = [];
+    let current = null;
+    for (const line of text.trim().split('\r\n')) {
+        const cells = line.split('\t');
+        if (cells[0] === 'TRNS') current = 0;
+        if (cells[0] === 'TRNS' || cells[0] === 'SPL') current += Number(cells[6]);
+        if (cells[0] === 'ENDTRNS') balances.push(Math.round(current * 100) / 100);
+    }
+    return balances;
+};
+
+describe('Accounting export', () => {
+    let app;
+    let admin;
+    let client;
+    let invoice;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const { token } = await createUser('admin');
+        admin = await createClient(token);
+        ({ user: client } = await createUser('client', { name: 'Doe, Jane' }));
+
+        // Issued, paid and partly refunded: 1000 at 13% VAT plus 500 exempt, less 150
+        const created = await admin.post('/api/invoices').send({
+            clientId: client._id,
+            title: 'Thesis',
+            lineItems: [
+                { description: '=Writing', quantity: 1, unitPrice: 1000, taxProfile: 'VAT13' },
+                { description: 'Tutoring', quantity: 1, unitPrice: 500, taxProfile: 'EXEMPT' },
+            ],
+            discountAmount: 150,
+            dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+        });
+        invoice = (await admin.post(`/api/invoices/${created.body.invoice._id}/send`)).body.invoice;
+        await admin.post(`/api/invoices/${invoice._id}/mark-paid`).send({ paymentMethod: 'esewa', paymentReference: 'ES-1' });
+        await admin.post(`/api/invoices/${invoice._id}/refund`).send({ amount: 500, reason: 'Reduced scope' });
+
+        // Drafts are not in the books yet
+        await admin.post('/api/invoices').send({
+            clientId: client._id,
+            title: 'Draft',
+            lineItems: [{ description: 'Essay', quantity: 1, unitPrice: 100 }],
+            dueDate: new Date(),
+        });
+    });
+
+    it('exports invoices, line items and payments as CSV', async () => {
+        const res = await admin.get('/api/invoices/export?format=csv&dataset=invoices');
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /text\/csv/);
+        assert.match(res.headers['content-disposition'], /attachment; filename="invoices-/);
+
+        const rows = parseCsv(res.text);
+        assert.equal(rows.length, 2);
+        assert.match(rows[0], /^invoiceNumber,issueDate,dueDate,status,client/);
+        assert.ok(rows[1].startsWith(`${invoice.invoiceNumber},`));
+        assert.ok(rows[1].includes('"Doe, Jane"'));
+        assert.ok(rows[1].includes(',1500,150,117,1467,1467,'));
+
+        const lines = parseCsv((await admin.get('/api/invoices/export?dataset=line_items')).text);
+        assert.equal(lines.length, 3);
+        // Spreadsheet formulas are neutralised
+        assert.ok(lines[1].includes(",'=Writing,"));
+        assert.ok(lines[1].includes(',VAT13,13,117,no,NPR'));
+
+        const payments = parseCsv((await admin.get('/api/invoices/export?dataset=payments')).text);
+        assert.equal(payments.length, 3);
+        assert.ok(payments[1].includes(',payment,'));
+        assert.ok(payments[1].includes(',esewa,1467,NPR,1,1467,ES-1'));
+        assert.ok(payments[2].includes(',refund,'));
+        assert.match(payments[2], /,CN-\d{6}-0001,/);
+    });
+
+    it('applies the invoice list filters', async () => {
+        const { user: other } = await createUser('client');
+        const byClient = await admin.get(`/api/invoices/export?client=${other._id}`);
+        assert.equal(parseCsv(byClient.text).length, 1);
+
+        const future = new Date(Date.now() + 86400000).toISOString();
+        assert.equal(parseCsv((await admin.get(`/api/invoices/export?startDate=${future}`)).text).length, 1);
+        assert.equal(parseCsv((await admin.get('/api/invoices/export?status=draft')).text).length, 2);
+    });
+
+    it('exports a balanced QuickBooks IIF file', async () => {
+        const res = await admin.get('/api/invoices/export?format=iif');
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-disposition'], /filename="quickbooks-.*\.iif"/);
+
+        const lines = res.text.trim().split('\r\n');
+        assert.equal(lines[0].split('\t')[0], '!TRNS');
+        assert.equal(lines[2], '!ENDTRNS');
+
+        const types = lines.filter(line => line.startsWith('TRNS\t')).map(line => line.split('\t')[2]);
+        assert.deepEqual(types, ['INVOICE', 'PAYMENT', 'CREDIT MEMO', 'CHECK']);
+
+        const invoiceRow = lines.find(line => line.startsWith('TRNS\t\tINVOICE'));
+        assert.ok(invoiceRow.includes('\tAccounts Receivable\tDoe, Jane\t1467.00\t'));
+        assert.ok(lines.some(line => line.startsWith('SPL') && line.includes('\tSales Tax Payable\tDoe, Jane\t-117.00\t')));
+
+        assert.deepEqual(iifBalances(res.text), [0, 0, 0, 0]);
+    });
+
+    it('exports the Xero sales invoice layout', async () => {
+        const res = await admin.get('/api/invoices/export?format=xero');
+        assert.equal(res.status, 200);
+
+        const rows = parseCsv(res.text);
+        assert.ok(rows[0].startsWith('*ContactName,EmailAddress,'));
+        assert.equal(rows.length, 3);
+        assert.ok(rows[1].includes(`,${invoice.invoiceNumber},Thesis,`));
+        assert.ok(rows[1].includes(',10,200,Tax on Sales,117,'));
+        assert.ok(rows[2].includes(',Tax Exempt,0,'));
+    });
+
+    it('validates the request and is admin only', async () => {
+        assert.equal((await admin.get('/api/invoices/export?format=pdf')).status, 400);
+        assert.equal((await admin.get('/api/invoices/export?dataset=clients')).status, 400);
+        assert.equal((await admin.get('/api/invoices/export?startDate=yesterday')).status, 400);
+
+        const { token } = await createUser('client');
+        const api = await createClient(token);
+        assert.equal((await api.get('/api/invoices/export')).status, 403);
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    TEST_PASSWORD,
+} from './helpers/testApp.js';
+
+describe('Auth routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('logs in a verified user and returns a session token', async () => {
+        const { user } = await createUser('client');
+
+        const res = await request(app)
+            .post('/api/auth/login')
+            .send({ email: user.email, password: TEST_PASSWORD });
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.token);
+        assert.ok(res.body.sessionId);
+        assert.equal(res.body.role, 'client');
+
+        const me = await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${res.body.token}`);
+
+        assert.equal(me.status, 200);
+        assert.equal(me.body.email, user.email);
+    });
+
+    it('asks unverified users to verify their email', async () => {
+        const { user } = await createUser('client', { isEmailVerified: false });
+
+        const res = await request(app)
+            .post('/api/auth/login')
+            .send({ email: user.email, password: TEST_PASSWORD });
+
+        assert.equal(res.status, 401);
+        assert.equal(res.body.requiresVerification, true);
+    });
+
+    it('rejects a wrong password', async () => {
+        const { user } = await createUser('client');
+
+        const res = await request(app)
+            .post('/api/auth/login')
+            .send({ email: user.email, password: 'Not-The-Password-1' });
+
+        assert.equal(res.status, 401);
+        assert.equal(res.body.token, undefined);
+    });
+
+    it('validates registration input', async () => {
+        const res = await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'New Student', email: 'new@example.com', password: 'short' });
+
+        assert.equal(res.status, 400);
+    });
+
+    it('rejects /me without a token', async () => {
+        const res = await request(app).get('/api/auth/me');
+        assert.equal(res.status, 401);
+    });
+
+    it('rejects /me with a revoked session', async () => {
+        const { user } = await createUser('client');
+        const { default: generateToken } = await import('../utils/generateToken.js');
+
+        const res = await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${generateToken(user._id, 'revoked-session')}`);
+
+        assert.equal(res.status, 401);
+    });
+});
@@ -0,0 +1,198 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createContract,
+} from './helpers/testApp.js';
+import Contract from '../models/Contract.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Contract amendments', () => {
+    let app;
+    let clientApi;
+    let adminApi;
+    let contract;
+    let url;
+
+    before(async () => {
+        app = await startTestApp();
+        await Invoice.init();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const { user: client, token } = await createUser('client');
+        clientApi = await createClient(token);
+        const { token: adminToken } = await createUser('admin');
+        adminApi = await createClient(adminToken);
+
+        // A signed and counter-signed 50/50 contract with both invoices issued
+        contract = await createContract(client, {
+            timeline: {
+                effectiveDate: new Date(),
+                estimatedCompletionDate: new Date(Date.now() + 14 * DAY_MS),
+            },
+        });
+        await clientApi.post(`/api/contracts/${contract._id}/sign`).send({ agreed: true });
+        await adminApi.post(`/api/contracts/${contract._id}/countersign`).send({ agreed: true });
+        url = `/api/contracts/${contract._id}/amendment`;
+    });
+
+    const requestAndApprove = async (body) => {
+        const requested = await clientApi.post(url).send({ description: 'Change', ...body });
+        assert.equal(requested.status, 200);
+        const amendment = requested.body.amendments.at(-1);
+        const res = await adminApi.put(`${url}/${amendment._id}`).send({ status: 'approved' });
+        assert.equal(res.status, 200);
+        return res.body;
+    };
+
+    it('applies a new total, reissues invoices and waits for the client', async () => {
+        const result = await requestAndApprove({ target: 'total_amount', newValue: 10000 });
+
+        assert.equal(result.contract.version, 2);
+        assert.equal(result.contract.financialTerms.totalAmount, 10000);
+        assert.deepEqual(result.contract.financialTerms.milestones.map(m => m.amount), [5000, 5000]);
+        assert.equal(result.contract.awaitingReacceptance, true);
+        assert.equal(result.amendment.previousValue, '8000');
+        assert.equal(result.invoices.voided.length, 2);
+
+        const open = await Invoice.find({ contract: contract._id, status: { $ne: 'cancelled' } });
+        assert.deepEqual(open.map(invoice => invoice.total), [5000, 5000]);
+        assert.ok(open.every(invoice => invoice.status === 'draft'));
+
+        // Nothing else can change until the client accepts version 2
+        assert.equal((await clientApi.post(url).send({ target: 'total_amount', newValue: 9000 })).status, 400);
+        assert.equal((await clientApi.get(`/api/contracts/${contract._id}/verify`)).body.verified, false);
+
+        const accepted = await clientApi
+            .post(`${url}/${result.amendment._id}/accept`)
+            .send({ agreed: true, typedName: 'Jane Client', contentHash: result.contract.contentHash });
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.contract.awaitingReacceptance, false);
+
+        const verify = await clientApi.get(`/api/contracts/${contract._id}/verify`);
+        assert.equal(verify.body.verified, true);
+        assert.equal(verify.body.clientCertificate.typedName, 'Jane Client');
+        assert.equal((await clientApi.post(`${url}/${result.amendment._id}/accept`).send({ agreed: true })).status, 400);
+    });
+
+    it('moves the final invoice with the completion date', async () => {
+        const completion = new Date(Date.now() + 30 * DAY_MS);
+        const result = await requestAndApprove({ target: 'completion_date', newValue: completion.toISOString() });
+
+        assert.equal(result.invoices.voided.length, 1);
+        const [final] = result.invoices.created;
+        assert.equal(final.milestone.index, 1);
+        assert.equal(new Date(final.dueDate).getTime(), completion.getTime() + 7 * DAY_MS);
+    });
+
+    it('keeps paid milestones and invoices with payments', async () => {
+        const [first, second] = await Invoice.find({ contract: contract._id }).sort({ 'milestone.index': 1 });
+        await Contract.updateOne({ _id: contract._id }, { 'financialTerms.milestones.0.status': 'paid' });
+        await Payment.create({ invoice: second._id, amount: 1000, status: 'completed' });
+
+        assert.equal((await clientApi.post(url).send({ target: 'milestone', milestoneIndex: 0, milestone: { amount: 1 } })).status, 400);
+
+        const result = await requestAndApprove({ target: 'total_amount', newValue: 9000 });
+        assert.deepEqual(result.contract.financialTerms.milestones.map(m => m.amount), [4000, 5000]);
+        assert.equal(result.invoices.skipped.length, 1);
+        assert.equal(result.invoices.voided.length, 0);
+        assert.equal((await Invoice.findById(first._id)).status, first.status);
+    });
+
+    it('reissues 50/50 halves on contracts without milestones', async () => {
+        await Contract.updateOne({ _id: contract._id }, { 'financialTerms.milestones': [] });
+        const [first, second] = await Invoice.find({ contract: contract._id }).sort({ 'milestone.index': 1 });
+        await Invoice.updateOne({ _id: first._id }, { status: 'paid' });
+        await Payment.create({ invoice: first._id, amount: 4000, status: 'completed' });
+
+        // The first half was paid at the old total, so the final half bills the rest
+        const result = await requestAndApprove({ target: 'total_amount', newValue: 10000 });
+        assert.deepEqual(result.invoices.voided.map(invoice => invoice._id), [second._id.toString()]);
+        assert.deepEqual(result.invoices.created.map(invoice => [invoice.milestone.index, invoice.total]), [[1, 6000]]);
+        assert.equal((await Invoice.findById(first._id)).status, 'paid');
+    });
+
+    it('leaves the contract as it was when invoices cannot be reissued', async () => {
+        await Contract.updateOne({ _id: contract._id }, { 'financialTerms.milestones': [] });
+        const [first] = await Invoice.find({ contract: contract._id }).sort({ 'milestone.index': 1 });
+        await Invoice.updateOne({ _id: first._id }, { status: 'paid' });
+
+        // A total below the paid first half would leave a negative final half
+        const requested = await clientApi.post(url).send({ description: 'Smaller', target: 'total_amount', newValue: 3000 });
+        const amendment = requested.body.amendments.at(-1);
+        const res = await adminApi.put(`${url}/${amendment._id}`).send({ status: 'approved' });
+        assert.equal(res.status, 409);
+
+        const unchanged = await Contract.findById(contract._id);
+        assert.equal(unchanged.version, 1);
+        assert.equal(unchanged.financialTerms.totalAmount, 8000);
+        assert.equal(unchanged.awaitingReacceptance, false);
+        assert.equal(unchanged.amendments.id(amendment._id).status, 'pending');
+        assert.equal(await Invoice.countDocuments({ contract: contract._id, status: 'cancelled' }), 0);
+    });
+
+    // Approve a new total with one step of it broken, then check the contract and its invoices are unchanged
+    const approveBroken = async (breakStep) => {
+        const invoicesBefore = await Invoice.find({ contract: contract._id }).sort({ _id: 1 });
+        const requested = await clientApi.post(url).send({ description: 'Bigger', target: 'total_amount', newValue: 10000 });
+        const amendment = requested.body.amendments.at(-1);
+
+        let res;
+        breakStep();
+        try {
+            res = await adminApi.put(`${url}/${amendment._id}`).send({ status: 'approved' });
+        } finally {
+            mock.restoreAll();
+        }
+
+        const invoicesAfter = await Invoice.find({ contract: contract._id }).sort({ _id: 1 });
+        assert.deepEqual(invoicesAfter.map(invoice => [invoice.id, invoice.status, invoice.total]),
+            invoicesBefore.map(invoice => [invoice.id, invoice.status, invoice.total]));
+        assert.equal((await Contract.findById(contract._id)).financialTerms.totalAmount, 8000);
+        return res;
+    };
+
+    it('voids nothing when a replacement invoice cannot be created', async () => {
+        const create = Invoice.create;
+        let calls = 0;
+        const res = await approveBroken(() => mock.method(Invoice, 'create', function(...args) {
+            calls += 1;
+            return calls === 2 ? Promise.reject(new Error('Insert failed')) : create.apply(this, args);
+        }));
+        assert.equal(res.status, 409);
+        assert.equal(calls, 2);
+    });
+
+    it('reopens the voided invoices when the amended contract cannot be saved', async () => {
+        const res = await approveBroken(() => mock.method(Contract.prototype, 'save', () => Promise.reject(new Error('Write failed'))));
+        assert.equal(res.status, 500);
+    });
+
+    it('validates amendment requests and responses', async () => {
+        assert.equal((await clientApi.post(url).send({ target: 'deadline' })).status, 400);
+        assert.equal((await clientApi.post(url).send({ target: 'total_amount', newValue: -5 })).status, 400);
+        assert.equal((await clientApi.post(url).send({ target: 'milestone', milestoneIndex: 5, milestone: { title: 'x' } })).status, 400);
+
+        // Free-text amendments are still recorded without changing the contract
+        const requested = await clientApi.post(url).send({ description: 'Extra chart', changes: 'Add one chart' });
+        const amendmentUrl = `${url}/${requested.body.amendments[0]._id}`;
+        assert.equal((await adminApi.put(amendmentUrl).send({ status: 'maybe' })).status, 400);
+
+        const res = await adminApi.put(amendmentUrl).send({ status: 'approved' });
+        assert.equal(res.body.contract.version, 2);
+        assert.equal(res.body.contract.awaitingReacceptance, false);
+        assert.equal(res.body.contract.financialTerms.totalAmount, 8000);
+        assert.equal((await adminApi.put(amendmentUrl).send({ status: 'rejected' })).status, 400);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createContract,
+} from './helpers/testApp.js';
+import Contract from '../models/Contract.js';
+import Invoice from '../models/Invoice.js';
+
+describe('Contract counter-signature', () => {
+    let app;
+    let clientApi;
+    let adminApi;
+    let contract;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const { user: client, token } = await createUser('client');
+        clientApi = await createClient(token);
+        const { token: adminToken } = await createUser('admin', { name: 'Alex Admin' });
+        adminApi = await createClient(adminToken);
+        // A contract as sent to the client: nobody has signed yet
+        contract = await createContract(client);
+    });
+
+    it('waits for the provider before activating', async () => {
+        const signed = await clientApi.post(`/api/contracts/${contract._id}/sign`).send({ agreed: true });
+        assert.equal(signed.status, 200);
+        assert.equal(signed.body.contract.status, 'pending_countersign');
+        assert.equal(await Invoice.countDocuments({ contract: contract._id }), 0);
+
+        const stats = await adminApi.get('/api/contracts/stats');
+        assert.equal(stats.body.pendingCountersign, 1);
+        assert.equal(stats.body.countersignQueue[0].contractNumber, contract.contractNumber);
+
+        const res = await adminApi.post(`/api/contracts/${contract._id}/countersign`).send({ agreed: true, typedName: 'Alex Admin' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.contract.status, 'active');
+        assert.equal(res.body.contract.providerSignature.signatureType, 'typed_signature');
+        assert.equal(res.body.contract.providerSignature.contentHash, contract.contentHash);
+        assert.equal(await Invoice.countDocuments({ contract: contract._id }), 2);
+
+        const verify = await clientApi.get(`/api/contracts/${contract._id}/verify`);
+        assert.equal(verify.body.providerCertificate.hashMatches, true);
+        assert.equal((await adminApi.get('/api/contracts/stats')).body.pendingCountersign, 0);
+    });
+
+    it('only counter-signs client-signed contracts as an admin', async () => {
+        const url = `/api/contracts/${contract._id}/countersign`;
+        assert.equal((await adminApi.post(url).send({ agreed: true })).status, 400);
+
+        await clientApi.post(`/api/contracts/${contract._id}/sign`).send({ agreed: true });
+        assert.equal((await clientApi.post(url).send({ agreed: true })).status, 403);
+        assert.equal((await adminApi.post(url).send({})).status, 400);
+    });
+
+    it('refuses to counter-sign content the client did not sign', async () => {
+        await clientApi.post(`/api/contracts/${contract._id}/sign`).send({ agreed: true });
+        await Contract.updateOne({ _id: contract._id }, { 'financialTerms.totalAmount': 9000 });
+
+        const res = await adminApi.post(`/api/contracts/${contract._id}/countersign`).send({ agreed: true });
+        assert.equal(res.status, 409);
+        assert.equal((await Contract.findById(contract._id)).status, 'pending_countersign');
+    });
+});
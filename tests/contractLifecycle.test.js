@@ -0,0 +1,214 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createContract,
+} from './helpers/testApp.js';
+import { syncMigratedIndexes } from '../config/db.js';
+import Contract from '../models/Contract.js';
+import Notification from '../models/Notification.js';
+import Settings from '../models/Settings.js';
+import {
+    expireContracts,
+    sendRenewalReminders,
+    CONTRACT_SIGNING_WINDOW_SETTING,
+} from '../services/contractLifecycleService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Contract expiry and renewal', () => {
+    let app;
+    let client;
+    let admin;
+    let adminApi;
+
+    before(async () => {
+        app = await startTestApp();
+        await Contract.init();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        let token;
+        ({ user: client } = await createUser('client'));
+        ({ user: admin, token } = await createUser('admin'));
+        adminApi = await createClient(token);
+    });
+
+    // An active 50/50 contract with the upfront half paid, ending in five days
+    const createActiveContract = (overrides = {}) => createContract(client, {
+        status: 'active',
+        financialTerms: {
+            totalAmount: 8000,
+            paymentStructure: '50_50',
+            milestones: [
+                { title: 'Upfront', percentage: 50, amount: 4000, status: 'paid' },
+                { title: 'On delivery', percentage: 50, amount: 4000 },
+            ],
+        },
+        timeline: {
+            effectiveDate: new Date(Date.now() - 30 * DAY_MS),
+            estimatedStartDate: new Date(Date.now() - 30 * DAY_MS),
+            estimatedCompletionDate: new Date(Date.now() + 5 * DAY_MS),
+        },
+        ...overrides,
+    });
+
+    it('expires contracts left unsigned past the signing window', async () => {
+        await Settings.setSetting(CONTRACT_SIGNING_WINDOW_SETTING, 10, admin._id);
+        const stale = await createActiveContract({ status: 'pending_signature', sentAt: new Date(Date.now() - 11 * DAY_MS) });
+        const fresh = await createActiveContract({ status: 'pending_signature', sentAt: new Date(Date.now() - 9 * DAY_MS) });
+        // Counter-signing is timed from the client's signature, not from when the contract was sent
+        const uncountersigned = await createActiveContract({
+            status: 'pending_countersign',
+            sentAt: new Date(Date.now() - 20 * DAY_MS),
+            signedAt: new Date(Date.now() - 11 * DAY_MS),
+        });
+        const lateSigned = await createActiveContract({
+            status: 'pending_countersign',
+            sentAt: new Date(Date.now() - 13 * DAY_MS),
+            signedAt: new Date(Date.now() - DAY_MS),
+        });
+
+        const result = await expireContracts();
+        assert.equal(result.expired, 2);
+
+        const expired = await Contract.findById(stale._id);
+        assert.equal(expired.status, 'expired');
+        assert.equal(expired.expiryReason, 'unsigned');
+        assert.equal((await Contract.findById(uncountersigned._id)).status, 'expired');
+        assert.equal((await Contract.findById(fresh._id)).status, 'pending_signature');
+        assert.equal((await Contract.findById(lateSigned._id)).status, 'pending_countersign');
+        assert.equal(await Notification.countDocuments({ recipient: client._id, type: 'contract_expired' }), 2);
+        assert.equal(await Notification.countDocuments({ recipient: admin._id, type: 'contract_expired' }), 2);
+    });
+
+    it('expires active contracts past their end date with nothing outstanding', async () => {
+        const pastEnd = { estimatedCompletionDate: new Date(Date.now() - DAY_MS) };
+        const ended = await createActiveContract({
+            financialTerms: {
+                totalAmount: 8000,
+                paymentStructure: '50_50',
+                milestones: [
+                    { title: 'Upfront', percentage: 50, amount: 4000, status: 'paid' },
+                    { title: 'On delivery', percentage: 50, amount: 4000, status: 'paid' },
+                ],
+            },
+            timeline: pastEnd,
+        });
+        // Late projects stay active while milestones are unpaid or their funds are held
+        const unpaid = await createActiveContract({ timeline: pastEnd });
+        const held = await createActiveContract({
+            financialTerms: {
+                totalAmount: 4000,
+                paymentStructure: 'milestone',
+                milestones: [{ title: 'Report', percentage: 100, amount: 4000, status: 'paid', escrow: { status: 'held', amount: 4000 } }],
+            },
+            timeline: pastEnd,
+        });
+        const heldOnContract = await createActiveContract({
+            financialTerms: { totalAmount: 4000, paymentStructure: 'full_upfront' },
+            escrowHoldings: [{ title: 'QR payment', escrow: { status: 'held', amount: 4000 } }],
+            timeline: pastEnd,
+        });
+        const retainer = await createActiveContract({
+            financialTerms: {
+                totalAmount: 2000,
+                paymentStructure: 'recurring',
+                recurring: {
+                    interval: 'monthly',
+                    amount: 2000,
+                    startDate: new Date(Date.now() - 90 * DAY_MS),
+                    endDate: new Date(Date.now() + 30 * DAY_MS),
+                },
+            },
+            // A retainer runs until its billing end date, not the project estimate
+            timeline: { estimatedCompletionDate: new Date(Date.now() - DAY_MS) },
+        });
+
+        assert.equal((await expireContracts()).expired, 1);
+        const expired = await Contract.findById(ended._id);
+        assert.equal(expired.status, 'expired');
+        assert.equal(expired.expiryReason, 'ended');
+        assert.equal((await Contract.findById(retainer._id)).status, 'active');
+        assert.equal((await Contract.findById(unpaid._id)).status, 'active');
+        assert.equal((await Contract.findById(held._id)).status, 'active');
+        assert.equal((await Contract.findById(heldOnContract._id)).status, 'active');
+    });
+
+    it('sends one renewal reminder to both parties', async () => {
+        const contract = await createActiveContract();
+        await createActiveContract({ timeline: { estimatedCompletionDate: new Date(Date.now() + 60 * DAY_MS) } });
+
+        assert.equal((await sendRenewalReminders()).reminded, 1);
+        assert.equal((await sendRenewalReminders()).reminded, 0);
+
+        assert.ok((await Contract.findById(contract._id)).renewalReminderSentAt);
+        assert.equal(await Notification.countDocuments({ recipient: client._id, type: 'contract_renewal' }), 1);
+        assert.equal(await Notification.countDocuments({ recipient: admin._id, type: 'contract_renewal' }), 1);
+    });
+
+    it('renews a contract as a new version with updated dates', async () => {
+        const contract = await createActiveContract();
+        const oldEnd = contract.timeline.estimatedCompletionDate;
+
+        const res = await adminApi.post(`/api/contracts/${contract._id}/renew`).send({ totalAmount: 9000 });
+        assert.equal(res.status, 201);
+
+        const renewal = res.body.contract;
+        assert.equal(renewal.contractNumber, contract.contractNumber);
+        assert.equal(renewal.version, 2);
+        assert.equal(renewal.status, 'pending_signature');
+        assert.equal(renewal.renewedFrom, contract._id.toString());
+        assert.ok(renewal.contentHash);
+        assert.equal(new Date(renewal.timeline.estimatedStartDate).getTime(), oldEnd.getTime());
+        assert.equal(new Date(renewal.timeline.estimatedCompletionDate).getTime(), oldEnd.getTime() + 35 * DAY_MS);
+        assert.equal(renewal.financialTerms.totalAmount, 9000);
+        assert.deepEqual(renewal.financialTerms.milestones.map(m => [m.amount, m.status]), [[4500, 'pending'], [4500, 'pending']]);
+
+        assert.equal(res.body.previousContract.renewedTo, renewal._id);
+        assert.equal(await Notification.countDocuments({ recipient: client._id, type: 'contract_renewal' }), 1);
+
+        // The renewed contract gets no reminder and cannot be renewed again
+        assert.equal((await sendRenewalReminders()).reminded, 0);
+        assert.equal((await adminApi.post(`/api/contracts/${contract._id}/renew`).send({})).status, 400);
+    });
+
+    it('renews contracts on databases from before renewals', async () => {
+        await Contract.collection.createIndex({ contractNumber: 1 }, { unique: true });
+        await syncMigratedIndexes();
+        assert.ok(!(await Contract.collection.indexes()).some(index => index.name === 'contractNumber_1'));
+
+        const contract = await createActiveContract();
+        assert.equal((await adminApi.post(`/api/contracts/${contract._id}/renew`).send({})).status, 201);
+    });
+
+    it('numbers contracts past 9999 from a counter that starts after existing numbers', async () => {
+        const year = new Date().getFullYear();
+        const existing = await createActiveContract();
+        await Contract.updateOne({ _id: existing._id }, { contractNumber: `CTR-${year}-9999` });
+        await Settings.deleteOne({ key: `contract_sequence_${year}` });
+
+        assert.equal((await createActiveContract()).contractNumber, `CTR-${year}-10000`);
+        assert.equal((await createActiveContract()).contractNumber, `CTR-${year}-10001`);
+    });
+
+    it('validates renewals', async () => {
+        const pending = await createActiveContract({ status: 'pending_signature' });
+        assert.equal((await adminApi.post(`/api/contracts/${pending._id}/renew`).send({})).status, 400);
+
+        const contract = await createActiveContract();
+        const url = `/api/contracts/${contract._id}/renew`;
+        assert.equal((await adminApi.post(url).send({ estimatedCompletionDate: 'soon' })).status, 400);
+        assert.equal((await adminApi.post(url).send({ estimatedCompletionDate: new Date(Date.now() - DAY_MS) })).status, 400);
+
+        const { token } = await createUser('client');
+        assert.equal((await (await createClient(token)).post(url).send({})).status, 403);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createContract,
+} from './helpers/testApp.js';
+import Contract from '../models/Contract.js';
+import { hashContract } from '../utils/contractHash.js';
+
+const SIGNATURE_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const createPendingContract = (client) => createContract(client, {
+    financialTerms: {
+        totalAmount: 8000,
+        paymentStructure: 'full_upfront',
+        milestones: [{ title: 'Upfront', percentage: 100, amount: 8000 }],
+    },
+    terms: { revisionPolicy: 'Two free revisions' },
+    providerSignature: { signedByName: 'CodeSupport Team', agreed: true },
+});
+
+describe('Contract signing and verification', () => {
+    let app;
+    let clientApi;
+    let contract;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const { user: client, token } = await createUser('client', { name: 'Jane Client' });
+        clientApi = await createClient(token);
+        contract = await createPendingContract(client);
+    });
+
+    it('seals the content when the contract is sent', () => {
+        assert.equal(contract.contentHash, hashContract(contract));
+        assert.ok(contract.contentHashedAt);
+        assert.equal(contract.providerSignature.contentHash, contract.contentHash);
+    });
+
+    it('records a typed signature with its certificate', async () => {
+        const res = await clientApi
+            .post(`/api/contracts/${contract._id}/sign`)
+            .set('User-Agent', 'contract-test')
+            .send({ agreed: true, typedName: '  Jane Client ', contentHash: contract.contentHash });
+
+        assert.equal(res.status, 200);
+        const signature = res.body.contract.clientSignature;
+        assert.equal(signature.signatureType, 'typed_signature');
+        assert.equal(signature.typedName, 'Jane Client');
+        assert.equal(signature.contentHash, contract.contentHash);
+        assert.equal(signature.userAgent, 'contract-test');
+        assert.ok(signature.certificateId);
+
+        const verify = await clientApi.get(`/api/contracts/${contract._id}/verify`);
+        assert.equal(verify.status, 200);
+        assert.equal(verify.body.verified, true);
+        assert.equal(verify.body.clientCertificate.certificateId, signature.certificateId);
+        assert.equal(verify.body.clientCertificate.hashMatches, true);
+    });
+
+    it('validates drawn and typed signatures', async () => {
+        const url = `/api/contracts/${contract._id}/sign`;
+        assert.equal((await clientApi.post(url).send({ agreed: true, signatureData: 'data:text/html;base64,PHA+' })).status, 400);
+        assert.equal((await clientApi.post(url).send({ agreed: true, typedName: ' ' })).status, 400);
+
+        const res = await clientApi.post(url).send({ agreed: true, signatureData: SIGNATURE_PNG });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.contract.clientSignature.signatureType, 'drawn_signature');
+    });
+
+    it('refuses to sign content that changed after it was sent', async () => {
+        await Contract.updateOne({ _id: contract._id }, { 'terms.revisionPolicy': 'No revisions' });
+
+        const res = await clientApi.post(`/api/contracts/${contract._id}/sign`).send({ agreed: true });
+        assert.equal(res.status, 409);
+        assert.equal((await Contract.findById(contract._id)).status, 'pending_signature');
+    });
+
+    it('refuses a signature for a version the client did not review', async () => {
+        const res = await clientApi
+            .post(`/api/contracts/${contract._id}/sign`)
+            .send({ agreed: true, contentHash: 'f'.repeat(64) });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.contentHash, contract.contentHash);
+    });
+
+    it('detects changes made after signing', async () => {
+        await clientApi.post(`/api/contracts/${contract._id}/sign`).send({ agreed: true });
+        await Contract.updateOne({ _id: contract._id }, { 'financialTerms.totalAmount': 6000 });
+
+        const res = await clientApi.get(`/api/contracts/${contract._id}/verify`);
+        assert.equal(res.body.verified, false);
+        assert.notEqual(res.body.currentHash, res.body.clientCertificate.contentHash);
+
+        const { token } = await createUser('client');
+        assert.equal((await (await createClient(token)).get(`/api/contracts/${contract._id}/verify`)).status, 403);
+    });
+});
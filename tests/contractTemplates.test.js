@@ -0,0 +1,143 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import Quote from '../models/Quote.js';
+import ContractClause from '../models/ContractClause.js';
+import { contractVariables, renderClauseText, findUnknownPlaceholders } from '../utils/contractTemplate.js';
+
+const createAcceptedQuote = async (client, admin) => {
+    const order = await createOrder(client, { status: 'accepted' });
+    return Quote.create({
+        order: order._id,
+        projectTitle: 'Literature review',
+        lineItems: [{ category: 'documentation', description: 'Review', unitPrice: 8000, amount: 8000 }],
+        total: 8000,
+        validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        createdBy: admin._id,
+        status: 'accepted',
+        paymentTerms: {
+            type: '50_50',
+            milestones: [
+                { title: 'Upfront', percentage: 50 },
+                { title: 'On delivery', percentage: 50 },
+            ],
+        },
+        termsAndConditions: { revisionPolicy: 'Three free revisions' },
+    });
+};
+
+describe('Contract templates', () => {
+    let app;
+    let client;
+    let admin;
+    let adminApi;
+
+    before(async () => {
+        app = await startTestApp();
+        await ContractClause.init();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        let token;
+        ({ user: client } = await createUser('client', { name: 'Jane Client' }));
+        ({ user: admin, token } = await createUser('admin'));
+        adminApi = await createClient(token);
+    });
+
+    const createClause = async (clause) => {
+        const res = await adminApi.post('/api/contracts/clauses').send(clause);
+        assert.equal(res.status, 201);
+        return res.body.clause;
+    };
+
+    it('fills placeholders from the quote and order', () => {
+        const variables = contractVariables(
+            { projectTitle: 'Essay', total: 8000, currency: 'NPR', paymentTerms: { milestones: [{ title: 'Upfront', percentage: 50 }] } },
+            { clientName: 'Jane Client' },
+        );
+        const text = renderClauseText('{{client.name}} pays {{quote.total}}:\n{{milestones}} by {{order.deadline}}', variables);
+        assert.equal(text, 'Jane Client pays NPR 8,000.00:\n1. Upfront: 50% (NPR 4,000.00) by -');
+        assert.deepEqual(findUnknownPlaceholders('{{client.name}} {{ client.age }}'), ['client.age']);
+    });
+
+    it('validates clauses and templates', async () => {
+        const bad = await adminApi.post('/api/contracts/clauses').send({ key: 'bad', title: 'Bad', body: 'Hi {{client.nickname}}' });
+        assert.equal(bad.status, 400);
+        assert.match(bad.body.message, /client\.nickname/);
+
+        await createClause({ key: 'ip', title: 'Intellectual Property', body: 'All rights pass to {{client.name}}.' });
+        assert.equal((await adminApi.post('/api/contracts/clauses').send({ key: 'IP', title: 'Again', body: 'x' })).status, 400);
+
+        const missing = await adminApi.post('/api/contracts/templates').send({ name: 'Standard', clauses: [admin._id] });
+        assert.equal(missing.status, 400);
+    });
+
+    it('generates contracts from the default template and records its version', async () => {
+        const revisions = await createClause({
+            key: 'revisions',
+            title: 'Revision Policy',
+            category: 'revisions',
+            body: '{{terms.revisionPolicy}} for {{project.title}}.',
+        });
+        const payment = await createClause({
+            key: 'payment',
+            title: 'Payment',
+            category: 'payment',
+            body: '{{client.name}} agrees to pay {{quote.total}}:\n{{milestones}}',
+        });
+
+        const created = await adminApi.post('/api/contracts/templates').send({
+            name: 'Standard',
+            clauses: [revisions._id, payment._id],
+            isDefault: true,
+        });
+        assert.equal(created.status, 201);
+
+        // Editing the clause list bumps the template version
+        const updated = await adminApi.put(`/api/contracts/templates/${created.body.template._id}`).send({
+            clauses: [payment._id, revisions._id],
+        });
+        assert.equal(updated.body.template.version, 2);
+
+        const quote = await createAcceptedQuote(client, admin);
+        const res = await adminApi.post('/api/contracts/generate').send({ quoteId: quote._id });
+        assert.equal(res.status, 201);
+
+        const { contract } = res.body;
+        assert.equal(contract.template, created.body.template._id);
+        assert.equal(contract.templateVersion, 2);
+        assert.deepEqual(contract.clauses.map(clause => clause.key), ['payment', 'revisions']);
+        assert.equal(contract.clauses[0].body, 'Jane Client agrees to pay NPR 8,000.00:\n1. Upfront: 50% (NPR 4,000.00)\n2. On delivery: 50% (NPR 4,000.00)');
+        assert.equal(contract.clauses[1].body, 'Three free revisions for Literature review.');
+        assert.ok(contract.contentHash);
+
+        // Later wording changes bump the clause version but leave the contract alone
+        const edited = await adminApi.put(`/api/contracts/clauses/${revisions._id}`).send({ body: 'No revisions.' });
+        assert.equal(edited.body.clause.version, 2);
+        const stored = await adminApi.get(`/api/contracts/${contract._id}`);
+        assert.equal(stored.body.clauses[1].body, 'Three free revisions for Literature review.');
+        assert.equal(stored.body.clauses[1].version, 1);
+    });
+
+    it('falls back to the quote terms without a template', async () => {
+        const quote = await createAcceptedQuote(client, admin);
+
+        const unknown = await adminApi.post('/api/contracts/generate').send({ quoteId: quote._id, templateId: admin._id });
+        assert.equal(unknown.status, 404);
+
+        const res = await adminApi.post('/api/contracts/generate').send({ quoteId: quote._id });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.contract.clauses.length, 0);
+        assert.equal(res.body.contract.terms.revisionPolicy, 'Three free revisions');
+    });
+});
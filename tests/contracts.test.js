@@ -0,0 +1,131 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+    createContract,
+} from './helpers/testApp.js';
+
+// Build an order → accepted quote → pending contract chain directly in the database
+const createPendingContract = async (client, admin) => {
+    const { default: Quote } = await import('../models/Quote.js');
+
+    const order = await createOrder(client, { status: 'accepted' });
+    const quote = await Quote.create({
+        order: order._id,
+        projectTitle: order.title,
+        projectSummary: order.description,
+        lineItems: [{ category: 'documentation', description: 'Essay', unitPrice: 8000, amount: 8000 }],
+        total: 8000,
+        validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        createdBy: admin._id,
+        status: 'accepted',
+    });
+
+    return createContract(client, {
+        order: order._id,
+        quote: quote._id,
+        providerSignature: { signedByName: 'CodeSupport Team', agreed: true },
+    });
+};
+
+describe('Contract routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('activates the contract and generates invoices when the client signs', async () => {
+        const { user: client, token } = await createUser('client');
+        const { user: admin } = await createUser('admin');
+        const contract = await createPendingContract(client, admin);
+
+        const res = await (await createClient(token))
+            .post(`/api/contracts/${contract._id}/sign`)
+            .send({ agreed: true });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.contract.status, 'active');
+        assert.equal(res.body.contract.clientSignature.signatureType, 'digital_acceptance');
+
+        const { default: Invoice } = await import('../models/Invoice.js');
+        const invoices = await Invoice.find({ contract: contract._id });
+        assert.equal(invoices.length, 2);
+    });
+
+    it('requires the client to agree before signing', async () => {
+        const { user: client, token } = await createUser('client');
+        const { user: admin } = await createUser('admin');
+        const contract = await createPendingContract(client, admin);
+
+        const res = await (await createClient(token))
+            .post(`/api/contracts/${contract._id}/sign`)
+            .send({ agreed: false });
+
+        assert.equal(res.status, 400);
+    });
+
+    it('does not let another client view or sign the contract', async () => {
+        const { user: client } = await createUser('client');
+        const { user: admin, token: adminToken } = await createUser('admin');
+        const { token: otherToken } = await createUser('client');
+        const contract = await createPendingContract(client, admin);
+
+        const other = await createClient(otherToken);
+        assert.equal((await other.get(`/api/contracts/${contract._id}`)).status, 403);
+        assert.equal((await other.post(`/api/contracts/${contract._id}/sign`).send({ agreed: true })).status, 403);
+
+        const asAdmin = await (await createClient(adminToken)).get(`/api/contracts/${contract._id}`);
+        assert.equal(asAdmin.status, 200);
+    });
+
+    it('lists contracts for the signed-in client', async () => {
+        const { user: client, token } = await createUser('client');
+        const { user: admin } = await createUser('admin');
+        await createPendingContract(client, admin);
+
+        const res = await (await createClient(token)).get('/api/contracts/my-contracts');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.length, 1);
+    });
+
+    it('only lets admins terminate active contracts', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { user: admin, token: adminToken } = await createUser('admin');
+        const contract = await createPendingContract(client, admin);
+        const url = `/api/contracts/${contract._id}/terminate`;
+
+        const asClient = await (await createClient(clientToken)).post(url).send({ reason: 'Changed my mind' });
+        assert.equal(asClient.status, 403);
+
+        const admin2 = await createClient(adminToken);
+        assert.equal((await admin2.post(url).send({ reason: 'Not signed' })).status, 400);
+
+        contract.status = 'active';
+        await contract.save();
+
+        const res = await admin2.post(url).send({ reason: 'Client unresponsive' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.contract.status, 'terminated');
+    });
+
+    it('restricts contract stats to admins', async () => {
+        const { token: clientToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+
+        assert.equal((await (await createClient(clientToken)).get('/api/contracts/stats')).status, 403);
+
+        const res = await (await createClient(adminToken)).get('/api/contracts/stats');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.total, 0);
+    });
+});
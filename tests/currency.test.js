@@ -0,0 +1,189 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const quotePayload = (orderId, overrides = {}) => ({
+    orderId,
+    projectTitle: 'Dissertation chapter',
+    projectSummary: 'Literature review',
+    lineItems: [{ description: 'Writing', quantity: 1, unitPrice: 100 }],
+    ...overrides,
+});
+
+// Paid invoice issued in a currency; the rate is locked from the table on save
+const createPaidInvoice = async (client, currency, total) => {
+    const { default: Invoice } = await import('../models/Invoice.js');
+    return Invoice.create({
+        client: client._id,
+        title: `${currency} invoice`,
+        lineItems: [{ description: 'Work', quantity: 1, unitPrice: total, amount: total }],
+        subtotal: total,
+        total,
+        currency,
+        dueDate: new Date(),
+        status: 'paid',
+        paidAt: new Date(),
+    });
+};
+
+describe('Multi-currency', () => {
+    let app;
+    let admin;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const { token } = await createUser('admin');
+        admin = await createClient(token);
+    });
+
+    it('manages exchange rates with effective dates', async () => {
+        assert.equal((await admin.post('/api/settings/exchange-rates').send({ currency: 'NPR', rate: 1 })).status, 400);
+        assert.equal((await admin.post('/api/settings/exchange-rates').send({ currency: 'USD', rate: -1 })).status, 400);
+
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'usd', rate: 130, effectiveFrom: daysAgo(30) });
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'USD', rate: 135, effectiveFrom: daysAgo(1) });
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'USD', rate: 140, effectiveFrom: new Date(Date.now() + 86400000) });
+
+        const res = await admin.get('/api/settings/exchange-rates');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.baseCurrency, 'NPR');
+        assert.equal(res.body.rates.length, 3);
+        assert.deepEqual(res.body.current, { USD: 135 });
+
+        const replaced = await admin.put('/api/settings/exchange-rates').send({ rates: [{ currency: 'GBP', rate: 170 }] });
+        assert.equal(replaced.status, 200);
+        assert.deepEqual(replaced.body.current, { GBP: 170 });
+        assert.equal((await admin.put('/api/settings/exchange-rates').send({ rates: [{ currency: 'GBP' }] })).status, 400);
+    });
+
+    it('locks the rate on a quote when it is issued', async () => {
+        const { user: client } = await createUser('client');
+        const order = await createOrder(client);
+
+        const rejected = await admin.post('/api/quotes').send(quotePayload(order._id, { currency: 'USD' }));
+        assert.equal(rejected.status, 400);
+
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'USD', rate: 133, effectiveFrom: daysAgo(1) });
+        const res = await admin.post('/api/quotes').send(quotePayload(order._id, { currency: 'USD' }));
+        assert.equal(res.status, 201);
+        assert.equal(res.body.quote.currency, 'USD');
+        assert.equal(res.body.quote.exchangeRate, 133);
+        assert.ok(res.body.quote.exchangeRateLockedAt);
+
+        // Later rate changes do not touch the issued quote
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'USD', rate: 150 });
+        const { default: Quote } = await import('../models/Quote.js');
+        const quote = await Quote.findById(res.body.quote._id);
+        quote.clientNotes = 'Updated';
+        await quote.save();
+        assert.equal(quote.exchangeRate, 133);
+
+        const { default: Order } = await import('../models/Order.js');
+        assert.equal((await Order.findById(order._id)).currency, 'USD');
+    });
+
+    it('locks invoice rates at send time, not at draft time', async () => {
+        const { user: client } = await createUser('client');
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'GBP', rate: 160, effectiveFrom: daysAgo(1) });
+
+        const created = await admin.post('/api/invoices').send({
+            clientId: client._id,
+            title: 'Essay',
+            currency: 'GBP',
+            lineItems: [{ description: 'Essay', quantity: 1, unitPrice: 100 }],
+            dueDate: new Date(Date.now() + 7 * 86400000),
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.invoice.exchangeRate, undefined);
+
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'GBP', rate: 165 });
+        const sent = await admin.post(`/api/invoices/${created.body.invoice._id}/send`);
+        assert.equal(sent.status, 200);
+        assert.equal(sent.body.invoice.exchangeRate, 165);
+
+        const unsupported = await admin.post('/api/invoices').send({
+            clientId: client._id,
+            title: 'Essay',
+            currency: 'AUD',
+            lineItems: [{ description: 'Essay', quantity: 1, unitPrice: 100 }],
+            dueDate: new Date(),
+        });
+        assert.equal(unsupported.status, 400);
+    });
+
+    it('leaves documents issued before rates were locked alone', async () => {
+        const { user: client } = await createUser('client');
+        const order = await createOrder(client);
+        const { default: Invoice } = await import('../models/Invoice.js');
+        const { default: Quote } = await import('../models/Quote.js');
+
+        // Issued before exchange rates existed: no locked rate, and none configured for the currency
+        const quoteRes = await admin.post('/api/quotes').send(quotePayload(order._id));
+        const invoice = await createPaidInvoice(client, 'NPR', 1000);
+        const legacy = { $set: { currency: 'USD' }, $unset: { exchangeRate: 1, exchangeRateLockedAt: 1 } };
+        await Quote.updateOne({ _id: quoteRes.body.quote._id }, legacy);
+        await Invoice.updateOne({ _id: invoice._id }, legacy);
+
+        const quote = await Quote.findById(quoteRes.body.quote._id);
+        quote.clientNotes = 'Updated';
+        await quote.save();
+        assert.equal(quote.exchangeRateLockedAt, undefined);
+
+        const legacyInvoice = await Invoice.findById(invoice._id);
+        legacyInvoice.notes = 'Updated';
+        await legacyInvoice.save();
+        assert.equal(legacyInvoice.exchangeRate, undefined);
+    });
+
+    it('reports revenue in the base or a requested currency', async () => {
+        const { user: client } = await createUser('client');
+        await admin.put('/api/settings/exchange-rates').send({ rates: [{ currency: 'USD', rate: 100, effectiveFrom: daysAgo(1) }] });
+        await createPaidInvoice(client, 'NPR', 5000);
+        await createPaidInvoice(client, 'USD', 50);
+
+        // A later rate change leaves the locked invoice amounts alone
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'USD', rate: 125 });
+
+        const base = await admin.get('/api/analytics/revenue');
+        assert.equal(base.status, 200);
+        assert.equal(base.body.summary.currency, 'NPR');
+        assert.equal(base.body.summary.total, 10000);
+        const usd = base.body.byCurrency.find(item => item.currency === 'USD');
+        assert.equal(usd.amount, 50);
+        assert.equal(usd.converted, 5000);
+
+        const inUsd = await admin.get('/api/analytics/revenue?currency=USD');
+        assert.equal(inUsd.body.summary.total, 80);
+        assert.equal(inUsd.body.summary.exchangeRate, 125);
+
+        assert.equal((await admin.get('/api/analytics/revenue?currency=AUD')).status, 400);
+    });
+
+    it('rejects orders in unsupported currencies', async () => {
+        const { token } = await createUser('client');
+        const api = await createClient(token);
+        const payload = { title: 'Essay', description: 'Essay on trade', deadline: new Date(Date.now() + 7 * 86400000) };
+
+        assert.equal((await api.post('/api/orders').send({ ...payload, currency: 'AUD' })).status, 400);
+
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'AUD', rate: 88 });
+        const res = await api.post('/api/orders').send({ ...payload, currency: 'aud' });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.order.currency, 'AUD');
+    });
+});
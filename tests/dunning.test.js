@@ -0,0 +1,140 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+} from './helpers/testApp.js';
+import Invoice from '../models/Invoice.js';
+import ScheduledJob from '../models/ScheduledJob.js';
+import Settings from '../models/Settings.js';
+import { checkOverdueInvoices } from '../services/invoiceDunningService.js';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000 - 60 * 1000);
+
+// Sent invoice whose due date is moved into the past without running the save hook
+const createPastDueInvoice = async (client, days, overrides = {}) => {
+    const invoice = await Invoice.create({
+        client: client._id,
+        clientDetails: { name: client.name, email: client.email },
+        title: 'Essay',
+        lineItems: [{ description: 'Essay', quantity: 1, unitPrice: 2000, amount: 2000 }],
+        subtotal: 2000,
+        total: 2000,
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        status: 'sent',
+        ...overrides,
+    });
+    await Invoice.updateOne({ _id: invoice._id }, { dueDate: daysAgo(days) });
+    return invoice;
+};
+
+describe('Invoice dunning', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('marks past-due invoices overdue and sends each notice once', async () => {
+        const { user } = await createUser('client');
+        const invoice = await createPastDueInvoice(user, 8);
+        await createPastDueInvoice(user, -3); // not yet due
+
+        const first = await checkOverdueInvoices();
+        assert.equal(first.markedOverdue, 1);
+        assert.equal(first.sent, 1);
+
+        const second = await checkOverdueInvoices();
+        assert.equal(second.markedOverdue, 0);
+        assert.equal(second.sent, 0);
+
+        const updated = await Invoice.findById(invoice._id);
+        assert.equal(updated.status, 'overdue');
+        assert.ok(updated.overdueAt);
+
+        const jobs = await ScheduledJob.find({ invoice: invoice._id });
+        assert.equal(jobs.length, 1);
+        assert.equal(jobs[0].type, 'invoice_dunning');
+        assert.equal(jobs[0].offsetDays, 7);
+        assert.equal(jobs[0].recipient, user.email);
+    });
+
+    it('escalates through the configured offsets', async () => {
+        const { user } = await createUser('client');
+        await Settings.setSetting('invoice_dunning_offsets', [3, 1]);
+        const invoice = await createPastDueInvoice(user, 1);
+
+        await checkOverdueInvoices();
+        await Invoice.updateOne({ _id: invoice._id }, { dueDate: daysAgo(4) });
+        const result = await checkOverdueInvoices();
+        assert.equal(result.sent, 1);
+
+        const offsets = (await ScheduledJob.find({ invoice: invoice._id }).sort({ offsetDays: 1 })).map(job => job.offsetDays);
+        assert.deepEqual(offsets, [1, 3]);
+    });
+
+    it('auto-applies the configured late fee once', async () => {
+        const { user } = await createUser('client');
+        await Settings.setSetting('invoice_late_fee', { autoApply: true, type: 'percentage', value: 10, afterDays: 5 });
+        const invoice = await createPastDueInvoice(user, 6);
+
+        const first = await checkOverdueInvoices();
+        assert.equal(first.lateFeesApplied, 1);
+        const second = await checkOverdueInvoices();
+        assert.equal(second.lateFeesApplied, 0);
+
+        const updated = await Invoice.findById(invoice._id);
+        assert.equal(updated.total, 2200);
+        assert.equal(updated.lineItems.filter(item => item.isLateFee).length, 1);
+    });
+
+    it('lets admins apply a late fee and reports overdue totals', async () => {
+        const { user, token: clientToken } = await createUser('client');
+        const { token } = await createUser('admin');
+        const admin = await createClient(token);
+        const invoice = await createPastDueInvoice(user, 40);
+        const current = await createPastDueInvoice(user, -3);
+        await checkOverdueInvoices();
+
+        assert.equal((await admin.post(`/api/invoices/${current._id}/late-fee`).send({})).status, 400);
+        const denied = await (await createClient(clientToken)).post(`/api/invoices/${invoice._id}/late-fee`).send({});
+        assert.equal(denied.status, 403);
+
+        const res = await admin.post(`/api/invoices/${invoice._id}/late-fee`).send({ amount: 150 });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.lateFee, 150);
+        assert.equal(res.body.invoice.total, 2150);
+        assert.equal((await admin.post(`/api/invoices/${invoice._id}/late-fee`).send({})).status, 400);
+
+        const stats = await admin.get('/api/invoices/stats');
+        assert.equal(stats.status, 200);
+        assert.equal(stats.body.overdueInvoices, 1);
+        assert.equal(stats.body.overdueRevenue, 2150);
+        assert.deepEqual(stats.body.overdueAging, [{ range: '31-60', total: 2150, count: 1 }]);
+        assert.equal(stats.body.lateFeesCharged, 150);
+    });
+
+    it('validates dunning settings', async () => {
+        const { token } = await createUser('admin');
+        const admin = await createClient(token);
+
+        assert.equal((await admin.put('/api/settings/dunning').send({ dunningOffsets: [] })).status, 400);
+        assert.equal((await admin.put('/api/settings/dunning').send({ lateFee: { type: 'percentage', value: 150 } })).status, 400);
+
+        const res = await admin.put('/api/settings/dunning').send({ dunningOffsets: [10, 2, 2], lateFee: { type: 'fixed', value: 500 } });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.dunningOffsets, [2, 10]);
+
+        const settings = await admin.get('/api/settings/dunning');
+        assert.equal(settings.body.lateFee.type, 'fixed');
+        assert.equal(settings.body.lateFee.value, 500);
+        assert.equal(settings.body.lateFee.autoApply, false);
+    });
+});
@@ -0,0 +1,292 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+    createContract,
+} from './helpers/testApp.js';
+import Contract from '../models/Contract.js';
+import Order from '../models/Order.js';
+import Invoice from '../models/Invoice.js';
+import Settings from '../models/Settings.js';
+import { autoApproveMilestones, processEscrow, MILESTONE_AUTO_APPROVAL_SETTING } from '../services/escrowService.js';
+import { getInvoiceLedger, getOrderLedger } from '../services/paymentService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Milestone escrow', () => {
+    let app;
+    let client;
+    let admin;
+    let clientApi;
+    let adminApi;
+    let order;
+    let contract;
+    let url;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        let token;
+        ({ user: client, token } = await createUser('client'));
+        clientApi = await createClient(token);
+        ({ user: admin, token } = await createUser('admin'));
+        adminApi = await createClient(token);
+
+        order = await createOrder(client, { status: 'delivered' });
+        contract = await createContract(client, {
+            order: order._id,
+            status: 'active',
+            financialTerms: {
+                totalAmount: 6000,
+                paymentStructure: 'milestone',
+                milestones: [
+                    { title: 'Research', percentage: 50, amount: 3000 },
+                    { title: 'Write-up', percentage: 50, amount: 3000 },
+                ],
+            },
+        });
+        url = `/api/contracts/${contract._id}/milestones`;
+    });
+
+    // Approve a milestone's work (raising its invoice) and pay that invoice
+    const approveAndPay = async (index) => {
+        const approved = await adminApi.post(`${url}/${index}/approve`);
+        assert.equal(approved.status, 200);
+        const paid = await adminApi.post(`/api/invoices/${approved.body.invoice._id}/mark-paid`).send({ paymentMethod: 'bank_transfer' });
+        assert.equal(paid.status, 200);
+    };
+
+    const escrowOf = async (index) => (await Contract.findById(contract._id)).financialTerms.milestones[index].escrow;
+
+    it('holds milestone payments until the client accepts the delivery', async () => {
+        await approveAndPay(0);
+        const held = await escrowOf(0);
+        assert.equal(held.status, 'held');
+        assert.equal(held.amount, 3000);
+
+        const accepted = await clientApi.post(`${url}/0/accept`);
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.milestone.escrow.status, 'released');
+        assert.equal(accepted.body.milestone.escrow.releaseReason, 'client_approval');
+    });
+
+    it('moves held funds to disputed and back on re-approval', async () => {
+        await approveAndPay(0);
+        await clientApi.post(`${url}/0/dispute`).send({ reason: 'Sources are missing' });
+        assert.equal((await escrowOf(0)).status, 'disputed');
+
+        await adminApi.post(`${url}/0/approve`);
+        assert.equal((await escrowOf(0)).status, 'held');
+    });
+
+    it('disputes funds for work under review when a revision is requested', async () => {
+        await approveAndPay(0);
+        const res = await clientApi.post(`/api/orders/${order._id}/revision`).send({ request: 'Add a conclusion' });
+        assert.equal(res.status, 200);
+
+        const milestone = (await Contract.findById(contract._id)).financialTerms.milestones[0];
+        assert.equal(milestone.delivery.status, 'disputed');
+        assert.equal(milestone.delivery.disputeReason, 'Add a conclusion');
+        assert.equal(milestone.escrow.status, 'disputed');
+        assert.equal((await Order.findById(order._id)).status, 'working');
+    });
+
+    it('releases funds once the auto-approval window passes', async () => {
+        await Settings.setSetting(MILESTONE_AUTO_APPROVAL_SETTING, 3, admin._id);
+        await approveAndPay(0);
+
+        assert.equal((await autoApproveMilestones(new Date(Date.now() + 2 * DAY_MS))).approved, 0);
+        assert.equal((await autoApproveMilestones(new Date(Date.now() + 4 * DAY_MS))).approved, 1);
+
+        const milestone = (await Contract.findById(contract._id)).financialTerms.milestones[0];
+        assert.equal(milestone.delivery.status, 'accepted');
+        assert.equal(milestone.delivery.autoAccepted, true);
+        assert.equal(milestone.escrow.status, 'released');
+        assert.equal(milestone.escrow.releaseReason, 'auto_approval');
+    });
+
+    it('shows admins held and released balances', async () => {
+        await approveAndPay(0);
+        await clientApi.post(`${url}/0/accept`);
+        await approveAndPay(1);
+
+        const res = await adminApi.get('/api/contracts/escrow');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.totals, [{ currency: 'NPR', held: 3000, disputed: 0, released: 3000, refunded: 0 }]);
+        assert.deepEqual(res.body.milestones.map(m => [m.title, m.escrow.status]), [['Research', 'released'], ['Write-up', 'held']]);
+
+        const held = await adminApi.get('/api/contracts/escrow?status=held');
+        assert.deepEqual(held.body.milestones.map(m => m.index), [1]);
+        assert.equal((await adminApi.get('/api/contracts/escrow?status=spent')).status, 400);
+        assert.equal((await clientApi.get('/api/contracts/escrow')).status, 403);
+
+        // Admins can release held funds directly
+        const released = await adminApi.post(`${url}/1/release`);
+        assert.equal(released.status, 200);
+        assert.equal(released.body.milestone.escrow.releaseReason, 'admin');
+        assert.equal((await adminApi.post(`${url}/1/release`)).status, 400);
+    });
+
+    it('takes invoice refunds out of held funds', async () => {
+        await approveAndPay(0);
+        const invoice = await Invoice.findOne({ contract: contract._id, 'milestone.index': 0 });
+        const refundUrl = `/api/invoices/${invoice._id}/refund`;
+
+        assert.equal((await adminApi.post(refundUrl).send({ amount: 1000, reason: 'Scope reduced' })).status, 201);
+        const partial = await escrowOf(0);
+        assert.equal(partial.status, 'held');
+        assert.equal(partial.amount, 2000);
+        assert.equal(partial.refunded, 1000);
+
+        assert.equal((await adminApi.post(refundUrl).send({ reason: 'Cancelled' })).status, 201);
+        const closed = await escrowOf(0);
+        assert.equal(closed.status, 'refunded');
+        assert.equal(closed.amount, 0);
+        assert.equal(closed.refunded, 3000);
+
+        const summary = await adminApi.get('/api/contracts/escrow');
+        assert.deepEqual(summary.body.totals, [{ currency: 'NPR', held: 0, disputed: 0, released: 0, refunded: 3000 }]);
+    });
+
+    // Active contract without milestones on a freshly accepted order
+    const createUpfrontContract = async (paymentStructure = 'full_upfront') => {
+        const upfrontOrder = await createOrder(client, { status: 'accepted', quotedAmount: 5000 });
+        const upfront = await createContract(client, {
+            order: upfrontOrder._id,
+            status: 'active',
+            financialTerms: { totalAmount: 5000, paymentStructure },
+        });
+        return { upfrontOrder, upfront };
+    };
+
+    it('holds verified QR payments until the delivery review window passes', async () => {
+        const { upfrontOrder, upfront } = await createUpfrontContract();
+        await clientApi.post('/api/payment/qr-submit').send({ orderId: upfrontOrder._id, paymentProofUrl: 'http://localhost/uploads/proof.png' });
+        assert.equal((await adminApi.put(`/api/admin/tasks/${upfrontOrder._id}/verify-payment`)).status, 200);
+
+        const [holding] = (await Contract.findById(upfront._id)).escrowHoldings;
+        assert.equal(holding.title, 'QR payment');
+        assert.equal(holding.escrow.status, 'held');
+        assert.equal(holding.escrow.amount, 5000);
+
+        const summary = await adminApi.get('/api/contracts/escrow');
+        assert.deepEqual(summary.body.totals, [{ currency: 'NPR', held: 5000, disputed: 0, released: 0, refunded: 0 }]);
+        assert.equal(summary.body.holdings[0].contractNumber, upfront.contractNumber);
+
+        // Nothing is released before the order is delivered and reviewed
+        assert.equal((await processEscrow(new Date(Date.now() + 30 * DAY_MS))).released, 0);
+        await Order.updateOne({ _id: upfrontOrder._id }, { status: 'delivered', deliveredAt: new Date() });
+        assert.equal((await processEscrow(new Date(Date.now() + 3 * DAY_MS))).released, 0);
+        assert.equal((await processEscrow(new Date(Date.now() + 8 * DAY_MS))).released, 1);
+
+        const released = (await Contract.findById(upfront._id)).escrowHoldings[0].escrow;
+        assert.equal(released.status, 'released');
+        assert.equal(released.releaseReason, 'auto_approval');
+    });
+
+    it('releases holdings on completed orders and through the client and admin', async () => {
+        const { upfrontOrder, upfront } = await createUpfrontContract();
+        await Contract.updateOne({ _id: upfront._id }, {
+            escrowHoldings: [
+                { title: 'QR payment', escrow: { status: 'held', amount: 2000, heldAt: new Date() } },
+                { title: 'Khalti payment', escrow: { status: 'held', amount: 2000, heldAt: new Date() } },
+                { title: 'eSewa payment', escrow: { status: 'held', amount: 1000, heldAt: new Date() } },
+            ],
+        });
+        const [byClient, byAdmin] = (await Contract.findById(upfront._id)).escrowHoldings;
+        const holdingUrl = `/api/contracts/${upfront._id}/holdings`;
+
+        // The client can only release funds for a delivered order
+        assert.equal((await clientApi.post(`${holdingUrl}/${byClient._id}/accept`)).status, 400);
+        await Order.updateOne({ _id: upfrontOrder._id }, { status: 'completed', completedAt: new Date() });
+        const accepted = await clientApi.post(`${holdingUrl}/${byClient._id}/accept`);
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.holding.escrow.releaseReason, 'client_approval');
+
+        assert.equal((await clientApi.post(`${holdingUrl}/${byAdmin._id}/release`)).status, 403);
+        const released = await adminApi.post(`${holdingUrl}/${byAdmin._id}/release`);
+        assert.equal(released.status, 200);
+        assert.equal(released.body.holding.escrow.releaseReason, 'admin');
+        assert.equal((await adminApi.post(`${holdingUrl}/${byAdmin._id}/release`)).status, 400);
+        assert.equal((await adminApi.post(`${holdingUrl}/${contract._id}/release`)).status, 404);
+
+        // The rest is released once the completed order's review window passes
+        assert.equal((await processEscrow(new Date(Date.now() + 8 * DAY_MS))).released, 1);
+        assert.deepEqual((await Contract.findById(upfront._id)).escrowHoldings.map(h => h.escrow.releaseReason), [
+            'client_approval',
+            'admin',
+            'auto_approval',
+        ]);
+    });
+
+    it('pays off and holds milestones from QR payments on the order', async () => {
+        await Order.updateOne({ _id: order._id }, { status: 'accepted', quotedAmount: 6000 });
+        await clientApi.post('/api/payment/qr-submit').send({ orderId: order._id, paymentProofUrl: 'http://localhost/uploads/proof.png' });
+        await adminApi.put(`/api/admin/tasks/${order._id}/verify-payment`);
+
+        const updated = await Contract.findById(contract._id);
+        assert.deepEqual(updated.financialTerms.milestones.map(m => [m.status, m.escrow.status, m.escrow.amount]), [
+            ['paid', 'held', 3000],
+            ['paid', 'held', 3000],
+        ]);
+        assert.equal(updated.escrowHoldings.length, 0);
+    });
+
+    it('settles open milestone invoices from QR payments on the order', async () => {
+        const approved = await adminApi.post(`${url}/0/approve`);
+        const invoiceId = approved.body.invoice._id;
+        await Invoice.updateOne({ _id: invoiceId }, { status: 'sent' });
+
+        await Order.updateOne({ _id: order._id }, { status: 'accepted', quotedAmount: 6000 });
+        await clientApi.post('/api/payment/qr-submit').send({ orderId: order._id, paymentProofUrl: 'http://localhost/uploads/proof.png' });
+        await adminApi.put(`/api/admin/tasks/${order._id}/verify-payment`);
+
+        const invoice = await Invoice.findById(invoiceId);
+        assert.equal(invoice.status, 'paid');
+        assert.equal((await getInvoiceLedger(invoice)).balance, 0);
+        assert.equal((await getOrderLedger(await Order.findById(order._id))).paid, 6000);
+
+        const updated = await Contract.findById(contract._id);
+        assert.deepEqual(updated.financialTerms.milestones.map(m => [m.status, m.escrow.status, m.escrow.amount]), [
+            ['paid', 'held', 3000],
+            ['paid', 'held', 3000],
+        ]);
+        assert.equal(updated.escrowHoldings.length, 0);
+    });
+
+    it('holds 50/50 invoices on contracts without milestones', async () => {
+        const { upfrontOrder, upfront } = await createUpfrontContract('50_50');
+        const invoice = await Invoice.create({
+            client: client._id,
+            order: upfrontOrder._id,
+            contract: upfront._id,
+            title: 'Initial Payment (50%)',
+            lineItems: [{ description: 'Initial Payment (50%)', quantity: 1, unitPrice: 2500, amount: 2500 }],
+            subtotal: 2500,
+            total: 2500,
+            dueDate: new Date(Date.now() + 7 * DAY_MS),
+            status: 'sent',
+            milestone: { title: 'Initial Payment (50%)', index: 0 },
+        });
+        await adminApi.post(`/api/invoices/${invoice._id}/mark-paid`).send({ paymentMethod: 'bank_transfer' });
+
+        const [holding] = (await Contract.findById(upfront._id)).escrowHoldings;
+        assert.equal(holding.invoice.toString(), invoice._id.toString());
+        assert.equal(holding.escrow.amount, 2500);
+
+        // A revision request disputes the held funds
+        await Order.updateOne({ _id: upfrontOrder._id }, { status: 'delivered', deliveredAt: new Date() });
+        await clientApi.post(`/api/orders/${upfrontOrder._id}/revision`).send({ request: 'Fix the references' });
+        assert.equal((await Contract.findById(upfront._id)).escrowHoldings[0].escrow.status, 'disputed');
+    });
+});
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import request from 'supertest';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+/**
+ * Shared integration test harness
+ * Boots the Express app from index.js against an in-memory MongoDB
+ * and provides user/token/CSRF helpers for route tests.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.CSRF_SECRET = process.env.CSRF_SECRET || 'test-csrf-secret';
+delete process.env.EMAIL_HOST; // Emails are logged, never sent
+
+let mongoServer;
+let app;
+
+export const TEST_PASSWORD = 'Correct-Horse-Battery-9';
+
+// Start the in-memory database and load the app (index.js skips connect/listen in test mode)
+export const startTestApp = async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const module = await import('../../index.js');
+    app = module.default;
+    return app;
+};
+
+export const stopTestApp = async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+        await mongoServer.stop();
+    }
+};
+
+export const clearDatabase = async () => {
+    const collections = mongoose.connection.collections;
+    for (const key of Object.keys(collections)) {
+        await collections[key].deleteMany({});
+    }
+};
+
+// Create a verified user and a bearer token for it
+export const createUser = async (role = 'client', overrides = {}) => {
+    const { default: User } = await import('../../models/User.js');
+    const { default: generateToken } = await import('../../utils/generateToken.js');
+
+    const suffix = new mongoose.Types.ObjectId().toString().slice(-8);
+    const user = await User.create({
+        name: `Test ${role}`,
+        email: `${role}-${suffix}@example.com`,
+        password: await bcrypt.hash(TEST_PASSWORD, 4),
+        role,
+        isEmailVerified: true,
+        ...overrides,
+    });
+
+    return { user, token: generateToken(user._id) };
+};
+
+/**
+ * Returns a supertest agent holding a CSRF cookie plus a request builder
+ * that attaches the bearer token and x-csrf-token header.
+ */
+export const createClient = async (token = null) => {
+    const agent = request.agent(app);
+    const csrfRes = await agent.get('/api/csrf-token');
+    const csrfToken = csrfRes.body.csrfToken;
+
+    const withHeaders = (req) => {
+        req.set('x-csrf-token', csrfToken);
+        if (token) req.set('Authorization', `Bearer ${token}`);
+        return req;
+    };
+
+    return {
+        agent,
+        csrfToken,
+        get: (url) => withHeaders(agent.get(url)),
+        post: (url) => withHeaders(agent.post(url)),
+        put: (url) => withHeaders(agent.put(url)),
+        delete: (url) => withHeaders(agent.delete(url)),
+    };
+};
+
+// Minimal valid order for a client
+export const createOrder = async (client, overrides = {}) => {
+    const { default: Order } = await import('../../models/Order.js');
+
+    return Order.create({
+        title: 'Data Structures Essay',
+        description: 'Compare hash tables and balanced trees',
+        deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        client: client?._id,
+        clientName: client?.name,
+        clientEmail: client?.email,
+        ...overrides,
+    });
+};
+
+// Minimal valid contract sent to a client: 50/50 over 8000, on a new accepted order unless one is given
+export const createContract = async (client, overrides = {}) => {
+    const { default: Contract } = await import('../../models/Contract.js');
+    const order = overrides.order ? null : await createOrder(client, { status: 'accepted' });
+
+    return Contract.create({
+        order: order?._id,
+        quote: new mongoose.Types.ObjectId(),
+        client: client._id,
+        status: 'pending_signature',
+        clientDetails: { name: client.name, email: client.email },
+        projectDetails: { title: order?.title || 'Data Structures Essay' },
+        financialTerms: {
+            totalAmount: 8000,
+            paymentStructure: '50_50',
+            milestones: [
+                { title: 'Upfront', percentage: 50, amount: 4000 },
+                { title: 'On delivery', percentage: 50, amount: 4000 },
+            ],
+        },
+        ...overrides,
+    });
+};
@@ -0,0 +1,113 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+} from './helpers/testApp.js';
+
+const invoicePayload = (clientId) => ({
+    clientId,
+    title: 'Thesis Chapter 2',
+    lineItems: [
+        { description: 'Literature review', quantity: 2, unitPrice: 2500 },
+        { description: 'Formatting', quantity: 1, unitPrice: 1000 },
+    ],
+    taxRate: 13,
+    discountAmount: 500,
+    dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+});
+
+describe('Invoice routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('lets admins create invoices with computed totals', async () => {
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+
+        const res = await (await createClient(token)).post('/api/invoices').send(invoicePayload(client._id));
+
+        assert.equal(res.status, 201);
+        const { invoice } = res.body;
+        assert.match(invoice.invoiceNumber, /^DRAFT-[a-f0-9]{24}$/);
+        assert.equal(invoice.subtotal, 6000);
+        assert.equal(invoice.taxAmount, 780);
+        assert.equal(invoice.total, 6280);
+        assert.equal(invoice.status, 'draft');
+    });
+
+    it('does not let clients create invoices', async () => {
+        const { user: client, token } = await createUser('client');
+
+        const res = await (await createClient(token)).post('/api/invoices').send(invoicePayload(client._id));
+        assert.equal(res.status, 403);
+    });
+
+    it('sends a draft once and hides drafts from the client', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const admin = await createClient(adminToken);
+        const clientApi = await createClient(clientToken);
+
+        const { body } = await admin.post('/api/invoices').send(invoicePayload(client._id));
+        const id = body.invoice._id;
+
+        assert.equal((await clientApi.get('/api/invoices/my-invoices')).body.length, 0);
+
+        const sent = await admin.post(`/api/invoices/${id}/send`);
+        assert.equal(sent.status, 200);
+        assert.equal(sent.body.invoice.status, 'sent');
+        assert.equal((await admin.post(`/api/invoices/${id}/send`)).status, 400);
+
+        const mine = await clientApi.get('/api/invoices/my-invoices');
+        assert.equal(mine.body.length, 1);
+
+        const viewed = await clientApi.get(`/api/invoices/${id}`);
+        assert.equal(viewed.status, 200);
+        assert.equal(viewed.body.status, 'viewed');
+    });
+
+    it('denies other clients access to an invoice', async () => {
+        const { user: client } = await createUser('client');
+        const { token: otherToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+
+        const { body } = await (await createClient(adminToken)).post('/api/invoices').send(invoicePayload(client._id));
+
+        const res = await (await createClient(otherToken)).get(`/api/invoices/${body.invoice._id}`);
+        assert.equal(res.status, 403);
+    });
+
+    it('marks invoices paid and blocks deleting them', async () => {
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+        const admin = await createClient(token);
+
+        const { body } = await admin.post('/api/invoices').send(invoicePayload(client._id));
+        const id = body.invoice._id;
+
+        const paid = await admin.post(`/api/invoices/${id}/mark-paid`).send({
+            paymentMethod: 'bank_transfer',
+            paymentReference: 'TXN-123',
+        });
+        assert.equal(paid.status, 200);
+        assert.equal(paid.body.invoice.status, 'paid');
+
+        assert.equal((await admin.delete(`/api/invoices/${id}`)).status, 400);
+
+        const stats = await admin.get('/api/invoices/stats');
+        assert.equal(stats.status, 200);
+        assert.equal(stats.body.paidInvoices, 1);
+        assert.equal(stats.body.totalRevenue, 6280);
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+    createContract,
+} from './helpers/testApp.js';
+import Contract from '../models/Contract.js';
+import Invoice from '../models/Invoice.js';
+import Notification from '../models/Notification.js';
+
+describe('Milestone delivery', () => {
+    let app;
+    let client;
+    let admin;
+    let clientApi;
+    let adminApi;
+    let order;
+    let contract;
+    let url;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        let token;
+        ({ user: client, token } = await createUser('client'));
+        clientApi = await createClient(token);
+        ({ user: admin, token } = await createUser('admin'));
+        adminApi = await createClient(token);
+
+        order = await createOrder(client, {
+            status: 'working',
+            subtasks: [
+                { title: 'Outline', status: 'completed' },
+                { title: 'Draft chapters', status: 'in-progress' },
+            ],
+            deliverables: [{ fileName: 'outline.pdf', fileUrl: '/uploads/outline.pdf' }],
+        });
+        contract = await createContract(client, {
+            order: order._id,
+            status: 'active',
+            financialTerms: {
+                totalAmount: 9000,
+                paymentStructure: 'milestone',
+                milestones: [
+                    { title: 'Kick-off', percentage: 30, amount: 2700, status: 'invoiced' },
+                    { title: 'Outline', percentage: 30, amount: 2700 },
+                    { title: 'Final draft', percentage: 40, amount: 3600 },
+                ],
+            },
+        });
+        url = `/api/contracts/${contract._id}/milestones`;
+    });
+
+    it('links milestones to work on the order', async () => {
+        const [outline, chapters] = order.subtasks;
+        const res = await adminApi.put(`${url}/1`).send({
+            subtasks: [outline._id],
+            deliverables: [order.deliverables[0]._id],
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.milestone.progress, 100);
+        assert.equal(res.body.milestone.deliverables[0].fileName, 'outline.pdf');
+
+        await adminApi.put(`${url}/2`).send({ subtasks: [outline._id, chapters._id] });
+        const list = await clientApi.get(url);
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.body.map(m => m.progress), [null, 100, 50]);
+
+        assert.equal((await adminApi.put(`${url}/1`).send({ subtasks: [contract._id] })).status, 400);
+        assert.equal((await adminApi.put(`${url}/7`).send({ subtasks: [] })).status, 404);
+        assert.equal((await clientApi.put(`${url}/1`).send({ subtasks: [] })).status, 403);
+    });
+
+    it('invoices a milestone when its work is approved', async () => {
+        await adminApi.put(`${url}/2`).send({ subtasks: order.subtasks.map(subtask => subtask._id) });
+        const blocked = await adminApi.post(`${url}/2/approve`);
+        assert.equal(blocked.status, 400);
+        assert.deepEqual(blocked.body.subtasks.map(subtask => subtask.title), ['Draft chapters']);
+
+        await adminApi.put(`${url}/1`).send({ subtasks: [order.subtasks[0]._id] });
+        const res = await adminApi.post(`${url}/1/approve`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.milestone.status, 'invoiced');
+        assert.equal(res.body.milestone.delivery.status, 'approved');
+        assert.equal(res.body.invoice.total, 2700);
+        assert.equal(res.body.invoice.milestone.index, 1);
+        assert.equal(await Notification.countDocuments({ recipient: client._id, type: 'milestone_approved' }), 1);
+
+        // Already approved
+        assert.equal((await adminApi.post(`${url}/1/approve`)).status, 400);
+
+        // An already-invoiced milestone is approved without a second invoice
+        const kickOff = await adminApi.post(`${url}/0/approve`);
+        assert.equal(kickOff.status, 200);
+        assert.equal(kickOff.body.invoice, null);
+        assert.equal(await Invoice.countDocuments({ contract: contract._id }), 1);
+    });
+
+    it('lets the client accept or dispute an approved delivery', async () => {
+        assert.equal((await clientApi.post(`${url}/1/accept`)).status, 400);
+        await adminApi.post(`${url}/1/approve`);
+
+        assert.equal((await clientApi.post(`${url}/1/dispute`).send({})).status, 400);
+        const disputed = await clientApi.post(`${url}/1/dispute`).send({ reason: 'Missing the references section' });
+        assert.equal(disputed.status, 200);
+        assert.equal(disputed.body.milestone.delivery.status, 'disputed');
+        assert.equal(await Notification.countDocuments({ recipient: admin._id, type: 'milestone_disputed' }), 1);
+
+        // The admin approves the revised work; no new invoice is raised
+        const reapproved = await adminApi.post(`${url}/1/approve`);
+        assert.equal(reapproved.status, 200);
+        assert.equal(reapproved.body.invoice, null);
+
+        const { token } = await createUser('client');
+        assert.equal((await (await createClient(token)).post(`${url}/1/accept`)).status, 403);
+
+        const accepted = await clientApi.post(`${url}/1/accept`);
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.milestone.delivery.status, 'accepted');
+        assert.ok(accepted.body.milestone.delivery.acceptedAt);
+        assert.equal(await Notification.countDocuments({ recipient: admin._id, type: 'milestone_accepted' }), 1);
+        assert.equal(await Invoice.countDocuments({ contract: contract._id }), 1);
+    });
+});
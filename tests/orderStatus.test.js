@@ -0,0 +1,112 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import Order from '../models/Order.js';
+
+describe('Order status transitions', () => {
+    before(startTestApp);
+    after(stopTestApp);
+    beforeEach(clearDatabase);
+
+    it('starts the timeline when an order is created', async () => {
+        const { user } = await createUser('client');
+        const order = await createOrder(user);
+
+        assert.equal(order.statusHistory.length, 1);
+        assert.equal(order.statusHistory[0].to, 'pending');
+        assert.equal(order.statusHistory[0].from, null);
+    });
+
+    it('only allows moves listed in the transition table', async () => {
+        const { user } = await createUser('client');
+        const order = await createOrder(user);
+
+        assert.equal(order.canTransitionTo('quoted'), true);
+        assert.equal(order.transitionTo('completed'), false);
+        assert.equal(order.status, 'pending');
+
+        assert.equal(order.transitionTo('quoted', { changedBy: user._id, reason: 'test' }), true);
+        assert.equal(order.status, 'quoted');
+        assert.equal(order.statusHistory.at(-1).from, 'pending');
+        assert.equal(order.statusHistory.at(-1).reason, 'test');
+    });
+
+    it('records each admin workflow step in the history', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { user: admin, token: adminToken } = await createUser('admin');
+        const { user: worker } = await createUser('developer');
+        const order = await createOrder(client);
+        const adminApi = await createClient(adminToken);
+        const clientApi = await createClient(clientToken);
+
+        assert.equal((await adminApi.put(`/api/admin/tasks/${order._id}/quote`).send({ quotedAmount: 5000 })).status, 200);
+        assert.equal((await clientApi.post(`/api/orders/${order._id}/accept-quote`).send({})).status, 200);
+        assert.equal((await adminApi.put(`/api/admin/tasks/${order._id}/assign-workers`).send({ workerIds: [worker._id] })).status, 200);
+        assert.equal((await adminApi.put(`/api/admin/tasks/${order._id}/review`).send({})).status, 200);
+        assert.equal((await adminApi.put(`/api/admin/tasks/${order._id}/deliver`).send({})).status, 200);
+        assert.equal((await adminApi.put(`/api/admin/tasks/${order._id}/complete`).send({})).status, 200);
+
+        const res = await clientApi.get(`/api/orders/${order._id}/history`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'completed');
+        assert.deepEqual(res.body.allowedTransitions, ['delivered']);
+        assert.deepEqual(
+            res.body.history.map(h => h.to),
+            ['pending', 'quoted', 'accepted', 'working', 'review', 'delivered', 'completed']
+        );
+        assert.equal(res.body.history[2].changedBy._id, client._id.toString());
+        assert.equal(res.body.history[3].changedBy._id, admin._id.toString());
+    });
+
+    it('rejects illegal admin moves with 409', async () => {
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+        const order = await createOrder(client, { status: 'working' });
+        const api = await createClient(token);
+
+        const complete = await api.put(`/api/admin/tasks/${order._id}/complete`).send({});
+        assert.equal(complete.status, 409);
+
+        const reject = await api.put(`/api/admin/tasks/${order._id}/reject`).send({ reason: 'Spam' });
+        assert.equal(reject.status, 409);
+
+        const unchanged = await Order.findById(order._id);
+        assert.equal(unchanged.status, 'working');
+    });
+
+    it('guards direct status updates through the same table', async () => {
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+        const order = await createOrder(client);
+        const api = await createClient(token);
+
+        const illegal = await api.put(`/api/orders/${order._id}`).send({ status: 'delivered' });
+        assert.equal(illegal.status, 409);
+        assert.deepEqual(illegal.body.allowedStatuses, ['quoted', 'rejected', 'cancelled']);
+
+        const unknown = await api.put(`/api/orders/${order._id}`).send({ status: 'archived' });
+        assert.equal(unknown.status, 400);
+
+        const cancelled = await api.put(`/api/orders/${order._id}`).send({ status: 'cancelled', reason: 'Duplicate' });
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.status, 'cancelled');
+        assert.equal(cancelled.body.statusHistory.at(-1).reason, 'Duplicate');
+    });
+
+    it('only shows the history to people who can see the order', async () => {
+        const { user: client } = await createUser('client');
+        const { token: otherToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const order = await createOrder(client);
+
+        assert.equal((await (await createClient(otherToken)).get(`/api/orders/${order._id}/history`)).status, 403);
+        assert.equal((await (await createClient(adminToken)).get(`/api/orders/${order._id}/history`)).status, 200);
+    });
+});
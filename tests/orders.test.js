@@ -0,0 +1,154 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+
+describe('Order routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('lets a client create an order and list it', async () => {
+        const { user, token } = await createUser('client');
+        const api = await createClient(token);
+
+        const res = await api.post('/api/orders').send({
+            title: 'Statistics Homework',
+            description: 'Regression analysis problem set',
+            deadline: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+            assignmentType: 'homework',
+        });
+
+        assert.equal(res.status, 201);
+        assert.match(res.body.assignmentNumber, /^ASN-\d{4}-\d{4}$/);
+        assert.equal(res.body.order.client._id, user._id.toString());
+
+        const mine = await api.get('/api/orders/customer/my-orders');
+        assert.equal(mine.status, 200);
+        assert.equal(mine.body.length, 1);
+    });
+
+    it('requires title, description and deadline', async () => {
+        const { token } = await createUser('client');
+        const api = await createClient(token);
+
+        const res = await api.post('/api/orders').send({ title: 'Missing fields' });
+        assert.equal(res.status, 400);
+    });
+
+    it('accepts guest submissions without auth', async () => {
+        await createUser('admin');
+        const api = await createClient();
+
+        const res = await api.post('/api/orders/public').send({
+            title: 'Guest Lab Report',
+            description: 'Titration lab write-up',
+            clientName: 'Guest Student',
+            clientEmail: 'guest@example.com',
+            deadline: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000),
+        });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.order.clientEmail, 'guest@example.com');
+    });
+
+    it('rejects state-changing requests without a CSRF token', async () => {
+        const { token } = await createUser('client');
+
+        const res = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'x', description: 'y', deadline: new Date() });
+
+        assert.equal(res.status, 403);
+    });
+
+    it('restricts the order list to admins', async () => {
+        const { token: clientToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+
+        const asClient = await (await createClient(clientToken)).get('/api/orders');
+        assert.equal(asClient.status, 403);
+
+        const asAdmin = await (await createClient(adminToken)).get('/api/orders');
+        assert.equal(asAdmin.status, 200);
+        assert.ok(Array.isArray(asAdmin.body));
+    });
+
+    it('only shows an order to its owner, admins and assigned workers', async () => {
+        const { user: owner, token: ownerToken } = await createUser('client');
+        const { token: otherToken } = await createUser('client');
+        const { user: worker, token: workerToken } = await createUser('developer');
+        const { token: outsiderWorkerToken } = await createUser('developer');
+        const order = await createOrder(owner, { assignedWorkers: [{ worker: worker._id }] });
+
+        const url = `/api/orders/${order._id}`;
+        assert.equal((await (await createClient(ownerToken)).get(url)).status, 200);
+        assert.equal((await (await createClient(otherToken)).get(url)).status, 403);
+        assert.equal((await (await createClient(workerToken)).get(url)).status, 200);
+        assert.equal((await (await createClient(outsiderWorkerToken)).get(url)).status, 403);
+    });
+
+    it('accepts and declines quotes only from the quoted state', async () => {
+        const { user, token } = await createUser('client');
+        const api = await createClient(token);
+
+        const pending = await createOrder(user);
+        const early = await api.post(`/api/orders/${pending._id}/accept-quote`).send({});
+        assert.equal(early.status, 409);
+
+        const quoted = await createOrder(user, { status: 'quoted', quotedAmount: 5000 });
+        const accepted = await api.post(`/api/orders/${quoted._id}/accept-quote`).send({});
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.order.status, 'accepted');
+
+        const another = await createOrder(user, { status: 'quoted', quotedAmount: 3000 });
+        const declined = await api.post(`/api/orders/${another._id}/decline-quote`).send({ reason: 'Too expensive' });
+        assert.equal(declined.status, 200);
+        assert.equal(declined.body.order.status, 'declined');
+    });
+
+    it('prevents clients from accepting quotes on orders they do not own', async () => {
+        const { user: owner } = await createUser('client');
+        const { token } = await createUser('client');
+        const order = await createOrder(owner, { status: 'quoted', quotedAmount: 5000 });
+
+        const res = await (await createClient(token)).post(`/api/orders/${order._id}/accept-quote`).send({});
+        assert.equal(res.status, 403);
+    });
+
+    it('lets admins and developers manage subtasks, but not clients', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const order = await createOrder(client);
+
+        const asClient = await (await createClient(clientToken))
+            .post(`/api/orders/${order._id}/subtasks`)
+            .send({ title: 'Outline' });
+        assert.equal(asClient.status, 403);
+
+        const admin = await createClient(adminToken);
+        const created = await admin.post(`/api/orders/${order._id}/subtasks`).send({ title: 'Outline' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.subtask.isRequired, true);
+
+        const updated = await admin
+            .put(`/api/orders/${order._id}/subtasks/${created.body.subtask._id}`)
+            .send({ status: 'completed' });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.progress, 100);
+    });
+});
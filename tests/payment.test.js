@@ -0,0 +1,298 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import Order from '../models/Order.js';
+import { buildMockResponse, mockProvider } from '../services/paymentProviders/mockProvider.js';
+
+process.env.ESEWA_SECRET_KEY = process.env.ESEWA_SECRET_KEY || 'test-esewa-secret';
+
+// Build the base64 payload eSewa appends to the success URL
+const encodeEsewaResponse = (fields, secret = process.env.ESEWA_SECRET_KEY) => {
+    const signedFieldNames = 'transaction_code,status,total_amount,transaction_uuid,product_code';
+    const message = `transaction_code=${fields.transaction_code},status=${fields.status},total_amount=${fields.total_amount},transaction_uuid=${fields.transaction_uuid},product_code=${fields.product_code},signed_field_names=${signedFieldNames}`;
+    const signature = crypto.createHmac('sha256', secret).update(message).digest('base64');
+
+    return Buffer.from(JSON.stringify({
+        ...fields,
+        signed_field_names: signedFieldNames,
+        signature,
+    })).toString('base64');
+};
+
+describe('Payment routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('initiates an eSewa payment with a signed form', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+
+        const res = await (await createClient(token))
+            .post('/api/payment/initiate')
+            .send({ orderId: order._id, amount: 5000 });
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.url);
+        assert.equal(res.body.params.total_amount, 5000);
+        assert.ok(res.body.params.signature);
+        assert.ok(res.body.params.transaction_uuid.startsWith(order._id.toString()));
+    });
+
+    it('verifies a correctly signed eSewa response', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+        const api = await createClient(token);
+
+        const init = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        const encodedResponse = encodeEsewaResponse({
+            transaction_code: '000ABC1',
+            status: 'COMPLETE',
+            total_amount: 5000,
+            transaction_uuid: init.body.params.transaction_uuid,
+            product_code: init.body.params.product_code,
+        });
+
+        const res = await api.post('/api/payment/verify').send({ orderId: order._id, encodedResponse });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.paymentStatus, 'paid');
+        assert.equal(res.body.order.transactionId, '000ABC1');
+
+        const replay = await api.post('/api/payment/verify').send({ orderId: order._id, encodedResponse });
+        assert.equal(replay.status, 400);
+
+        const history = await api.get('/api/payment/history');
+        assert.equal(history.status, 200);
+        assert.equal(history.body.length, 1);
+    });
+
+    it('rejects a response with a forged signature', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+        const api = await createClient(token);
+
+        const init = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        const encodedResponse = encodeEsewaResponse({
+            transaction_code: '000ABC1',
+            status: 'COMPLETE',
+            total_amount: 5000,
+            transaction_uuid: init.body.params.transaction_uuid,
+            product_code: init.body.params.product_code,
+        }, 'wrong-secret');
+
+        const res = await api.post('/api/payment/verify').send({ orderId: order._id, encodedResponse });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Invalid signature');
+    });
+
+    it('does not record unsigned failure responses against the payment', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+        const api = await createClient(token);
+
+        const init = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        const encodedResponse = encodeEsewaResponse({
+            transaction_code: '000ABC1',
+            status: 'CANCELED',
+            total_amount: 5000,
+            transaction_uuid: init.body.params.transaction_uuid,
+            product_code: init.body.params.product_code,
+        }, 'wrong-secret');
+
+        const res = await api.post('/api/payment/verify').send({ orderId: order._id, encodedResponse });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Invalid signature');
+
+        const { default: Payment } = await import('../models/Payment.js');
+        const entry = await Payment.findOne({ gatewayReference: init.body.params.transaction_uuid });
+        assert.equal(entry.status, 'initiated');
+    });
+
+    it('requires an order ID and response payload to verify', async () => {
+        const { token } = await createUser('client');
+        const api = await createClient(token);
+
+        assert.equal((await api.post('/api/payment/verify').send({ encodedResponse: 'abc' })).status, 400);
+        assert.equal((await api.post('/api/payment/verify').send({ orderId: 'x' })).status, 400);
+    });
+
+    it('accepts QR payment proof only from the order owner', async () => {
+        const { user, token } = await createUser('client');
+        const { token: otherToken } = await createUser('client');
+        await createUser('admin');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+        const payload = { orderId: order._id, paymentProofUrl: 'http://localhost/uploads/proof.png' };
+
+        const denied = await (await createClient(otherToken)).post('/api/payment/qr-submit').send(payload);
+        assert.equal(denied.status, 403);
+
+        const res = await (await createClient(token)).post('/api/payment/qr-submit').send(payload);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.paymentStatus, 'pending_verification');
+        assert.equal(res.body.order.paidAmount, 5000);
+    });
+
+    it('only lets admins reject QR payments', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { paymentStatus: 'pending_verification' });
+
+        const res = await (await createClient(token))
+            .put(`/api/payment/${order._id}/reject-qr`)
+            .send({ reason: 'Blurry' });
+        assert.equal(res.status, 403);
+    });
+
+    it('reports payment status for an order', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user);
+
+        const res = await (await createClient(token)).get(`/api/payment/${order._id}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.paymentStatus, 'unpaid');
+    });
+
+    it('lists providers and only activates configured ones', async () => {
+        const { token } = await createUser('admin');
+        const api = await createClient(token);
+
+        const current = await api.get('/api/settings/payment-provider');
+        assert.equal(current.status, 200);
+        assert.equal(current.body.activeProvider, 'esewa_sandbox');
+        assert.ok(current.body.providers.some(p => p.key === 'khalti_live'));
+
+        assert.equal((await api.put('/api/settings/payment-provider').send({ provider: 'paypal' })).status, 400);
+
+        delete process.env.KHALTI_LIVE_SECRET_KEY;
+        assert.equal((await api.put('/api/settings/payment-provider').send({ provider: 'khalti_live' })).status, 400);
+
+        const res = await api.put('/api/settings/payment-provider').send({ provider: 'mock' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.activeProvider, 'mock');
+    });
+
+    it('only offers the mock provider in tests or with an explicit secret', () => {
+        const { NODE_ENV, MOCK_PAYMENT_SECRET } = process.env;
+        try {
+            process.env.NODE_ENV = 'development';
+            delete process.env.MOCK_PAYMENT_SECRET;
+            assert.equal(mockProvider.isConfigured(), false);
+            assert.equal(mockProvider.verifySignature({ transaction_uuid: 'x', total_amount: 1, status: 'COMPLETE', signature: 'y' }), false);
+
+            process.env.MOCK_PAYMENT_SECRET = 'local-secret';
+            assert.equal(mockProvider.isConfigured(), true);
+        } finally {
+            process.env.NODE_ENV = NODE_ENV;
+            if (MOCK_PAYMENT_SECRET === undefined) delete process.env.MOCK_PAYMENT_SECRET;
+            else process.env.MOCK_PAYMENT_SECRET = MOCK_PAYMENT_SECRET;
+        }
+    });
+
+    it('initiates and verifies payments through the selected provider', async () => {
+        const { token: adminToken } = await createUser('admin');
+        await (await createClient(adminToken)).put('/api/settings/payment-provider').send({ provider: 'mock' });
+
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+        const api = await createClient(token);
+
+        const init = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        assert.equal(init.status, 200);
+        assert.equal(init.body.provider, 'mock');
+        const transactionUuid = init.body.params.transaction_uuid;
+
+        const forged = await api.post('/api/payment/verify').send({
+            orderId: order._id,
+            encodedResponse: encodeEsewaResponse({
+                transaction_code: 'X', status: 'COMPLETE', total_amount: 5000, transaction_uuid: transactionUuid, product_code: 'EPAYTEST',
+            }),
+        });
+        assert.equal(forged.status, 400);
+
+        const res = await api.post('/api/payment/verify').send({
+            orderId: order._id,
+            encodedResponse: buildMockResponse({ transactionUuid, amount: 5000, transactionCode: 'MOCK-1' }),
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.paymentStatus, 'paid');
+        assert.equal(res.body.order.paymentMethod, 'mock');
+        assert.equal(res.body.order.transactionId, 'MOCK-1');
+    });
+
+    it('releases a completed order for delivery once it is paid', async () => {
+        const { token: adminToken } = await createUser('admin');
+        await (await createClient(adminToken)).put('/api/settings/payment-provider').send({ provider: 'mock' });
+
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'completed', quotedAmount: 5000 });
+        const api = await createClient(token);
+
+        const init = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        const res = await api.post('/api/payment/verify').send({
+            orderId: order._id,
+            encodedResponse: buildMockResponse({ transactionUuid: init.body.params.transaction_uuid, amount: 5000, transactionCode: 'MOCK-2' }),
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.status, 'delivered');
+        assert.equal(res.body.order.statusHistory.at(-1).from, 'completed');
+    });
+
+    it('returns a released order to completed when its QR proof is rejected', async () => {
+        const { user, token } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const adminApi = await createClient(adminToken);
+        const payload = (order) => ({ orderId: order._id, paymentProofUrl: 'http://localhost/uploads/proof.png' });
+
+        const released = await createOrder(user, { status: 'delivered', quotedAmount: 5000 });
+        await (await createClient(token)).post('/api/payment/qr-submit').send(payload(released));
+        const rejected = await adminApi.put(`/api/payment/${released._id}/reject-qr`).send({ reason: 'Blurry' });
+        assert.equal(rejected.status, 200);
+        const afterReject = await Order.findById(released._id);
+        assert.equal(afterReject.status, 'completed');
+        assert.equal(afterReject.paymentStatus, 'unpaid');
+        assert.match(afterReject.statusHistory.at(-1).reason, /QR payment rejected: Blurry/);
+
+        // Still awaiting payment: nothing to move
+        const completed = await createOrder(user, { status: 'completed', quotedAmount: 5000 });
+        await (await createClient(token)).post('/api/payment/qr-submit').send(payload(completed));
+        assert.equal((await adminApi.put(`/api/payment/${completed._id}/reject-qr`).send({})).status, 200);
+        assert.equal((await Order.findById(completed._id)).status, 'completed');
+    });
+
+    it('keeps verifying against the provider that started the payment', async () => {
+        const { user, token } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+        const api = await createClient(token);
+
+        const init = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        await (await createClient(adminToken)).put('/api/settings/payment-provider').send({ provider: 'mock' });
+
+        const res = await api.post('/api/payment/verify').send({
+            orderId: order._id,
+            encodedResponse: encodeEsewaResponse({
+                transaction_code: '000ABC2',
+                status: 'COMPLETE',
+                total_amount: 5000,
+                transaction_uuid: init.body.params.transaction_uuid,
+                product_code: init.body.params.product_code,
+            }),
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.paymentMethod, 'esewa');
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import { buildMockResponse } from '../services/paymentProviders/mockProvider.js';
+
+const createInvoice = async (client, order, overrides = {}) => {
+    const { default: Invoice } = await import('../models/Invoice.js');
+    return Invoice.create({
+        client: client._id,
+        order: order?._id,
+        title: 'Milestone payment',
+        lineItems: [{ description: 'Milestone', quantity: 1, unitPrice: 4000, amount: 4000 }],
+        subtotal: 4000,
+        total: 4000,
+        dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+        status: 'sent',
+        ...overrides,
+    });
+};
+
+// Initiate and confirm a mock gateway payment for one invoice
+const payInvoice = async (api, order, invoice) => {
+    const init = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: invoice.total, invoiceId: invoice._id });
+    return api.post('/api/payment/verify').send({
+        orderId: order._id,
+        encodedResponse: buildMockResponse({ transactionUuid: init.body.params.transaction_uuid, amount: invoice.total }),
+    });
+};
+
+describe('Payment ledger', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const { default: Settings } = await import('../models/Settings.js');
+        await Settings.setSetting('payment_provider', 'mock');
+    });
+
+    it('records partial payments and keeps a running balance', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 8000 });
+        const first = await createInvoice(user, order);
+        const second = await createInvoice(user, order);
+        const api = await createClient(token);
+
+        const partial = await payInvoice(api, order, first);
+        assert.equal(partial.status, 200);
+        assert.equal(partial.body.order.paymentStatus, 'partially_paid');
+        assert.equal(partial.body.order.paidAmount, 4000);
+
+        const full = await payInvoice(api, order, second);
+        assert.equal(full.status, 200);
+        assert.equal(full.body.order.paymentStatus, 'paid');
+
+        const ledger = await api.get(`/api/payment/ledger/order/${order._id}`);
+        assert.equal(ledger.status, 200);
+        assert.equal(ledger.body.amountDue, 8000);
+        assert.equal(ledger.body.balance, 0);
+        const completed = ledger.body.entries.filter(entry => entry.status === 'completed');
+        assert.deepEqual(completed.map(entry => entry.runningBalance), [4000, 0]);
+
+        const invoiceLedger = await api.get(`/api/payment/ledger/invoice/${first._id}`);
+        assert.equal(invoiceLedger.body.status, 'paid');
+        assert.equal(invoiceLedger.body.balance, 0);
+
+        const history = await api.get('/api/payment/history');
+        assert.equal(history.body.length, 2);
+        assert.ok(history.body.every(entry => entry.order.title === order.title));
+    });
+
+    it('settles the invoice each initiation was for when several are open', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 8000 });
+        const first = await createInvoice(user, order);
+        const second = await createInvoice(user, order);
+        const api = await createClient(token);
+
+        // The second initiation replaces the order's remembered invoice and reference
+        const earlier = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 4000, invoiceId: first._id });
+        await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 4000, invoiceId: second._id });
+
+        const res = await api.post('/api/payment/verify').send({
+            orderId: order._id,
+            encodedResponse: buildMockResponse({ transactionUuid: earlier.body.params.transaction_uuid, amount: 4000 }),
+        });
+        assert.equal(res.status, 200);
+
+        const { default: Invoice } = await import('../models/Invoice.js');
+        assert.equal((await Invoice.findById(first._id)).status, 'paid');
+        assert.equal((await Invoice.findById(second._id)).status, 'sent');
+
+        const ledger = await api.get(`/api/payment/ledger/order/${order._id}`);
+        const completed = ledger.body.entries.find(entry => entry.status === 'completed');
+        assert.equal(completed.gatewayReference, earlier.body.params.transaction_uuid);
+        assert.equal(completed.invoice._id, first._id.toString());
+    });
+
+    it('moves QR proofs through verification in the ledger', async () => {
+        const { user, token } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const order = await createOrder(user, { status: 'delivered', quotedAmount: 5000 });
+        const api = await createClient(token);
+        const admin = await createClient(adminToken);
+        const proof = { orderId: order._id, paymentProofUrl: 'http://localhost/uploads/proof.png' };
+
+        await api.post('/api/payment/qr-submit').send(proof);
+        const rejected = await admin.put(`/api/payment/${order._id}/reject-qr`).send({ reason: 'Blurry' });
+        assert.equal(rejected.status, 200);
+        assert.equal(rejected.body.order.paymentStatus, 'unpaid');
+        assert.equal(rejected.body.order.paidAmount, 0);
+
+        await api.post('/api/payment/qr-submit').send(proof);
+        const verified = await admin.put(`/api/admin/tasks/${order._id}/verify-payment`);
+        assert.equal(verified.status, 200);
+        assert.equal(verified.body.task.paymentStatus, 'paid');
+
+        const ledger = await api.get(`/api/payment/ledger/order/${order._id}`);
+        assert.deepEqual(ledger.body.entries.map(entry => entry.status), ['rejected', 'completed']);
+        assert.equal(ledger.body.balance, 0);
+    });
+
+    it('records manual invoice payments and hides ledgers from other clients', async () => {
+        const { user } = await createUser('client');
+        const { token: otherToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const invoice = await createInvoice(user, null);
+        const admin = await createClient(adminToken);
+
+        const res = await admin.post(`/api/invoices/${invoice._id}/mark-paid`).send({ paymentMethod: 'bank_transfer', paymentReference: 'BT-1' });
+        assert.equal(res.status, 200);
+
+        const ledger = await admin.get(`/api/payment/ledger/invoice/${invoice._id}`);
+        assert.equal(ledger.body.paid, 4000);
+        assert.equal(ledger.body.entries[0].method, 'bank_transfer');
+
+        const denied = await (await createClient(otherToken)).get(`/api/payment/ledger/invoice/${invoice._id}`);
+        assert.equal(denied.status, 403);
+    });
+});
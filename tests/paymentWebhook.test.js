@@ -0,0 +1,158 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+    createContract,
+} from './helpers/testApp.js';
+import { buildMockResponse } from '../services/paymentProviders/mockProvider.js';
+
+const useMockProvider = async () => {
+    const { default: Settings } = await import('../models/Settings.js');
+    await Settings.setSetting('payment_provider', 'mock');
+};
+
+const webhookLogs = async () => {
+    const { default: AuditLog } = await import('../models/AuditLog.js');
+    return AuditLog.find({ action: 'payment_webhook' }).sort({ createdAt: 1 });
+};
+
+describe('Payment webhook', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        await useMockProvider();
+    });
+
+    it('marks the order paid without a browser session and ignores replays', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+
+        const init = await (await createClient(token)).post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        const data = buildMockResponse({ transactionUuid: init.body.params.transaction_uuid, amount: 5000, transactionCode: 'MOCK-9' });
+
+        const first = await request(app).post('/api/payment/webhook/mock').send({ data });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.status, 'paid');
+        assert.equal(first.body.duplicate, false);
+
+        const replay = await request(app).post('/api/payment/webhook/mock').send({ data });
+        assert.equal(replay.status, 200);
+        assert.equal(replay.body.duplicate, true);
+
+        const { default: Order } = await import('../models/Order.js');
+        const paid = await Order.findById(order._id);
+        assert.equal(paid.paymentStatus, 'paid');
+        assert.equal(paid.transactionId, 'MOCK-9');
+
+        const logs = await webhookLogs();
+        assert.deepEqual(logs.map(log => log.details.outcome), ['paid', 'duplicate']);
+        assert.equal(logs[0].userId.toString(), user._id.toString());
+    });
+
+    it('rejects forged callbacks and records the attempt', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+
+        const init = await (await createClient(token)).post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        const forged = Buffer.from(JSON.stringify({
+            transaction_uuid: init.body.params.transaction_uuid,
+            total_amount: 5000,
+            status: 'COMPLETE',
+            transaction_code: 'FAKE',
+            signature: 'not-a-signature',
+        })).toString('base64');
+
+        const res = await request(app).post('/api/payment/webhook/mock').send({ data: forged });
+        assert.equal(res.status, 400);
+
+        const { default: Order } = await import('../models/Order.js');
+        assert.equal((await Order.findById(order._id)).paymentStatus, 'unpaid');
+
+        const logs = await webhookLogs();
+        assert.equal(logs.length, 1);
+        assert.equal(logs[0].status, 'failure');
+    });
+
+    it('accepts redirect-style callbacks and does not pay twice after the frontend verified', async () => {
+        const { user, token } = await createUser('client');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 5000 });
+        const api = await createClient(token);
+
+        const init = await api.post('/api/payment/initiate').send({ orderId: order._id, amount: 5000 });
+        const data = buildMockResponse({ transactionUuid: init.body.params.transaction_uuid, amount: 5000 });
+
+        assert.equal((await api.post('/api/payment/verify').send({ orderId: order._id, encodedResponse: data })).status, 200);
+
+        const callback = await request(app).get('/api/payment/webhook/mock').query({ data });
+        assert.equal(callback.status, 200);
+        assert.equal(callback.body.duplicate, true);
+    });
+
+    it('settles the invoice chosen at initiation and its contract milestone', async () => {
+        const { user, token } = await createUser('client');
+        const { user: admin } = await createUser('admin');
+        const order = await createOrder(user, { status: 'accepted', quotedAmount: 8000 });
+
+        const { default: Contract } = await import('../models/Contract.js');
+        const { default: Invoice } = await import('../models/Invoice.js');
+        const contract = await createContract(user, {
+            order: order._id,
+            status: 'active',
+            financialTerms: {
+                totalAmount: 8000,
+                paymentStructure: '50_50',
+                milestones: [
+                    { title: 'Upfront', percentage: 50, amount: 4000, status: 'invoiced' },
+                    { title: 'On delivery', percentage: 50, amount: 4000 },
+                ],
+            },
+        });
+        const invoice = await Invoice.create({
+            client: user._id,
+            order: order._id,
+            contract: contract._id,
+            title: 'Upfront payment',
+            lineItems: [{ description: 'Upfront', quantity: 1, unitPrice: 4000, amount: 4000 }],
+            subtotal: 4000,
+            total: 4000,
+            dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+            status: 'sent',
+            milestone: { title: 'Upfront', index: 0 },
+            createdBy: admin._id,
+        });
+
+        const init = await (await createClient(token))
+            .post('/api/payment/initiate')
+            .send({ orderId: order._id, amount: 4000, invoiceId: invoice._id });
+        assert.equal(init.status, 200);
+
+        const data = buildMockResponse({ transactionUuid: init.body.params.transaction_uuid, amount: 4000 });
+        assert.equal((await request(app).post('/api/payment/webhook/mock').send({ data })).status, 200);
+
+        const paidInvoice = await Invoice.findById(invoice._id);
+        assert.equal(paidInvoice.status, 'paid');
+        assert.equal(paidInvoice.paymentMethod, 'mock');
+
+        const updated = await Contract.findById(contract._id);
+        assert.equal(updated.financialTerms.milestones[0].status, 'paid');
+        assert.equal(updated.financialTerms.milestones[1].status, 'pending');
+    });
+
+    it('returns 404 for unknown providers', async () => {
+        const res = await request(app).post('/api/payment/webhook/paypal').send({});
+        assert.equal(res.status, 404);
+    });
+});
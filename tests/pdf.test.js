@@ -0,0 +1,135 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+    createContract,
+} from './helpers/testApp.js';
+
+// Collect the raw response body so the PDF signature can be checked
+const binary = (req) => req.buffer(true).parse((res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+});
+
+const assertPdf = (res) => {
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /application\/pdf/);
+    assert.equal(res.body.subarray(0, 4).toString(), '%PDF');
+};
+
+const createQuoteChain = async (client, admin) => {
+    const { default: Quote } = await import('../models/Quote.js');
+    const { default: Invoice } = await import('../models/Invoice.js');
+
+    const order = await createOrder(client, { status: 'accepted' });
+    const quote = await Quote.create({
+        order: order._id,
+        projectTitle: order.title,
+        projectSummary: order.description,
+        lineItems: [{ category: 'documentation', description: 'Essay', unitPrice: 8000, amount: 8000 }],
+        total: 8000,
+        validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        createdBy: admin._id,
+        status: 'accepted',
+    });
+    const contract = await createContract(client, {
+        order: order._id,
+        quote: quote._id,
+        providerSignature: { signedByName: 'CodeSupport Team', agreed: true },
+    });
+    const invoice = await Invoice.create({
+        client: client._id,
+        order: order._id,
+        contract: contract._id,
+        title: 'Upfront payment',
+        lineItems: [{ description: 'Upfront', quantity: 1, unitPrice: 4000, amount: 4000 }],
+        subtotal: 4000,
+        total: 4000,
+        dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+        status: 'sent',
+        createdBy: admin._id,
+    });
+
+    return { order, quote, contract, invoice };
+};
+
+describe('PDF documents', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('renders quote, contract and invoice PDFs for the owning client', async () => {
+        const { user: client, token } = await createUser('client');
+        const { user: admin } = await createUser('admin');
+        const { quote, contract, invoice } = await createQuoteChain(client, admin);
+        const api = await createClient(token);
+
+        const quotePdf = await binary(api.get(`/api/quotes/${quote._id}/pdf`));
+        assertPdf(quotePdf);
+        assert.match(quotePdf.headers['content-disposition'], new RegExp(`attachment; filename="${quote.quoteNumber}.pdf"`));
+
+        assertPdf(await binary(api.get(`/api/contracts/${contract._id}/pdf`)));
+        assertPdf(await binary(api.get(`/api/invoices/${invoice._id}/pdf?inline=1`)));
+    });
+
+    it('denies other clients access to document PDFs', async () => {
+        const { user: client } = await createUser('client');
+        const { token: otherToken } = await createUser('client');
+        const { user: admin } = await createUser('admin');
+        const { quote, contract, invoice } = await createQuoteChain(client, admin);
+        const other = await createClient(otherToken);
+
+        assert.equal((await other.get(`/api/quotes/${quote._id}/pdf`)).status, 403);
+        assert.equal((await other.get(`/api/contracts/${contract._id}/pdf`)).status, 403);
+        assert.equal((await other.get(`/api/invoices/${invoice._id}/pdf`)).status, 403);
+    });
+
+    it('only renders receipts once a payment has been made', async () => {
+        const { user: client, token } = await createUser('client');
+        const api = await createClient(token);
+
+        const unpaid = await createOrder(client);
+        assert.equal((await api.get(`/api/payment/receipt/${unpaid._id}/pdf`)).status, 400);
+
+        const paid = await createOrder(client, { paymentStatus: 'paid', quotedAmount: 5000 });
+        assertPdf(await binary(api.get(`/api/payment/receipt/${paid._id}/pdf`)));
+    });
+
+    it('issues receipts in the order currency', async () => {
+        const { user: client, token } = await createUser('client');
+        const order = await createOrder(client, { paymentStatus: 'paid', quotedAmount: 500, currency: 'USD' });
+
+        const res = await (await createClient(token)).post('/api/payment/generate-receipt').send({ orderId: order._id });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.receipt.currency, 'USD');
+    });
+
+    it('applies branding settings to rendered documents', async () => {
+        const { user: client } = await createUser('client');
+        const { user: admin, token: adminToken } = await createUser('admin');
+        const { invoice } = await createQuoteChain(client, admin);
+        const api = await createClient(adminToken);
+
+        const bad = await api.put('/api/settings/branding').send({ primaryColor: 'blue' });
+        assert.equal(bad.status, 400);
+
+        const res = await api.put('/api/settings/branding').send({ companyName: 'Acme Tutors', primaryColor: '#10b981' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.branding.companyName, 'Acme Tutors');
+        assert.equal(res.body.branding.footerText, 'Thank you for your business.');
+
+        assertPdf(await binary(api.get(`/api/invoices/${invoice._id}/pdf`)));
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+} from './helpers/testApp.js';
+import { estimatePrice, resolveUrgency } from '../utils/pricing.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 1100 words = 5 pages, masters programming due in two days
+const orderForm = () => ({
+    wordCount: 1100,
+    academicLevel: 'masters',
+    assignmentType: 'programming',
+    urgency: 'standard',
+    deadline: new Date(Date.now() + 48 * HOUR_MS),
+});
+
+describe('Order price estimation', () => {
+    let app;
+    let admin;
+    let guest;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const { token } = await createUser('admin');
+        admin = await createClient(token);
+        guest = await createClient();
+    });
+
+    it('raises the urgency when the deadline is close', () => {
+        const now = new Date();
+        assert.equal(resolveUrgency('standard', new Date(now.getTime() + 10 * HOUR_MS), now), 'rush');
+        assert.equal(resolveUrgency('standard', new Date(now.getTime() + 100 * HOUR_MS), now), 'priority');
+        assert.equal(resolveUrgency('rush', new Date(now.getTime() + 300 * HOUR_MS), now), 'rush');
+
+        // Discounts below the minimum are made up by an adjustment line
+        const small = estimatePrice({ pageCount: 1, academicLevel: 'high_school', assignmentType: 'homework' });
+        assert.equal(small.total, 1500);
+        assert.equal(small.breakdown.at(-1).label, 'Minimum order adjustment');
+    });
+
+    it('estimates an itemized price without auth', async () => {
+        const res = await guest.post('/api/orders/estimate').send(orderForm());
+        assert.equal(res.status, 200);
+        assert.equal(res.body.pages, 5);
+        assert.equal(res.body.urgency, 'urgent');
+        assert.equal(res.body.currency, 'NPR');
+        assert.deepEqual(res.body.breakdown.map(line => line.amount), [5000, 1500, 3250, 4875]);
+        assert.equal(res.body.amount, 14625);
+    });
+
+    it('converts the estimate to the requested currency', async () => {
+        await admin.post('/api/settings/exchange-rates').send({ currency: 'USD', rate: 125 });
+
+        const res = await guest.post('/api/orders/estimate').send({ ...orderForm(), currency: 'usd' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.currency, 'USD');
+        assert.deepEqual(res.body.breakdown.map(line => line.amount), [40, 12, 26, 39]);
+        assert.equal(res.body.amount, 117);
+
+        assert.equal((await guest.post('/api/orders/estimate').send({ ...orderForm(), currency: 'EUR' })).status, 400);
+    });
+
+    it('validates the order form', async () => {
+        const estimate = (overrides) => guest.post('/api/orders/estimate').send({ ...orderForm(), ...overrides });
+
+        assert.equal((await estimate({ wordCount: undefined })).status, 400);
+        assert.equal((await estimate({ pageCount: -2 })).status, 400);
+        assert.equal((await estimate({ academicLevel: 'kindergarten' })).status, 400);
+        assert.equal((await estimate({ deadline: 'soon' })).status, 400);
+    });
+
+    it('lets admins edit the rules used for estimates', async () => {
+        const current = await admin.get('/api/settings/pricing');
+        assert.equal(current.status, 200);
+        assert.equal(current.body.rules.pricePerPage, 1000);
+
+        assert.equal((await admin.put('/api/settings/pricing').send({ wordsPerPage: 10 })).status, 400);
+        assert.equal((await admin.put('/api/settings/pricing').send({ multipliers: { urgency: { rush: 0 } } })).status, 400);
+
+        const updated = await admin.put('/api/settings/pricing').send({
+            pricePerPage: 800,
+            multipliers: { assignmentType: { programming: 2 } },
+        });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.rules.multipliers.assignmentType.programming, 2);
+        assert.equal(updated.body.rules.multipliers.academicLevel.masters, 1.3);
+
+        const res = await guest.post('/api/orders/estimate').send(orderForm());
+        assert.deepEqual(res.body.breakdown.map(line => line.amount), [4000, 1200, 5200, 5200]);
+
+        const { token } = await createUser('client');
+        assert.equal((await (await createClient(token)).get('/api/settings/pricing')).status, 403);
+    });
+
+    it('stores the suggested price on new orders', async () => {
+        const { token } = await createUser('client');
+        const client = await createClient(token);
+
+        const res = await client.post('/api/orders').send({
+            title: 'Compiler project',
+            description: 'Lexer and parser',
+            ...orderForm(),
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.order.estimatedPrice.amount, 14625);
+        assert.equal(res.body.order.estimatedPrice.breakdown.length, 4);
+
+        const publicOrder = await guest.post('/api/orders/public').send({
+            title: 'Guest essay',
+            description: 'No length given yet',
+            clientName: 'Guest Student',
+            clientEmail: 'guest@example.com',
+            deadline: new Date(Date.now() + 10 * 24 * HOUR_MS),
+        });
+        assert.equal(publicOrder.status, 201);
+        assert.equal(publicOrder.body.order.estimatedPrice?.amount, undefined);
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import Quote from '../models/Quote.js';
+
+const lineItems = [
+    { category: 'documentation', description: 'Research and writing', quantity: 10, unit: 'pages', unitPrice: 500 },
+    { category: 'consultation', description: 'Topic consultation', quantity: 1, unitPrice: 1000 },
+];
+
+describe('Quote version diff', () => {
+    let app;
+    let clientApi;
+    let adminApi;
+    let original;
+
+    before(async () => {
+        app = await startTestApp();
+        await Quote.init();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        let token;
+        let client;
+        ({ user: client, token } = await createUser('client'));
+        clientApi = await createClient(token);
+        ({ token } = await createUser('admin'));
+        adminApi = await createClient(token);
+
+        const order = await createOrder(client);
+        const res = await adminApi.post('/api/quotes').send({
+            orderId: order._id,
+            projectTitle: 'Research paper',
+            lineItems,
+            paymentTerms: {
+                type: '50_50',
+                milestones: [
+                    { title: 'Upfront', percentage: 50 },
+                    { title: 'On delivery', percentage: 50 },
+                ],
+            },
+        });
+        original = res.body.quote;
+        await clientApi.post(`/api/quotes/${original._id}/negotiate`).send({ notes: 'Drop the consultation please' });
+    });
+
+    // Revise a quote into a draft and send it to the client
+    const reviseAndSend = async (quoteId, changes) => {
+        const revised = await adminApi.post(`/api/quotes/${quoteId}/revise`).send(changes);
+        assert.equal(revised.status, 201);
+        await adminApi.post(`/api/quotes/${revised.body.quote._id}/send`);
+        return revised.body.quote;
+    };
+
+    it('returns structured differences between two versions', async () => {
+        const v2 = await reviseAndSend(original._id, {
+            lineItems: [
+                { ...lineItems[0], quantity: 12 },
+                { category: 'documentation', description: 'Plagiarism report', quantity: 1, unitPrice: 300 },
+            ],
+            discountType: 'fixed',
+            discountValue: 400,
+            paymentTerms: { type: 'full_upfront', milestones: [{ title: 'Upfront', percentage: 100, amount: 5900 }] },
+            termsAndConditions: { ...original.termsAndConditions, revisionPolicy: 'Unlimited revisions' },
+            changeNotes: 'Removed consultation',
+        });
+
+        const res = await clientApi.get(`/api/quotes/${v2._id}/diff`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.versions, [1, 2]);
+
+        const { diff } = res.body;
+        assert.equal(diff.from.version, 1);
+        assert.equal(diff.to.version, 2);
+        assert.deepEqual(diff.lineItems.added.map(item => item.description), ['Plagiarism report']);
+        assert.deepEqual(diff.lineItems.removed.map(item => item.description), ['Topic consultation']);
+        assert.deepEqual(diff.lineItems.changed[0].changes.quantity, { from: 10, to: 12 });
+        assert.deepEqual(diff.discount.discountAmount, { from: 0, to: 400 });
+        assert.deepEqual(diff.totals.total, { from: 6000, to: 5900 });
+        assert.deepEqual(diff.milestones.type, { from: '50_50', to: 'full_upfront' });
+        assert.deepEqual(diff.milestones.removed.map(m => m.title), ['On delivery']);
+        assert.deepEqual(diff.milestones.changed[0].changes.percentage, { from: 50, to: 100 });
+        assert.equal(diff.terms.revisionPolicy.to, 'Unlimited revisions');
+        assert.equal(diff.hasChanges, true);
+    });
+
+    it('keeps snapshots of replaced versions and hides drafts from clients', async () => {
+        const v2 = await reviseAndSend(original._id, { discountType: 'percentage', discountValue: 10 });
+        const v3 = (await adminApi.post(`/api/quotes/${v2._id}/revise`).send({ taxRate: 13 })).body.quote;
+
+        // Version 3 is still a draft
+        assert.equal((await clientApi.get(`/api/quotes/${v3._id}/diff?from=2&to=3`)).status, 404);
+        const draftDiff = await adminApi.get(`/api/quotes/${v3._id}/diff?from=2&to=3`);
+        assert.deepEqual(draftDiff.body.diff.tax.taxRate, { from: 0, to: 13 });
+
+        // Replace the draft, then delete it: its snapshot still answers
+        const v4 = await adminApi.post(`/api/quotes/${v3._id}/revise`).send({ taxRate: 0 });
+        await Quote.deleteOne({ _id: v3._id });
+        const res = await adminApi.get(`/api/quotes/${v4.body.quote._id}/diff?from=1&to=3`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.diff.to.status, 'draft');
+        assert.deepEqual(res.body.diff.discount.discountType, { from: 'none', to: 'percentage' });
+    });
+
+    it('validates the requested versions', async () => {
+        assert.equal((await adminApi.get(`/api/quotes/${original._id}/diff`)).status, 400);
+        assert.equal((await adminApi.get(`/api/quotes/${original._id}/diff?from=1&to=5`)).status, 404);
+        assert.equal((await adminApi.get(`/api/quotes/${original._id}/diff?from=abc&to=2`)).status, 400);
+
+        const { token } = await createUser('client');
+        const other = await createClient(token);
+        assert.equal((await other.get(`/api/quotes/${original._id}/diff?from=1&to=2`)).status, 403);
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import Quote from '../models/Quote.js';
+import Notification from '../models/Notification.js';
+import Settings from '../models/Settings.js';
+import { expireQuotes, QUOTE_VALIDITY_SETTING } from '../services/quoteExpiryService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const quotePayload = (orderId) => ({
+    orderId,
+    projectTitle: 'Lab report',
+    lineItems: [{ category: 'documentation', description: 'Write-up', quantity: 4, unitPrice: 500 }],
+});
+
+describe('Quote expiry', () => {
+    let app;
+    let client;
+    let clientApi;
+    let admin;
+    let adminApi;
+
+    before(async () => {
+        app = await startTestApp();
+        await Quote.init();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        let token;
+        ({ user: client, token } = await createUser('client'));
+        clientApi = await createClient(token);
+        ({ user: admin, token } = await createUser('admin'));
+        adminApi = await createClient(token);
+    });
+
+    // Send a quote, then move its validity window into the past
+    const createLapsedQuote = async () => {
+        const order = await createOrder(client);
+        const res = await adminApi.post('/api/quotes').send(quotePayload(order._id));
+        assert.equal(res.status, 201);
+        return Quote.findByIdAndUpdate(res.body.quote._id, { validUntil: new Date(Date.now() - 1000) }, { new: true });
+    };
+
+    it('uses the configured validity window', async () => {
+        await Settings.setSetting(QUOTE_VALIDITY_SETTING, 14, admin._id);
+        const order = await createOrder(client);
+
+        const res = await adminApi.post('/api/quotes').send(quotePayload(order._id));
+        const days = (new Date(res.body.quote.validUntil) - Date.now()) / DAY_MS;
+        assert.ok(days > 13.9 && days <= 14);
+
+        const past = await adminApi.post('/api/quotes').send({ ...quotePayload(order._id), validUntil: new Date(Date.now() - DAY_MS) });
+        assert.equal(past.status, 400);
+    });
+
+    it('expires lapsed quotes and notifies the client and admins', async () => {
+        const quote = await createLapsedQuote();
+        const open = await createOrder(client);
+        await adminApi.post('/api/quotes').send(quotePayload(open._id));
+
+        assert.deepEqual(await expireQuotes(), { checked: 1, expired: 1 });
+        assert.deepEqual(await expireQuotes(), { checked: 0, expired: 0 });
+
+        const expired = await Quote.findById(quote._id);
+        assert.equal(expired.status, 'expired');
+        assert.ok(expired.expiredAt);
+
+        const notified = await Notification.find({ type: 'quote_expired' });
+        assert.deepEqual(notified.map(n => n.recipient.toString()).sort(), [client._id, admin._id].map(String).sort());
+    });
+
+    it('refuses to accept a quote past its validity window', async () => {
+        const quote = await createLapsedQuote();
+        await clientApi.get(`/api/quotes/${quote._id}`);
+
+        const res = await clientApi.post(`/api/quotes/${quote._id}/accept`);
+        assert.equal(res.status, 400);
+        assert.equal((await Quote.findById(quote._id)).status, 'expired');
+    });
+
+    it('renews an expired quote as the next version', async () => {
+        const quote = await createLapsedQuote();
+        await expireQuotes();
+
+        const res = await adminApi.post(`/api/quotes/${quote._id}/renew`).send({ discountType: 'fixed', discountValue: 200 });
+        assert.equal(res.status, 201);
+
+        const renewed = res.body.quote;
+        assert.equal(renewed.quoteNumber, quote.quoteNumber);
+        assert.equal(renewed.version, 2);
+        assert.equal(renewed.status, 'sent');
+        assert.equal(renewed.total, 1800);
+        assert.ok(new Date(renewed.validUntil) > new Date());
+        assert.equal(renewed.revisionHistory.at(-1).changes, 'Quote renewed after expiry');
+        assert.equal((await Quote.findById(quote._id)).status, 'revised');
+
+        // Only expired quotes can be renewed
+        assert.equal((await adminApi.post(`/api/quotes/${renewed._id}/renew`)).status, 400);
+
+        const accepted = await clientApi.post(`/api/quotes/${renewed._id}/accept`);
+        assert.equal(accepted.status, 200);
+    });
+
+    it('keeps quote numbers unique across revisions', async () => {
+        const first = await createLapsedQuote();
+        const revised = await adminApi.post(`/api/quotes/${first._id}/revise`).send({ changeNotes: 'New scope' });
+        assert.equal(revised.status, 201);
+        assert.equal(revised.body.quote.quoteNumber, first.quoteNumber);
+
+        // The next new quote does not collide with the revision created after it
+        const order = await createOrder(client);
+        const next = await adminApi.post('/api/quotes').send(quotePayload(order._id));
+        assert.equal(next.status, 201);
+        assert.notEqual(next.body.quote.quoteNumber, first.quoteNumber);
+    });
+});
@@ -0,0 +1,159 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import Quote from '../models/Quote.js';
+
+describe('Quote negotiation thread', () => {
+    let app;
+    let clientApi;
+    let adminApi;
+    let quote;
+    let url;
+
+    before(async () => {
+        app = await startTestApp();
+        await Quote.init();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        let token;
+        let client;
+        ({ user: client, token } = await createUser('client', { name: 'Jane Client' }));
+        clientApi = await createClient(token);
+        ({ token } = await createUser('admin'));
+        adminApi = await createClient(token);
+
+        const order = await createOrder(client);
+        const res = await adminApi.post('/api/quotes').send({
+            orderId: order._id,
+            projectTitle: 'Research paper',
+            lineItems: [
+                { category: 'documentation', description: 'Research and writing', quantity: 10, unitPrice: 500 },
+                { category: 'consultation', description: 'Topic consultation', quantity: 1, unitPrice: 1000 },
+            ],
+        });
+        quote = res.body.quote;
+        url = `/api/quotes/${quote._id}/negotiation`;
+    });
+
+    it('records messages from both sides', async () => {
+        await clientApi.post(`/api/quotes/${quote._id}/negotiate`).send({ notes: 'Is there a student discount?' });
+
+        const reply = await adminApi.post(url).send({ message: 'Only for orders over 20 pages' });
+        assert.equal(reply.status, 201);
+        assert.equal(reply.body.entry.authorRole, 'admin');
+
+        const thread = await clientApi.get(url);
+        assert.equal(thread.status, 200);
+        assert.equal(thread.body.status, 'negotiating');
+        assert.deepEqual(thread.body.negotiation.map(entry => entry.authorRole), ['client', 'admin']);
+        assert.equal(thread.body.negotiation[0].author.name, 'Jane Client');
+    });
+
+    it('validates messages and counter-offers', async () => {
+        assert.equal((await clientApi.post(url).send({ message: ' ' })).status, 400);
+        assert.equal((await clientApi.post(url).send({ message: 'Cheaper?', counterOffer: { proposedTotal: 6000 } })).status, 400);
+        assert.equal((await clientApi.post(url).send({
+            message: 'Both',
+            counterOffer: { proposedTotal: 5000, lineItems: [{ category: 'other', description: 'x', unitPrice: 1 }] },
+        })).status, 400);
+        assert.equal((await clientApi.post(url).send({
+            message: 'Bad category',
+            counterOffer: { lineItems: [{ category: 'catering', description: 'x', unitPrice: 1 }] },
+        })).status, 400);
+
+        const { token } = await createUser('client');
+        assert.equal((await (await createClient(token)).post(url).send({ message: 'Hi' })).status, 403);
+    });
+
+    it('turns an accepted counter-offer into a revision', async () => {
+        const clientOffer = await clientApi.post(url).send({ message: 'Can we do 5000?', counterOffer: { proposedTotal: 5000 } });
+        assert.equal(clientOffer.status, 201);
+        assert.equal(clientOffer.body.quote.status, 'negotiating');
+
+        // Nobody answers their own offer
+        const clientOfferUrl = `${url}/${clientOffer.body.entry._id}`;
+        assert.equal((await clientApi.post(`${clientOfferUrl}/respond`).send({ decision: 'accepted' })).status, 403);
+
+        // The admin's counter replaces the client's offer
+        const adminOffer = await adminApi.post(url).send({ message: 'Meet at 5500?', counterOffer: { proposedTotal: 5500 } });
+        const adminOfferUrl = `${url}/${adminOffer.body.entry._id}`;
+        assert.equal(adminOffer.body.quote.negotiation[0].counterOffer.status, 'superseded');
+        assert.equal((await adminApi.post(`${clientOfferUrl}/respond`).send({ decision: 'accepted' })).status, 400);
+
+        // Not accepted yet
+        assert.equal((await adminApi.post(`${adminOfferUrl}/revise`)).status, 400);
+
+        const accepted = await clientApi.post(`${adminOfferUrl}/respond`).send({ decision: 'accepted' });
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.entry.counterOffer.status, 'accepted');
+
+        const revised = await adminApi.post(`${adminOfferUrl}/revise`);
+        assert.equal(revised.status, 201);
+
+        const v2 = revised.body.quote;
+        assert.equal(v2.version, 2);
+        assert.equal(v2.status, 'draft');
+        assert.equal(v2.total, 5500);
+        assert.equal(v2.negotiation.length, 2);
+        assert.equal(v2.negotiation[1].counterOffer.status, 'applied');
+        assert.equal(v2.negotiation[1].counterOffer.revision, v2._id);
+        assert.match(v2.revisionHistory.at(-1).changes, /Counter-offer from admin applied/);
+
+        const original = await Quote.findById(quote._id);
+        assert.equal(original.status, 'revised');
+        assert.equal(original.negotiation[1].counterOffer.revision.toString(), v2._id);
+    });
+
+    it('applies line-item counter-offers', async () => {
+        const offer = await clientApi.post(url).send({
+            message: 'Skip the consultation',
+            counterOffer: { lineItems: [{ category: 'documentation', description: 'Research and writing', quantity: 10, unitPrice: 500 }] },
+        });
+        await adminApi.post(`${url}/${offer.body.entry._id}/respond`).send({ decision: 'accepted' });
+
+        const revised = await adminApi.post(`${url}/${offer.body.entry._id}/revise`).send({ changeNotes: 'Consultation dropped' });
+        assert.equal(revised.status, 201);
+        assert.deepEqual(revised.body.quote.lineItems.map(item => item.description), ['Research and writing']);
+        assert.equal(revised.body.quote.total, 5000);
+        assert.equal(revised.body.quote.revisionHistory.at(-1).changes, 'Consultation dropped');
+    });
+
+    it('keeps line tax profiles on revisions from line-item counter-offers', async () => {
+        const { user: buyer, token } = await createUser('client');
+        const buyerApi = await createClient(token);
+        const order = await createOrder(buyer);
+        const taxed = await adminApi.post('/api/quotes').send({
+            orderId: order._id,
+            projectTitle: 'Research paper',
+            lineItems: [
+                { category: 'documentation', description: 'Research and writing', quantity: 10, unitPrice: 500, taxProfile: 'VAT13' },
+                { category: 'consultation', description: 'Topic consultation', quantity: 1, unitPrice: 1000, taxProfile: 'VAT13' },
+            ],
+        });
+        const taxedUrl = `/api/quotes/${taxed.body.quote._id}/negotiation`;
+
+        const offer = await buyerApi.post(taxedUrl).send({
+            message: 'Without the consultation',
+            counterOffer: { lineItems: [{ category: 'documentation', description: 'Research and writing', quantity: 8, unitPrice: 500 }] },
+        });
+        assert.equal(offer.body.entry.counterOffer.lineItems[0].taxProfile, 'VAT13');
+        await adminApi.post(`${taxedUrl}/${offer.body.entry._id}/respond`).send({ decision: 'accepted' });
+
+        const revised = await adminApi.post(`${taxedUrl}/${offer.body.entry._id}/revise`);
+        assert.equal(revised.status, 201);
+        assert.equal(revised.body.quote.lineItems[0].taxProfile, 'VAT13');
+        assert.equal(revised.body.quote.taxAmount, 520);
+        assert.equal(revised.body.quote.total, 4520);
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+
+const catalog = [
+    { code: 'essay', name: 'Essay writing', category: 'documentation', unit: 'pages', unitPrice: 1000, assignmentType: 'essay' },
+    { code: 'ESSAY', name: 'Essay writing (masters)', category: 'documentation', unit: 'pages', unitPrice: 1500, assignmentType: 'essay', academicLevel: 'masters' },
+    { code: 'RUSH', name: 'Rush delivery', category: 'other', unitPrice: 2000, urgency: 'rush' },
+    { code: 'CODE', name: 'Programming assignment', category: 'development', unitPrice: 5000, assignmentType: 'programming' },
+];
+
+describe('Service catalog and quote templates', () => {
+    let app;
+    let admin;
+    let client;
+    let items;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const { token } = await createUser('admin');
+        admin = await createClient(token);
+        ({ user: client } = await createUser('client'));
+
+        items = {};
+        for (const item of catalog) {
+            const res = await admin.post('/api/catalog/services').send(item);
+            assert.equal(res.status, 201);
+            items[res.body.item.name] = res.body.item;
+        }
+    });
+
+    const createTemplate = (overrides = {}) => admin.post('/api/catalog/templates').send({
+        name: 'Essay',
+        assignmentType: 'essay',
+        lineItems: [
+            { catalogItem: items['Essay writing']._id },
+            { category: 'documentation', description: 'Plagiarism report', unitPrice: 500 },
+        ],
+        deliverables: [{ title: 'Final essay', estimatedDelivery: 'Day 5' }],
+        paymentTerms: {
+            type: 'milestone',
+            milestones: [
+                { title: 'Upfront', percentage: 50, dueDescription: 'Upon signing' },
+                { title: 'On delivery', percentage: 50, dueDescription: 'Upon delivery' },
+            ],
+        },
+        termsAndConditions: { revisionPolicy: 'Unlimited revisions for 14 days.' },
+        validityDays: 3,
+        ...overrides,
+    });
+
+    it('prices an order from its most specific catalog matches', async () => {
+        assert.equal((await admin.post('/api/catalog/services').send({ code: 'X', name: 'X', category: 'catering', unitPrice: 1 })).status, 400);
+        assert.equal(items['Essay writing'].code, 'ESSAY');
+
+        const order = await createOrder(client, { assignmentType: 'essay', academicLevel: 'masters', urgency: 'rush', pageCount: 4 });
+        const res = await admin.get(`/api/catalog/services/match/${order._id}`);
+        assert.equal(res.status, 200);
+
+        const byDescription = Object.fromEntries(res.body.lineItems.map(item => [item.description, item]));
+        assert.deepEqual(Object.keys(byDescription).sort(), ['Essay writing (masters)', 'Rush delivery']);
+        assert.equal(byDescription['Essay writing (masters)'].quantity, 4);
+        assert.equal(byDescription['Rush delivery'].quantity, 1);
+    });
+
+    it('manages templates and suggests them for an order', async () => {
+        const res = await createTemplate();
+        assert.equal(res.status, 201);
+        assert.equal((await createTemplate()).status, 400);
+        assert.equal((await createTemplate({ name: 'Broken', lineItems: [{ catalogItem: client._id }] })).status, 400);
+        await createTemplate({ name: 'General', assignmentType: '' });
+
+        const essayOrder = await createOrder(client, { assignmentType: 'essay' });
+        const suggested = await admin.get(`/api/catalog/templates?orderId=${essayOrder._id}`);
+        assert.deepEqual(suggested.body.map(template => template.name), ['Essay', 'General']);
+
+        const codeOrder = await createOrder(client, { assignmentType: 'programming' });
+        const forCode = await admin.get(`/api/catalog/templates?orderId=${codeOrder._id}`);
+        assert.deepEqual(forCode.body.map(template => template.name), ['General']);
+
+        const updated = await admin.put(`/api/catalog/templates/${res.body.template._id}`).send({ validityDays: 10 });
+        assert.equal(updated.body.template.validityDays, 10);
+
+        assert.equal((await admin.delete(`/api/catalog/templates/${res.body.template._id}`)).status, 200);
+        assert.equal((await admin.get(`/api/catalog/templates/${res.body.template._id}`)).status, 404);
+    });
+
+    it('prefills a quote using current catalog prices', async () => {
+        const template = (await createTemplate()).body.template;
+        const order = await createOrder(client, { assignmentType: 'essay', pageCount: 4 });
+
+        await admin.put(`/api/catalog/services/${items['Essay writing']._id}`).send({ unitPrice: 1100 });
+
+        const res = await admin.get(`/api/catalog/templates/${template._id}/prefill?orderId=${order._id}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.projectTitle, order.title);
+        assert.equal(res.body.lineItems[0].unitPrice, 1100);
+        assert.equal(res.body.lineItems[0].quantity, 4);
+        assert.equal(res.body.lineItems[1].description, 'Plagiarism report');
+        assert.equal(res.body.deliverables[0].title, 'Final essay');
+        assert.equal(res.body.paymentTerms.milestones.length, 2);
+
+        // Retired catalog items drop out of templates
+        await admin.delete(`/api/catalog/services/${items['Essay writing']._id}`);
+        const retired = await admin.get(`/api/catalog/templates/${template._id}/prefill?orderId=${order._id}`);
+        assert.deepEqual(retired.body.lineItems.map(item => item.description), ['Plagiarism report']);
+    });
+
+    it('creates a quote from a template with overrides', async () => {
+        const template = (await createTemplate()).body.template;
+        const order = await createOrder(client, { assignmentType: 'essay', pageCount: 4 });
+
+        const res = await admin.post('/api/quotes/from-template').send({
+            templateId: template._id,
+            orderId: order._id,
+            discountType: 'fixed',
+            discountValue: 500,
+        });
+        assert.equal(res.status, 201);
+
+        const { quote } = res.body;
+        assert.equal(quote.template, template._id);
+        assert.equal(quote.lineItems.length, 2);
+        assert.equal(quote.total, 4000);
+        assert.deepEqual(quote.paymentTerms.milestones.map(m => m.amount), [2250, 2250]);
+        assert.equal(quote.termsAndConditions.revisionPolicy, 'Unlimited revisions for 14 days.');
+        assert.match(quote.termsAndConditions.paymentPolicy, /Payment due within 7 days/);
+
+        const missing = await admin.post('/api/quotes/from-template').send({ templateId: client._id, orderId: order._id });
+        assert.equal(missing.status, 404);
+    });
+
+    it('falls back to catalog matches for templates without line items', async () => {
+        const template = (await createTemplate({ name: 'Catalog only', lineItems: [] })).body.template;
+        const order = await createOrder(client, { assignmentType: 'programming', urgency: 'rush' });
+
+        const res = await admin.get(`/api/catalog/templates/${template._id}/prefill?orderId=${order._id}`);
+        assert.deepEqual(res.body.lineItems.map(item => item.unitPrice).sort(), [2000, 5000]);
+    });
+});
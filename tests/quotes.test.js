@@ -0,0 +1,178 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import { syncMigratedIndexes } from '../config/db.js';
+
+const quotePayload = (orderId) => ({
+    orderId,
+    projectTitle: 'Research Paper on Renewable Energy',
+    projectSummary: '3000 word research paper with APA citations',
+    lineItems: [
+        { category: 'documentation', description: 'Research and writing', quantity: 10, unit: 'pages', unitPrice: 500 },
+        { category: 'consultation', description: 'Topic consultation', quantity: 1, unitPrice: 1000 },
+    ],
+    paymentTerms: {
+        type: '50_50',
+        milestones: [
+            { title: 'Upfront', percentage: 50 },
+            { title: 'On delivery', percentage: 50 },
+        ],
+    },
+    discountType: 'percentage',
+    discountValue: 10,
+    taxRate: 13,
+});
+
+describe('Quote routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('lets admins create a quote and moves the order to quoted', async () => {
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+        const order = await createOrder(client);
+
+        const res = await (await createClient(token)).post('/api/quotes').send(quotePayload(order._id));
+
+        assert.equal(res.status, 201);
+        const quote = res.body.quote;
+        assert.equal(quote.status, 'sent');
+        assert.match(quote.quoteNumber, /^QT-\d{4}-\d{4}$/);
+        assert.equal(quote.subtotal, 6000);
+        assert.equal(quote.discountAmount, 600);
+        assert.equal(quote.taxAmount, 702);
+        assert.equal(quote.total, 6102);
+
+        const { default: Order } = await import('../models/Order.js');
+        const updated = await Order.findById(order._id);
+        assert.equal(updated.status, 'quoted');
+        assert.equal(updated.quotedAmount, 6102);
+    });
+
+    it('rejects a second active quote for the same order', async () => {
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+        const order = await createOrder(client);
+        const api = await createClient(token);
+
+        await api.post('/api/quotes').send(quotePayload(order._id));
+        const res = await api.post('/api/quotes').send(quotePayload(order._id));
+
+        assert.equal(res.status, 400);
+        assert.ok(res.body.existingQuoteId);
+    });
+
+    it('does not let clients create quotes', async () => {
+        const { user: client, token } = await createUser('client');
+        const order = await createOrder(client);
+
+        const res = await (await createClient(token)).post('/api/quotes').send(quotePayload(order._id));
+        assert.equal(res.status, 403);
+    });
+
+    it('marks a quote viewed when its client opens it and hides it from others', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { token: otherToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const order = await createOrder(client);
+
+        const created = await (await createClient(adminToken)).post('/api/quotes').send(quotePayload(order._id));
+        const url = `/api/quotes/${created.body.quote._id}`;
+
+        const viewed = await (await createClient(clientToken)).get(url);
+        assert.equal(viewed.status, 200);
+        assert.equal(viewed.body.status, 'viewed');
+
+        const denied = await (await createClient(otherToken)).get(url);
+        assert.equal(denied.status, 403);
+    });
+
+    it('generates a pending contract when the client accepts', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const order = await createOrder(client);
+
+        const created = await (await createClient(adminToken)).post('/api/quotes').send(quotePayload(order._id));
+        const res = await (await createClient(clientToken))
+            .post(`/api/quotes/${created.body.quote._id}/accept`)
+            .send({ feedback: 'Looks good' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.quote.status, 'accepted');
+        assert.equal(res.body.order.status, 'accepted');
+        assert.equal(res.body.contract.status, 'pending_signature');
+        assert.equal(res.body.contract.financialTerms.milestones.length, 2);
+    });
+
+    it('requires notes to request negotiation', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const order = await createOrder(client);
+
+        const created = await (await createClient(adminToken)).post('/api/quotes').send(quotePayload(order._id));
+        const api = await createClient(clientToken);
+        const url = `/api/quotes/${created.body.quote._id}/negotiate`;
+
+        assert.equal((await api.post(url).send({ notes: '  ' })).status, 400);
+
+        const res = await api.post(url).send({ notes: 'Can the discount be 15%?' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.quote.status, 'negotiating');
+    });
+
+    it('drops the unique quote number index left from before versioning', async () => {
+        const { default: Quote } = await import('../models/Quote.js');
+        await Quote.init();
+        await Quote.collection.createIndex({ quoteNumber: 1 }, { unique: true });
+
+        await syncMigratedIndexes();
+        const indexes = await Quote.collection.indexes();
+        assert.ok(!indexes.some(index => index.name === 'quoteNumber_1'));
+        assert.ok(indexes.some(index => index.name === 'quoteNumber_1_version_1' && index.unique));
+    });
+
+    it('numbers quotes past 9999 from a counter that starts after existing numbers', async () => {
+        const { default: Quote } = await import('../models/Quote.js');
+        const { default: Settings } = await import('../models/Settings.js');
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+        const api = await createClient(token);
+        const year = new Date().getFullYear();
+
+        // A database from before the counter, already at 9999 quotes this year
+        const first = await api.post('/api/quotes').send(quotePayload((await createOrder(client))._id));
+        await Quote.updateOne({ _id: first.body.quote._id }, { quoteNumber: `QT-${year}-9999` });
+        await Settings.deleteOne({ key: `quote_sequence_${year}` });
+
+        const next = await api.post('/api/quotes').send(quotePayload((await createOrder(client))._id));
+        const following = await api.post('/api/quotes').send(quotePayload((await createOrder(client))._id));
+        assert.equal(next.body.quote.quoteNumber, `QT-${year}-10000`);
+        assert.equal(following.body.quote.quoteNumber, `QT-${year}-10001`);
+    });
+
+    it('only lists non-draft quotes for the client', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const order = await createOrder(client);
+
+        await (await createClient(adminToken)).post('/api/quotes').send(quotePayload(order._id));
+
+        const res = await (await createClient(clientToken)).get('/api/quotes/my-quotes');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.length, 1);
+    });
+});
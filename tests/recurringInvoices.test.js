@@ -0,0 +1,224 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import Quote from '../models/Quote.js';
+import Contract from '../models/Contract.js';
+import Invoice from '../models/Invoice.js';
+import { addInterval, getBillingPeriod } from '../utils/recurring.js';
+import { generateRecurringInvoices } from '../services/invoiceService.js';
+import { processRecurringInvoices } from '../services/recurringInvoiceService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accepted maintenance quote billed monthly, starting a little over two months ago
+const createRetainerQuote = async (client, admin, recurring = {}) => {
+    const order = await createOrder(client, { status: 'accepted' });
+    return Quote.create({
+        order: order._id,
+        projectTitle: 'Site maintenance',
+        projectSummary: 'Monthly updates and monitoring',
+        lineItems: [{ category: 'maintenance', description: 'Maintenance', unitPrice: 5000, amount: 5000 }],
+        total: 5000,
+        validUntil: new Date(Date.now() + 7 * DAY_MS),
+        createdBy: admin._id,
+        status: 'accepted',
+        paymentTerms: {
+            type: 'recurring',
+            recurring: {
+                interval: 'monthly',
+                startDate: new Date(addInterval(new Date(), 'monthly', -2).getTime() - DAY_MS),
+                ...recurring,
+            },
+        },
+    });
+};
+
+describe('Recurring retainer invoices', () => {
+    let app;
+    let client;
+    let clientApi;
+    let admin;
+    let adminApi;
+
+    before(async () => {
+        app = await startTestApp();
+        await Invoice.init();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        let token;
+        ({ user: client, token } = await createUser('client'));
+        clientApi = await createClient(token);
+        ({ user: admin, token } = await createUser('admin'));
+        adminApi = await createClient(token);
+    });
+
+    // Generate the contract from the quote, have the client sign it and counter-sign it
+    const activateRetainer = async (recurring) => {
+        const quote = await createRetainerQuote(client, admin, recurring);
+        const generated = await adminApi.post('/api/contracts/generate').send({ quoteId: quote._id });
+        assert.equal(generated.status, 201);
+        await clientApi.post(`/api/contracts/${generated.body.contract._id}/sign`).send({ agreed: true });
+        await adminApi.post(`/api/contracts/${generated.body.contract._id}/countersign`).send({ agreed: true });
+        return Contract.findById(generated.body.contract._id);
+    };
+
+    it('anchors billing periods to the start date', () => {
+        const start = new Date(2026, 0, 31);
+        assert.equal(addInterval(start, 'monthly').getDate(), 28);
+        assert.equal(getBillingPeriod({ startDate: start, interval: 'monthly' }, 2).start.getDate(), 31);
+        assert.equal(addInterval(start, 'quarterly').getMonth(), 3);
+        assert.equal(addInterval(start, 'weekly', 2).getDate(), 14);
+
+        const last = getBillingPeriod({ startDate: start, interval: 'monthly', endDate: new Date(2026, 1, 10) }, 0);
+        assert.equal(last.end.getTime(), new Date(2026, 1, 10).getTime());
+    });
+
+    it('validates recurring terms on quotes', async () => {
+        const order = await createOrder(client);
+        const payload = {
+            orderId: order._id,
+            projectTitle: 'Maintenance',
+            lineItems: [{ category: 'maintenance', description: 'Maintenance', unitPrice: 5000 }],
+        };
+
+        const invalid = await adminApi.post('/api/quotes').send({
+            ...payload,
+            paymentTerms: { type: 'recurring', recurring: { interval: 'daily', startDate: new Date() } },
+        });
+        assert.equal(invalid.status, 400);
+
+        const res = await adminApi.post('/api/quotes').send({
+            ...payload,
+            paymentTerms: { type: 'recurring', recurring: { interval: 'quarterly', startDate: new Date() } },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.quote.paymentTerms.recurring.interval, 'quarterly');
+        assert.equal(res.body.quote.paymentTerms.recurring.intervalCount, 1);
+    });
+
+    it('bills every started period when the contract activates, then each new period', async () => {
+        const contract = await activateRetainer();
+        const schedule = contract.financialTerms.recurring;
+        assert.equal(schedule.amount, 5000);
+        assert.equal(schedule.periodsInvoiced, 3);
+        assert.ok(schedule.nextInvoiceDate > new Date());
+
+        const invoices = await Invoice.find({ contract: contract._id }).sort({ 'billingPeriod.start': 1 });
+        assert.equal(invoices.length, 3);
+        assert.equal(invoices[0].total, 5000);
+        assert.equal(invoices[0].billingPeriod.start.getTime(), schedule.startDate.getTime());
+
+        // Nothing is due yet
+        assert.deepEqual(await processRecurringInvoices(), { checked: 0, invoiced: 0 });
+
+        const nextPeriod = new Date(schedule.nextInvoiceDate.getTime() + 1000);
+        assert.equal((await processRecurringInvoices(nextPeriod)).invoiced, 1);
+        assert.equal((await processRecurringInvoices(nextPeriod)).invoiced, 0);
+
+        // A stale copy of the contract cannot bill the same period twice
+        const stale = await Contract.findById(contract._id);
+        stale.financialTerms.recurring.periodsInvoiced = 3;
+        assert.equal((await generateRecurringInvoices(stale, { now: nextPeriod })).length, 0);
+        assert.equal(await Invoice.countDocuments({ contract: contract._id }), 4);
+    });
+
+    it('tells admins when a sweep bills new periods', async () => {
+        const contract = await activateRetainer();
+        const { default: Notification } = await import('../models/Notification.js');
+        const notified = () => Notification.countDocuments({ recipient: admin._id, type: 'invoice_generated' });
+        const initial = await notified();
+
+        const nextPeriod = new Date(contract.financialTerms.recurring.nextInvoiceDate.getTime() + 1000);
+        assert.equal((await processRecurringInvoices(nextPeriod)).invoiced, 1);
+        assert.equal(await notified(), initial + 1);
+    });
+
+    it('draws no invoice number for a period another run already billed', async () => {
+        const contract = await activateRetainer();
+        const stale = await Contract.findById(contract._id);
+        const nextPeriod = new Date(contract.financialTerms.recurring.nextInvoiceDate.getTime() + 1000);
+
+        const [billed] = await generateRecurringInvoices(contract, { autoSend: true, now: nextPeriod });
+        assert.equal(billed.status, 'sent');
+        assert.equal((await generateRecurringInvoices(stale, { autoSend: true, now: nextPeriod })).length, 0);
+        assert.equal(await Invoice.countDocuments({ contract: contract._id }), 4);
+
+        // The next invoice issued follows straight on from the period invoice
+        const next = await Invoice.create({
+            client: client._id,
+            title: 'Issued next',
+            lineItems: [{ description: 'Work', quantity: 1, unitPrice: 100, amount: 100 }],
+            subtotal: 100,
+            total: 100,
+            dueDate: new Date(Date.now() + DAY_MS),
+            status: 'sent',
+        });
+        assert.equal(next.sequenceNumber, billed.sequenceNumber + 1);
+    });
+
+    it('stops billing at the end date', async () => {
+        const startDate = new Date(Date.now() - 10 * DAY_MS);
+        const contract = await activateRetainer({ interval: 'weekly', startDate, endDate: new Date(Date.now() + DAY_MS) });
+
+        assert.equal(await Invoice.countDocuments({ contract: contract._id }), 2);
+        assert.equal(contract.financialTerms.recurring.status, 'ended');
+    });
+
+    it('lets the client pause, resume and cancel the retainer', async () => {
+        const contract = await activateRetainer();
+        const url = `/api/contracts/${contract._id}/recurring`;
+
+        const { token: otherToken } = await createUser('client');
+        assert.equal((await (await createClient(otherToken)).post(`${url}/pause`)).status, 403);
+
+        const paused = await clientApi.post(`${url}/pause`);
+        assert.equal(paused.status, 200);
+        assert.equal(paused.body.contract.financialTerms.recurring.status, 'paused');
+        assert.equal((await clientApi.post(`${url}/pause`)).status, 400);
+
+        // Nothing is billed while paused
+        const later = addInterval(new Date(), 'monthly', 3);
+        assert.equal((await processRecurringInvoices(later)).invoiced, 0);
+
+        // Move the schedule back three months as if the pause had lasted that long;
+        // the periods that started meanwhile are skipped on resume
+        await Contract.updateOne(
+            { _id: contract._id },
+            { 'financialTerms.recurring.startDate': addInterval(contract.financialTerms.recurring.startDate, 'monthly', -3) }
+        );
+        const resumed = await clientApi.post(`${url}/resume`);
+        assert.equal(resumed.status, 200);
+        assert.equal(resumed.body.contract.financialTerms.recurring.status, 'active');
+        assert.equal(resumed.body.contract.financialTerms.recurring.periodsInvoiced, 6);
+        assert.ok(new Date(resumed.body.contract.financialTerms.recurring.nextInvoiceDate) > new Date());
+        assert.equal(await Invoice.countDocuments({ contract: contract._id }), 3);
+
+        const cancelled = await clientApi.post(`${url}/cancel`).send({ reason: 'Moving in-house' });
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.contract.status, 'terminated');
+        assert.equal(cancelled.body.contract.financialTerms.recurring.status, 'cancelled');
+        assert.equal(cancelled.body.contract.financialTerms.recurring.cancellationReason, 'Moving in-house');
+
+        assert.equal((await clientApi.post(`${url}/resume`)).status, 400);
+    });
+
+    it('rejects retainer actions on one-off contracts', async () => {
+        const quote = await createRetainerQuote(client, admin);
+        quote.paymentTerms = { type: 'full_upfront' };
+        await quote.save();
+        const generated = await adminApi.post('/api/contracts/generate').send({ quoteId: quote._id });
+
+        assert.equal((await clientApi.post(`/api/contracts/${generated.body.contract._id}/recurring/pause`)).status, 400);
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+
+// Invoice for the whole order, paid through the manual mark-paid flow
+const createPaidInvoice = async (admin, client, order) => {
+    const { default: Invoice } = await import('../models/Invoice.js');
+    const invoice = await Invoice.create({
+        client: client._id,
+        order: order._id,
+        clientDetails: { name: client.name, email: client.email },
+        title: 'Essay',
+        lineItems: [{ description: 'Essay', quantity: 1, unitPrice: 4000, amount: 4000 }],
+        subtotal: 4000,
+        total: 4000,
+        dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+        status: 'sent',
+    });
+
+    await admin.post(`/api/invoices/${invoice._id}/mark-paid`).send({ paymentMethod: 'esewa', paymentReference: 'ES-1' });
+    return invoice;
+};
+
+describe('Invoice refunds', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(clearDatabase);
+
+    it('issues partial and full refunds with credit notes', async () => {
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+        const admin = await createClient(token);
+        const order = await createOrder(client, { status: 'completed', quotedAmount: 4000 });
+        const invoice = await createPaidInvoice(admin, client, order);
+
+        const partial = await admin.post(`/api/invoices/${invoice._id}/refund`).send({ amount: 1500, reason: 'Reduced scope' });
+        assert.equal(partial.status, 201);
+        assert.match(partial.body.creditNote.creditNoteNumber, /^CN-\d{6}-0001$/);
+        assert.equal(partial.body.creditNote.refundMethod, 'esewa');
+        assert.equal(partial.body.invoice.status, 'paid');
+        assert.equal(partial.body.order.paidAmount, 2500);
+        assert.equal(partial.body.refundable, 2500);
+
+        const full = await admin.post(`/api/invoices/${invoice._id}/refund`).send({ reason: 'Order cancelled' });
+        assert.equal(full.status, 201);
+        assert.equal(full.body.creditNote.amount, 2500);
+        assert.equal(full.body.invoice.status, 'refunded');
+        assert.equal(full.body.order.paymentStatus, 'refunded');
+        assert.equal(full.body.order.paidAmount, 0);
+
+        const ledger = await admin.get(`/api/payment/ledger/invoice/${invoice._id}`);
+        assert.equal(ledger.body.refunded, 4000);
+        assert.equal(ledger.body.netPaid, 0);
+
+        const { default: AuditLog } = await import('../models/AuditLog.js');
+        const { default: Notification } = await import('../models/Notification.js');
+        assert.equal(await AuditLog.countDocuments({ action: 'payment_refunded' }), 2);
+        assert.equal(await Notification.countDocuments({ recipient: client._id, type: 'payment_refunded' }), 2);
+    });
+
+    it('validates refund requests', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { token } = await createUser('admin');
+        const admin = await createClient(token);
+        const order = await createOrder(client, { status: 'completed', quotedAmount: 4000 });
+        const invoice = await createPaidInvoice(admin, client, order);
+
+        assert.equal((await admin.post(`/api/invoices/${invoice._id}/refund`).send({ amount: 100 })).status, 400);
+        assert.equal((await admin.post(`/api/invoices/${invoice._id}/refund`).send({ amount: 5000, reason: 'Too much' })).status, 400);
+        assert.equal((await admin.post(`/api/invoices/${invoice._id}/refund`).send({ amount: -5, reason: 'Negative' })).status, 400);
+
+        const denied = await (await createClient(clientToken)).post(`/api/invoices/${invoice._id}/refund`).send({ reason: 'Please' });
+        assert.equal(denied.status, 403);
+
+        const { default: Invoice } = await import('../models/Invoice.js');
+        const unpaid = await Invoice.create({
+            client: client._id,
+            title: 'Unpaid',
+            lineItems: [{ description: 'Draft', quantity: 1, unitPrice: 100, amount: 100 }],
+            subtotal: 100,
+            total: 100,
+            dueDate: new Date(),
+        });
+        assert.equal((await admin.post(`/api/invoices/${unpaid._id}/refund`).send({ reason: 'Nothing paid' })).status, 400);
+    });
+
+    it('never refunds more than was paid when refunds race', async () => {
+        const { user: client } = await createUser('client');
+        const { token } = await createUser('admin');
+        const admin = await createClient(token);
+        const order = await createOrder(client, { status: 'completed', quotedAmount: 4000 });
+        const invoice = await createPaidInvoice(admin, client, order);
+
+        const responses = await Promise.all([1, 2, 3].map(() =>
+            admin.post(`/api/invoices/${invoice._id}/refund`).send({ amount: 3000, reason: 'Duplicate click' })));
+        assert.deepEqual(responses.map(res => res.status).filter(status => status === 201), [201]);
+        assert.ok(responses.every(res => [201, 400, 409].includes(res.status)));
+
+        const ledger = await admin.get(`/api/payment/ledger/invoice/${invoice._id}`);
+        assert.equal(ledger.body.refunded, 3000);
+        assert.equal(ledger.body.netPaid, 1000);
+    });
+
+    it('lets the client list and download credit notes', async () => {
+        const { user: client, token: clientToken } = await createUser('client');
+        const { token: otherToken } = await createUser('client');
+        const { token } = await createUser('admin');
+        const admin = await createClient(token);
+        const order = await createOrder(client, { status: 'completed', quotedAmount: 4000 });
+        const invoice = await createPaidInvoice(admin, client, order);
+
+        const { body } = await admin.post(`/api/invoices/${invoice._id}/refund`).send({ amount: 1000, reason: 'Late delivery' });
+
+        const clientApi = await createClient(clientToken);
+        const list = await clientApi.get(`/api/invoices/${invoice._id}/credit-notes`);
+        assert.equal(list.status, 200);
+        assert.equal(list.body.length, 1);
+
+        const pdf = await clientApi.get(`/api/invoices/${invoice._id}/credit-notes/${body.creditNote._id}/pdf`);
+        assert.equal(pdf.status, 200);
+        assert.match(pdf.headers['content-type'], /application\/pdf/);
+
+        const other = await createClient(otherToken);
+        assert.equal((await other.get(`/api/invoices/${invoice._id}/credit-notes`)).status, 403);
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import ScheduledJob from '../models/ScheduledJob.js';
+import JobLock from '../models/JobLock.js';
+import Settings from '../models/Settings.js';
+import { checkDeadlineReminders } from '../services/deadlineReminderService.js';
+import { runExclusive } from '../services/jobScheduler.js';
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('Deadline reminder scheduler', () => {
+    before(startTestApp);
+    after(stopTestApp);
+    beforeEach(clearDatabase);
+
+    it('records each reminder once and does not resend it', async () => {
+        const { user } = await createUser('client');
+        const order = await createOrder(user, { status: 'working', deadline: hoursFromNow(20) });
+
+        const first = await checkDeadlineReminders();
+        assert.equal(first.sent, 1);
+
+        const second = await checkDeadlineReminders();
+        assert.equal(second.sent, 0);
+
+        const jobs = await ScheduledJob.find({ order: order._id });
+        assert.equal(jobs.length, 1);
+        assert.equal(jobs[0].offsetHours, 24);
+        assert.equal(jobs[0].status, 'completed');
+        assert.equal(jobs[0].recipient, user.email);
+    });
+
+    it('uses reminder offsets from settings', async () => {
+        const { user } = await createUser('client');
+        await Settings.setSetting('deadline_reminder_offsets', [6, 12]);
+        await createOrder(user, { status: 'working', deadline: hoursFromNow(20) });
+        const soon = await createOrder(user, { status: 'working', deadline: hoursFromNow(10) });
+
+        const result = await checkDeadlineReminders();
+        assert.equal(result.sent, 1);
+
+        const job = await ScheduledJob.findOne({ order: soon._id });
+        assert.equal(job.offsetHours, 12);
+    });
+
+    it('ignores orders that are not in progress', async () => {
+        const { user } = await createUser('client');
+        await createOrder(user, { status: 'delivered', deadline: hoursFromNow(20) });
+
+        const result = await checkDeadlineReminders();
+        assert.equal(result.checked, 0);
+        assert.equal(await ScheduledJob.countDocuments(), 0);
+    });
+
+    it('skips the sweep while another instance holds the lock', async () => {
+        await JobLock.create({
+            name: 'deadline_reminders',
+            owner: 'other-instance',
+            lockedUntil: hoursFromNow(1),
+        });
+
+        let called = false;
+        const { ran } = await runExclusive('deadline_reminders', async () => { called = true; });
+
+        assert.equal(ran, false);
+        assert.equal(called, false);
+    });
+
+    it('takes over an expired lock and releases it afterwards', async () => {
+        await JobLock.create({
+            name: 'deadline_reminders',
+            owner: 'crashed-instance',
+            lockedUntil: hoursFromNow(-1),
+        });
+
+        const { ran, result } = await runExclusive('deadline_reminders', async () => 'done');
+        assert.equal(ran, true);
+        assert.equal(result, 'done');
+
+        const lock = await JobLock.findOne({ name: 'deadline_reminders' });
+        assert.notEqual(lock.owner, 'crashed-instance');
+        assert.ok(lock.lockedUntil <= new Date());
+    });
+
+    it('lists upcoming and past reminder runs for admins only', async () => {
+        const { user } = await createUser('client');
+        const { token: adminToken } = await createUser('admin');
+        const { token: clientToken } = await createUser('client');
+        await createOrder(user, { status: 'working', deadline: hoursFromNow(20) });
+        await createOrder(user, { status: 'accepted', deadline: hoursFromNow(100) });
+        await checkDeadlineReminders();
+
+        const denied = await (await createClient(clientToken)).get('/api/admin/reminders');
+        assert.equal(denied.status, 403);
+
+        const res = await (await createClient(adminToken)).get('/api/admin/reminders');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.offsets, [72, 48, 24]);
+        assert.equal(res.body.past.length, 1);
+        assert.deepEqual(res.body.upcoming.map(r => r.offsetHours), [72, 48, 24]);
+    });
+
+    it('validates reminder offsets updated through settings', async () => {
+        const { token } = await createUser('admin');
+        const api = await createClient(token);
+
+        const invalid = await api.put('/api/settings/reminders').send({ deadlineReminderOffsets: [-5, 'x'] });
+        assert.equal(invalid.status, 400);
+
+        const res = await api.put('/api/settings/reminders').send({ deadlineReminderOffsets: [24, 96, 24, 6] });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.deadlineReminderOffsets, [96, 24, 6]);
+
+        const current = await api.get('/api/settings/reminders');
+        assert.deepEqual(current.body.deadlineReminderOffsets, [96, 24, 6]);
+    });
+});
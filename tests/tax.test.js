@@ -0,0 +1,183 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import Settings from '../models/Settings.js';
+
+const fiscalYear = String(new Date().getFullYear());
+
+const invoicePayload = (clientId, overrides = {}) => ({
+    clientId,
+    title: 'Thesis',
+    lineItems: [
+        { description: 'Writing', quantity: 1, unitPrice: 1000, taxProfile: 'vat13' },
+        { description: 'Tutoring', quantity: 1, unitPrice: 500, taxProfile: 'EXEMPT' },
+    ],
+    discountAmount: 150,
+    dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+    ...overrides,
+});
+
+describe('Tax profiles and invoice numbering', () => {
+    let app;
+    let admin;
+    let client;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(stopTestApp);
+
+    beforeEach(async () => {
+        await clearDatabase();
+        // Calendar fiscal year keeps the expected labels simple
+        await Settings.setSetting('fiscal_year_start', { month: 1, day: 1 });
+        const { token } = await createUser('admin');
+        admin = await createClient(token);
+        ({ user: client } = await createUser('client'));
+    });
+
+    it('manages tax profiles', async () => {
+        const defaults = await admin.get('/api/settings/tax');
+        assert.equal(defaults.status, 200);
+        assert.deepEqual(defaults.body.taxProfiles.map(profile => profile.code), ['VAT13', 'EXEMPT']);
+
+        assert.equal((await admin.put('/api/settings/tax').send({ taxProfiles: [{ code: 'VAT', name: 'VAT', rate: 130 }] })).status, 400);
+        assert.equal((await admin.put('/api/settings/tax').send({ taxProfiles: [{ code: 'A', name: 'A', rate: 1 }, { code: 'a', name: 'B', rate: 2 }] })).status, 400);
+        assert.equal((await admin.put('/api/settings/tax').send({ fiscalYearStart: { month: 13, day: 1 } })).status, 400);
+
+        const res = await admin.put('/api/settings/tax').send({
+            taxProfiles: [{ code: 'vat13', name: 'VAT 13%', rate: 13 }, { code: 'ZERO', name: 'Zero rated', rate: 5, exempt: true }],
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.taxProfiles[1].rate, 0);
+        assert.equal(res.body.taxProfiles[0].code, 'VAT13');
+    });
+
+    it('taxes line items by profile after discount', async () => {
+        const res = await admin.post('/api/invoices').send(invoicePayload(client._id));
+        assert.equal(res.status, 201);
+
+        const { invoice } = res.body;
+        assert.equal(invoice.lineItems[0].taxRate, 13);
+        assert.equal(invoice.lineItems[0].taxAmount, 117);
+        assert.equal(invoice.lineItems[1].taxExempt, true);
+        assert.equal(invoice.taxAmount, 117);
+        assert.equal(invoice.total, 1467);
+
+        const unknown = await admin.post('/api/invoices').send(invoicePayload(client._id, {
+            lineItems: [{ description: 'Writing', quantity: 1, unitPrice: 1000, taxProfile: 'GST' }],
+        }));
+        assert.equal(unknown.status, 400);
+    });
+
+    it('applies tax profiles to quotes', async () => {
+        const order = await createOrder(client);
+        const res = await admin.post('/api/quotes').send({
+            orderId: order._id,
+            projectTitle: 'Essay',
+            projectSummary: 'Essay',
+            lineItems: [{ category: 'documentation', description: 'Writing', quantity: 2, unitPrice: 1000, taxProfile: 'VAT13' }],
+            discountType: 'percentage',
+            discountValue: 10,
+        });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.quote.taxAmount, 234);
+        assert.equal(res.body.quote.total, 2034);
+    });
+
+    it('numbers invoices sequentially per fiscal year when issued', async () => {
+        const first = (await admin.post('/api/invoices').send(invoicePayload(client._id))).body.invoice;
+        const second = (await admin.post('/api/invoices').send(invoicePayload(client._id))).body.invoice;
+        const discarded = (await admin.post('/api/invoices').send(invoicePayload(client._id))).body.invoice;
+        assert.match(first.invoiceNumber, /^DRAFT-/);
+
+        assert.equal((await admin.delete(`/api/invoices/${discarded._id}`)).status, 200);
+
+        const sentSecond = await admin.post(`/api/invoices/${second._id}/send`);
+        const sentFirst = await admin.post(`/api/invoices/${first._id}/send`);
+        assert.equal(sentSecond.body.invoice.invoiceNumber, `INV-${fiscalYear}-00001`);
+        assert.equal(sentFirst.body.invoice.invoiceNumber, `INV-${fiscalYear}-00002`);
+        assert.equal(sentFirst.body.invoice.fiscalYear, fiscalYear);
+
+        // Later saves keep the number
+        const issued = await Invoice.findById(first._id);
+        issued.notes = 'Paid by bank transfer';
+        await issued.save();
+        assert.equal(issued.invoiceNumber, `INV-${fiscalYear}-00002`);
+
+        const direct = await Invoice.create({
+            client: client._id,
+            title: 'Direct',
+            lineItems: [{ description: 'Work', quantity: 1, unitPrice: 100, amount: 100 }],
+            subtotal: 100,
+            total: 100,
+            dueDate: new Date(Date.now() + 86400000),
+            status: 'sent',
+        });
+        assert.equal(direct.sequenceNumber, 3);
+    });
+
+    it('gives invoices issued at the same time distinct numbers', async () => {
+        const issue = (title) => Invoice.create({
+            client: client._id,
+            title,
+            lineItems: [{ description: 'Work', quantity: 1, unitPrice: 100, amount: 100 }],
+            subtotal: 100,
+            total: 100,
+            dueDate: new Date(Date.now() + 86400000),
+            status: 'sent',
+        });
+
+        const issued = await Promise.all(['A', 'B', 'C', 'D', 'E'].map(issue));
+        assert.deepEqual(issued.map(invoice => invoice.sequenceNumber).sort(), [1, 2, 3, 4, 5]);
+    });
+
+    it('summarises VAT for a fiscal year', async () => {
+        const taxed = (await admin.post('/api/invoices').send(invoicePayload(client._id))).body.invoice;
+        await admin.post(`/api/invoices/${taxed._id}/send`);
+
+        const legacyRate = (await admin.post('/api/invoices').send({
+            clientId: client._id,
+            title: 'Legacy',
+            lineItems: [{ description: 'Work', quantity: 1, unitPrice: 1000 }],
+            taxRate: 13,
+            dueDate: new Date(Date.now() + 86400000),
+        })).body.invoice;
+        await admin.post(`/api/invoices/${legacyRate._id}/send`);
+
+        const cancelled = (await admin.post('/api/invoices').send(invoicePayload(client._id))).body.invoice;
+        await admin.post(`/api/invoices/${cancelled._id}/send`);
+        await Invoice.updateOne({ _id: cancelled._id }, { status: 'cancelled' });
+
+        await CreditNote.create({ invoice: taxed._id, amount: 1467 / 2, reason: 'Partial refund' });
+
+        const res = await admin.get(`/api/analytics/vat?fiscalYear=${fiscalYear}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.fiscalYear, fiscalYear);
+        assert.equal(res.body.summary.invoices, 2);
+        assert.equal(res.body.summary.cancelledInvoices, 1);
+        assert.equal(res.body.summary.taxableAmount, 1900);
+        assert.equal(res.body.summary.exemptAmount, 450);
+        assert.equal(res.body.summary.outputTax, 247);
+        assert.equal(res.body.summary.creditNoteTax, 58.5);
+        assert.equal(res.body.summary.netTaxPayable, 188.5);
+        assert.equal(res.body.invoices.length, 3);
+
+        const vat = res.body.byProfile.find(entry => entry.code === 'VAT13');
+        assert.equal(vat.taxableAmount, 900);
+        assert.equal(vat.taxAmount, 117);
+
+        assert.equal((await admin.get('/api/analytics/vat?fiscalYear=abc')).status, 400);
+    });
+});
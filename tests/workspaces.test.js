@@ -0,0 +1,86 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startTestApp,
+    stopTestApp,
+    clearDatabase,
+    createUser,
+    createClient,
+    createOrder,
+} from './helpers/testApp.js';
+
+describe('Workspace routes', () => {
+    before(startTestApp);
+    after(stopTestApp);
+    beforeEach(clearDatabase);
+
+    it('is restricted to developers and admins', async () => {
+        const { token } = await createUser('client');
+
+        const res = await (await createClient(token)).get('/api/workspaces');
+        assert.equal(res.status, 403);
+    });
+
+    it('lets the lead developer create one workspace per task', async () => {
+        const { user: client } = await createUser('client');
+        const { user: dev, token } = await createUser('developer');
+        const task = await createOrder(client, { status: 'working', assignedDeveloper: dev._id });
+        const api = await createClient(token);
+
+        const res = await api.post('/api/workspaces').send({ taskId: task._id });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.title, task.title);
+        assert.equal(res.body.owner._id, dev._id.toString());
+
+        const duplicate = await api.post('/api/workspaces').send({ taskId: task._id });
+        assert.equal(duplicate.status, 400);
+
+        const list = await api.get('/api/workspaces');
+        assert.equal(list.status, 200);
+        assert.equal(list.body.length, 1);
+
+        const available = await api.get('/api/workspaces/available-tasks');
+        assert.equal(available.status, 200);
+        assert.equal(available.body[0].hasWorkspace, true);
+    });
+
+    it('rejects workspace creation by a non-lead developer', async () => {
+        const { user: client } = await createUser('client');
+        const { user: lead } = await createUser('developer');
+        const { token } = await createUser('developer');
+        const task = await createOrder(client, { status: 'working', assignedDeveloper: lead._id });
+
+        const res = await (await createClient(token)).post('/api/workspaces').send({ taskId: task._id });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.isLeadRequired, true);
+    });
+
+    it('hides private workspaces from non-members', async () => {
+        const { user: client } = await createUser('client');
+        const { user: dev, token } = await createUser('developer');
+        const { token: outsiderToken } = await createUser('developer');
+        const task = await createOrder(client, { status: 'working', assignedDeveloper: dev._id });
+
+        const created = await (await createClient(token))
+            .post('/api/workspaces')
+            .send({ taskId: task._id, visibility: 'private' });
+
+        const res = await (await createClient(outsiderToken)).get(`/api/workspaces/${created.body._id}`);
+        assert.equal(res.status, 403);
+    });
+
+    it('creates boards with default columns for editors', async () => {
+        const { user: client } = await createUser('client');
+        const { user: dev, token } = await createUser('developer');
+        const task = await createOrder(client, { status: 'working', assignedDeveloper: dev._id });
+        const api = await createClient(token);
+
+        const workspace = await api.post('/api/workspaces').send({ taskId: task._id });
+        const res = await api
+            .post(`/api/workspaces/${workspace.body._id}/boards`)
+            .send({ title: 'Sprint 1' });
+
+        assert.equal(res.status, 201);
+        assert.deepEqual(res.body.columns.map(c => c.title), ['To Do', 'In Progress', 'Done']);
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * Service catalog helpers
+ * Catalog items and quote templates can be limited to orders with a given
+ * subject, assignment type, academic level and urgency. A criterion left
+ * unset matches any order; the more criteria an entry sets, the more
+ * specific it is.
+ */
+
+export const CATALOG_CRITERIA = ['subject', 'assignmentType', 'academicLevel', 'urgency'];
+
+/**
+ * Whether every criterion set on an entry equals the order's value
+ */
+export const matchesOrder = (entry, order) =>
+    CATALOG_CRITERIA.every(field => !entry[field] || entry[field] === order[field]);
+
+/**
+ * Number of criteria an entry sets
+ */
+export const specificity = (entry) =>
+    CATALOG_CRITERIA.filter(field => entry[field]).length;
+
+/**
+ * Entries matching an order, most specific first
+ */
+export const rankForOrder = (entries, order) =>
+    entries
+        .filter(entry => matchesOrder(entry, order))
+        .sort((a, b) => specificity(b) - specificity(a));
+
+export default {
+    CATALOG_CRITERIA,
+    matchesOrder,
+    specificity,
+    rankForOrder,
+};
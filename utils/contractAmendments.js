@@ -0,0 +1,190 @@
+/**
+ * Contract amendment helpers
+ * A structured amendment targets one part of a contract: the estimated
+ * completion date, the total amount, or a single payment milestone.
+ * Requests are validated against the contract when they are made and
+ * again when they are applied, since milestones may be paid in between.
+ * Free-text amendments (no target) are recorded but change nothing.
+ */
+
+import { roundAmount } from './currency.js';
+
+export const AMENDMENT_TARGETS = ['completion_date', 'total_amount', 'milestone'];
+
+const MILESTONE_FIELDS = ['title', 'description', 'amount', 'dueDescription'];
+
+const milestoneAmount = (milestone, total) => milestone.amount ?? (total * (milestone.percentage || 0) / 100);
+
+const formatValue = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? ''));
+
+/**
+ * Validate a structured amendment request against the contract
+ * @param {Object} contract - Contract document
+ * @param {Object} body - { target, newValue, milestoneIndex, milestone }
+ * @returns {Object} { amendment } with target, milestoneIndex, proposed, previousValue, newValue; or { error }
+ */
+export const normalizeAmendment = (contract, { target, newValue, milestoneIndex, milestone } = {}) => {
+    if (!AMENDMENT_TARGETS.includes(target)) {
+        return { error: `Amendment target must be one of: ${AMENDMENT_TARGETS.join(', ')}` };
+    }
+
+    const financial = contract.financialTerms || {};
+    const milestones = financial.milestones || [];
+
+    if (target === 'completion_date') {
+        const date = new Date(newValue);
+        if (!newValue || isNaN(date.getTime())) {
+            return { error: 'A valid new completion date is required' };
+        }
+        const effective = contract.timeline?.effectiveDate;
+        if (effective && date <= effective) {
+            return { error: 'The completion date must be after the contract start' };
+        }
+        return {
+            amendment: {
+                target,
+                proposed: date,
+                previousValue: formatValue(contract.timeline?.estimatedCompletionDate),
+                newValue: formatValue(date),
+            },
+        };
+    }
+
+    if (target === 'total_amount') {
+        if (financial.paymentStructure === 'recurring') {
+            return { error: 'Retainer amounts cannot be amended' };
+        }
+        const amount = Number(newValue);
+        if (!(amount > 0)) {
+            return { error: 'The new total amount must be greater than zero' };
+        }
+        return {
+            amendment: {
+                target,
+                proposed: roundAmount(amount),
+                previousValue: formatValue(financial.totalAmount),
+                newValue: formatValue(roundAmount(amount)),
+            },
+        };
+    }
+
+    const index = Number(milestoneIndex);
+    if (!Number.isInteger(index) || !milestones[index]) {
+        return { error: 'milestoneIndex must point at a milestone of this contract' };
+    }
+    if (milestones[index].status === 'paid') {
+        return { error: 'Paid milestones cannot be amended' };
+    }
+    const changes = Object.fromEntries(
+        MILESTONE_FIELDS.filter(field => milestone?.[field] !== undefined).map(field => [field, milestone[field]])
+    );
+    if (Object.keys(changes).length === 0) {
+        return { error: `Milestone amendments need at least one of: ${MILESTONE_FIELDS.join(', ')}` };
+    }
+    if (changes.amount !== undefined) {
+        changes.amount = Number(changes.amount);
+        if (!(changes.amount >= 0)) {
+            return { error: 'Milestone amount cannot be negative' };
+        }
+        changes.amount = roundAmount(changes.amount);
+    }
+
+    const current = milestones[index];
+    return {
+        amendment: {
+            target,
+            milestoneIndex: index,
+            proposed: changes,
+            previousValue: Object.keys(changes).map(field => `${field}: ${formatValue(current[field])}`).join(', '),
+            newValue: Object.entries(changes).map(([field, value]) => `${field}: ${formatValue(value)}`).join(', '),
+        },
+    };
+};
+
+/**
+ * Apply an approved structured amendment to the contract
+ * Paid milestones keep their amounts: a new total is spread over the unpaid
+ * milestones in proportion to their percentages, and milestone percentages
+ * are recomputed whenever amounts change.
+ * @param {Object} contract - Contract document, modified in place
+ * @param {Object} amendment - Amendment subdocument
+ * @returns {Object} { milestoneIndexes, fullPayment } naming the invoices affected; or { error }
+ */
+export const applyAmendment = (contract, amendment) => {
+    const financial = contract.financialTerms;
+    const milestones = financial?.milestones || [];
+    const total = financial?.totalAmount || 0;
+
+    if (amendment.target === 'completion_date') {
+        contract.timeline.estimatedCompletionDate = new Date(amendment.proposed);
+        // The final 50/50 invoice is due a week after completion
+        return { milestoneIndexes: financial?.paymentStructure === '50_50' ? [1] : [], fullPayment: false };
+    }
+
+    if (amendment.target === 'total_amount') {
+        const newTotal = amendment.proposed;
+        const paid = milestones.filter(m => m.status === 'paid');
+        const unpaid = milestones.map((m, index) => ({ m, index })).filter(({ m }) => m.status !== 'paid');
+        const paidAmount = paid.reduce((sum, m) => sum + milestoneAmount(m, total), 0);
+
+        if (newTotal < paidAmount) {
+            return { error: 'The new total is less than what has already been paid' };
+        }
+        if (milestones.length > 0 && unpaid.length === 0) {
+            return { error: 'Every milestone is already paid' };
+        }
+
+        const unpaidShare = unpaid.reduce((sum, { m }) => sum + (m.percentage || 0), 0);
+        let remaining = roundAmount(newTotal - paidAmount);
+        unpaid.forEach(({ m }, i) => {
+            const amount = i === unpaid.length - 1
+                ? remaining
+                : roundAmount((newTotal - paidAmount) * (unpaidShare ? (m.percentage || 0) / unpaidShare : 1 / unpaid.length));
+            m.amount = amount;
+            remaining = roundAmount(remaining - amount);
+        });
+        financial.totalAmount = newTotal;
+        milestones.forEach(m => {
+            m.percentage = roundAmount(milestoneAmount(m, newTotal) / newTotal * 100);
+        });
+
+        // 50/50 contracts usually bill their two halves without contract milestones
+        const halves = milestones.length === 0 && financial.paymentStructure === '50_50';
+        return { milestoneIndexes: halves ? [0, 1] : unpaid.map(({ index }) => index), fullPayment: true };
+    }
+
+    if (amendment.target === 'milestone') {
+        const milestone = milestones[amendment.milestoneIndex];
+        if (!milestone) {
+            return { error: 'The milestone no longer exists' };
+        }
+        if (milestone.status === 'paid') {
+            return { error: 'The milestone has already been paid' };
+        }
+
+        const changes = amendment.proposed || {};
+        if (changes.amount !== undefined) {
+            // Pin every amount before the total moves, then rebalance percentages
+            milestones.forEach(m => { m.amount = milestoneAmount(m, total); });
+            financial.totalAmount = roundAmount(total - milestone.amount + changes.amount);
+        }
+        MILESTONE_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+            milestone[field] = changes[field];
+        });
+        if (changes.amount !== undefined && financial.totalAmount > 0) {
+            milestones.forEach(m => {
+                m.percentage = roundAmount(m.amount / financial.totalAmount * 100);
+            });
+        }
+
+        return { milestoneIndexes: [amendment.milestoneIndex], fullPayment: changes.amount !== undefined };
+    }
+
+    return { milestoneIndexes: [], fullPayment: false };
+};
+
+export default {
+    AMENDMENT_TARGETS,
+    normalizeAmendment,
+    applyAmendment,
+};
@@ -0,0 +1,83 @@
+/**
+ * Contract hashing helpers
+ * A contract's content hash is a SHA-256 digest of everything the client
+ * agrees to: parties, project, financial terms, timeline, terms and
+ * template clauses. It is taken when the contract is sent, checked again
+ * when it is signed and recorded on each signature, so later changes to the
+ * stored document are detectable. Tracking fields (milestone status, billing progress,
+ * signatures, timestamps) are left out because they change in normal use.
+ */
+
+import crypto from 'crypto';
+
+// Drawn signatures are PNG or JPEG data URLs of at most ~500 KB
+export const SIGNATURE_DATA_PATTERN = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+={0,2}$/;
+export const MAX_SIGNATURE_DATA_LENGTH = 700000;
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// JSON with sorted keys and no empty values, so equal content always hashes the same
+const canonicalize = (value) => {
+    value = plain(value);
+    if (value === undefined || value === null || value === '') return undefined;
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => canonicalize(item) ?? null);
+    if (typeof value === 'object') {
+        if (value._bsontype === 'ObjectId') return value.toString();
+        const result = {};
+        for (const key of Object.keys(value).sort()) {
+            const entry = canonicalize(value[key]);
+            if (entry !== undefined) result[key] = entry;
+        }
+        return result;
+    }
+    return value;
+};
+
+const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, source?.[field]]));
+
+/**
+ * The content of a contract that signatures cover
+ */
+export const contractContent = (document) => {
+    const contract = plain(document);
+    const financial = contract.financialTerms || {};
+    const recurring = financial.recurring;
+
+    return canonicalize({
+        contractNumber: contract.contractNumber,
+        serviceProvider: contract.serviceProvider,
+        clientDetails: contract.clientDetails,
+        projectDetails: {
+            title: contract.projectDetails?.title,
+            description: contract.projectDetails?.description,
+            scope: contract.projectDetails?.scope,
+            deliverables: (contract.projectDetails?.deliverables || [])
+                .map(item => pick(item, ['title', 'description', 'estimatedDelivery'])),
+        },
+        financialTerms: {
+            ...pick(financial, ['totalAmount', 'currency', 'paymentStructure', 'paymentMethods', 'lateFeePercentage']),
+            milestones: (financial.milestones || [])
+                .map(milestone => pick(milestone, ['title', 'description', 'percentage', 'amount', 'dueDescription'])),
+            recurring: recurring ? pick(recurring, ['interval', 'intervalCount', 'amount', 'startDate', 'endDate']) : undefined,
+        },
+        timeline: pick(contract.timeline, ['effectiveDate', 'estimatedStartDate', 'estimatedCompletionDate', 'estimatedDuration']),
+        terms: contract.terms,
+        clauses: contract.clauses?.length
+            ? contract.clauses.map(clause => pick(clause, ['key', 'title', 'body']))
+            : undefined,
+    });
+};
+
+/**
+ * SHA-256 hex digest of a contract's content
+ */
+export const hashContract = (contract) =>
+    crypto.createHash('sha256').update(JSON.stringify(contractContent(contract))).digest('hex');
+
+export default {
+    SIGNATURE_DATA_PATTERN,
+    MAX_SIGNATURE_DATA_LENGTH,
+    contractContent,
+    hashContract,
+};
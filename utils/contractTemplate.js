@@ -0,0 +1,129 @@
+/**
+ * Contract template helpers
+ * Clause text may contain {{placeholders}} that are filled from the quote
+ * and order when a contract is generated. Only the names listed here are
+ * allowed, so a typo is caught when the clause is saved rather than
+ * showing up in a client's contract.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Placeholder name → description, as shown to admins editing clauses
+export const CONTRACT_PLACEHOLDERS = {
+    'client.name': 'Client name',
+    'client.email': 'Client email',
+    'client.phone': 'Client phone',
+    'provider.name': 'Service provider name',
+    'provider.email': 'Service provider email',
+    'project.title': 'Project title',
+    'project.summary': 'Project summary from the quote',
+    'order.number': 'Assignment number',
+    'order.deadline': 'Order deadline',
+    'quote.number': 'Quote number',
+    'quote.version': 'Quote version',
+    'quote.total': 'Quote total with currency',
+    'quote.currency': 'Quote currency',
+    'payment.structure': 'Payment structure',
+    'milestones': 'Payment milestones, one per line',
+    'timeline.startDate': 'Estimated start date',
+    'timeline.completionDate': 'Estimated completion date',
+    'timeline.duration': 'Estimated duration',
+    'contract.date': 'Date the contract is generated',
+    'terms.revisionPolicy': 'Revision policy from the quote',
+    'terms.paymentPolicy': 'Payment policy from the quote',
+    'terms.cancellationPolicy': 'Cancellation policy from the quote',
+    'terms.intellectualProperty': 'Intellectual property terms from the quote',
+    'terms.confidentiality': 'Confidentiality terms from the quote',
+    'terms.additionalTerms': 'Additional terms from the quote',
+};
+
+const PAYMENT_STRUCTURE_LABELS = {
+    full_upfront: 'Full payment upfront',
+    '50_50': '50% upfront and 50% on delivery',
+    milestone: 'Milestone payments',
+    custom: 'Custom payment schedule',
+    recurring: 'Recurring retainer',
+};
+
+const formatMoney = (amount, currency = 'NPR') =>
+    `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+}) : undefined);
+
+/**
+ * Placeholder names used in a piece of clause text
+ */
+export const findPlaceholders = (text = '') => [...new Set([...String(text).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+/**
+ * Placeholder names in the text that are not in CONTRACT_PLACEHOLDERS
+ */
+export const findUnknownPlaceholders = (text) =>
+    findPlaceholders(text).filter(name => !Object.hasOwn(CONTRACT_PLACEHOLDERS, name));
+
+/**
+ * Placeholder values for a quote and its order
+ * @param {Object} quote - Quote document or plain object
+ * @param {Object} order - Order document or plain object
+ * @param {Object} [provider] - Service provider details ({ name, email })
+ * @returns {Object} Placeholder name → text
+ */
+export const contractVariables = (quote, order, provider = {}, now = new Date()) => {
+    order = order || {};
+    const currency = quote.currency || 'NPR';
+    const terms = quote.termsAndConditions || {};
+    const milestones = (quote.paymentTerms?.milestones || []).map((milestone, index) => {
+        const amount = milestone.amount || (quote.total * (milestone.percentage || 0) / 100);
+        const due = milestone.dueDescription ? `, ${milestone.dueDescription}` : '';
+        return `${index + 1}. ${milestone.title}: ${milestone.percentage}% (${formatMoney(amount, currency)})${due}`;
+    });
+    const duration = quote.estimatedDuration?.value
+        ? `${quote.estimatedDuration.value} ${quote.estimatedDuration.unit || 'days'}`
+        : undefined;
+
+    return {
+        'client.name': order.clientName,
+        'client.email': order.clientEmail,
+        'client.phone': order.clientPhone,
+        'provider.name': provider.name,
+        'provider.email': provider.email,
+        'project.title': quote.projectTitle,
+        'project.summary': quote.projectSummary,
+        'order.number': order.assignmentNumber,
+        'order.deadline': formatDate(order.deadline),
+        'quote.number': quote.quoteNumber,
+        'quote.version': quote.version && String(quote.version),
+        'quote.total': formatMoney(quote.total, currency),
+        'quote.currency': currency,
+        'payment.structure': PAYMENT_STRUCTURE_LABELS[quote.paymentTerms?.type],
+        'milestones': milestones.join('\n') || undefined,
+        'timeline.startDate': formatDate(quote.estimatedStartDate),
+        'timeline.completionDate': formatDate(quote.estimatedCompletionDate || order.deadline),
+        'timeline.duration': duration,
+        'contract.date': formatDate(now),
+        'terms.revisionPolicy': terms.revisionPolicy,
+        'terms.paymentPolicy': terms.paymentPolicy,
+        'terms.cancellationPolicy': terms.cancellationPolicy,
+        'terms.intellectualProperty': terms.intellectualProperty,
+        'terms.confidentiality': terms.confidentiality,
+        'terms.additionalTerms': terms.additionalTerms,
+    };
+};
+
+/**
+ * Fill the placeholders in clause text; values that are not known render as "-"
+ */
+export const renderClauseText = (text, variables) =>
+    String(text || '').replace(PLACEHOLDER_PATTERN, (_, name) => variables[name] ?? '-');
+
+export default {
+    CONTRACT_PLACEHOLDERS,
+    findPlaceholders,
+    findUnknownPlaceholders,
+    contractVariables,
+    renderClauseText,
+};
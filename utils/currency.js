@@ -0,0 +1,73 @@
+/**
+ * Currency helpers
+ * Amounts are stored in the currency they were issued in. Quotes and
+ * invoices carry the rate to the base currency that applied at issue time,
+ * so reports can convert them without being affected by later rate changes.
+ */
+
+// Currency all analytics are reported in unless another one is requested
+export const BASE_CURRENCY = 'NPR';
+
+// Settings key holding the admin-managed exchange rate table
+export const EXCHANGE_RATES_SETTING = 'exchange_rates';
+
+/**
+ * Uppercase a 3-letter ISO 4217 code, or null when it is not one
+ */
+export const normalizeCurrency = (code) => {
+    const currency = String(code || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(currency) ? currency : null;
+};
+
+/**
+ * Validate one rate table entry
+ * @param {Object} entry - { currency, rate, effectiveFrom }; rate is base currency per 1 unit
+ * @returns {Object|null} The cleaned entry, or null when invalid
+ */
+export const normalizeRateEntry = (entry = {}) => {
+    const currency = normalizeCurrency(entry.currency);
+    const rate = Number(entry.rate);
+    const effectiveFrom = entry.effectiveFrom ? new Date(entry.effectiveFrom) : new Date();
+
+    if (!currency || currency === BASE_CURRENCY) return null;
+    if (!(rate > 0) || isNaN(effectiveFrom.getTime())) return null;
+
+    return { currency, rate, effectiveFrom };
+};
+
+/**
+ * Find the rate in effect for a currency at a given time
+ * @returns {number|null} Base currency per 1 unit, 1 for the base currency, null when no rate applies
+ */
+export const findRate = (table, currency, at = new Date()) => {
+    if (!currency || currency === BASE_CURRENCY) return 1;
+
+    const match = (table || [])
+        .filter(entry => entry.currency === currency && new Date(entry.effectiveFrom) <= at)
+        .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0];
+
+    return match ? match.rate : null;
+};
+
+/**
+ * Aggregation expression converting an amount field to the base currency
+ * Documents issued before rates were recorded are all in the base currency.
+ */
+export const baseAmount = (field = '$total') => ({
+    $multiply: [field, { $ifNull: ['$exchangeRate', 1] }],
+});
+
+/**
+ * Round a converted amount to 2 decimals
+ */
+export const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export default {
+    BASE_CURRENCY,
+    EXCHANGE_RATES_SETTING,
+    normalizeCurrency,
+    normalizeRateEntry,
+    findRate,
+    baseAmount,
+    roundAmount,
+};
@@ -0,0 +1,98 @@
+/**
+ * Milestone escrow helpers
+ * Money paid against a milestone is held until the client accepts the
+ * milestone's delivery, or the auto-approval window passes, and is then
+ * released. A dispute or revision request moves held funds to disputed
+ * until the work is approved again or an admin releases them.
+ * Contracts without milestones hold each payment as an escrow holding on
+ * the contract instead, released once the order's delivery is accepted.
+ * Refunds of a held payment come out of escrow; funds refunded in full are
+ * closed as refunded.
+ * The helpers change the milestone or holding in place and report whether
+ * anything changed.
+ */
+
+import { roundAmount } from './currency.js';
+
+export const ESCROW_STATUSES = ['held', 'released', 'disputed', 'refunded'];
+export const ESCROW_RELEASE_REASONS = ['client_approval', 'auto_approval', 'admin'];
+
+/**
+ * Release held or disputed funds
+ */
+export const releaseFunds = (milestone, reason, now = new Date()) => {
+    if (!['held', 'disputed'].includes(milestone.escrow?.status)) return false;
+    milestone.escrow.status = 'released';
+    milestone.escrow.releasedAt = now;
+    milestone.escrow.releaseReason = reason;
+    return true;
+};
+
+/**
+ * Hold a milestone payment; released straight away if the delivery was already accepted
+ */
+export const holdFunds = (milestone, amount, now = new Date()) => {
+    if (milestone.escrow?.status) return false;
+    milestone.escrow = { status: 'held', amount, heldAt: now };
+    if (milestone.delivery?.status === 'accepted') {
+        releaseFunds(milestone, milestone.delivery.autoAccepted ? 'auto_approval' : 'client_approval', now);
+    }
+    return true;
+};
+
+/**
+ * Hold a payment on a contract without milestones; each invoice or payment is held once
+ */
+export const holdContractPayment = (contract, { title, amount, invoice, payment }, now = new Date()) => {
+    const matches = (id, other) => Boolean(id && other) && String(id) === String(other);
+    if (contract.escrowHoldings.some(holding => matches(holding.invoice, invoice) || matches(holding.payment, payment))) {
+        return false;
+    }
+    contract.escrowHoldings.push({ title, invoice, payment, escrow: { status: 'held', amount, heldAt: now } });
+    return true;
+};
+
+/**
+ * Move held funds to disputed
+ */
+export const disputeFunds = (milestone, now = new Date()) => {
+    if (milestone.escrow?.status !== 'held') return false;
+    milestone.escrow.status = 'disputed';
+    milestone.escrow.disputedAt = now;
+    return true;
+};
+
+/**
+ * Take a refund out of held or disputed funds, closing them once nothing is left
+ */
+export const refundFunds = (milestone, amount, now = new Date()) => {
+    if (!['held', 'disputed'].includes(milestone.escrow?.status) || !(amount > 0)) return false;
+    const refunded = Math.min(amount, milestone.escrow.amount || 0);
+    milestone.escrow.amount = roundAmount((milestone.escrow.amount || 0) - refunded);
+    milestone.escrow.refunded = roundAmount((milestone.escrow.refunded || 0) + refunded);
+    milestone.escrow.refundedAt = now;
+    if (milestone.escrow.amount <= 0) {
+        milestone.escrow.status = 'refunded';
+    }
+    return true;
+};
+
+/**
+ * Hold disputed funds again once the work is re-approved
+ */
+export const resumeHold = (milestone) => {
+    if (milestone.escrow?.status !== 'disputed') return false;
+    milestone.escrow.status = 'held';
+    return true;
+};
+
+export default {
+    ESCROW_STATUSES,
+    ESCROW_RELEASE_REASONS,
+    releaseFunds,
+    holdFunds,
+    holdContractPayment,
+    disputeFunds,
+    refundFunds,
+    resumeHold,
+};
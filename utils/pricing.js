@@ -0,0 +1,147 @@
+/**
+ * Pricing helpers
+ * Suggested prices for incoming orders: a per-page base price scaled by
+ * academic level, assignment type and urgency, never below the minimum.
+ * Rules are priced in the base currency; the estimate is converted to the
+ * order's currency afterwards.
+ */
+
+import { roundAmount } from './currency.js';
+
+// Settings key holding the admin-managed pricing rules
+export const PRICING_RULES_SETTING = 'pricing_rules';
+
+// Order fields with a multiplier table, in the order they are applied
+export const PRICING_FACTORS = ['academicLevel', 'assignmentType', 'urgency'];
+
+export const DEFAULT_PRICING_RULES = {
+    pricePerPage: 1000,
+    wordsPerPage: 250,
+    minimumPrice: 1500,
+    multipliers: {
+        academicLevel: { high_school: 0.85, undergraduate: 1, masters: 1.3, phd: 1.6 },
+        assignmentType: {
+            essay: 1, research_paper: 1.15, case_study: 1.1, lab_report: 1.1,
+            dissertation: 1.4, thesis: 1.4, homework: 0.9, programming: 1.5,
+            presentation: 1, calculations: 1.2, other: 1,
+        },
+        urgency: { standard: 1, priority: 1.2, urgent: 1.5, rush: 2 },
+    },
+};
+
+// Hours left before the deadline that force at least this urgency (see Order.urgency)
+const DEADLINE_URGENCY = [
+    { hours: 24, urgency: 'rush' },
+    { hours: 72, urgency: 'urgent' },
+    { hours: 168, urgency: 'priority' },
+];
+
+const URGENCY_RANK = ['standard', 'priority', 'urgent', 'rush'];
+
+const FACTOR_LABELS = { academicLevel: 'Academic level', assignmentType: 'Assignment type', urgency: 'Urgency' };
+
+const MAX_MULTIPLIER = 10;
+
+/**
+ * Validate pricing rules
+ * @returns {Object|null} The cleaned rules, or null when invalid
+ */
+export const normalizePricingRules = (rules) => {
+    if (!rules || typeof rules !== 'object') return null;
+
+    const pricePerPage = Number(rules.pricePerPage);
+    const wordsPerPage = Number(rules.wordsPerPage);
+    const minimumPrice = Number(rules.minimumPrice ?? 0);
+
+    if (!(pricePerPage > 0)) return null;
+    if (!Number.isInteger(wordsPerPage) || wordsPerPage < 50 || wordsPerPage > 1000) return null;
+    if (isNaN(minimumPrice) || minimumPrice < 0) return null;
+
+    const multipliers = {};
+    for (const factor of PRICING_FACTORS) {
+        const table = rules.multipliers?.[factor] ?? {};
+        if (typeof table !== 'object' || Array.isArray(table)) return null;
+
+        multipliers[factor] = {};
+        for (const [key, value] of Object.entries(table)) {
+            const multiplier = Number(value);
+            if (!(multiplier > 0) || multiplier > MAX_MULTIPLIER) return null;
+            multipliers[factor][key] = multiplier;
+        }
+    }
+
+    return { pricePerPage, wordsPerPage, minimumPrice, multipliers };
+};
+
+/**
+ * Pages to price: the page count when given, otherwise the word count in pages
+ * @returns {number|null} null when the order has neither
+ */
+export const countPages = (order, wordsPerPage = DEFAULT_PRICING_RULES.wordsPerPage) => {
+    const pageCount = Number(order.pageCount);
+    if (pageCount > 0) return Math.ceil(pageCount);
+
+    const wordCount = Number(order.wordCount);
+    if (wordCount > 0) return Math.ceil(wordCount / wordsPerPage);
+
+    return null;
+};
+
+/**
+ * Urgency to price at: the one chosen, raised when the deadline is closer than it allows
+ */
+export const resolveUrgency = (urgency, deadline, now = new Date()) => {
+    const chosen = URGENCY_RANK.includes(urgency) ? urgency : 'standard';
+    if (!deadline) return chosen;
+
+    const hoursLeft = (new Date(deadline) - now) / (60 * 60 * 1000);
+    const implied = DEADLINE_URGENCY.find(entry => hoursLeft < entry.hours)?.urgency || 'standard';
+
+    return URGENCY_RANK.indexOf(implied) > URGENCY_RANK.indexOf(chosen) ? implied : chosen;
+};
+
+/**
+ * Itemized price for an order, in the base currency
+ * Each multiplier adds a line for the difference it makes to the running total.
+ * @param {Object} order - { pageCount, wordCount, academicLevel, assignmentType, urgency, deadline }
+ * @returns {{pages: number, urgency: string, total: number, breakdown: Array<{label: string, amount: number}>}|null}
+ * null when the order has no page or word count
+ */
+export const estimatePrice = (order, rules = DEFAULT_PRICING_RULES, now = new Date()) => {
+    const pages = countPages(order, rules.wordsPerPage);
+    if (!pages) return null;
+
+    const values = { ...order, urgency: resolveUrgency(order.urgency, order.deadline, now) };
+    const breakdown = [{
+        label: `Base price (${pages} page${pages === 1 ? '' : 's'} × ${rules.pricePerPage})`,
+        amount: roundAmount(pages * rules.pricePerPage),
+    }];
+    let running = breakdown[0].amount;
+
+    for (const factor of PRICING_FACTORS) {
+        const value = values[factor];
+        const multiplier = rules.multipliers?.[factor]?.[value] ?? 1;
+        if (multiplier === 1) continue;
+
+        const amount = roundAmount(running * (multiplier - 1));
+        breakdown.push({ label: `${FACTOR_LABELS[factor]}: ${String(value).replace(/_/g, ' ')} (×${multiplier})`, amount });
+        running = roundAmount(running + amount);
+    }
+
+    if (running < rules.minimumPrice) {
+        breakdown.push({ label: 'Minimum order adjustment', amount: roundAmount(rules.minimumPrice - running) });
+        running = rules.minimumPrice;
+    }
+
+    return { pages, urgency: values.urgency, total: running, breakdown };
+};
+
+export default {
+    PRICING_RULES_SETTING,
+    PRICING_FACTORS,
+    DEFAULT_PRICING_RULES,
+    normalizePricingRules,
+    countPages,
+    resolveUrgency,
+    estimatePrice,
+};
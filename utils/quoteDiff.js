@@ -0,0 +1,126 @@
+/**
+ * Quote version helpers
+ * Each revision stores a snapshot of the version it replaced, so any two
+ * versions of a quote can be compared even after drafts are deleted.
+ * Line items are matched across versions by category and description,
+ * milestones by title; anything unmatched counts as added or removed.
+ */
+
+const LINE_ITEM_FIELDS = ['category', 'description', 'quantity', 'unit', 'unitPrice', 'amount', 'taxProfile', 'taxRate', 'taxAmount'];
+const MILESTONE_FIELDS = ['title', 'description', 'percentage', 'amount', 'dueDescription'];
+const TERMS_FIELDS = ['revisionPolicy', 'paymentPolicy', 'cancellationPolicy', 'intellectualProperty', 'confidentiality', 'additionalTerms'];
+
+const pick = (source = {}, fields) =>
+    Object.fromEntries(fields.filter(field => source[field] !== undefined && source[field] !== null).map(field => [field, source[field]]));
+
+/**
+ * Client-visible state of a quote version (internal notes are left out)
+ * @param {Object} quote - Plain quote object (e.g. from toObject())
+ */
+export const snapshotQuote = (quote) => ({
+    version: quote.version,
+    status: quote.status,
+    projectTitle: quote.projectTitle,
+    projectSummary: quote.projectSummary,
+    lineItems: (quote.lineItems || []).map(item => pick(item, LINE_ITEM_FIELDS)),
+    deliverables: (quote.deliverables || []).map(item => pick(item, ['title', 'description', 'estimatedDelivery'])),
+    subtotal: quote.subtotal,
+    discountType: quote.discountType,
+    discountValue: quote.discountValue,
+    discountAmount: quote.discountAmount,
+    taxRate: quote.taxRate,
+    taxAmount: quote.taxAmount,
+    total: quote.total,
+    currency: quote.currency,
+    paymentTerms: {
+        type: quote.paymentTerms?.type,
+        milestones: (quote.paymentTerms?.milestones || []).map(milestone => pick(milestone, MILESTONE_FIELDS)),
+        notes: quote.paymentTerms?.notes,
+    },
+    termsAndConditions: pick(quote.termsAndConditions, TERMS_FIELDS),
+    validUntil: quote.validUntil,
+    clientNotes: quote.clientNotes,
+});
+
+/**
+ * Fields whose values differ between two objects
+ * @returns {Object} { field: { from, to } } for each changed field
+ */
+export const diffFields = (from = {}, to = {}, fields) => {
+    const changes = {};
+    for (const field of fields) {
+        const before = from[field] ?? null;
+        const after = to[field] ?? null;
+        if (before !== after) {
+            changes[field] = { from: before, to: after };
+        }
+    }
+    return changes;
+};
+
+// Match entries of two lists by key; repeated keys pair up in order
+const diffList = (from = [], to = [], keyOf, fields) => {
+    const remaining = new Map();
+    for (const entry of from) {
+        const key = keyOf(entry);
+        remaining.set(key, [...(remaining.get(key) || []), entry]);
+    }
+
+    const added = [];
+    const changed = [];
+    for (const entry of to) {
+        const key = keyOf(entry);
+        const before = remaining.get(key)?.shift();
+        if (!before) {
+            added.push(entry);
+            continue;
+        }
+        const changes = diffFields(before, entry, fields);
+        if (Object.keys(changes).length > 0) {
+            changed.push({ key, changes });
+        }
+    }
+
+    const removed = [...remaining.values()].flat();
+    return { added, removed, changed };
+};
+
+const lineItemKey = (item) => `${item.category || ''}: ${String(item.description || '').trim()}`;
+const milestoneKey = (milestone) => String(milestone.title || '').trim();
+
+const listChanged = (list) => list.added.length + list.removed.length + list.changed.length > 0;
+
+/**
+ * Structured differences between two quote snapshots
+ * @returns {Object} { from, to, lineItems, discount, tax, totals, milestones, terms, hasChanges }
+ */
+export const diffQuoteSnapshots = (from, to) => {
+    const lineItems = diffList(from.lineItems, to.lineItems, lineItemKey, LINE_ITEM_FIELDS);
+    const milestones = {
+        ...diffFields(from.paymentTerms, to.paymentTerms, ['type']),
+        ...diffList(from.paymentTerms?.milestones, to.paymentTerms?.milestones, milestoneKey, MILESTONE_FIELDS),
+    };
+    const discount = diffFields(from, to, ['discountType', 'discountValue', 'discountAmount']);
+    const tax = diffFields(from, to, ['taxRate', 'taxAmount']);
+    const totals = diffFields(from, to, ['subtotal', 'total', 'currency']);
+    const terms = diffFields(from.termsAndConditions, to.termsAndConditions, TERMS_FIELDS);
+
+    return {
+        from: { version: from.version, status: from.status, total: from.total },
+        to: { version: to.version, status: to.status, total: to.total },
+        lineItems,
+        discount,
+        tax,
+        totals,
+        milestones,
+        terms,
+        hasChanges: listChanged(lineItems) || listChanged(milestones) || Boolean(milestones.type) ||
+            [discount, tax, totals, terms].some(changes => Object.keys(changes).length > 0),
+    };
+};
+
+export default {
+    snapshotQuote,
+    diffFields,
+    diffQuoteSnapshots,
+};
@@ -0,0 +1,91 @@
+/**
+ * Recurring billing helpers
+ * Retainer contracts bill a fixed amount every period. Period n always
+ * starts at startDate + n intervals (not at the previous period's start),
+ * so month-end anchors do not drift after a short month.
+ */
+
+export const RECURRING_INTERVALS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+const MONTHS_PER_INTERVAL = { monthly: 1, quarterly: 3, yearly: 12 };
+
+/**
+ * Add a number of intervals to a date, clamping to the last day of shorter months
+ */
+export const addInterval = (date, interval, count = 1) => {
+    const result = new Date(date);
+
+    if (interval === 'weekly') {
+        result.setDate(result.getDate() + 7 * count);
+        return result;
+    }
+
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + MONTHS_PER_INTERVAL[interval] * count);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+};
+
+/**
+ * Start and end of the nth billing period (0-based); the last period ends at endDate
+ * @returns {{start: Date, end: Date}}
+ */
+export const getBillingPeriod = (schedule, index) => {
+    const step = schedule.intervalCount || 1;
+    const start = addInterval(schedule.startDate, schedule.interval, step * index);
+    let end = new Date(addInterval(schedule.startDate, schedule.interval, step * (index + 1)).getTime() - 1);
+    if (schedule.endDate && end > new Date(schedule.endDate)) {
+        end = new Date(schedule.endDate);
+    }
+    return { start, end };
+};
+
+/**
+ * Validate recurring payment terms from a quote
+ * @param {Object} terms - { interval, intervalCount, amount, startDate, endDate }
+ * @returns {Object|null} The cleaned terms, or null when invalid
+ */
+export const normalizeRecurringTerms = (terms) => {
+    if (!terms || typeof terms !== 'object') return null;
+
+    const interval = terms.interval;
+    const intervalCount = terms.intervalCount === undefined ? 1 : Number(terms.intervalCount);
+    const startDate = new Date(terms.startDate);
+    const endDate = terms.endDate ? new Date(terms.endDate) : undefined;
+    const amount = terms.amount === undefined || terms.amount === null ? undefined : Number(terms.amount);
+
+    if (!RECURRING_INTERVALS.includes(interval)) return null;
+    if (!Number.isInteger(intervalCount) || intervalCount < 1 || intervalCount > 12) return null;
+    if (!terms.startDate || isNaN(startDate.getTime())) return null;
+    if (endDate && (isNaN(endDate.getTime()) || endDate <= startDate)) return null;
+    if (amount !== undefined && !(amount > 0)) return null;
+
+    return { interval, intervalCount, amount, startDate, endDate };
+};
+
+/**
+ * Contract billing schedule for an accepted quote's recurring terms
+ * The per-period amount defaults to the quote total.
+ */
+export const buildRecurringSchedule = (terms, total) => {
+    const normalized = normalizeRecurringTerms(terms);
+    if (!normalized) return undefined;
+
+    return {
+        ...normalized,
+        amount: normalized.amount ?? total,
+        status: 'active',
+        periodsInvoiced: 0,
+        nextInvoiceDate: normalized.startDate,
+    };
+};
+
+export default {
+    RECURRING_INTERVALS,
+    addInterval,
+    getBillingPeriod,
+    normalizeRecurringTerms,
+    buildRecurringSchedule,
+};
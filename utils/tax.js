@@ -0,0 +1,113 @@
+/**
+ * Tax helpers
+ * Line items can carry a tax profile (e.g. 13% VAT or tax-exempt). The
+ * profile's rate is copied onto the item when it is added so later profile
+ * changes never alter an issued document. Documents without profiled items
+ * keep using their document-level taxRate.
+ */
+
+// Settings keys
+export const TAX_PROFILES_SETTING = 'tax_profiles';
+export const FISCAL_YEAR_SETTING = 'fiscal_year_start';
+
+export const DEFAULT_TAX_PROFILES = [
+    { code: 'VAT13', name: 'VAT 13%', rate: 13, exempt: false },
+    { code: 'EXEMPT', name: 'Tax exempt', rate: 0, exempt: true },
+];
+
+// Nepal's fiscal year starts on Shrawan 1, around 16 July
+export const DEFAULT_FISCAL_YEAR_START = { month: 7, day: 16 };
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate a tax profile
+ * @returns {Object|null} The cleaned profile, or null when invalid
+ */
+export const normalizeTaxProfile = (profile = {}) => {
+    const code = String(profile.code || '').trim().toUpperCase();
+    const name = String(profile.name || '').trim();
+    const exempt = Boolean(profile.exempt);
+    const rate = exempt ? 0 : Number(profile.rate);
+
+    if (!/^[A-Z0-9_]{1,20}$/.test(code) || !name) return null;
+    if (isNaN(rate) || rate < 0 || rate > 100) return null;
+
+    return { code, name, rate, exempt };
+};
+
+/**
+ * Validate the fiscal year start, e.g. { month: 7, day: 16 }
+ */
+export const normalizeFiscalYearStart = (start = {}) => {
+    const month = Number(start.month);
+    const day = Number(start.day);
+
+    if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+    if (!Number.isInteger(day) || day < 1 || day > 28) return null;
+
+    return { month, day };
+};
+
+/**
+ * Fiscal year a date falls in
+ * @returns {{label: string, startsAt: Date, endsAt: Date}} e.g. 2025-26 for a year starting in July 2025,
+ * or just 2025 for a calendar fiscal year
+ */
+export const getFiscalYear = (date = new Date(), start = DEFAULT_FISCAL_YEAR_START) => {
+    const at = new Date(date);
+    let startYear = at.getFullYear();
+    if (at < new Date(startYear, start.month - 1, start.day)) {
+        startYear -= 1;
+    }
+
+    const calendarYear = start.month === 1 && start.day === 1;
+
+    return {
+        label: calendarYear ? String(startYear) : `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+        startsAt: new Date(startYear, start.month - 1, start.day),
+        endsAt: new Date(new Date(startYear + 1, start.month - 1, start.day).getTime() - 1),
+    };
+};
+
+/**
+ * Invoice number for a position in a fiscal year's sequence, e.g. INV-2025-26-00042
+ */
+export const formatInvoiceNumber = (fiscalYear, sequence) =>
+    `INV-${fiscalYear}-${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Set the tax on each profiled line item, sharing any document discount
+ * across items so tax is charged on the discounted amount
+ * @param {Array} lineItems - Items with amount and, when profiled, taxRate
+ * @param {number} discountAmount - Document-level discount
+ * @returns {number|null} Total tax, or null when no item has a tax profile
+ */
+export const applyLineItemTaxes = (lineItems = [], discountAmount = 0) => {
+    if (!lineItems.some(item => item.taxProfile)) return null;
+
+    const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+    const discountRatio = subtotal > 0 ? Math.min(discountAmount / subtotal, 1) : 0;
+
+    let taxAmount = 0;
+    for (const item of lineItems) {
+        item.taxAmount = item.taxProfile
+            ? roundAmount(item.amount * (1 - discountRatio) * ((item.taxRate || 0) / 100))
+            : 0;
+        taxAmount += item.taxAmount;
+    }
+
+    return roundAmount(taxAmount);
+};
+
+export default {
+    TAX_PROFILES_SETTING,
+    FISCAL_YEAR_SETTING,
+    DEFAULT_TAX_PROFILES,
+    DEFAULT_FISCAL_YEAR_START,
+    normalizeTaxProfile,
+    normalizeFiscalYearStart,
+    getFiscalYear,
+    formatInvoiceNumber,
+    applyLineItemTaxes,
+};